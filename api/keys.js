@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+/**
+ * Aerial Nest Encryption Keys
+ * Manages the master keys that wrap document data keys. Uses the local key
+ * file by default, or the KMS key in MASTER_KEY_ID when set, against the
+ * same database and storage as the API.
+ *
+ *   node keys.js status            count stored files per master key
+ *   node keys.js rotate            re-wrap every data key under a new master key
+ *   node keys.js retire            remove master keys nothing uses any more
+ *   node keys.js encrypt-existing  encrypt files stored before encryption at rest
+ *
+ * A replaced master key is only removed KEY_RETIRE_AFTER_HOURS (24) after
+ * the rotation that replaced it, so servers still using it have moved on.
+ * Rotating again, or running retire, after that removes it.
+ */
+
+const { getDatabase } = require('./src/database');
+const { getStorage } = require('./src/storage');
+const { getKeyProvider } = require('./src/keys');
+const { getKeyStatus, rotateMasterKey, retireUnusedKeys, encryptExistingFiles } = require('./src/keys/rotation');
+
+async function main() {
+    const [command] = process.argv.slice(2);
+
+    const db = getDatabase();
+    try {
+        switch (command) {
+            case 'status': {
+                for (const row of await getKeyStatus(db)) {
+                    const label = row.master_key_id || 'not encrypted at rest';
+                    console.log(`${row.master_key_id ? '🔒' : '⚠️ '} ${label}: ${row.file_count} file(s)`);
+                }
+                break;
+            }
+            case 'rotate': {
+                const { keyId, rewrapped, retired } = await rotateMasterKey(db, getKeyProvider());
+                console.log(`✅ Re-wrapped ${rewrapped} data key(s) under ${keyId}`);
+                for (const retiredKeyId of retired) {
+                    console.log('🗑️  Retired master key', retiredKeyId);
+                }
+                break;
+            }
+            case 'retire': {
+                const retired = await retireUnusedKeys(db, getKeyProvider());
+                console.log(`✅ Retired ${retired.length} master key(s)`);
+                for (const retiredKeyId of retired) {
+                    console.log('🗑️  Retired master key', retiredKeyId);
+                }
+                break;
+            }
+            case 'encrypt-existing': {
+                const { encrypted, missing } = await encryptExistingFiles(db, getStorage());
+                console.log(`✅ Encrypted ${encrypted} file(s)`);
+                for (const filePath of missing) {
+                    console.log('⚠️  Missing from storage, skipped:', filePath);
+                }
+                break;
+            }
+            default:
+                console.log('Usage: node keys.js <status | rotate | retire | encrypt-existing>');
+                process.exitCode = 1;
+        }
+    } finally {
+        await db.close();
+    }
+}
+
+main().catch((error) => {
+    console.error('❌ Key command failed:', error.message);
+    process.exitCode = 1;
+});
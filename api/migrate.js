@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+/**
+ * Aerial Nest Database Migrations
+ * Upgrades the database in place without touching existing data.
+ * Uses SQLite by default, or the PostgreSQL database in DATABASE_URL when set
+ * (e.g. a local container: docker run -p 5432:5432 -e POSTGRES_PASSWORD=postgres postgres:16).
+ *
+ *   node migrate.js up [steps]     apply pending migrations
+ *   node migrate.js down [steps]   roll back the latest migration(s)
+ *   node migrate.js status         list migrations and whether they are applied
+ *   node migrate.js create <name>  start a new migration
+ *   node migrate.js seed           add sample development data
+ */
+
+const path = require('path');
+const { getDatabase } = require('./src/database');
+const { migrateUp, migrateDown, getMigrationStatus, createMigration } = require('./src/database/migrator');
+const { seedDatabase } = require('./src/database/seed');
+
+function parseSteps(value, fallback) {
+    if (value === undefined) return fallback;
+    const steps = parseInt(value, 10);
+    if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error(`Steps must be a positive number, got "${value}"`);
+    }
+    return steps;
+}
+
+async function main() {
+    const [command, argument] = process.argv.slice(2);
+
+    if (command === 'create') {
+        for (const file of createMigration(argument)) {
+            console.log('📝 Created', path.relative(process.cwd(), file));
+        }
+        return;
+    }
+
+    const db = getDatabase();
+    try {
+        switch (command) {
+            case 'up': {
+                const applied = await migrateUp(db, { steps: parseSteps(argument, Infinity) });
+                console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s)` : '✅ Database is up to date');
+                break;
+            }
+            case 'down': {
+                const rolledBack = await migrateDown(db, { steps: parseSteps(argument, 1) });
+                console.log(rolledBack.length > 0 ? `✅ Rolled back ${rolledBack.length} migration(s)` : '✅ Nothing to roll back');
+                break;
+            }
+            case 'status': {
+                for (const migration of await getMigrationStatus(db)) {
+                    const state = migration.appliedAt ? `applied ${migration.appliedAt}` : 'pending';
+                    console.log(`${migration.appliedAt ? '✅' : '⏳'} ${migration.version}_${migration.name} (${state})`);
+                }
+                break;
+            }
+            case 'seed':
+                await seedDatabase(db);
+                break;
+            default:
+                console.log('Usage: node migrate.js <up [steps] | down [steps] | status | create <name> | seed>');
+                process.exitCode = 1;
+        }
+    } finally {
+        await db.close();
+    }
+}
+
+main().catch((error) => {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+/**
+ * Aerial Nest OpenAPI
+ * Checks the committed OpenAPI document (src/openapi/openapi.json) against
+ * the route table, or prints draft entries to start a new route's.
+ *
+ *   node openapi.js check   fail if any route is missing from the spec, or
+ *                           its spec entry does not match the route
+ *                           (path, parameters, request body, security) or
+ *                           does not describe its success response
+ *   node openapi.js print   write entries generated from the route table
+ *                           to stdout; their responses need filling in
+ */
+
+const { apiSpec, checkApiSpec } = require('./src/index.js');
+const { loadSpec } = require('./src/openapi');
+
+function main() {
+    const [command] = process.argv.slice(2);
+
+    switch (command) {
+        case 'print':
+            console.log(JSON.stringify(apiSpec(), null, 2));
+            break;
+        case 'check': {
+            const problems = checkApiSpec();
+            if (problems.length > 0) {
+                for (const problem of problems) {
+                    console.error('❌', problem);
+                }
+                process.exitCode = 1;
+                return;
+            }
+            const operations = Object.values(loadSpec().paths).reduce((count, path) => count + Object.keys(path).length, 0);
+            console.log(`✅ All ${operations} operations are described by the spec`);
+            break;
+        }
+        default:
+            console.log('Usage: node openapi.js <print | check>');
+            process.exitCode = 1;
+    }
+}
+
+main();
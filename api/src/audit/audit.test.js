@@ -0,0 +1,179 @@
+/**
+ * Audit chain tests, on a migrated SQLite database in a temporary directory
+ * Changes to the table go around migration 0008's triggers by dropping
+ * them first, as anyone with write access to the database file could.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSqliteDatabase } = require('../database/sqlite');
+const { migrateUp } = require('../database/migrator');
+const { appendAuditEntry, verifyAuditChain, entryHash, GENESIS_HASH } = require('.');
+
+let dir;
+let db;
+let owners = 0;
+
+beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aerial-nest-audit-'));
+    db = createSqliteDatabase(path.join(dir, 'test.db'));
+    await migrateUp(db);
+});
+
+afterAll(async () => {
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function createOwner() {
+    const result = await db.run(`
+        INSERT INTO users (email, password_hash, first_name, last_name) VALUES (?, ?, ?, ?)
+    `, [`owner-${owners++}@example.com`, 'hash', 'Test', 'Owner']);
+    return result.lastID;
+}
+
+function entry(userId, action = 'viewed') {
+    return {
+        user_id: userId,
+        accessed_by_user_id: userId,
+        action,
+        access_context: 'normal',
+        ip_address: '10.0.0.1',
+        details: { note: action }
+    };
+}
+
+async function appendEntries(userId, count) {
+    for (let index = 0; index < count; index++) {
+        await appendAuditEntry(db, entry(userId, `action_${index + 1}`));
+    }
+}
+
+const chain = userId => db.all('SELECT * FROM access_logs WHERE user_id = ? ORDER BY sequence', [userId]);
+
+describe('appendAuditEntry', () => {
+    test('links each entry to the one before it', async () => {
+        const userId = await createOwner();
+        await appendEntries(userId, 3);
+        const rows = await chain(userId);
+
+        expect(rows.map(row => row.sequence)).toEqual([1, 2, 3]);
+        expect(rows[0].previous_hash).toBe(GENESIS_HASH);
+        expect(rows[1].previous_hash).toBe(rows[0].entry_hash);
+        expect(rows[2].previous_hash).toBe(rows[1].entry_hash);
+        expect(JSON.parse(rows[0].details)).toEqual({ note: 'action_1' });
+        expect(verifyAuditChain(rows)).toEqual({ valid: true, entries: 3, brokenAt: null, reason: null });
+    });
+
+    test('keeps a chain per owner', async () => {
+        const first = await createOwner();
+        const second = await createOwner();
+        await appendEntries(first, 2);
+        await appendEntries(second, 1);
+        await appendEntries(first, 1);
+
+        expect((await chain(first)).map(row => row.sequence)).toEqual([1, 2, 3]);
+        expect((await chain(second)).map(row => row.sequence)).toEqual([1]);
+        expect(verifyAuditChain(await chain(first)).valid).toBe(true);
+    });
+
+    test('retries writers that raced for the same sequence number', async () => {
+        const userId = await createOwner();
+        const run = jest.spyOn(db, 'run');
+        await Promise.all([1, 2, 3].map(index => appendAuditEntry(db, entry(userId, `concurrent_${index}`))));
+        const inserts = run.mock.calls.length;
+        run.mockRestore();
+
+        const rows = await chain(userId);
+        expect(rows.map(row => row.sequence)).toEqual([1, 2, 3]);
+        expect(rows.map(row => row.action).sort()).toEqual(['concurrent_1', 'concurrent_2', 'concurrent_3']);
+        expect(verifyAuditChain(rows).valid).toBe(true);
+        // All three read the same head, so two had to try again
+        expect(inserts).toBeGreaterThan(3);
+    });
+
+    test('gives up when the head keeps moving', async () => {
+        const userId = await createOwner();
+        await appendEntries(userId, 1);
+        // A head that is always stale, as if another writer always got in first
+        const stale = { ...db, get: async () => null };
+        await expect(appendAuditEntry(stale, entry(userId))).rejects.toThrow('UNIQUE constraint failed');
+        expect(await chain(userId)).toHaveLength(1);
+    });
+});
+
+describe('append-only triggers', () => {
+    let userId;
+
+    beforeAll(async () => {
+        userId = await createOwner();
+        await appendEntries(userId, 2);
+    });
+
+    test('refuse UPDATE', async () => {
+        await expect(db.run('UPDATE access_logs SET action = ? WHERE user_id = ?', ['edited', userId]))
+            .rejects.toThrow('access_logs is append-only');
+    });
+
+    test('refuse DELETE', async () => {
+        await expect(db.run('DELETE FROM access_logs WHERE user_id = ?', [userId]))
+            .rejects.toThrow('access_logs is append-only');
+        expect(await chain(userId)).toHaveLength(2);
+    });
+});
+
+describe('verifyAuditChain', () => {
+    let userId;
+
+    beforeAll(async () => {
+        await db.exec(`
+            DROP TRIGGER access_logs_no_update;
+            DROP TRIGGER access_logs_no_delete;
+        `);
+    });
+
+    beforeEach(async () => {
+        userId = await createOwner();
+        await appendEntries(userId, 4);
+    });
+
+    test('finds an edited entry', async () => {
+        await db.run('UPDATE access_logs SET ip_address = ? WHERE user_id = ? AND sequence = 2', ['10.9.9.9', userId]);
+        expect(verifyAuditChain(await chain(userId))).toEqual({
+            valid: false, entries: 4, brokenAt: 2, reason: 'An entry was changed after it was written'
+        });
+    });
+
+    test('finds an edited entry whose hash was recomputed, at the entry after it', async () => {
+        const [, second] = await chain(userId);
+        const edited = { ...second, action: 'nothing_happened' };
+        await db.run('UPDATE access_logs SET action = ?, entry_hash = ? WHERE id = ?',
+                     [edited.action, entryHash(edited), second.id]);
+        expect(verifyAuditChain(await chain(userId))).toEqual({
+            valid: false, entries: 4, brokenAt: 3, reason: 'An entry does not follow the one before it'
+        });
+    });
+
+    test('finds a deleted entry', async () => {
+        await db.run('DELETE FROM access_logs WHERE user_id = ? AND sequence = 2', [userId]);
+        expect(verifyAuditChain(await chain(userId))).toEqual({
+            valid: false, entries: 3, brokenAt: 3, reason: 'An entry is missing'
+        });
+    });
+
+    test('finds reordered entries', async () => {
+        // Swapped through a free number, since the unique index checks each row as it changes
+        await db.run('UPDATE access_logs SET sequence = -2 WHERE user_id = ? AND sequence = 2', [userId]);
+        await db.run('UPDATE access_logs SET sequence = 2 WHERE user_id = ? AND sequence = 3', [userId]);
+        await db.run('UPDATE access_logs SET sequence = 3 WHERE user_id = ? AND sequence = -2', [userId]);
+        expect(verifyAuditChain(await chain(userId))).toEqual({
+            valid: false, entries: 4, brokenAt: 2, reason: 'An entry does not follow the one before it'
+        });
+    });
+
+    test('passes an untouched chain beside the changed ones', async () => {
+        expect(verifyAuditChain(await chain(userId))).toEqual({ valid: true, entries: 4, brokenAt: null, reason: null });
+    });
+});
@@ -0,0 +1,186 @@
+/**
+ * Audit Exports
+ * Turns an owner's audit entries and emergency request history into a CSV
+ * file and a PDF report that can be handed to a court or an executor.
+ *
+ * Both formats carry the same proof: the SHA-256 of the CSV and a signature
+ * over that hash made with the export signing secret, named by a key id.
+ * Anyone holding the CSV can recompute the hash; the PDF prints it along
+ * with the audit chain's head and carries the CSV as an attachment, and
+ * POST /api/audit/exports/verify confirms the signature is genuine.
+ *
+ *   auditCsv(entries, requests)                        -> CSV text
+ *   renderAuditReport(report)                          -> PDF Buffer
+ *   exportKeyId(secret)                                -> key id
+ *   signExport(sha256, secret)                         -> hex signature
+ *   verifyExportSignature(sha256, sig, keyId, secrets) -> boolean
+ */
+
+const crypto = require('crypto');
+const { createPdf } = require('../pdf');
+
+const CSV_COLUMNS = [
+    'record', 'sequence', 'time_utc', 'action', 'document_id', 'document_title', 'actor_email', 'actor_name',
+    'context', 'ip_address', 'user_agent', 'target', 'details', 'entry_hash'
+];
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Request columns worth keeping, in the order they happen
+function requestDetails(request) {
+    return {
+        emergencyType: request.emergency_type,
+        reason: request.request_reason,
+        approvalType: request.approval_type || null,
+        autoApproveAt: request.auto_approve_at,
+        approvedAt: request.approved_at || null,
+        expiresAt: request.expires_at,
+        denialReason: request.denial_reason || null
+    };
+}
+
+/**
+ * One row per audit entry, then one per emergency request
+ * Line endings are CRLF as RFC 4180 asks
+ */
+function auditCsv(entries, requests) {
+    const rows = [
+        ...entries.map(entry => [
+            'audit_entry', entry.sequence, entry.created_at, entry.action, entry.document_id, entry.document_title,
+            entry.accessed_by_email, entry.accessed_by_name, entry.access_context, entry.ip_address, entry.user_agent,
+            entry.target_type ? `${entry.target_type}:${entry.target_id}` : null, entry.details, entry.entry_hash
+        ]),
+        ...requests.map(request => [
+            'emergency_request', null, request.requested_at, request.status, null, null,
+            request.requested_by_email, request.requested_by_name, 'emergency', null, null,
+            `emergency_request:${request.id}`, requestDetails(request), null
+        ])
+    ];
+    return [CSV_COLUMNS, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * A fingerprint of a signing secret, printed on exports so the secret that
+ * signed one can still be found after it is replaced
+ */
+function exportKeyId(secret) {
+    return crypto.createHash('sha256').update(`audit-export-key:${secret}`).digest('hex').slice(0, 16);
+}
+
+function signExport(sha256, secret) {
+    return crypto.createHmac('sha256', secret).update(`audit-export:${exportKeyId(secret)}:${sha256}`).digest('hex');
+}
+
+/**
+ * Check a signature against whichever of `secrets` has the export's key id
+ */
+function verifyExportSignature(sha256, signature, keyId, secrets) {
+    const secret = secrets.find(candidate => exportKeyId(candidate) === keyId);
+    if (!secret) return false;
+    const expected = Buffer.from(signExport(sha256, secret), 'hex');
+    const given = Buffer.from(signature, 'hex');
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+const RISK_COLOR = [0.62, 0.36, 0.2];
+
+function actorLabel(entry) {
+    if (!entry.accessed_by_email) return 'Aerial Nest (automatic)';
+    return entry.accessed_by_name ? `${entry.accessed_by_name} <${entry.accessed_by_email}>` : entry.accessed_by_email;
+}
+
+function describeDetails(details) {
+    if (!details) return '';
+    return Object.entries(details)
+        .filter(([, value]) => value !== null && value !== '')
+        .map(([key, value]) => `${key}: ${Array.isArray(value) ? value.join(', ') : value}`)
+        .join('; ');
+}
+
+/**
+ * Lay out the PDF report, with the CSV the hash covers attached
+ * `report` = { owner, document, entries, requests, chain, csv, csvName,
+ * sha256, keyId, signature, generatedAt } where owner/document are rows
+ * (document may be null for a whole-account export) and chain is
+ * verifyAuditChain's result plus the head entry_hash
+ */
+function renderAuditReport({ owner, document, entries, requests, chain, csv, csvName, sha256, keyId, signature, generatedAt }) {
+    const ownerName = `${owner.first_name} ${owner.last_name}`;
+    const pdf = createPdf({
+        title: document ? `Access history: ${document.title}` : `Access history for ${ownerName}`,
+        footer: `SHA-256 ${sha256.slice(0, 16)}...`,
+        createdAt: generatedAt
+    });
+
+    pdf.heading(document ? `Access history: ${document.title}` : `Access history for ${ownerName}`, { size: 18 })
+        .paragraph(`Owner: ${ownerName} <${owner.email}>`)
+        .paragraph(`Scope: ${document ? `every version of "${document.title}"` : 'all documents, shares, contacts and emergency requests'}`)
+        .paragraph(`Generated: ${generatedAt.toISOString().replace('T', ' ').slice(0, 19)} UTC by Aerial Nest`)
+        .paragraph(`Contents: ${entries.length} audit entries, ${requests.length} emergency requests`);
+
+    pdf.attach(csvName, Buffer.from(csv, 'utf8'), {
+        mimeType: 'text/csv',
+        description: 'The records in this report, as the CSV the SHA-256 below covers'
+    });
+
+    pdf.heading('Verification')
+        .paragraph(`SHA-256 of the CSV export of these records, attached to this PDF as ${csvName}:`)
+        .code(sha256, { indent: 12 })
+        .paragraph(`Aerial Nest signature over that hash, with signing key ${keyId}:`)
+        .code(signature, { indent: 12 })
+        .paragraph(`Audit chain: ${chain.entries} entries, ${chain.valid
+            ? 'every hash checked and intact'
+            : `broken at entry ${chain.brokenAt} (${chain.reason})`}`, { color: chain.valid ? null : RISK_COLOR })
+        .paragraph('Latest entry hash:')
+        .code(chain.headHash || 'none', { indent: 12 })
+        .space(4)
+        .paragraph('Entries are append-only and each one includes the hash of the entry before it, so a removed or ' +
+                   'edited entry changes every hash after it. To check this report, save the attached CSV from ' +
+                   'your PDF reader\'s attachments panel and compute its SHA-256, which must match the one above. ' +
+                   'Then check the signature with Aerial Nest at POST /api/audit/exports/verify, giving the hash, ' +
+                   'the signature and the signing key.', { size: 9 });
+
+    pdf.heading('Activity');
+    if (entries.length === 0) pdf.paragraph('No activity recorded.');
+    for (const entry of entries) {
+        const title = entry.document_title
+            ? ` - ${entry.document_title}${entry.document_version ? ` (version ${entry.document_version})` : ''}`
+            : '';
+        pdf.rule()
+            .paragraph(`${entry.created_at} UTC  ·  ${entry.action.replace(/_/g, ' ')}${title}`, { bold: true })
+            .paragraph(`By ${actorLabel(entry)}${entry.ip_address ? ` from ${entry.ip_address}` : ''}` +
+                       `${entry.access_context === 'emergency' ? ' during emergency access' : ''}`, {
+                color: entry.access_context === 'emergency' ? RISK_COLOR : null
+            });
+        const details = describeDetails(entry.details);
+        if (details) pdf.paragraph(details, { size: 9 });
+        if (entry.user_agent) pdf.paragraph(`Browser: ${entry.user_agent}`, { size: 8 });
+        pdf.code(`#${entry.sequence}  ${entry.entry_hash}`, { size: 7 });
+    }
+
+    pdf.heading('Emergency access requests');
+    if (requests.length === 0) pdf.paragraph('No emergency access was requested.');
+    for (const request of requests) {
+        pdf.rule()
+            .paragraph(`Request ${request.id}  ·  ${request.emergency_type}  ·  ${request.status}` +
+                       `${request.approval_type === 'auto' ? ' (approved automatically after the waiting period)' : ''}`,
+                       { bold: true })
+            .paragraph(`Requested by ${request.requested_by_name} <${request.requested_by_email}> ` +
+                       `on ${request.requested_at} UTC`)
+            .paragraph(`Reason: ${request.request_reason}`, { size: 9 });
+        if (request.approved_at) pdf.paragraph(`Approved ${request.approved_at} UTC, access until ${request.expires_at} UTC`, { size: 9 });
+        if (request.denial_reason) pdf.paragraph(`Denial reason: ${request.denial_reason}`, { size: 9 });
+    }
+
+    return pdf.toBuffer();
+}
+
+module.exports = { auditCsv, renderAuditReport, exportKeyId, signExport, verifyExportSignature };
@@ -0,0 +1,99 @@
+/**
+ * Audit Trail
+ * Every owner has an append-only chain of entries in access_logs. Each
+ * entry stores the hash of the one before it and a hash over its own
+ * columns, so editing, deleting or reordering an entry breaks every hash
+ * after it. The database also refuses UPDATE and DELETE on the table
+ * (migration 0008), so the chain only has to catch changes made around it.
+ *
+ *   appendAuditEntry(db, entry) -> the stored row
+ *   verifyAuditChain(rows)      -> { valid, entries, brokenAt, reason }
+ *
+ * CSV and PDF exports of the trail live in ./export.
+ */
+
+const crypto = require('crypto');
+const { auditCsv, renderAuditReport, exportKeyId, signExport, verifyExportSignature } = require('./export');
+
+// previous_hash of the first entry in a chain
+const GENESIS_HASH = '0'.repeat(64);
+
+// Concurrent writers can race for the same sequence number; the unique
+// (user_id, sequence) index makes the loser retry on the new chain head
+const MAX_APPEND_ATTEMPTS = 5;
+
+// Columns covered by entry_hash, in hashing order
+const HASHED_COLUMNS = [
+    'user_id', 'sequence', 'previous_hash', 'accessed_by_user_id', 'accessed_by_email', 'accessed_by_name',
+    'document_id', 'emergency_request_id', 'target_type', 'target_id', 'action', 'access_context',
+    'ip_address', 'user_agent', 'details', 'created_at'
+];
+
+function entryHash(row) {
+    const values = HASHED_COLUMNS.map(column => (row[column] === undefined ? null : row[column]));
+    return crypto.createHash('sha256').update(JSON.stringify(values)).digest('hex');
+}
+
+function isUniqueViolation(error) {
+    return error.code === '23505' || /UNIQUE constraint failed/.test(error.message);
+}
+
+// Same "YYYY-MM-DD HH:MM:SS" UTC form as CURRENT_TIMESTAMP
+const toSqlTimestamp = date => date.toISOString().replace('T', ' ').slice(0, 19);
+
+/**
+ * Append an entry to its owner's chain
+ * `entry` holds access_logs columns; details may be an object
+ */
+async function appendAuditEntry(db, entry) {
+    const ownerClause = entry.user_id === null ? 'user_id IS NULL' : 'user_id = ?';
+    const ownerParams = entry.user_id === null ? [] : [entry.user_id];
+
+    for (let attempt = 1; ; attempt++) {
+        const head = await db.get(`
+            SELECT sequence, entry_hash FROM access_logs
+            WHERE ${ownerClause} AND sequence IS NOT NULL
+            ORDER BY sequence DESC LIMIT 1
+        `, ownerParams);
+
+        const row = {
+            ...entry,
+            details: entry.details && typeof entry.details === 'object' ? JSON.stringify(entry.details) : entry.details || null,
+            sequence: head ? head.sequence + 1 : 1,
+            previous_hash: head ? head.entry_hash : GENESIS_HASH,
+            created_at: toSqlTimestamp(new Date())
+        };
+        row.entry_hash = entryHash(row);
+
+        const columns = [...HASHED_COLUMNS, 'entry_hash'];
+        try {
+            await db.run(`
+                INSERT INTO access_logs (${columns.join(', ')})
+                VALUES (${columns.map(() => '?').join(', ')})
+            `, columns.map(column => (row[column] === undefined ? null : row[column])));
+            return row;
+        } catch (error) {
+            if (!isUniqueViolation(error) || attempt >= MAX_APPEND_ATTEMPTS) throw error;
+        }
+    }
+}
+
+/**
+ * Check one owner's chain, given all of its rows in sequence order
+ */
+function verifyAuditChain(rows) {
+    let previousHash = GENESIS_HASH;
+    for (const [index, row] of rows.entries()) {
+        const broken = (reason) => ({ valid: false, entries: rows.length, brokenAt: row.sequence, reason });
+        if (row.sequence !== index + 1) return broken('An entry is missing');
+        if (row.previous_hash !== previousHash) return broken('An entry does not follow the one before it');
+        if (row.entry_hash !== entryHash(row)) return broken('An entry was changed after it was written');
+        previousHash = row.entry_hash;
+    }
+    return { valid: true, entries: rows.length, brokenAt: null, reason: null };
+}
+
+module.exports = {
+    appendAuditEntry, verifyAuditChain, entryHash, GENESIS_HASH,
+    auditCsv, renderAuditReport, exportKeyId, signExport, verifyExportSignature
+};
@@ -0,0 +1,212 @@
+/**
+ * Repository and migration tests, run against every driver
+ * SQLite always runs, on a temporary file. PostgreSQL runs when
+ * TEST_DATABASE_URL is set; that database is migrated down to nothing and
+ * back up, so point it at one kept for tests.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSqliteDatabase } = require('./sqlite');
+const { migrateUp, migrateDown, getMigrationStatus } = require('./migrator');
+
+const drivers = [['sqlite', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aerial-nest-test-'));
+    return createSqliteDatabase(path.join(dir, 'test.db'));
+}]];
+if (process.env.TEST_DATABASE_URL) {
+    drivers.push(['postgres', () => {
+        const { createPostgresDatabase } = require('./postgres');
+        return createPostgresDatabase(process.env.TEST_DATABASE_URL);
+    }]);
+}
+
+const migrationCount = fs.readdirSync(path.join(__dirname, 'migrations'))
+    .filter(file => /^\d{4}_.*\.(up\.sql|js)$/.test(file)).length;
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+describe.each(drivers)('%s', (dialect, connect) => {
+    let db;
+
+    beforeAll(async () => {
+        db = connect();
+        await migrateDown(db, { steps: Infinity });
+        await migrateUp(db);
+    });
+
+    afterAll(() => db.close());
+
+    async function createUser(email) {
+        const result = await db.run(`
+            INSERT INTO users (email, password_hash, first_name, last_name) VALUES (?, ?, ?, ?)
+        `, [email, 'hash', 'Test', 'User']);
+        return result.lastID;
+    }
+
+    describe('migrations', () => {
+        test('applies every migration once', async () => {
+            const status = await getMigrationStatus(db);
+            expect(status).toHaveLength(migrationCount);
+            expect(status.every(migration => migration.appliedAt)).toBe(true);
+            expect(await migrateUp(db)).toEqual([]);
+        });
+
+        test('rolls back and reapplies the latest migration', async () => {
+            const [latest] = await migrateDown(db);
+            const status = await getMigrationStatus(db);
+            expect(status.find(migration => migration.version === latest.version).appliedAt).toBeNull();
+
+            const reapplied = await migrateUp(db);
+            expect(reapplied.map(migration => migration.version)).toEqual([latest.version]);
+        });
+    });
+
+    describe('repository', () => {
+        test('reports the dialect', () => {
+            expect(db.dialect).toBe(dialect);
+        });
+
+        test('run returns the new id and the rows changed', async () => {
+            const userId = await createUser(`run-${dialect}@example.com`);
+            expect(userId).toEqual(expect.any(Number));
+
+            const result = await db.run('UPDATE users SET first_name = ? WHERE id = ?', ['Changed', userId]);
+            expect(result.changes).toBe(1);
+            expect(await db.get('SELECT first_name FROM users WHERE id = ?', [userId]))
+                .toEqual({ first_name: 'Changed' });
+        });
+
+        test('get resolves undefined and all an empty list when nothing matches', async () => {
+            expect(await db.get('SELECT id FROM users WHERE email = ?', ['nobody@example.com'])).toBeUndefined();
+            expect(await db.all('SELECT id FROM users WHERE email = ?', ['nobody@example.com'])).toEqual([]);
+        });
+
+        test('leaves question marks in string literals and comments alone', async () => {
+            const row = await db.get(`
+                -- Isn't this a placeholder? No.
+                SELECT 'why?' as literal, CAST(? AS INTEGER) as value /* nor this? */
+            `, [7]);
+            expect(row).toEqual({ literal: 'why?', value: 7 });
+        });
+
+        test('keeps booleans and timestamps in the same form', async () => {
+            const userId = await createUser(`types-${dialect}@example.com`);
+            await db.run('UPDATE users SET email_verified = TRUE WHERE id = ?', [userId]);
+            const row = await db.get('SELECT email_verified, created_at FROM users WHERE id = ?', [userId]);
+            expect(Boolean(row.email_verified)).toBe(true);
+            expect(row.created_at).toMatch(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/);
+        });
+
+        test('inserts that hit ON CONFLICT DO NOTHING change nothing', async () => {
+            const email = `conflict-${dialect}@example.com`;
+            await createUser(email);
+            const result = await db.run(`
+                INSERT INTO users (email, password_hash, first_name, last_name) VALUES (?, ?, ?, ?)
+                ON CONFLICT (email) DO NOTHING
+            `, [email, 'hash', 'Test', 'User']);
+            expect(result.changes).toBe(0);
+        });
+    });
+
+    describe('transactions', () => {
+        test('commits and resolves with what the callback returns', async () => {
+            const userId = await db.transaction(async (tx) => {
+                const result = await tx.run(`
+                    INSERT INTO users (email, password_hash, first_name, last_name) VALUES (?, ?, ?, ?)
+                `, [`commit-${dialect}@example.com`, 'hash', 'Test', 'User']);
+                return result.lastID;
+            });
+            expect(await db.get('SELECT id FROM users WHERE id = ?', [userId])).toEqual({ id: userId });
+        });
+
+        test('rolls back when the callback throws', async () => {
+            const email = `rollback-${dialect}@example.com`;
+            await expect(db.transaction(async (tx) => {
+                await tx.run(`
+                    INSERT INTO users (email, password_hash, first_name, last_name) VALUES (?, ?, ?, ?)
+                `, [email, 'hash', 'Test', 'User']);
+                throw new Error('Changed my mind');
+            })).rejects.toThrow('Changed my mind');
+            expect(await db.get('SELECT id FROM users WHERE email = ?', [email])).toBeUndefined();
+        });
+
+        test('statements from outside are not caught up in a rollback', async () => {
+            const inside = `inside-${dialect}@example.com`;
+            const outside = `outside-${dialect}@example.com`;
+            let release;
+            const paused = new Promise(resolve => { release = resolve; });
+
+            const transaction = db.transaction(async (tx) => {
+                await tx.run(`
+                    INSERT INTO users (email, password_hash, first_name, last_name) VALUES (?, ?, ?, ?)
+                `, [inside, 'hash', 'Test', 'User']);
+                await paused;
+                throw new Error('Rolled back');
+            });
+            // Issued while the transaction is open
+            await new Promise(resolve => setTimeout(resolve, 20));
+            const outsideInsert = createUser(outside);
+            release();
+
+            await expect(transaction).rejects.toThrow('Rolled back');
+            await outsideInsert;
+            expect(await db.get('SELECT id FROM users WHERE email = ?', [inside])).toBeUndefined();
+            expect(await db.get('SELECT id FROM users WHERE email = ?', [outside])).toEqual({ id: expect.any(Number) });
+        });
+
+        // PostgreSQL gives each transaction its own connection instead
+        (dialect === 'sqlite' ? test : test.skip)('transactions started together run one after the other', async () => {
+            const userId = await createUser(`counter-${dialect}@example.com`);
+            const increment = () => db.transaction(async (tx) => {
+                const { failed_login_count: count } = await tx.get('SELECT failed_login_count FROM users WHERE id = ?', [userId]);
+                await tx.run('UPDATE users SET failed_login_count = ? WHERE id = ?', [count + 1, userId]);
+            });
+
+            await Promise.all([increment(), increment(), increment()]);
+            expect(await db.get('SELECT failed_login_count FROM users WHERE id = ?', [userId]))
+                .toEqual({ failed_login_count: 3 });
+        });
+    });
+
+    describe('unique versions and shares', () => {
+        async function createDocument(userId, fields = {}) {
+            const result = await db.run(`
+                INSERT INTO documents (user_id, title, document_type, file_path, file_name, file_size, file_type,
+                                       version, original_document_id, is_active)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [userId, 'Will', 'will', 'uploads/will.pdf', 'will.pdf', 1, 'pdf',
+                fields.version || 1, fields.originalId || null, fields.isActive !== false]);
+            return result.lastID;
+        }
+
+        test('a version number is used once per document', async () => {
+            const userId = await createUser(`versions-${dialect}@example.com`);
+            const originalId = await createDocument(userId, { isActive: false });
+            await createDocument(userId, { version: 2, originalId });
+            await expect(createDocument(userId, { version: 2, originalId, isActive: false })).rejects.toThrow();
+        });
+
+        test('only one version of a document is current', async () => {
+            const userId = await createUser(`active-${dialect}@example.com`);
+            const originalId = await createDocument(userId);
+            await expect(createDocument(userId, { version: 2, originalId })).rejects.toThrow();
+        });
+
+        test('a document is shared with a contact once', async () => {
+            const userId = await createUser(`shares-${dialect}@example.com`);
+            const documentId = await createDocument(userId);
+            const contact = await db.run(`
+                INSERT INTO trusted_contacts (user_id, contact_name, contact_email, relationship) VALUES (?, ?, ?, ?)
+            `, [userId, 'Sam', 'sam@example.com', 'friend']);
+            const share = `
+                INSERT INTO document_shares (document_id, user_id, trusted_contact_id, shared_by) VALUES (?, ?, ?, ?)
+            `;
+            await db.run(share, [documentId, userId, contact.lastID, userId]);
+            await expect(db.run(share, [documentId, userId, contact.lastID, userId])).rejects.toThrow();
+        });
+    });
+});
@@ -0,0 +1,43 @@
+/**
+ * Data Access Layer
+ * Picks the database driver for the API:
+ * - PostgreSQL when DATABASE_URL is set (Lambda / production)
+ * - SQLite otherwise (development)
+ *
+ * Every driver exposes the same promise-based repository methods, and
+ * queries are written once with "?" placeholders:
+ *   get(sql, params) -> first row or undefined
+ *   all(sql, params) -> rows
+ *   run(sql, params) -> { lastID, changes }
+ *   exec(script) -> runs a multi-statement script such as a migration
+ *   transaction(async (tx) => ...) -> runs callbacks on tx atomically
+ *   close()
+ *
+ * SQL must stay portable between the two dialects: use TRUE/FALSE for
+ * booleans, snake_case column aliases (PostgreSQL folds unquoted names
+ * to lower case) and CAST(? AS INTEGER) where a placeholder has no
+ * column to take its type from.
+ */
+
+const path = require('path');
+
+let database = null;
+
+function getDatabase() {
+    if (!database) {
+        if (process.env.DATABASE_URL) {
+            console.log('🔄 Connecting to PostgreSQL database...');
+            // Required lazily so local development never loads pg
+            const { createPostgresDatabase } = require('./postgres');
+            database = createPostgresDatabase(process.env.DATABASE_URL);
+        } else {
+            const dbPath = process.env.SQLITE_PATH || path.join(__dirname, 'aerial_nest_development.db');
+            console.log('🔄 Connecting to SQLite database at:', dbPath);
+            const { createSqliteDatabase } = require('./sqlite');
+            database = createSqliteDatabase(dbPath);
+        }
+    }
+    return database;
+}
+
+module.exports = { getDatabase };
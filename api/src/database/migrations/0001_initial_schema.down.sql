@@ -0,0 +1,15 @@
+-- Drop the initial schema, children before the tables they reference
+
+DROP TABLE IF EXISTS document_analytics;
+DROP TABLE IF EXISTS activity_events;
+DROP TABLE IF EXISTS user_activity_summary;
+DROP TABLE IF EXISTS access_logs;
+DROP TABLE IF EXISTS emergency_access_documents;
+DROP TABLE IF EXISTS emergency_access_requests;
+DROP TABLE IF EXISTS document_shares;
+DROP TABLE IF EXISTS trusted_contacts;
+DROP TABLE IF EXISTS documents;
+DROP TABLE IF EXISTS document_categories;
+DROP TABLE IF EXISTS email_verification_tokens;
+DROP TABLE IF EXISTS user_sessions;
+DROP TABLE IF EXISTS users;
@@ -1,8 +1,9 @@
 -- Aerial Nest MVP Database Schema
--- SQLite version for local development (PostgreSQL compatible)
-
--- Enable foreign key constraints in SQLite
-PRAGMA foreign_keys = ON;
+-- Initial migration, shared by SQLite (local development) and PostgreSQL
+-- (production). Keep migrations portable: TIMESTAMP rather than DATETIME,
+-- TRUE/FALSE boolean defaults, and tables created after the tables they
+-- reference. The PostgreSQL driver turns "INTEGER PRIMARY KEY AUTOINCREMENT"
+-- into SERIAL.
 
 -- ================================
 -- CORE USER MANAGEMENT
@@ -21,10 +22,11 @@ CREATE TABLE users (
     city VARCHAR(100),
     state VARCHAR(50),
     zip_code VARCHAR(20),
-    email_verified BOOLEAN DEFAULT 0,
-    email_verified_at DATETIME NULL,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    email_verified BOOLEAN DEFAULT FALSE,
+    email_verified_at TIMESTAMP NULL,
+    emergency_waiting_period_hours INTEGER NULL, -- NULL uses the server default
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
 -- Session management for authentication
@@ -32,8 +34,8 @@ CREATE TABLE user_sessions (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     user_id INTEGER NOT NULL,
     session_token VARCHAR(255) UNIQUE NOT NULL,
-    expires_at DATETIME NOT NULL,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
 );
 
@@ -42,9 +44,9 @@ CREATE TABLE email_verification_tokens (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     user_id INTEGER NOT NULL,
     token VARCHAR(255) UNIQUE NOT NULL,
-    expires_at DATETIME NOT NULL,
-    used_at DATETIME NULL,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
 );
 
@@ -58,7 +60,7 @@ CREATE TABLE document_categories (
     name VARCHAR(100) UNIQUE NOT NULL,
     description TEXT,
     display_order INTEGER DEFAULT 0,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
 -- Core document storage
@@ -73,13 +75,23 @@ CREATE TABLE documents (
     file_name VARCHAR(255) NOT NULL,
     file_size INTEGER NOT NULL,
     file_type VARCHAR(50) NOT NULL, -- 'pdf', 'docx', 'jpg', etc.
-    upload_date DATETIME DEFAULT CURRENT_TIMESTAMP,
-    is_active BOOLEAN DEFAULT 1, -- simple versioning for MVP
+    upload_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    is_active BOOLEAN DEFAULT TRUE, -- TRUE for the current version of a document
     user_notes TEXT, -- Margaret's personal notes about this document
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    
+    -- Version history: every replacement is a new row linked to the original
+    version INTEGER DEFAULT 1,
+    original_document_id INTEGER NULL, -- first version of the chain (NULL on the original itself)
+    replaced_at TIMESTAMP NULL,
+    replaced_by INTEGER NULL, -- who uploaded the replacement
+    replacement_reason TEXT NULL, -- e.g. 'Updated after remarriage'
+    
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
-    FOREIGN KEY (category_id) REFERENCES document_categories(id) ON DELETE SET NULL
+    FOREIGN KEY (category_id) REFERENCES document_categories(id) ON DELETE SET NULL,
+    FOREIGN KEY (original_document_id) REFERENCES documents(id) ON DELETE CASCADE,
+    FOREIGN KEY (replaced_by) REFERENCES users(id)
 );
 
 -- ================================
@@ -94,12 +106,19 @@ CREATE TABLE trusted_contacts (
     contact_email VARCHAR(255) NOT NULL,
     contact_phone VARCHAR(20),
     relationship VARCHAR(100), -- 'daughter', 'son', 'spouse', 'executor', 'friend', etc.
-    can_access_all BOOLEAN DEFAULT 0, -- simple permission for MVP
-    emergency_contact BOOLEAN DEFAULT 0,
+    can_access_all BOOLEAN DEFAULT FALSE, -- simple permission for MVP
+    emergency_contact BOOLEAN DEFAULT FALSE,
     notes TEXT, -- Margaret's personal notes about this person
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    
+    -- Invitation flow: the contact's own account once they accept
+    contact_user_id INTEGER NULL,
+    invitation_sent_at TIMESTAMP NULL,
+    invitation_accepted_at TIMESTAMP NULL,
+    
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (contact_user_id) REFERENCES users(id) ON DELETE SET NULL
 );
 
 -- Document sharing with trusted contacts
@@ -110,7 +129,7 @@ CREATE TABLE document_shares (
     trusted_contact_id INTEGER NOT NULL,
     access_type VARCHAR(50) DEFAULT 'view', -- 'view', 'download'
     share_message TEXT, -- personal message from Margaret when sharing
-    shared_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    shared_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     shared_by INTEGER NOT NULL, -- who granted this access
     FOREIGN KEY (document_id) REFERENCES documents(id) ON DELETE CASCADE,
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
@@ -131,20 +150,23 @@ CREATE TABLE emergency_access_requests (
     requested_by_name VARCHAR(255) NOT NULL,
     request_reason TEXT NOT NULL,
     emergency_type VARCHAR(100), -- 'medical', 'financial', 'general'
-    requested_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    requested_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     
-    -- Simple approval workflow for MVP
+    -- Approval workflow: the owner decides, or the request auto-approves
+    -- once the owner's waiting period passes without a response
     status VARCHAR(50) DEFAULT 'pending', -- 'pending', 'approved', 'denied', 'expired'
-    approved_at DATETIME NULL,
-    expires_at DATETIME NOT NULL, -- auto-expire after set period
+    approval_type VARCHAR(20) NULL, -- 'owner', 'auto', 'admin'
+    approved_at TIMESTAMP NULL,
+    auto_approve_at TIMESTAMP NULL, -- end of the owner's waiting period
+    expires_at TIMESTAMP NOT NULL, -- approved access ends after set period
     denial_reason TEXT NULL,
     
     -- Simple admin override for MVP support
     admin_approved_by INTEGER NULL,
     admin_notes TEXT NULL,
     
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
     FOREIGN KEY (trusted_contact_id) REFERENCES trusted_contacts(id) ON DELETE CASCADE,
     FOREIGN KEY (admin_approved_by) REFERENCES users(id)
@@ -156,7 +178,7 @@ CREATE TABLE emergency_access_documents (
     emergency_request_id INTEGER NOT NULL,
     document_id INTEGER NOT NULL,
     granted_access_type VARCHAR(50) DEFAULT 'view', -- what access was actually granted
-    accessed_at DATETIME NULL, -- when document was actually accessed
+    accessed_at TIMESTAMP NULL, -- when document was actually accessed
     FOREIGN KEY (emergency_request_id) REFERENCES emergency_access_requests(id) ON DELETE CASCADE,
     FOREIGN KEY (document_id) REFERENCES documents(id) ON DELETE CASCADE
 );
@@ -179,7 +201,7 @@ CREATE TABLE access_logs (
     user_agent TEXT,
     emergency_request_id INTEGER NULL,
     session_id VARCHAR(255),
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
     FOREIGN KEY (accessed_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
     FOREIGN KEY (document_id) REFERENCES documents(id) ON DELETE SET NULL,
@@ -220,7 +242,7 @@ CREATE TABLE user_activity_summary (
     onboarding_steps_completed INTEGER DEFAULT 0,
     help_articles_viewed INTEGER DEFAULT 0,
     
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     
     -- Ensure one record per user per day
     UNIQUE(user_id, activity_date),
@@ -244,10 +266,10 @@ CREATE TABLE activity_events (
     ip_address VARCHAR(45),
     
     -- Timing data for understanding user flow
-    session_start_time DATETIME,
+    session_start_time TIMESTAMP,
     time_since_last_event INTEGER, -- seconds since last activity
     
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
 );
 
@@ -270,11 +292,11 @@ CREATE TABLE document_analytics (
     emergency_access_count INTEGER DEFAULT 0,
     
     -- Document completion and quality indicators
-    has_description BOOLEAN DEFAULT 0,
-    has_user_notes BOOLEAN DEFAULT 0,
+    has_description BOOLEAN DEFAULT FALSE,
+    has_user_notes BOOLEAN DEFAULT FALSE,
     file_size_mb REAL,
     
-    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (document_id) REFERENCES documents(id) ON DELETE CASCADE,
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
 );
@@ -297,17 +319,21 @@ CREATE INDEX idx_documents_user_id ON documents(user_id);
 CREATE INDEX idx_documents_type ON documents(document_type);
 CREATE INDEX idx_documents_active ON documents(is_active);
 CREATE INDEX idx_documents_upload_date ON documents(upload_date);
+CREATE INDEX idx_documents_original ON documents(original_document_id);
 
 -- Sharing and access
 CREATE INDEX idx_document_shares_document_id ON document_shares(document_id);
 CREATE INDEX idx_document_shares_trusted_contact ON document_shares(trusted_contact_id);
 CREATE INDEX idx_trusted_contacts_user_id ON trusted_contacts(user_id);
 CREATE INDEX idx_trusted_contacts_email ON trusted_contacts(contact_email);
+CREATE INDEX idx_trusted_contacts_contact_user_id ON trusted_contacts(contact_user_id);
 
 -- Emergency access
 CREATE INDEX idx_emergency_requests_user_id ON emergency_access_requests(user_id);
 CREATE INDEX idx_emergency_requests_status ON emergency_access_requests(status);
 CREATE INDEX idx_emergency_requests_expires_at ON emergency_access_requests(expires_at);
+CREATE INDEX idx_emergency_requests_auto_approve_at ON emergency_access_requests(auto_approve_at);
+CREATE INDEX idx_emergency_documents_request_id ON emergency_access_documents(emergency_request_id);
 
 -- Audit and analytics
 CREATE INDEX idx_access_logs_user_id ON access_logs(user_id);
@@ -0,0 +1,9 @@
+-- Undo 0002_session_refresh_tokens
+
+DROP INDEX idx_user_sessions_previous_token;
+
+ALTER TABLE user_sessions DROP COLUMN revoked_at;
+ALTER TABLE user_sessions DROP COLUMN last_used_at;
+ALTER TABLE user_sessions DROP COLUMN user_agent;
+ALTER TABLE user_sessions DROP COLUMN ip_address;
+ALTER TABLE user_sessions DROP COLUMN previous_token;
@@ -0,0 +1,11 @@
+-- Server-side sessions backing rotating refresh tokens
+-- session_token holds the SHA-256 hash of the current refresh token and
+-- previous_token the one it replaced, so a replayed old token is detected
+
+ALTER TABLE user_sessions ADD COLUMN previous_token VARCHAR(255) NULL;
+ALTER TABLE user_sessions ADD COLUMN ip_address VARCHAR(45);
+ALTER TABLE user_sessions ADD COLUMN user_agent TEXT;
+ALTER TABLE user_sessions ADD COLUMN last_used_at TIMESTAMP NULL;
+ALTER TABLE user_sessions ADD COLUMN revoked_at TIMESTAMP NULL;
+
+CREATE INDEX idx_user_sessions_previous_token ON user_sessions(previous_token);
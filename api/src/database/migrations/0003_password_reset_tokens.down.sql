@@ -0,0 +1,3 @@
+-- Undo 0003_password_reset_tokens
+
+DROP TABLE IF EXISTS password_reset_tokens;
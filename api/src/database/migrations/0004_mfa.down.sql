@@ -0,0 +1,11 @@
+-- Undo 0004_mfa
+
+DROP TABLE IF EXISTS mfa_recovery_codes;
+
+ALTER TABLE user_sessions DROP COLUMN mfa_verified_at;
+
+ALTER TABLE users DROP COLUMN mfa_required_for_downloads;
+ALTER TABLE users DROP COLUMN mfa_enabled_at;
+ALTER TABLE users DROP COLUMN mfa_last_counter;
+ALTER TABLE users DROP COLUMN mfa_secret;
+ALTER TABLE users DROP COLUMN mfa_enabled;
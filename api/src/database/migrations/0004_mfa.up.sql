@@ -0,0 +1,23 @@
+-- Optional TOTP two-step verification
+-- mfa_last_counter is the last accepted time step, so a code cannot be replayed;
+-- user_sessions.mfa_verified_at records when the session last passed a code check
+
+ALTER TABLE users ADD COLUMN mfa_enabled BOOLEAN DEFAULT FALSE;
+ALTER TABLE users ADD COLUMN mfa_secret VARCHAR(64) NULL;
+ALTER TABLE users ADD COLUMN mfa_last_counter INTEGER NULL;
+ALTER TABLE users ADD COLUMN mfa_enabled_at TIMESTAMP NULL;
+ALTER TABLE users ADD COLUMN mfa_required_for_downloads BOOLEAN DEFAULT FALSE;
+
+ALTER TABLE user_sessions ADD COLUMN mfa_verified_at TIMESTAMP NULL;
+
+-- One-time recovery codes; code_hash holds the SHA-256 hash of the code
+CREATE TABLE mfa_recovery_codes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    code_hash VARCHAR(255) NOT NULL,
+    used_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_mfa_recovery_codes_user_id ON mfa_recovery_codes(user_id);
@@ -0,0 +1,11 @@
+-- Undo 0005_end_to_end_encryption
+
+DROP TABLE IF EXISTS document_keys;
+
+ALTER TABLE documents DROP COLUMN is_encrypted;
+
+ALTER TABLE users DROP COLUMN encryption_enabled_at;
+ALTER TABLE users DROP COLUMN encryption_iterations;
+ALTER TABLE users DROP COLUMN encryption_salt;
+ALTER TABLE users DROP COLUMN encryption_private_key;
+ALTER TABLE users DROP COLUMN encryption_public_key;
@@ -0,0 +1,33 @@
+-- Opt-in end-to-end encryption
+-- The browser generates each user's key pair; the private key only ever
+-- reaches the server encrypted with a key derived from the user's passphrase
+
+ALTER TABLE users ADD COLUMN encryption_public_key TEXT NULL; -- SPKI, base64
+ALTER TABLE users ADD COLUMN encryption_private_key TEXT NULL; -- passphrase-encrypted PKCS#8, base64
+ALTER TABLE users ADD COLUMN encryption_salt VARCHAR(64) NULL;
+ALTER TABLE users ADD COLUMN encryption_iterations INTEGER NULL;
+ALTER TABLE users ADD COLUMN encryption_enabled_at TIMESTAMP NULL;
+
+-- Encrypted documents store ciphertext only; every version of a document
+-- shares one content key
+ALTER TABLE documents ADD COLUMN is_encrypted BOOLEAN DEFAULT FALSE;
+
+-- A document's content key wrapped with one person's public key
+-- key_type: 'owner', 'share' (released while the document is shared with them)
+-- or 'escrow' (held for an emergency contact, released only during approved
+-- emergency access)
+CREATE TABLE document_keys (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    document_id INTEGER NOT NULL, -- first version of the chain
+    owner_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL, -- whose public key wrapped it
+    key_type VARCHAR(20) NOT NULL,
+    wrapped_key TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (document_id, user_id, key_type),
+    FOREIGN KEY (document_id) REFERENCES documents(id) ON DELETE CASCADE,
+    FOREIGN KEY (owner_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_document_keys_owner_id ON document_keys(owner_id);
@@ -0,0 +1,6 @@
+-- Undo 0006_encryption_at_rest
+
+DROP INDEX IF EXISTS idx_documents_master_key_id;
+
+ALTER TABLE documents DROP COLUMN master_key_id;
+ALTER TABLE documents DROP COLUMN encrypted_data_key;
@@ -0,0 +1,9 @@
+-- Encryption at rest
+-- Each stored file has its own data key, kept here wrapped by a master key.
+-- Every version that points at the same file carries the same data key.
+-- Rows without one predate encryption at rest and are stored in the clear.
+
+ALTER TABLE documents ADD COLUMN encrypted_data_key TEXT NULL; -- base64
+ALTER TABLE documents ADD COLUMN master_key_id VARCHAR(255) NULL; -- local key id or KMS key ARN
+
+CREATE INDEX idx_documents_master_key_id ON documents(master_key_id);
@@ -0,0 +1,7 @@
+-- Undo 0007_rate_limiting
+
+DROP TABLE IF EXISTS security_events;
+DROP TABLE IF EXISTS rate_limit_buckets;
+
+ALTER TABLE users DROP COLUMN locked_until;
+ALTER TABLE users DROP COLUMN failed_login_count;
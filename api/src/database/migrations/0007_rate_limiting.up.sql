@@ -0,0 +1,32 @@
+-- Rate limiting and brute-force lockout
+-- failed_login_count counts wrong passwords since the last successful login;
+-- past the threshold each one locks the account for longer, until locked_until
+
+ALTER TABLE users ADD COLUMN failed_login_count INTEGER DEFAULT 0;
+ALTER TABLE users ADD COLUMN locked_until TIMESTAMP NULL;
+
+-- Fixed-window request counters shared by every API process
+-- bucket_key holds the SHA-256 hash of the limit name and client/account key
+CREATE TABLE rate_limit_buckets (
+    bucket_key VARCHAR(64) PRIMARY KEY,
+    hits INTEGER NOT NULL,
+    window_ends_at TIMESTAMP NOT NULL
+);
+
+CREATE INDEX idx_rate_limit_buckets_window_ends_at ON rate_limit_buckets(window_ends_at);
+
+-- Security events (lockouts, rate limits hit), alongside access_logs
+CREATE TABLE security_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NULL,
+    email VARCHAR(255), -- the address tried, which may have no account
+    event VARCHAR(100) NOT NULL, -- 'account_locked', 'rate_limited'
+    detail TEXT,
+    ip_address VARCHAR(45),
+    user_agent TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX idx_security_events_user_id ON security_events(user_id);
+CREATE INDEX idx_security_events_created_at ON security_events(created_at);
@@ -0,0 +1,190 @@
+/**
+ * Audit log
+ * Turns access_logs into a per-owner hash chain (see ../../audit):
+ * sequence numbers each owner's entries, previous_hash/entry_hash link
+ * them, and target_type/target_id/details describe what was acted on
+ * (a share, contact or emergency request) beyond the document.
+ *
+ * The ON DELETE SET NULL foreign keys go: deleting a contact or request
+ * would otherwise rewrite hashed columns of old entries, so the log keeps
+ * plain ids instead. Existing rows are chained in id order. Triggers then
+ * refuse UPDATE and DELETE. SQLite can only drop foreign keys by
+ * rebuilding the table, so the SQL differs between SQLite and PostgreSQL.
+ */
+
+const { entryHash, GENESIS_HASH } = require('../../audit');
+
+const ORIGINAL_COLUMNS = `id, user_id, accessed_by_user_id, accessed_by_email, accessed_by_name, document_id, action,
+                          access_context, ip_address, user_agent, emergency_request_id, session_id, created_at`;
+
+// Referenced rows may be gone by the time the foreign keys come back
+const DANGLING_REFERENCES = {
+    user_id: 'users',
+    accessed_by_user_id: 'users',
+    document_id: 'documents',
+    emergency_request_id: 'emergency_access_requests'
+};
+
+const INDEXES = `
+    CREATE INDEX idx_access_logs_user_id ON access_logs(user_id);
+    CREATE INDEX idx_access_logs_document_id ON access_logs(document_id);
+    CREATE INDEX idx_access_logs_created_at ON access_logs(created_at);
+`;
+
+async function up(db) {
+    if (db.dialect === 'postgres') {
+        await db.exec(`
+            ALTER TABLE access_logs
+                DROP CONSTRAINT IF EXISTS access_logs_user_id_fkey,
+                DROP CONSTRAINT IF EXISTS access_logs_accessed_by_user_id_fkey,
+                DROP CONSTRAINT IF EXISTS access_logs_document_id_fkey,
+                DROP CONSTRAINT IF EXISTS access_logs_emergency_request_id_fkey;
+
+            ALTER TABLE access_logs ADD COLUMN target_type VARCHAR(50) NULL;
+            ALTER TABLE access_logs ADD COLUMN target_id INTEGER NULL;
+            ALTER TABLE access_logs ADD COLUMN details TEXT NULL;
+            ALTER TABLE access_logs ADD COLUMN sequence INTEGER NULL;
+            ALTER TABLE access_logs ADD COLUMN previous_hash VARCHAR(64) NULL;
+            ALTER TABLE access_logs ADD COLUMN entry_hash VARCHAR(64) NULL;
+        `);
+    } else {
+        await db.exec(`
+            CREATE TABLE access_logs_chained (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER, -- document owner (nullable for emergency access)
+                accessed_by_user_id INTEGER, -- who acted (null when the system did)
+                accessed_by_email VARCHAR(255),
+                accessed_by_name VARCHAR(255),
+                document_id INTEGER,
+                action VARCHAR(100) NOT NULL,
+                access_context VARCHAR(100), -- 'normal', 'emergency', 'shared'
+                ip_address VARCHAR(45), -- supports IPv6
+                user_agent TEXT,
+                emergency_request_id INTEGER NULL,
+                session_id VARCHAR(255),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                target_type VARCHAR(50) NULL, -- 'share', 'contact', 'emergency_request'
+                target_id INTEGER NULL,
+                details TEXT NULL, -- JSON
+                sequence INTEGER NULL,
+                previous_hash VARCHAR(64) NULL,
+                entry_hash VARCHAR(64) NULL
+            );
+
+            INSERT INTO access_logs_chained (${ORIGINAL_COLUMNS})
+            SELECT ${ORIGINAL_COLUMNS} FROM access_logs;
+
+            DROP TABLE access_logs;
+            ALTER TABLE access_logs_chained RENAME TO access_logs;
+            ${INDEXES}
+        `);
+    }
+
+    const heads = new Map();
+    for (const row of await db.all('SELECT * FROM access_logs ORDER BY id')) {
+        const head = heads.get(row.user_id) || { sequence: 0, hash: GENESIS_HASH };
+        const chained = { ...row, sequence: head.sequence + 1, previous_hash: head.hash };
+        chained.entry_hash = entryHash(chained);
+        await db.run('UPDATE access_logs SET sequence = ?, previous_hash = ?, entry_hash = ? WHERE id = ?',
+                     [chained.sequence, chained.previous_hash, chained.entry_hash, row.id]);
+        heads.set(row.user_id, { sequence: chained.sequence, hash: chained.entry_hash });
+    }
+
+    await db.exec('CREATE UNIQUE INDEX idx_access_logs_chain ON access_logs(user_id, sequence);');
+
+    if (db.dialect === 'postgres') {
+        await db.exec(`
+            CREATE FUNCTION access_logs_append_only() RETURNS trigger AS $$
+            BEGIN
+                RAISE EXCEPTION 'access_logs is append-only';
+            END;
+            $$ LANGUAGE plpgsql;
+
+            CREATE TRIGGER access_logs_append_only
+                BEFORE UPDATE OR DELETE ON access_logs
+                FOR EACH ROW EXECUTE FUNCTION access_logs_append_only();
+        `);
+    } else {
+        await db.exec(`
+            CREATE TRIGGER access_logs_no_update BEFORE UPDATE ON access_logs
+            BEGIN
+                SELECT RAISE(ABORT, 'access_logs is append-only');
+            END;
+
+            CREATE TRIGGER access_logs_no_delete BEFORE DELETE ON access_logs
+            BEGIN
+                SELECT RAISE(ABORT, 'access_logs is append-only');
+            END;
+        `);
+    }
+}
+
+async function down(db) {
+    const keptReference = (column) =>
+        `CASE WHEN ${column} IN (SELECT id FROM ${DANGLING_REFERENCES[column]}) THEN ${column} END`;
+
+    if (db.dialect === 'postgres') {
+        await db.exec(`
+            DROP TRIGGER IF EXISTS access_logs_append_only ON access_logs;
+            DROP FUNCTION IF EXISTS access_logs_append_only();
+            DROP INDEX IF EXISTS idx_access_logs_chain;
+
+            ALTER TABLE access_logs DROP COLUMN entry_hash;
+            ALTER TABLE access_logs DROP COLUMN previous_hash;
+            ALTER TABLE access_logs DROP COLUMN sequence;
+            ALTER TABLE access_logs DROP COLUMN details;
+            ALTER TABLE access_logs DROP COLUMN target_id;
+            ALTER TABLE access_logs DROP COLUMN target_type;
+
+            UPDATE access_logs SET
+                ${Object.keys(DANGLING_REFERENCES).map(column => `${column} = ${keptReference(column)}`).join(',\n                ')};
+
+            ALTER TABLE access_logs
+                ADD CONSTRAINT access_logs_user_id_fkey
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+                ADD CONSTRAINT access_logs_accessed_by_user_id_fkey
+                    FOREIGN KEY (accessed_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
+                ADD CONSTRAINT access_logs_document_id_fkey
+                    FOREIGN KEY (document_id) REFERENCES documents(id) ON DELETE SET NULL,
+                ADD CONSTRAINT access_logs_emergency_request_id_fkey
+                    FOREIGN KEY (emergency_request_id) REFERENCES emergency_access_requests(id) ON DELETE SET NULL;
+        `);
+        return;
+    }
+
+    const selected = ORIGINAL_COLUMNS.split(',')
+        .map(column => column.trim())
+        .map(column => (DANGLING_REFERENCES[column] ? keptReference(column) : column))
+        .join(', ');
+
+    await db.exec(`
+        CREATE TABLE access_logs_unchained (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER, -- document owner (nullable for emergency access)
+            accessed_by_user_id INTEGER, -- who accessed (nullable for non-users)
+            accessed_by_email VARCHAR(255), -- for non-registered users in emergency
+            accessed_by_name VARCHAR(255),
+            document_id INTEGER,
+            action VARCHAR(100) NOT NULL, -- 'viewed', 'downloaded', 'shared', 'emergency_accessed', 'uploaded'
+            access_context VARCHAR(100), -- 'normal', 'emergency', 'shared'
+            ip_address VARCHAR(45), -- supports IPv6
+            user_agent TEXT,
+            emergency_request_id INTEGER NULL,
+            session_id VARCHAR(255),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+            FOREIGN KEY (accessed_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
+            FOREIGN KEY (document_id) REFERENCES documents(id) ON DELETE SET NULL,
+            FOREIGN KEY (emergency_request_id) REFERENCES emergency_access_requests(id) ON DELETE SET NULL
+        );
+
+        INSERT INTO access_logs_unchained (${ORIGINAL_COLUMNS})
+        SELECT ${selected} FROM access_logs;
+
+        DROP TABLE access_logs;
+        ALTER TABLE access_logs_unchained RENAME TO access_logs;
+        ${INDEXES}
+    `);
+}
+
+module.exports = { up, down };
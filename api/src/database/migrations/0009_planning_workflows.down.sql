@@ -0,0 +1,3 @@
+-- Undo 0009_planning_workflows
+
+DROP TABLE IF EXISTS planning_progress;
@@ -0,0 +1,18 @@
+-- Planning workflows
+-- The checklists are defined in code (src/workflows); this keeps each user's
+-- progress through their steps. Steps with no row are still pending.
+
+CREATE TABLE planning_progress (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    workflow_id VARCHAR(100) NOT NULL, -- e.g. 'healthcare_directive'
+    step_id VARCHAR(100) NOT NULL,
+    status VARCHAR(20) NOT NULL, -- 'complete', 'skipped'
+    answer VARCHAR(100) NULL, -- the option chosen for a question step
+    document_id INTEGER NULL, -- first version of the document linked to a document step
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, workflow_id, step_id),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (document_id) REFERENCES documents(id) ON DELETE SET NULL
+);
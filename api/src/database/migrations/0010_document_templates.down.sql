@@ -0,0 +1,4 @@
+-- Undo 0010_document_templates
+
+ALTER TABLE documents DROP COLUMN template_version;
+ALTER TABLE documents DROP COLUMN template_id;
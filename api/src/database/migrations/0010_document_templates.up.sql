@@ -0,0 +1,6 @@
+-- Documents generated from templates (src/templates)
+-- Records which template and which version of it produced the file, so
+-- documents made before a template changed can still be told apart
+
+ALTER TABLE documents ADD COLUMN template_id VARCHAR(100) NULL; -- e.g. 'advance_directive'
+ALTER TABLE documents ADD COLUMN template_version INTEGER NULL;
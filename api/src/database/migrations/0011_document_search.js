@@ -0,0 +1,65 @@
+/**
+ * Document search
+ * Adds document_search, the full-text index over each document's current
+ * version (see ../../search). SQLite uses an FTS5 table keyed by rowid;
+ * PostgreSQL a table with a generated, weighted tsvector under a GIN index.
+ * Both drop a document's entry when the document is deleted.
+ *
+ * Existing documents are indexed by title, description and notes. The
+ * text of their files is only read when a new version is uploaded.
+ */
+
+async function up(db) {
+    if (db.dialect === 'postgres') {
+        await db.exec(`
+            CREATE TABLE document_search (
+                document_id INTEGER PRIMARY KEY REFERENCES documents(id) ON DELETE CASCADE,
+                title TEXT,
+                description TEXT,
+                user_notes TEXT,
+                content TEXT, -- text extracted from the file
+                search_vector TSVECTOR GENERATED ALWAYS AS (
+                    setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+                    setweight(to_tsvector('english', COALESCE(description, '')), 'B') ||
+                    setweight(to_tsvector('english', COALESCE(user_notes, '')), 'B') ||
+                    setweight(to_tsvector('english', COALESCE(content, '')), 'C')
+                ) STORED
+            );
+
+            CREATE INDEX idx_document_search_vector ON document_search USING GIN (search_vector);
+
+            INSERT INTO document_search (document_id, title, description, user_notes)
+            SELECT id, title, description, user_notes FROM documents WHERE is_active = TRUE;
+        `);
+        return;
+    }
+
+    await db.exec(`
+        CREATE VIRTUAL TABLE document_search USING fts5(
+            title, description, user_notes, content,
+            tokenize = 'porter unicode61 remove_diacritics 2'
+        );
+
+        CREATE TRIGGER documents_search_delete AFTER DELETE ON documents
+        BEGIN
+            DELETE FROM document_search WHERE rowid = old.id;
+        END;
+
+        INSERT INTO document_search (rowid, title, description, user_notes)
+        SELECT id, title, description, user_notes FROM documents WHERE is_active = TRUE;
+    `);
+}
+
+async function down(db) {
+    if (db.dialect === 'postgres') {
+        await db.exec('DROP TABLE document_search;');
+        return;
+    }
+
+    await db.exec(`
+        DROP TRIGGER documents_search_delete;
+        DROP TABLE document_search;
+    `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,3 @@
+-- Undo 0012_document_ocr
+
+DROP TABLE IF EXISTS document_ocr;
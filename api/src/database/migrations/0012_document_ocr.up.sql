@@ -0,0 +1,28 @@
+-- OCR of scanned documents
+-- One row per document version that needs its text read: photos and PDFs
+-- without a text layer (see src/ocr). A worker moves rows from 'pending'
+-- through 'processing' to 'complete' or 'failed' and stores a searchable
+-- PDF with its own wrapped data key, like a document file.
+
+CREATE TABLE document_ocr (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    document_id INTEGER NOT NULL UNIQUE,
+    user_id INTEGER NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- 'pending', 'processing', 'complete', 'failed'
+    attempts INTEGER NOT NULL DEFAULT 0,
+    error VARCHAR(255) NULL, -- why the last attempt failed
+    text TEXT NULL, -- the recognized text
+    page_count INTEGER NULL,
+    pdf_path VARCHAR(500) NULL, -- storage key of the searchable PDF
+    pdf_size INTEGER NULL,
+    encrypted_data_key TEXT NULL, -- base64
+    master_key_id VARCHAR(255) NULL,
+    queued_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP NULL,
+    completed_at TIMESTAMP NULL,
+    FOREIGN KEY (document_id) REFERENCES documents(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_document_ocr_status ON document_ocr(status);
+CREATE INDEX idx_document_ocr_master_key_id ON document_ocr(master_key_id);
@@ -0,0 +1,3 @@
+-- Undo 0013_jobs
+
+DROP TABLE IF EXISTS jobs;
@@ -0,0 +1,22 @@
+-- Background jobs
+-- The durable queue behind src/jobs: one row per job from when it is
+-- queued until it completes or is dead-lettered. Recurring jobs carry a
+-- unique_key naming their period, so each period is only queued once.
+
+CREATE TABLE jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    type VARCHAR(50) NOT NULL, -- e.g. 'send_email', 'extract_text', 'ocr'
+    payload TEXT NOT NULL, -- JSON; cut down to its summary once the job completes
+    status VARCHAR(20) NOT NULL DEFAULT 'queued', -- 'queued', 'running', 'complete', 'dead'
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 5,
+    unique_key VARCHAR(255) NULL UNIQUE,
+    last_error TEXT NULL,
+    run_at TIMESTAMP NOT NULL, -- not before this; pushed back after each failure
+    started_at TIMESTAMP NULL,
+    completed_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_jobs_status_run_at ON jobs(status, run_at);
+CREATE INDEX idx_jobs_type ON jobs(type);
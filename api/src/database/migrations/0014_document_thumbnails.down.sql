@@ -0,0 +1,3 @@
+-- Undo 0014_document_thumbnails
+
+DROP TABLE IF EXISTS document_thumbnails;
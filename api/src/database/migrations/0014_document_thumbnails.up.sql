@@ -0,0 +1,22 @@
+-- Document thumbnails
+-- One row per document version with a preview image: photos and PDFs,
+-- rendered from their first page by a 'thumbnail' job (see src/thumbnails).
+-- Rows move from 'pending' to 'complete' or 'failed'. The image is stored
+-- with its own wrapped data key, like a document file.
+
+CREATE TABLE document_thumbnails (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    document_id INTEGER NOT NULL UNIQUE,
+    user_id INTEGER NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- 'pending', 'complete', 'failed'
+    image_path VARCHAR(500) NULL, -- storage key of the JPEG
+    image_size INTEGER NULL,
+    encrypted_data_key TEXT NULL, -- base64
+    master_key_id VARCHAR(255) NULL,
+    queued_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP NULL,
+    FOREIGN KEY (document_id) REFERENCES documents(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_document_thumbnails_master_key_id ON document_thumbnails(master_key_id);
@@ -0,0 +1,5 @@
+-- Undo 0015_unique_versions_and_shares
+
+DROP INDEX IF EXISTS idx_document_shares_contact;
+DROP INDEX IF EXISTS idx_documents_chain_active;
+DROP INDEX IF EXISTS idx_documents_chain_version;
@@ -0,0 +1,39 @@
+-- One row per version and per share
+-- Version numbers are unique within a document chain and only one version
+-- of a chain is current; a document is shared with a contact at most once.
+-- Saves or shares that raced each other before these indexes existed are
+-- tidied up first: chains with a repeated number are renumbered in the
+-- order the versions were added, the newest current version stays current
+-- and the oldest of a repeated share is kept.
+
+UPDATE documents
+SET version = (
+    SELECT COUNT(*) FROM documents earlier
+    WHERE COALESCE(earlier.original_document_id, earlier.id) = COALESCE(documents.original_document_id, documents.id)
+      AND earlier.id <= documents.id
+)
+WHERE COALESCE(original_document_id, id) IN (
+    SELECT COALESCE(original_document_id, id) FROM documents
+    GROUP BY COALESCE(original_document_id, id), version
+    HAVING COUNT(*) > 1
+);
+
+UPDATE documents
+SET is_active = FALSE, replaced_at = CURRENT_TIMESTAMP
+WHERE is_active = TRUE AND EXISTS (
+    SELECT 1 FROM documents newer
+    WHERE COALESCE(newer.original_document_id, newer.id) = COALESCE(documents.original_document_id, documents.id)
+      AND newer.is_active = TRUE AND newer.id > documents.id
+);
+
+DELETE FROM document_shares
+WHERE EXISTS (
+    SELECT 1 FROM document_shares kept
+    WHERE kept.document_id = document_shares.document_id
+      AND kept.trusted_contact_id = document_shares.trusted_contact_id
+      AND kept.id < document_shares.id
+);
+
+CREATE UNIQUE INDEX idx_documents_chain_version ON documents((COALESCE(original_document_id, id)), version);
+CREATE UNIQUE INDEX idx_documents_chain_active ON documents((COALESCE(original_document_id, id))) WHERE is_active = TRUE;
+CREATE UNIQUE INDEX idx_document_shares_contact ON document_shares(document_id, trusted_contact_id);
@@ -0,0 +1,3 @@
+-- Undo 0016_emergency_access_type
+
+ALTER TABLE trusted_contacts DROP COLUMN emergency_access_type;
@@ -0,0 +1,6 @@
+-- Access granted to an emergency contact's request
+-- Requests the owner approves get the access the owner picks. Requests
+-- that approve themselves after the waiting period get this, so it must
+-- be enough to read the documents: 'view' (preview) or 'download'.
+
+ALTER TABLE trusted_contacts ADD COLUMN emergency_access_type VARCHAR(20) NOT NULL DEFAULT 'download';
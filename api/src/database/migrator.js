@@ -0,0 +1,177 @@
+/**
+ * Schema Migrations
+ * Applies the numbered files in ./migrations in order and records each
+ * one in the schema_migrations table, so upgrades never touch existing data.
+ *
+ * A migration is either a pair of SQL scripts
+ *   0002_add_reminders.up.sql / 0002_add_reminders.down.sql
+ * or, when the SQL has to differ between SQLite and PostgreSQL, a module
+ *   0002_add_reminders.js exporting async up(db) and down(db)
+ * Each migration runs inside a transaction together with its bookkeeping.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d{4})_([a-z0-9_]+)(?:\.(up|down)\.sql|\.js)$/;
+
+// Arbitrary key for the PostgreSQL advisory lock held while migrating
+const MIGRATION_LOCK_ID = 7305412;
+
+/**
+ * List the migrations on disk, oldest first
+ */
+function loadMigrations() {
+    const migrations = new Map();
+
+    for (const file of fs.readdirSync(MIGRATIONS_DIR).sort()) {
+        const match = file.match(MIGRATION_FILE);
+        if (!match) continue;
+
+        const [, version, name, direction] = match;
+        const migration = migrations.get(version) || { version, name };
+        if (migration.name !== name) {
+            throw new Error(`Migration ${version} is used by both ${migration.name} and ${name}`);
+        }
+
+        const filePath = path.join(MIGRATIONS_DIR, file);
+        if (direction) {
+            migration[direction] = (db) => db.exec(fs.readFileSync(filePath, 'utf8'));
+        } else {
+            const { up, down } = require(filePath);
+            Object.assign(migration, { up, down });
+        }
+        migrations.set(version, migration);
+    }
+
+    return [...migrations.values()];
+}
+
+/**
+ * Create the tracking table, adopting databases built before migrations
+ * existed (by the old setup script) as already at the initial schema
+ */
+async function ensureMigrationsTable(db) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version VARCHAR(20) PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+
+    const { count } = await db.get('SELECT COUNT(*) as count FROM schema_migrations');
+    if (count > 0) return;
+
+    const hasUsersTable = await db.get('SELECT 1 FROM users LIMIT 1').then(() => true, () => false);
+    if (hasUsersTable) {
+        await db.run(`
+            INSERT INTO schema_migrations (version, name) VALUES (?, ?)
+            ON CONFLICT (version) DO NOTHING
+        `, ['0001', 'initial_schema']);
+        console.log('📌 Existing database adopted at migration 0001_initial_schema');
+    }
+}
+
+/**
+ * Serialize migration runs across processes (e.g. Lambda containers that
+ * cold start together); SQLite already allows only one writer at a time
+ */
+async function lockMigrations(tx) {
+    if (tx.dialect === 'postgres') {
+        await tx.get('SELECT pg_advisory_xact_lock(CAST(? AS BIGINT))', [MIGRATION_LOCK_ID]);
+    }
+}
+
+async function getAppliedVersions(db) {
+    await ensureMigrationsTable(db);
+    const rows = await db.all('SELECT version, applied_at FROM schema_migrations ORDER BY version');
+    return new Map(rows.map(row => [row.version, row.applied_at]));
+}
+
+/**
+ * Apply pending migrations (all of them, or only the next `steps`)
+ * Resolves with the migrations that were applied
+ */
+async function migrateUp(db, { steps = Infinity } = {}) {
+    const applied = await getAppliedVersions(db);
+    const pending = loadMigrations().filter(migration => !applied.has(migration.version)).slice(0, steps);
+
+    for (const migration of pending) {
+        if (!migration.up) {
+            throw new Error(`Migration ${migration.version}_${migration.name} has no up step`);
+        }
+        await db.transaction(async (tx) => {
+            await lockMigrations(tx);
+            // Another process may have applied it while we waited for the lock
+            if (await tx.get('SELECT version FROM schema_migrations WHERE version = ?', [migration.version])) return;
+
+            console.log(`⬆️  Applying ${migration.version}_${migration.name}`);
+            await migration.up(tx);
+            await tx.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+        });
+    }
+
+    return pending;
+}
+
+/**
+ * Roll back the most recent migrations (one by default)
+ * Resolves with the migrations that were rolled back
+ */
+async function migrateDown(db, { steps = 1 } = {}) {
+    const applied = await getAppliedVersions(db);
+    const rollback = loadMigrations().filter(migration => applied.has(migration.version)).reverse().slice(0, steps);
+
+    for (const migration of rollback) {
+        if (!migration.down) {
+            throw new Error(`Migration ${migration.version}_${migration.name} has no down step`);
+        }
+        console.log(`⬇️  Rolling back ${migration.version}_${migration.name}`);
+        await db.transaction(async (tx) => {
+            await lockMigrations(tx);
+            await migration.down(tx);
+            await tx.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+        });
+    }
+
+    return rollback;
+}
+
+/**
+ * Every migration on disk with when (if ever) it was applied
+ */
+async function getMigrationStatus(db) {
+    const applied = await getAppliedVersions(db);
+    return loadMigrations().map(migration => ({
+        version: migration.version,
+        name: migration.name,
+        appliedAt: applied.get(migration.version) || null
+    }));
+}
+
+/**
+ * Write an empty up/down SQL pair numbered after the latest migration
+ * Returns the paths of the new files
+ */
+function createMigration(name) {
+    const slug = String(name || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    if (!slug) {
+        throw new Error('A migration name is required, e.g. "add_reminders"');
+    }
+
+    const migrations = loadMigrations();
+    const latest = migrations.length > 0 ? parseInt(migrations[migrations.length - 1].version, 10) : 0;
+    const version = String(latest + 1).padStart(4, '0');
+
+    return ['up', 'down'].map(direction => {
+        const filePath = path.join(MIGRATIONS_DIR, `${version}_${slug}.${direction}.sql`);
+        fs.writeFileSync(filePath, direction === 'up'
+            ? `-- ${slug.replace(/_/g, ' ')}\n\n`
+            : `-- Undo ${version}_${slug}\n\n`);
+        return filePath;
+    });
+}
+
+module.exports = { migrateUp, migrateDown, getMigrationStatus, createMigration };
@@ -0,0 +1,122 @@
+/**
+ * PostgreSQL Driver
+ * Implements the repository interface on a pg connection pool, translating
+ * the "?" placeholders and SQLite-flavoured migrations used across the API
+ */
+
+const { Pool, types } = require('pg');
+
+// Return timestamps in the same "YYYY-MM-DD HH:MM:SS" UTC form SQLite
+// stores, and counts/sums as numbers rather than strings
+types.setTypeParser(types.builtins.TIMESTAMP, value => value.slice(0, 19));
+types.setTypeParser(types.builtins.INT8, value => parseInt(value, 10));
+types.setTypeParser(types.builtins.NUMERIC, value => parseFloat(value));
+
+/**
+ * Rewrite "?" placeholders as $1, $2, ... leaving string literals and
+ * comments alone
+ */
+function toPositional(sql) {
+    let index = 0;
+    let output = '';
+    let i = 0;
+    while (i < sql.length) {
+        let end = i + 1;
+        if (sql[i] === "'") {
+            // A doubled quote inside a literal is an escaped quote
+            end = sql.indexOf("'", i + 1);
+            while (end !== -1 && sql[end + 1] === "'") end = sql.indexOf("'", end + 2);
+            end = end === -1 ? sql.length : end + 1;
+        } else if (sql.startsWith('--', i)) {
+            end = sql.indexOf('\n', i);
+            end = end === -1 ? sql.length : end;
+        } else if (sql.startsWith('/*', i)) {
+            end = sql.indexOf('*/', i + 2);
+            end = end === -1 ? sql.length : end + 2;
+        }
+
+        output += sql[i] === '?' ? `$${++index}` : sql.slice(i, end);
+        i = end;
+    }
+    return output;
+}
+
+/**
+ * Adapt migration scripts for PostgreSQL: SERIAL keys and no SQLite pragmas
+ */
+function toPostgresSchema(script) {
+    return script
+        .replace(/INTEGER PRIMARY KEY AUTOINCREMENT/gi, 'SERIAL PRIMARY KEY')
+        .replace(/^\s*PRAGMA [^;]*;/gim, '');
+}
+
+function createPostgresDatabase(connectionString) {
+    const pool = new Pool({
+        connectionString,
+        // Lambda runs one request per container, so keep the pool small
+        max: parseInt(process.env.DATABASE_POOL_SIZE, 10) || 5,
+        // Compare and store timestamps in UTC like SQLite's CURRENT_TIMESTAMP
+        options: '-c timezone=UTC'
+    });
+
+    pool.on('error', (error) => {
+        console.error('❌ PostgreSQL pool error:', error.message);
+    });
+
+    function bind(client) {
+        const query = (sql, params = []) => client.query(toPositional(sql), params);
+
+        return {
+            dialect: 'postgres',
+
+            async get(sql, params) {
+                const result = await query(sql, params);
+                return result.rows[0];
+            },
+
+            async all(sql, params) {
+                const result = await query(sql, params);
+                return result.rows;
+            },
+
+            async run(sql, params) {
+                // Ask inserts for the new row so callers get lastID as with SQLite
+                const isInsert = /^\s*INSERT\b/i.test(sql) && !/\bRETURNING\b/i.test(sql);
+                const result = await query(isInsert ? `${sql.trim()} RETURNING *` : sql, params);
+                return {
+                    lastID: isInsert && result.rows[0] ? result.rows[0].id : undefined,
+                    changes: result.rowCount
+                };
+            },
+
+            async exec(script) {
+                await client.query(toPostgresSchema(script));
+            }
+        };
+    }
+
+    return {
+        ...bind(pool),
+
+        async transaction(callback) {
+            const client = await pool.connect();
+            try {
+                await client.query('BEGIN');
+                const value = await callback(bind(client));
+                await client.query('COMMIT');
+                return value;
+            } catch (error) {
+                await client.query('ROLLBACK');
+                throw error;
+            } finally {
+                client.release();
+            }
+        },
+
+        close() {
+            return pool.end();
+        }
+    };
+}
+
+module.exports = { createPostgresDatabase, toPositional };
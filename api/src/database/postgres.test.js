@@ -0,0 +1,31 @@
+/**
+ * Placeholder rewriting for the PostgreSQL driver
+ */
+
+const { toPositional } = require('./postgres');
+
+describe('toPositional', () => {
+    test('numbers placeholders in order', () => {
+        expect(toPositional('SELECT * FROM users WHERE id = ? AND email = ?'))
+            .toBe('SELECT * FROM users WHERE id = $1 AND email = $2');
+    });
+
+    test('leaves question marks in string literals alone', () => {
+        expect(toPositional("SELECT 'why?', 'it''s ?' WHERE id = ?"))
+            .toBe("SELECT 'why?', 'it''s ?' WHERE id = $1");
+    });
+
+    test('leaves line comments alone, apostrophes and all', () => {
+        expect(toPositional("-- the owner's id?\nSELECT * FROM documents WHERE user_id = ? AND id = ?"))
+            .toBe("-- the owner's id?\nSELECT * FROM documents WHERE user_id = $1 AND id = $2");
+    });
+
+    test('leaves block comments alone', () => {
+        expect(toPositional("SELECT /* isn't it? */ ? /* or? */, ?"))
+            .toBe("SELECT /* isn't it? */ $1 /* or? */, $2");
+    });
+
+    test('does not take a minus sign or a division for a comment', () => {
+        expect(toPositional('SELECT ? - 1, ? / 2')).toBe('SELECT $1 - 1, $2 / 2');
+    });
+});
@@ -0,0 +1,60 @@
+/**
+ * Development Seed Data
+ * Adds a sample account with a document, trusted contact, share and
+ * analytics row so a fresh local database has something to look at.
+ * Safe to run more than once.
+ */
+
+const bcrypt = require('bcryptjs');
+
+const SEED_EMAIL = 'test@aerialnest.com';
+const SEED_PASSWORD = 'testpassword123';
+
+async function seedDatabase(db) {
+    const existing = await db.get('SELECT id FROM users WHERE email = ?', [SEED_EMAIL]);
+    if (existing) {
+        console.log(`✅ Seed user ${SEED_EMAIL} already exists (ID: ${existing.id})`);
+        return false;
+    }
+
+    await db.transaction(async (tx) => {
+        const passwordHash = await bcrypt.hash(SEED_PASSWORD, 10);
+        const user = await tx.run(`
+            INSERT INTO users (email, password_hash, first_name, last_name, email_verified)
+            VALUES (?, ?, ?, ?, ?)
+        `, [SEED_EMAIL, passwordHash, 'Test', 'User', true]);
+        const userId = user.lastID;
+        console.log(`✅ Test user created with ID: ${userId}`);
+
+        const document = await tx.run(`
+            INSERT INTO documents (user_id, title, document_type, file_path, file_name, file_size, file_type)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [userId, 'Test Healthcare Directive', 'healthcare_directive',
+            '/uploads/test.pdf', 'test.pdf', 1024, 'pdf']);
+        console.log(`✅ Test document created with ID: ${document.lastID}`);
+
+        const contact = await tx.run(`
+            INSERT INTO trusted_contacts (user_id, contact_name, contact_email, relationship, emergency_contact)
+            VALUES (?, ?, ?, ?, ?)
+        `, [userId, 'Sarah Johnson', 'sarah@example.com', 'daughter', true]);
+        console.log(`✅ Test trusted contact created with ID: ${contact.lastID}`);
+
+        await tx.run(`
+            INSERT INTO document_shares (document_id, user_id, trusted_contact_id, shared_by)
+            VALUES (?, ?, ?, ?)
+        `, [document.lastID, userId, contact.lastID, userId]);
+        console.log('✅ Test document share created');
+
+        const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
+        await tx.run(`
+            INSERT INTO user_activity_summary (user_id, activity_date, documents_uploaded, trusted_contacts_added)
+            VALUES (?, ?, ?, ?)
+        `, [userId, today, 1, 1]);
+        console.log('✅ Test analytics logged');
+    });
+
+    console.log(`\n🔑 Sign in as ${SEED_EMAIL} / ${SEED_PASSWORD}`);
+    return true;
+}
+
+module.exports = { seedDatabase };
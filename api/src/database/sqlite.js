@@ -0,0 +1,106 @@
+/**
+ * SQLite Driver
+ * Wraps the sqlite3 callback API in the repository interface
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+
+function createSqliteDatabase(filename) {
+    const db = new sqlite3.Database(filename, (err) => {
+        if (err) {
+            console.error('❌ Database connection failed:', err.message);
+            return;
+        }
+        console.log('✅ Connected to SQLite database');
+    });
+
+    // sqlite3 leaves foreign keys off unless asked on every connection
+    db.run('PRAGMA foreign_keys = ON');
+
+    // Runs statements straight on the connection
+    const connection = {
+        dialect: 'sqlite',
+
+        get(sql, params = []) {
+            return new Promise((resolve, reject) => {
+                db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+            });
+        },
+
+        all(sql, params = []) {
+            return new Promise((resolve, reject) => {
+                db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+            });
+        },
+
+        run(sql, params = []) {
+            return new Promise((resolve, reject) => {
+                db.run(sql, params, function(err) {
+                    if (err) {
+                        reject(err);
+                        return;
+                    }
+                    resolve({ lastID: this.lastID, changes: this.changes });
+                });
+            });
+        },
+
+        exec(script) {
+            return new Promise((resolve, reject) => {
+                db.exec(script, (err) => (err ? reject(err) : resolve()));
+            });
+        }
+    };
+
+    // Every statement shares the one connection, so nothing else may run
+    // on it while a transaction is open: statements from outside wait for
+    // the transaction to end, and it waits for those already running. This
+    // also keeps transactions from nesting BEGIN.
+    let transactionDone = Promise.resolve();
+    const running = new Set();
+
+    function outsideTransaction(statement) {
+        return (...args) => {
+            const result = transactionDone.then(() => statement(...args));
+            const settled = result.catch(() => {});
+            running.add(settled);
+            settled.then(() => running.delete(settled));
+            return result;
+        };
+    }
+
+    const repository = {
+        dialect: 'sqlite',
+        get: outsideTransaction(connection.get),
+        all: outsideTransaction(connection.all),
+        run: outsideTransaction(connection.run),
+        exec: outsideTransaction(connection.exec),
+
+        transaction(callback) {
+            const result = transactionDone.then(async () => {
+                await Promise.all(running);
+                await connection.run('BEGIN');
+                try {
+                    const value = await callback(connection);
+                    await connection.run('COMMIT');
+                    return value;
+                } catch (error) {
+                    await connection.run('ROLLBACK');
+                    throw error;
+                }
+            });
+            transactionDone = result.catch(() => {});
+            return result;
+        },
+
+        close() {
+            return new Promise((resolve, reject) => {
+                db.close((err) => (err ? reject(err) : resolve()));
+            });
+        }
+    };
+
+    return repository;
+}
+
+module.exports = { createSqliteDatabase };
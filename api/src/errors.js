@@ -0,0 +1,61 @@
+/**
+ * Error Responses
+ * Every error the API returns has the same shape:
+ *   { "code": "validation_failed", "message": "Email must be a valid email address",
+ *     "fields": [{ "field": "email", "message": "Email must be a valid email address" }] }
+ *
+ * `code` is stable for clients to branch on; it defaults to one per HTTP
+ * status and handlers pass a more specific one where clients need it
+ * (e.g. "mfa_required"). `fields` lists per-field problems and is empty
+ * when the error is not about a particular field.
+ */
+
+const STATUS_CODES = {
+    400: 'invalid_request',
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'not_found',
+    405: 'method_not_allowed',
+    409: 'conflict',
+    413: 'payload_too_large',
+    415: 'unsupported_media_type',
+    416: 'range_not_satisfiable',
+    429: 'too_many_requests',
+    500: 'internal_error',
+    503: 'service_unavailable'
+};
+
+function errorBody(statusCode, message, { code, fields = [] } = {}) {
+    return {
+        code: code || STATUS_CODES[statusCode] || 'error',
+        message,
+        fields
+    };
+}
+
+/**
+ * Send an error response
+ * `options` may carry { code, fields, headers }. Once a response has
+ * started it is too late for an error status, so it is cut off instead and
+ * the client sees it fail rather than end early.
+ */
+function sendError(res, statusCode, message, options = {}) {
+    if (res.headersSent) {
+        res.destroy();
+        return;
+    }
+    res.writeHead(statusCode, options.headers);
+    res.end(JSON.stringify(errorBody(statusCode, message, options)));
+}
+
+/**
+ * Send a 400 for a list of { field, message } problems
+ */
+function sendValidationError(res, fields) {
+    const message = fields.length === 1
+        ? fields[0].message
+        : `${fields[0].message} (and ${fields.length - 1} more)`;
+    sendError(res, 400, message, { code: 'validation_failed', fields });
+}
+
+module.exports = { errorBody, sendError, sendValidationError };
@@ -8,46 +8,190 @@
 
 // Import the built-in Node.js modules we need
 const http = require('http');
-const url = require('url');
-const path = require('path');
+const crypto = require('crypto');
 const querystring = require('querystring');
+const { Readable, Writable } = require('stream');
+const { finished } = require('stream/promises');
 
 // Import database and authentication modules
-const sqlite3 = require('sqlite3').verbose();
+const { getDatabase } = require('./database');
+const { migrateUp } = require('./database/migrator');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const { generateSecret, verifyCode, provisioningUri } = require('./totp');
+
+// Import document storage and upload handling
+const { getStorage, readFile } = require('./storage');
+const { receiveDocumentUpload, storeGeneratedFile, ALLOWED_FILE_TYPES } = require('./uploads');
+const { sendMail } = require('./mail');
+const { sealMessage, openMessage } = require('./mail/sealed');
+const { getKeyProvider } = require('./keys');
+const { createRouter } = require('./router');
+const { errorBody, sendError, sendValidationError } = require('./errors');
+const { validate } = require('./validation');
+const { loadSpec, buildSpec, checkSpec, renderDocsPage } = require('./openapi');
+const { getRateLimitStore } = require('./ratelimit');
+const { appendAuditEntry, verifyAuditChain, auditCsv, renderAuditReport, exportKeyId, signExport, verifyExportSignature } = require('./audit');
+const { WORKFLOWS, STEP_STATUSES, getWorkflow, resolveWorkflow, summarizeWorkflow, stepUpdate } = require('./workflows');
+const { TEMPLATES, getTemplate, templateSchema, prefillValues, renderTemplate } = require('./templates');
+const { getSearchIndex, searchTerms, searchHighlights, extractText, TEXT_FILE_TYPES } = require('./search');
+const { needsOcr, queueOcr, ocrJob, ocrStatus } = require('./ocr');
+const { queueThumbnail, thumbnailJob } = require('./thumbnails');
+const {
+    JOB_STATUSES, JOB_POLL_SECONDS, enqueueJob, scheduleJobs, runDueJobs, runJobMessages, sweepJobs, retryJob,
+    describeJob, listJobs, jobCounts, purgeJobs, onJobQueued
+} = require('./jobs');
 
 // Database setup
 let db = null;
 
+// Set once this Lambda container has brought the schema up to date
+let migrationsApplied = false;
+
+// Reported by the API root and the OpenAPI spec
+const API_VERSION = '1.0.0';
+
 // JWT secret (use environment variable in production)
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this-in-production';
 
+// Audit exports have a signing secret of their own, so a report stays
+// verifiable whatever happens to JWT_SECRET. When it is replaced, the old
+// one goes in EXPORT_SIGNING_OLD_SECRETS (comma-separated) so reports
+// signed with it still verify.
+const EXPORT_SIGNING_SECRET = process.env.EXPORT_SIGNING_SECRET || 'export-signing-secret-change-this-in-production';
+const EXPORT_VERIFY_SECRETS = [
+    EXPORT_SIGNING_SECRET,
+    ...(process.env.EXPORT_SIGNING_OLD_SECRETS || '').split(',').filter(Boolean)
+];
+
+// Access tokens are short-lived; the refresh token that renews them lasts
+// REFRESH_TOKEN_DAYS from its last use and is replaced on every refresh
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30;
+
+// The refresh token lives in an httpOnly cookie that only the auth routes
+// receive, so page scripts can never read it
+const REFRESH_COOKIE = 'refresh_token';
+const REFRESH_COOKIE_PATH = '/api/auth';
+
+// Two tabs can refresh at once with the same token. The one that loses
+// presents the token just replaced; for this long that is taken as the race
+// it is rather than as a stolen token being replayed
+const REFRESH_GRACE_SECONDS = 30;
+
+// How long emailed verification and password reset links stay valid
+const EMAIL_VERIFICATION_HOURS = 48;
+const PASSWORD_RESET_MINUTES = 60;
+
+// Two-step verification: how long a login challenge lasts, how recently a
+// session must have entered a code before a protected download, and how
+// many recovery codes are issued at a time
+const MFA_CHALLENGE_EXPIRES_IN = '5m';
+const MFA_STEP_UP_MINUTES = parseInt(process.env.MFA_STEP_UP_MINUTES, 10) || 15;
+const MFA_RECOVERY_CODE_COUNT = 10;
+const MFA_ISSUER = 'Aerial Nest';
+
+// Length limits for new passwords; bcrypt ignores anything past 72 bytes
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 72;
+
+// Requests allowed per window on the authentication routes, per client
+// address and, for sign-in, per email address tried
+const RATE_LIMITS = {
+    loginByIp: { limit: 20, windowSeconds: 15 * 60 },
+    loginByAccount: { limit: 10, windowSeconds: 15 * 60 },
+    registerByIp: { limit: 5, windowSeconds: 60 * 60 },
+    mfaByIp: { limit: 10, windowSeconds: 15 * 60 },
+    passwordResetByIp: { limit: 5, windowSeconds: 60 * 60 }
+};
+
+// After LOCKOUT_THRESHOLD wrong passwords in a row an account is locked for
+// LOCKOUT_BASE_SECONDS, doubling with each further failure up to the maximum
+const LOCKOUT_THRESHOLD = 5;
+const LOCKOUT_BASE_SECONDS = 60;
+const LOCKOUT_MAX_SECONDS = 60 * 60;
+
+// Compared against when no account has the email, so a wrong email takes
+// as long to refuse as a wrong password (same cost as real hashes)
+const DUMMY_PASSWORD_HASH = '$2b$10$rdOyBEa7Of0qOlVV4PhUZ.QsXpK0Sro5ORZGk.Uyit5apig/Vlz2O';
+
+// Frontend address used in links sent by email
+const APP_URL = process.env.APP_URL || (process.env.API_DOMAIN ? `https://${process.env.API_DOMAIN}` : 'http://localhost:3000');
+
+// How long a trusted contact invitation link stays valid
+const INVITATION_EXPIRES_IN = '14d';
+
+// Base64 as produced by the browser (btoa), for end-to-end encryption keys
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+
+// Lowest PBKDF2 iteration count accepted for a passphrase-derived key
+const MIN_KDF_ITERATIONS = 100000;
+
+// Access levels a document can be shared with
+const SHARE_ACCESS_TYPES = ['view', 'download'];
+
+// Emergency access: how long the owner has to respond before a request
+// auto-approves, and how long approved access lasts
+const EMERGENCY_WAITING_PERIOD_HOURS = parseInt(process.env.EMERGENCY_WAITING_PERIOD_HOURS, 10) || 72;
+const EMERGENCY_ACCESS_DAYS = parseInt(process.env.EMERGENCY_ACCESS_DAYS, 10) || 30;
+
+// Which document types each kind of emergency unlocks (null = all documents)
+const EMERGENCY_DOCUMENT_TYPES = {
+    medical: ['healthcare_directive'],
+    financial: ['financial_poa', 'insurance'],
+    general: null
+};
+
+// Document types accepted by the documents table
+const DOCUMENT_TYPES = [
+    'healthcare_directive', 'will', 'financial_poa', 'insurance', 'funeral_wishes', 'digital_assets', 'other'
+];
+
+// Actions recorded in an owner's audit trail (access_logs)
+const AUDIT_ACTIONS = [
+    'uploaded', 'generated', 'version_uploaded', 'version_restored', 'viewed', 'downloaded', 'key_accessed', 'key_granted',
+    'shared', 'share_updated', 'share_revoked',
+    'contact_added', 'contact_updated', 'contact_removed', 'contact_invited', 'invitation_accepted',
+    'emergency_requested', 'emergency_approved', 'emergency_denied', 'emergency_auto_approved', 'emergency_expired',
+    'audit_exported'
+];
+
+// Formats the audit trail can be exported in
+const AUDIT_EXPORT_FORMATS = ['csv', 'pdf'];
+
+// Audit entries returned per page, by default and at most
+const AUDIT_PAGE_SIZE = 100;
+const AUDIT_MAX_PAGE_SIZE = 500;
+
+// Search results returned, by default and at most
+const SEARCH_PAGE_SIZE = 20;
+const SEARCH_MAX_RESULTS = 50;
+
+// Who may use the /api/admin routes, by email address (comma-separated)
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '')
+    .split(',').map(email => email.trim().toLowerCase()).filter(Boolean);
+
+// How many background jobs a scheduled Lambda run takes on before its
+// time runs out
+const SCHEDULED_JOB_LIMIT = 20;
+
+// A Lambda Function URL returns at most 6 MB, and files go out base64
+// encoded, so clients read large files in ranges of this many bytes
+const LAMBDA_MAX_RESPONSE_BYTES = 6 * 1024 * 1024 - 1024;
+const LAMBDA_MAX_RANGE_BYTES = 4 * 1024 * 1024;
+
+// Jobs listed by the admin API, by default and at most
+const JOB_PAGE_SIZE = 50;
+const JOB_MAX_PAGE_SIZE = 200;
+
 /**
  * Initialize Database Connection
  * Works for both local SQLite and production PostgreSQL
  */
 function initializeDatabase() {
-    if (process.env.DATABASE_URL) {
-        // Production: PostgreSQL connection
-        console.log('🔄 Connecting to PostgreSQL database...');
-        // TODO: Add PostgreSQL connection when ready for production
-        return null;
-    } else {
-        // Development: SQLite connection
-        const dbPath = path.join(__dirname, 'database', 'aerial_nest_development.db');
-        console.log('🔄 Connecting to SQLite database at:', dbPath);
-        
-        db = new sqlite3.Database(dbPath, (err) => {
-            if (err) {
-                console.error('❌ Database connection failed:', err.message);
-                return null;
-            }
-            console.log('✅ Connected to SQLite database');
-        });
-        
-        return db;
-    }
+    db = getDatabase();
+    return db;
 }
 
 /**
@@ -71,18 +215,359 @@ function parseRequestBody(req) {
 
 /**
  * Utility function to verify JWT tokens
+ * Access tokens are only honoured while their session is still active,
+ * so logging out takes effect immediately
  */
-function verifyToken(authHeader) {
+async function verifyToken(authHeader) {
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
         return null;
     }
     
     const token = authHeader.split(' ')[1];
+    let payload;
     try {
-        return jwt.verify(token, JWT_SECRET);
+        payload = jwt.verify(token, JWT_SECRET);
     } catch (error) {
         return null;
     }
+    
+    // Purpose-specific tokens (e.g. invitations) are not login tokens
+    if (payload.purpose || !payload.sessionId || !db) {
+        return null;
+    }
+    
+    const session = await db.get(`
+        SELECT s.id, u.email_verified FROM user_sessions s
+        JOIN users u ON u.id = s.user_id
+        WHERE s.id = ? AND s.user_id = ? AND s.revoked_at IS NULL AND s.expires_at > ?
+    `, [payload.sessionId, payload.userId, toSqlTimestamp(new Date())]);
+    
+    return session ? { ...payload, emailVerified: Boolean(session.email_verified) } : null;
+}
+
+/**
+ * The address a signed-in user is matched to trusted contacts by, before
+ * they accept an invitation. Anyone can register with any address, so only
+ * a verified one counts; null matches nothing.
+ */
+function contactEmail(user) {
+    return user.emailVerified ? user.email : null;
+}
+
+/**
+ * Hash a refresh token for storage; only the client ever holds the raw value
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * The Set-Cookie value that hands the browser its refresh token, or
+ * clears it when there is none
+ */
+function refreshCookie(refreshToken) {
+    const attributes = [
+        `${REFRESH_COOKIE}=${refreshToken || ''}`,
+        `Path=${REFRESH_COOKIE_PATH}`,
+        `Max-Age=${refreshToken ? REFRESH_TOKEN_DAYS * 86400 : 0}`,
+        'HttpOnly',
+        'SameSite=Strict'
+    ];
+    if (APP_URL.startsWith('https:')) attributes.push('Secure');
+    return attributes.join('; ');
+}
+
+function readCookie(req, name) {
+    for (const pair of (req.headers.cookie || '').split(';')) {
+        const separator = pair.indexOf('=');
+        if (separator > 0 && pair.slice(0, separator).trim() === name) {
+            return pair.slice(separator + 1).trim();
+        }
+    }
+    return null;
+}
+
+/**
+ * Sign an access token for a session, and set the refresh token cookie
+ * when the session has a new refresh token
+ * Returns { token } for the response body
+ */
+function issueTokens(res, account, sessionId, refreshToken = null) {
+    const token = jwt.sign({ userId: account.id, email: account.email, sessionId }, JWT_SECRET, 
+                           { expiresIn: ACCESS_TOKEN_EXPIRES_IN });
+    if (refreshToken) {
+        res.setHeader('Set-Cookie', refreshCookie(refreshToken));
+    }
+    return { token };
+}
+
+/**
+ * Start a new login session for an account
+ * Sets the refresh token cookie and resolves with { token } for the
+ * response. Pass mfaVerified when the login included a two-step
+ * verification code.
+ */
+async function createSession(req, res, account, { mfaVerified = false } = {}) {
+    const now = new Date();
+    const refreshToken = crypto.randomBytes(32).toString('base64url');
+    
+    // Expired sessions are no longer useful, even for spotting token replays
+    await db.run('DELETE FROM user_sessions WHERE user_id = ? AND expires_at <= ?', 
+                 [account.id, toSqlTimestamp(now)]);
+    
+    const result = await db.run(`
+        INSERT INTO user_sessions (user_id, session_token, expires_at, ip_address, user_agent, last_used_at, mfa_verified_at)
+        VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP, ?)
+    `, [account.id, hashToken(refreshToken), 
+        toSqlTimestamp(new Date(now.getTime() + REFRESH_TOKEN_DAYS * 86400000)),
+        getClientIp(req), req.headers['user-agent'] || null,
+        mfaVerified ? toSqlTimestamp(now) : null]);
+    
+    return issueTokens(res, account, result.lastID, refreshToken);
+}
+
+/**
+ * Check a password, locking the account after repeated failures
+ * Resolves with { valid }, or { lockedFor } (seconds) when the account is
+ * locked, already or because of this attempt. A locked account's password
+ * is not checked at all, so guessing gets nowhere until the lock ends.
+ */
+async function verifyPassword(req, account, password) {
+    if (account.locked_until) {
+        const lockedFor = Math.ceil((fromSqlTimestamp(account.locked_until).getTime() - Date.now()) / 1000);
+        if (lockedFor > 0) return { lockedFor };
+    }
+    
+    if (await bcrypt.compare(password, account.password_hash)) {
+        if (account.failed_login_count > 0) {
+            await db.run('UPDATE users SET failed_login_count = 0, locked_until = NULL WHERE id = ?', [account.id]);
+        }
+        return { valid: true };
+    }
+    
+    await db.run('UPDATE users SET failed_login_count = failed_login_count + 1 WHERE id = ?', [account.id]);
+    const { failed_login_count: failures } = await db.get('SELECT failed_login_count FROM users WHERE id = ?', [account.id]);
+    if (failures < LOCKOUT_THRESHOLD) {
+        return { valid: false };
+    }
+    
+    const lockedFor = Math.min(LOCKOUT_BASE_SECONDS * 2 ** (failures - LOCKOUT_THRESHOLD), LOCKOUT_MAX_SECONDS);
+    await db.run('UPDATE users SET locked_until = ? WHERE id = ?',
+                 [toSqlTimestamp(new Date(Date.now() + lockedFor * 1000)), account.id]);
+    await logSecurityEvent(req, {
+        userId: account.id,
+        email: account.email,
+        event: 'account_locked',
+        detail: `${failures} failed passwords, locked for ${lockedFor} seconds`
+    });
+    return { lockedFor };
+}
+
+function sendAccountLocked(res, lockedFor) {
+    sendError(res, 429, `Too many failed sign-in attempts. Please try again in ${formatWait(lockedFor)}.`, {
+        code: 'account_locked',
+        headers: { 'Retry-After': String(lockedFor) }
+    });
+}
+
+/**
+ * Finish a password check: accounts with two-step verification get a
+ * short-lived challenge token to exchange at /api/auth/mfa/verify,
+ * everyone else gets a session straight away
+ */
+async function startLogin(req, res, account) {
+    if (account.mfa_enabled) {
+        const challengeToken = jwt.sign({ userId: account.id, purpose: 'mfa_challenge' }, JWT_SECRET,
+                                        { expiresIn: MFA_CHALLENGE_EXPIRES_IN });
+        return { mfaRequired: true, challengeToken };
+    }
+    return createSession(req, res, account);
+}
+
+/**
+ * Utility function to get the client IP address
+ * Works behind CloudFront/proxies and for the Lambda mock request
+ */
+function getClientIp(req) {
+    const forwardedFor = req.headers['x-forwarded-for'];
+    if (forwardedFor) {
+        return forwardedFor.split(',')[0].trim();
+    }
+    return req.socket?.remoteAddress || null;
+}
+
+/**
+ * The client address to rate limit by
+ * Clients can put anything at the start of X-Forwarded-For, so use the
+ * entry CloudFront appended last, or the socket address without a proxy
+ */
+function getRateLimitIp(req) {
+    const forwardedFor = req.headers['x-forwarded-for'];
+    if (forwardedFor) {
+        return forwardedFor.split(',').pop().trim();
+    }
+    return req.socket?.remoteAddress || 'unknown';
+}
+
+/**
+ * Record a lockout or rate limit in security_events
+ */
+function logSecurityEvent(req, { userId = null, email = null, event, detail = null }) {
+    return db.run(`
+        INSERT INTO security_events (user_id, email, event, detail, ip_address, user_agent)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `, [userId, email, event, detail, getClientIp(req), req.headers['user-agent'] || null]);
+}
+
+/**
+ * Append an entry to a document owner's audit trail (see ./audit)
+ * `actor` is the signed-in user, or null when the system acted (emergency
+ * requests that approve or expire on their own). `req` is null then too.
+ */
+async function recordAudit(req, ownerId, actor, action, {
+    documentId = null, emergencyRequestId = null, target = null, context = 'normal', details = null
+} = {}) {
+    const person = actor ? await db.get('SELECT first_name, last_name FROM users WHERE id = ?', [actor.userId]) : null;
+    return appendAuditEntry(db, {
+        user_id: ownerId,
+        accessed_by_user_id: actor ? actor.userId : null,
+        accessed_by_email: actor ? actor.email : null,
+        accessed_by_name: person ? `${person.first_name} ${person.last_name}` : null,
+        document_id: documentId,
+        emergency_request_id: emergencyRequestId,
+        target_type: target ? target.type : null,
+        target_id: target ? target.id : null,
+        action,
+        access_context: context,
+        ip_address: req ? getClientIp(req) : null,
+        user_agent: req ? req.headers['user-agent'] || null : null,
+        details
+    });
+}
+
+/**
+ * Format a Date the way SQLite's CURRENT_TIMESTAMP does (UTC, no "T"/"Z")
+ * so stored timestamps compare correctly in SQL
+ */
+function toSqlTimestamp(date) {
+    return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+function fromSqlTimestamp(value) {
+    return new Date(`${value.replace(' ', 'T')}Z`);
+}
+
+// "45 seconds", "1 minute", "15 minutes"
+function formatWait(seconds) {
+    if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+    const minutes = Math.ceil(seconds / 60);
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+/**
+ * Work out what a user may do with a document
+ * Owners have full access; trusted contacts get the access_type of an
+ * explicit share, or view access when the owner let them see everything.
+ * Shares point at the first version, and recipients only ever see the
+ * current one. Returns { access, context } or null.
+ */
+async function getDocumentAccess(document, user) {
+    if (document.user_id === user.userId) {
+        return { access: 'owner', context: 'normal' };
+    }
+    
+    if (!document.is_active) {
+        return null;
+    }
+    
+    const grants = await db.all(`
+        SELECT tc.can_access_all, ds.access_type
+        FROM trusted_contacts tc
+        LEFT JOIN document_shares ds ON ds.trusted_contact_id = tc.id AND ds.document_id = ?
+        WHERE tc.user_id = ? AND (tc.contact_user_id = ? OR LOWER(tc.contact_email) = LOWER(?))
+    `, [document.original_document_id || document.id, document.user_id, user.userId, contactEmail(user)]);
+    
+    if (grants.some(grant => grant.access_type === 'download')) {
+        return { access: 'download', context: 'shared' };
+    }
+    
+    // Approved emergency requests unlock only the documents listed on them
+    await processEmergencyRequests();
+    const emergencyGrants = await db.all(`
+        SELECT ear.id as emergency_request_id, ead.granted_access_type
+        FROM emergency_access_requests ear
+        JOIN trusted_contacts tc ON ear.trusted_contact_id = tc.id
+        JOIN emergency_access_documents ead ON ead.emergency_request_id = ear.id
+        WHERE ear.user_id = ? AND ear.status = 'approved' AND ear.expires_at > ?
+          AND ead.document_id = ?
+          AND (tc.contact_user_id = ? OR LOWER(tc.contact_email) = LOWER(?))
+    `, [document.user_id, toSqlTimestamp(new Date()), document.original_document_id || document.id,
+        user.userId, contactEmail(user)]);
+    
+    const emergencyDownload = emergencyGrants.find(grant => grant.granted_access_type === 'download');
+    if (emergencyDownload) {
+        return { access: 'download', context: 'emergency', emergencyRequestId: emergencyDownload.emergency_request_id };
+    }
+    if (grants.some(grant => grant.access_type === 'view' || grant.can_access_all)) {
+        return { access: 'view', context: 'shared' };
+    }
+    if (emergencyGrants.length > 0) {
+        return { access: 'view', context: 'emergency', emergencyRequestId: emergencyGrants[0].emergency_request_id };
+    }
+    return null;
+}
+
+/**
+ * Parse a single "bytes=start-end" Range header
+ * Returns null when there is no usable range, or { unsatisfiable: true }.
+ * An empty file has no bytes to range over, so it is always sent whole
+ */
+function parseRangeHeader(rangeHeader, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(rangeHeader || '');
+    if (!match || (match[1] === '' && match[2] === '') || size === 0) {
+        return null;
+    }
+    
+    let start;
+    let end;
+    if (match[1] === '') {
+        // Suffix range: the last N bytes
+        start = Math.max(size - parseInt(match[2], 10), 0);
+        end = size - 1;
+    } else {
+        start = parseInt(match[1], 10);
+        end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+    }
+    
+    if (start >= size || start > end) {
+        return { unsatisfiable: true };
+    }
+    return { start, end };
+}
+
+/**
+ * The wrapped data key that decrypts a document's stored file, or null
+ * for files stored before encryption at rest
+ */
+function storedFileEnvelope(document) {
+    if (!document.encrypted_data_key) return null;
+    return { encryptedKey: document.encrypted_data_key, keyId: document.master_key_id };
+}
+
+/**
+ * The CORS origin headers for a request. The web app sends its refresh
+ * token cookie, and credentialed requests need their origin named, not '*'
+ */
+function corsOriginHeaders(origin) {
+    const appOrigin = new URL(APP_URL).origin;
+    if (origin !== appOrigin) {
+        return { 'Access-Control-Allow-Origin': '*' };
+    }
+    return {
+        'Access-Control-Allow-Origin': appOrigin,
+        'Access-Control-Allow-Credentials': 'true',
+        'Vary': 'Origin'
+    };
 }
 
 /**
@@ -94,13 +579,13 @@ function startLocalServer() {
     initializeDatabase();
     
     const server = http.createServer(async (req, res) => {
-        // Parse the incoming request URL
-        const parsedUrl = url.parse(req.url, true);
-        
         // Set CORS headers
-        res.setHeader('Access-Control-Allow-Origin', '*');
+        for (const [name, value] of Object.entries(corsOriginHeaders(req.headers.origin))) {
+            res.setHeader(name, value);
+        }
         res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Range');
+        res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition, Content-Range, Accept-Ranges, Retry-After, X-Export-SHA256, X-Export-Signature, X-Export-Key-Id');
         res.setHeader('Content-Type', 'application/json');
         
         // Handle preflight requests
@@ -112,116 +597,760 @@ function startLocalServer() {
         
         try {
             // Route the request to the appropriate handler
-            await routeRequest(req, res, parsedUrl);
+            await routeRequest(req, res);
         } catch (error) {
             console.error('Request error:', error);
-            res.writeHead(500);
-            res.end(JSON.stringify({
-                error: 'Internal Server Error',
-                message: error.message
-            }));
+            sendError(res, 500, error.message || 'Internal Server Error');
         }
     });
 
+    // Run background jobs in this process: new ones as soon as they are
+    // queued, and due retries and scheduled upkeep on a timer
+    let jobsRunning = false;
+    let jobsQueued = false;
+    const runJobsSoon = () => {
+        if (jobsRunning) {
+            jobsQueued = true;
+            return;
+        }
+        jobsRunning = true;
+        runBackgroundJobs()
+            .catch(error => console.error('Background job error:', error))
+            .finally(() => {
+                jobsRunning = false;
+                if (jobsQueued) {
+                    jobsQueued = false;
+                    runJobsSoon();
+                }
+            });
+    };
+    onJobQueued(() => setImmediate(runJobsSoon));
+    const jobTimer = setInterval(runJobsSoon, JOB_POLL_SECONDS * 1000);
+    jobTimer.unref();
+    getJobHandlers().ocr.available().then(available => {
+        if (!available) console.log('📄 tesseract not found: scanned documents wait for `node worker.js work` where it is installed');
+    });
+    getJobHandlers().thumbnail.available().then(available => {
+        if (!available) console.log('🖼️  pdftoppm or ImageMagick not found: thumbnails wait for `node worker.js work` where they are installed');
+    });
+    
     // Start the server
     const PORT = process.env.PORT || 3001;
     server.listen(PORT, () => {
         console.log(`🚀 Aerial Nest API running locally!`);
         console.log(`📋 Available endpoints:`);
-        console.log(`   GET  http://localhost:${PORT}/api`);
-        console.log(`   GET  http://localhost:${PORT}/api/health`);
-        console.log(`   GET  http://localhost:${PORT}/api/categories`);
-        console.log(`   POST http://localhost:${PORT}/api/auth/register`);
-        console.log(`   POST http://localhost:${PORT}/api/auth/login`);
-        console.log(`   GET  http://localhost:${PORT}/api/user/profile`);
-        console.log(`   GET  http://localhost:${PORT}/api/documents`);
+        for (const route of router.routes) {
+            const method = route.method === 'DELETE' ? 'DEL' : route.method;
+            console.log(`   ${method.padEnd(4)} http://localhost:${PORT}${route.path}`);
+        }
         console.log(`\n💡 Make changes to your code and restart to see updates`);
         console.log(`   Press Ctrl+C to stop the server`);
     });
 }
 
 /**
- * Enhanced Request Router
- * Handles all API endpoints for both local and Lambda
+ * Request Schemas
+ * JSON Schema for request bodies and query strings (see ./validation).
+ * The router checks them before a handler runs, so handlers can rely on
+ * types and lengths; string limits follow the column sizes in the migrations.
  */
-async function routeRequest(req, res, parsedUrl) {
-    const path = parsedUrl.pathname;
-    const method = req.method;
-    
-    // API Root
-    if (path === '/' || path === '/api') {
-        return handleApiRoot(res);
-    }
-    
-    // Health Check
-    if (path === '/api/health') {
-        return handleHealthCheck(res);
-    }
-    
-    // Document Categories
-    if (path === '/api/categories' && method === 'GET') {
-        return handleGetCategories(res);
-    }
-    
-    // Authentication Routes
-    if (path === '/api/auth/register' && method === 'POST') {
-        const body = await parseRequestBody(req);
-        return handleRegister(res, body);
-    }
-    
-    if (path === '/api/auth/login' && method === 'POST') {
-        const body = await parseRequestBody(req);
-        return handleLogin(res, body);
-    }
-    
-    // Protected Routes (require authentication)
-    const authHeader = req.headers.authorization;
-    const user = verifyToken(authHeader);
-    
-    if (path === '/api/user/profile' && method === 'GET') {
-        if (!user) return handleUnauthorized(res);
-        return handleGetProfile(res, user);
+const emailField = { type: 'string', title: 'Email', format: 'email', maxLength: 255 };
+const newPasswordField = {
+    type: 'string', title: 'Password', minLength: MIN_PASSWORD_LENGTH, maxLength: MAX_PASSWORD_LENGTH
+};
+// Checking an existing password must not apply today's policy to old passwords
+const currentPasswordField = { type: 'string', title: 'Password', minLength: 1, maxLength: 1024 };
+const nameField = (title, maxLength) => ({ type: 'string', title, minLength: 1, maxLength });
+const optionalText = (title, maxLength) => ({ type: ['string', 'null'], title, maxLength });
+const tokenField = (title) => ({ type: 'string', title, minLength: 1, maxLength: 2048 });
+const mfaCodeField = { type: 'string', title: 'Code', maxLength: 20 };
+const recoveryCodeField = { type: 'string', title: 'Recovery code', maxLength: 40 };
+const idField = (title) => ({ type: 'integer', title, minimum: 1 });
+const base64Field = (title, maxLength = 16384) => ({ type: 'string', title, maxLength, pattern: BASE64_PATTERN.source });
+const accessTypeField = { type: 'string', title: 'Access type', enum: SHARE_ACCESS_TYPES };
+// Query string values arrive as text
+const queryIdField = (title) => ({ type: 'string', title, pattern: '^[1-9][0-9]{0,9}$' });
+const queryDateField = (title) => ({ type: 'string', title, pattern: '^[0-9]{4}-[0-9]{2}-[0-9]{2}$',
+                                     errorMessage: `${title} must be a date like 2024-01-31` });
+
+// Filters shared by the audit trail listing and its exports
+const auditFilterProperties = {
+    documentId: queryIdField('Document'),
+    actor: { type: 'string', title: 'Person', maxLength: 255 },
+    action: { type: 'string', title: 'Action', enum: AUDIT_ACTIONS },
+    from: queryDateField('From'),
+    to: queryDateField('To')
+};
+const sha256Field = (title) => ({ type: 'string', title, pattern: '^[0-9a-f]{64}$' });
+
+const contactProperties = {
+    name: nameField('Name', 255),
+    email: emailField,
+    phone: optionalText('Phone', 20),
+    relationship: optionalText('Relationship', 100),
+    notes: optionalText('Notes', 5000),
+    emergencyContact: { type: 'boolean', title: 'Emergency contact' },
+    emergencyAccessType: { ...accessTypeField, title: 'Emergency access' },
+    canAccessAll: { type: 'boolean', title: 'Access to all documents' }
+};
+
+const schemas = {
+    register: {
+        type: 'object',
+        required: ['email', 'password', 'firstName', 'lastName'],
+        properties: {
+            email: emailField,
+            password: newPasswordField,
+            firstName: nameField('First name', 100),
+            lastName: nameField('Last name', 100)
+        }
+    },
+    login: {
+        type: 'object',
+        required: ['email', 'password'],
+        properties: {
+            email: { type: 'string', title: 'Email', maxLength: 255 },
+            password: currentPasswordField
+        }
+    },
+    verifyEmailQuery: {
+        type: 'object',
+        required: ['token'],
+        properties: { token: tokenField('Verification token') }
+    },
+    forgotPassword: {
+        type: 'object',
+        required: ['email'],
+        properties: { email: emailField }
+    },
+    resetPassword: {
+        type: 'object',
+        required: ['token', 'password'],
+        properties: { token: tokenField('Reset token'), password: newPasswordField }
+    },
+    mfaLogin: {
+        type: 'object',
+        required: ['challengeToken'],
+        properties: { challengeToken: tokenField('Sign-in attempt'), code: mfaCodeField, recoveryCode: recoveryCodeField }
+    },
+    mfaCode: {
+        type: 'object',
+        required: ['code'],
+        properties: { code: mfaCodeField }
+    },
+    mfaDisable: {
+        type: 'object',
+        required: ['password'],
+        properties: { password: currentPasswordField, code: mfaCodeField, recoveryCode: recoveryCodeField }
+    },
+    mfaStepUp: {
+        type: 'object',
+        properties: { code: mfaCodeField, recoveryCode: recoveryCodeField }
+    },
+    mfaSettings: {
+        type: 'object',
+        required: ['requireForDownloads'],
+        properties: { requireForDownloads: { type: 'boolean', title: 'Require a code for downloads' } }
+    },
+    auditQuery: {
+        type: 'object',
+        properties: { ...auditFilterProperties, before: queryIdField('Before'), limit: queryIdField('Limit') }
+    },
+    auditExportQuery: {
+        type: 'object',
+        properties: {
+            ...auditFilterProperties,
+            format: { type: 'string', title: 'Format', enum: AUDIT_EXPORT_FORMATS }
+        }
+    },
+    verifyAuditExport: {
+        type: 'object',
+        required: ['sha256', 'signature', 'keyId'],
+        properties: {
+            sha256: sha256Field('SHA-256'),
+            signature: sha256Field('Signature'),
+            keyId: { type: 'string', title: 'Signing key', pattern: '^[0-9a-f]{16}$' }
+        }
+    },
+    jobsQuery: {
+        type: 'object',
+        properties: {
+            status: { type: 'string', title: 'Status', enum: JOB_STATUSES },
+            type: { type: 'string', title: 'Type', pattern: '^[a-z_]{1,50}$' },
+            limit: queryIdField('Limit')
+        }
+    },
+    documentSearchQuery: {
+        type: 'object',
+        required: ['q'],
+        properties: {
+            q: { type: 'string', title: 'Search', minLength: 1, maxLength: 200 },
+            limit: queryIdField('Limit')
+        }
+    },
+    restoreVersion: {
+        type: 'object',
+        properties: { reason: optionalText('Reason', 1000) }
+    },
+    share: {
+        type: 'object',
+        required: ['trustedContactId'],
+        properties: {
+            trustedContactId: idField('Trusted contact'),
+            accessType: accessTypeField,
+            message: optionalText('Message', 2000)
+        }
+    },
+    encryptionKeys: {
+        type: 'object',
+        required: ['publicKey', 'encryptedPrivateKey', 'salt', 'iterations'],
+        properties: {
+            publicKey: base64Field('Public key'),
+            encryptedPrivateKey: base64Field('Encrypted private key'),
+            salt: base64Field('Salt', 64),
+            iterations: { type: 'integer', title: 'Iterations', minimum: MIN_KDF_ITERATIONS },
+            password: currentPasswordField
+        }
+    },
+    documentKeys: {
+        type: 'object',
+        required: ['keys'],
+        properties: {
+            keys: {
+                type: 'array',
+                title: 'Keys',
+                minItems: 1,
+                maxItems: 1000,
+                items: {
+                    type: 'object',
+                    required: ['documentId', 'userId', 'keyType', 'wrappedKey'],
+                    properties: {
+                        documentId: idField('Document'),
+                        userId: idField('User'),
+                        keyType: { type: 'string', title: 'Key type', enum: ['share', 'escrow'] },
+                        wrappedKey: base64Field('Wrapped key')
+                    }
+                }
+            }
+        }
+    },
+    createContact: {
+        type: 'object',
+        required: ['name', 'email'],
+        properties: { ...contactProperties, sendInvitation: { type: 'boolean', title: 'Send invitation' } }
+    },
+    updateContact: {
+        type: 'object',
+        properties: contactProperties
+    },
+    // Accepting an invitation without an account creates one
+    newAccount: {
+        type: 'object',
+        required: ['password', 'firstName', 'lastName'],
+        properties: {
+            password: newPasswordField,
+            firstName: nameField('First name', 100),
+            lastName: nameField('Last name', 100)
+        }
+    },
+    acceptInvitation: {
+        type: 'object',
+        required: ['token', 'password'],
+        properties: {
+            token: tokenField('Invitation'),
+            password: currentPasswordField,
+            firstName: nameField('First name', 100),
+            lastName: nameField('Last name', 100)
+        }
+    },
+    emergencySettings: {
+        type: 'object',
+        required: ['waitingPeriodHours'],
+        properties: {
+            // null goes back to the server default; otherwise 1 hour to 30 days
+            waitingPeriodHours: { type: ['integer', 'null'], title: 'Waiting period', minimum: 1, maximum: 720 }
+        }
+    },
+    emergencyRequest: {
+        type: 'object',
+        required: ['trustedContactId', 'reason'],
+        properties: {
+            trustedContactId: idField('Person'),
+            reason: { type: 'string', title: 'Reason', minLength: 1, maxLength: 2000 },
+            emergencyType: { type: 'string', title: 'Emergency type', enum: Object.keys(EMERGENCY_DOCUMENT_TYPES) }
+        }
+    },
+    approveEmergency: {
+        type: 'object',
+        properties: {
+            documentIds: { type: 'array', title: 'Documents', items: idField('Document') },
+            accessType: accessTypeField
+        }
+    },
+    denyEmergency: {
+        type: 'object',
+        properties: { reason: optionalText('Reason', 2000) }
+    },
+    // The answers themselves are checked against the template's own schema
+    // (templateSchema) once the template is known
+    renderTemplate: {
+        type: 'object',
+        required: ['values'],
+        properties: {
+            values: { type: 'object', title: 'Answers' },
+            title: { type: 'string', title: 'Title', maxLength: 255 },
+            // Replace this document with a new version instead of adding one
+            documentId: idField('Document')
+        }
+    },
+    // Which answers and documents a step accepts depends on the step, so
+    // handleUpdatePlanningStep checks those against its definition
+    planningStep: {
+        type: 'object',
+        required: ['status'],
+        properties: {
+            status: { type: 'string', title: 'Status', enum: STEP_STATUSES },
+            answer: { type: 'string', title: 'Answer', maxLength: 100 },
+            documentId: idField('Document')
+        }
+    },
+    // Multipart upload fields arrive as text, so they are checked by
+    // receiveValidatedUpload once the upload has been received
+    documentFields: {
+        type: 'object',
+        properties: {
+            title: { type: 'string', title: 'Title', maxLength: 255 },
+            documentType: { type: 'string', title: 'Document type', enum: DOCUMENT_TYPES },
+            categoryId: { type: 'string', title: 'Category', pattern: '^\\d*$' },
+            description: { type: 'string', title: 'Description', maxLength: 5000 },
+            userNotes: { type: 'string', title: 'Notes', maxLength: 5000 },
+            reason: { type: 'string', title: 'Reason', maxLength: 1000 },
+            encrypted: { type: 'string', title: 'Encrypted', enum: ['true', 'false'] },
+            wrappedKey: base64Field('Wrapped key')
+        }
     }
-    
-    if (path === '/api/documents' && method === 'GET') {
-        if (!user) return handleUnauthorized(res);
-        return handleGetDocuments(res, user);
+};
+
+/**
+ * Route Middleware
+ */
+
+// Resolve the bearer token to ctx.user, or answer 401
+async function requireAuth(ctx, next) {
+    ctx.user = await verifyToken(ctx.req.headers.authorization);
+    if (!ctx.user) return handleUnauthorized(ctx.res);
+    return next();
+}
+
+// Only people listed in ADMIN_EMAILS; goes after requireAuth
+async function requireAdmin(ctx, next) {
+    if (!ADMIN_EMAILS.includes(ctx.user.email.toLowerCase())) {
+        return sendError(ctx.res, 403, 'Administrator access required');
     }
-    
-    if (path === '/api/trusted-contacts' && method === 'GET') {
-        if (!user) return handleUnauthorized(res);
-        return handleGetTrustedContacts(res, user);
+    return next();
+}
+
+// Parse a JSON request body into ctx.body
+async function jsonBody(ctx, next) {
+    try {
+        ctx.body = await parseRequestBody(ctx.req);
+    } catch (error) {
+        return sendError(ctx.res, 400, 'Request body must be valid JSON');
     }
-    
-    // Not Found
-    return handleNotFound(res, path);
+    return next();
+}
+
+// Allow `rule.limit` requests per window for each key(ctx), e.g. the client
+// address; a null key (nothing to count by) lets the request through
+function rateLimit(name, rule, key) {
+    return async (ctx, next) => {
+        const value = key(ctx);
+        if (!value || !db) return next();
+        
+        const { hits, resetAt } = await getRateLimitStore(db).hit(`${name}:${value}`, rule.windowSeconds);
+        if (hits <= rule.limit) return next();
+        
+        // Log the first rejection of each window, not every one after it
+        if (hits === rule.limit + 1) {
+            const email = typeof ctx.body?.email === 'string' ? ctx.body.email : null;
+            await logSecurityEvent(ctx.req, { email, event: 'rate_limited', detail: name });
+        }
+        
+        const retryAfter = Math.max(1, Math.ceil((resetAt.getTime() - Date.now()) / 1000));
+        return sendError(ctx.res, 429, `Too many attempts. Please try again in ${formatWait(retryAfter)}.`, {
+            code: 'rate_limited',
+            headers: { 'Retry-After': String(retryAfter) }
+        });
+    };
 }
 
+const byIp = ctx => getRateLimitIp(ctx.req);
+const byEmail = ctx => (typeof ctx.body?.email === 'string' ? ctx.body.email.trim().toLowerCase() : null);
+
 /**
- * Route Handlers
+ * Route Table
+ * Handles all API endpoints for both local and Lambda. The API root,
+ * the startup banner and 404 responses all list endpoints from here.
  */
+const router = createRouter({ notFound: ({ res, path }) => handleNotFound(res, path) });
 
-function handleApiRoot(res) {
-    res.writeHead(200);
-    res.end(JSON.stringify({
-        message: 'Aerial Nest API is running!',
-        timestamp: new Date().toISOString(),
-        version: '1.0.0',
-        environment: process.env.NODE_ENV || 'development',
-        endpoints: [
-            'GET /api - This endpoint',
-            'GET /api/health - Health check',
-            'GET /api/categories - Document categories',
-            'POST /api/auth/register - Register new user',
-            'POST /api/auth/login - Login user',
-            'GET /api/user/profile - Get user profile (auth required)',
-            'GET /api/documents - Get user documents (auth required)',
-            'GET /api/trusted-contacts - Get trusted contacts (auth required)'
-        ]
-    }, null, 2));
+const authenticated = [requireAuth];
+const authenticatedJson = [requireAuth, jsonBody];
+const adminOnly = [requireAuth, requireAdmin];
+
+router.get('/', { summary: 'API information and endpoint list' }, ({ res }) => handleApiRoot(res));
+router.get('/api', { summary: 'API information and endpoint list' }, ({ res }) => handleApiRoot(res));
+router.get('/api/health', { summary: 'Health check' }, ({ res }) => handleHealthCheck(res));
+router.get('/api/categories', { summary: 'Document categories' }, ({ res }) => handleGetCategories(res));
+router.get('/api/openapi.json', { summary: 'OpenAPI description of this API' }, ({ res }) => handleOpenApiSpec(res));
+router.get('/api/docs', { summary: 'API documentation', responseType: 'text/html' }, ({ res }) => handleApiDocs(res));
+
+// Authentication
+router.post('/api/auth/register', {
+    summary: 'Register new user',
+    middleware: [rateLimit('register-ip', RATE_LIMITS.registerByIp, byIp), jsonBody],
+    schema: { body: schemas.register }
+}, ({ req, res, body }) => handleRegister(req, res, body));
+router.post('/api/auth/login', {
+    summary: 'Login user',
+    middleware: [
+        rateLimit('login-ip', RATE_LIMITS.loginByIp, byIp),
+        jsonBody,
+        rateLimit('login-account', RATE_LIMITS.loginByAccount, byEmail)
+    ],
+    schema: { body: schemas.login }
+}, ({ req, res, body }) => handleLogin(req, res, body));
+router.get('/api/auth/verify-email', {
+    summary: 'Confirm an email address',
+    schema: { query: schemas.verifyEmailQuery }
+}, ({ res, query }) => handleVerifyEmail(res, query.token));
+router.post('/api/auth/resend-verification', { summary: 'Send a new confirmation email', middleware: authenticated },
+    ({ res, user }) => handleResendVerification(res, user));
+router.post('/api/auth/forgot-password', {
+    summary: 'Email a password reset link',
+    middleware: [rateLimit('password-reset-ip', RATE_LIMITS.passwordResetByIp, byIp), jsonBody],
+    schema: { body: schemas.forgotPassword }
+}, ({ req, res, body }) => handleForgotPassword(req, res, body));
+router.post('/api/auth/reset-password', {
+    summary: 'Set a new password with a reset token',
+    middleware: [jsonBody],
+    schema: { body: schemas.resetPassword }
+}, ({ res, body }) => handleResetPassword(res, body));
+router.post('/api/auth/refresh', { summary: 'Exchange the refresh token cookie for a new access token' },
+    ({ req, res }) => handleRefreshSession(req, res));
+
+// Two-step verification
+router.post('/api/auth/mfa/verify', {
+    summary: 'Finish a login with an authenticator or recovery code',
+    middleware: [rateLimit('mfa-ip', RATE_LIMITS.mfaByIp, byIp), jsonBody],
+    schema: { body: schemas.mfaLogin }
+}, ({ req, res, body }) => handleVerifyMfaLogin(req, res, body));
+router.get('/api/auth/mfa', { summary: 'Two-step verification status', middleware: authenticated },
+    ({ res, user }) => handleGetMfaStatus(res, user));
+router.post('/api/auth/mfa/setup', { summary: 'Start authenticator app setup', middleware: authenticated },
+    ({ res, user }) => handleSetupMfa(res, user));
+router.post('/api/auth/mfa/enable', {
+    summary: 'Confirm setup with a code and get recovery codes',
+    middleware: authenticatedJson,
+    schema: { body: schemas.mfaCode }
+}, ({ res, user, body }) => handleEnableMfa(res, user, body));
+router.post('/api/auth/mfa/disable', {
+    summary: 'Turn off two-step verification',
+    middleware: authenticatedJson,
+    schema: { body: schemas.mfaDisable }
+}, ({ res, user, body }) => handleDisableMfa(res, user, body));
+router.post('/api/auth/mfa/recovery-codes', {
+    summary: 'Replace recovery codes',
+    middleware: authenticatedJson,
+    schema: { body: schemas.mfaCode }
+}, ({ res, user, body }) => handleRegenerateRecoveryCodes(res, user, body));
+router.put('/api/auth/mfa/settings', {
+    summary: 'Require a code for downloads',
+    middleware: authenticatedJson,
+    schema: { body: schemas.mfaSettings }
+}, ({ res, user, body }) => handleUpdateMfaSettings(res, user, body));
+router.post('/api/auth/mfa/step-up', {
+    summary: 'Enter a code before a protected download',
+    middleware: authenticatedJson,
+    schema: { body: schemas.mfaStepUp }
+}, ({ res, user, body }) => handleMfaStepUp(res, user, body));
+
+// Sessions
+router.post('/api/auth/logout', { summary: 'Sign out of this session', middleware: authenticated },
+    ({ res, user }) => handleLogout(res, user));
+router.post('/api/auth/logout-all', { summary: 'Sign out of every device', middleware: authenticated },
+    ({ res, user }) => handleLogoutAll(res, user));
+router.get('/api/auth/sessions', { summary: 'List signed-in sessions', middleware: authenticated },
+    ({ res, user }) => handleGetSessions(res, user));
+router.delete('/api/auth/sessions/:id(\\d+)', { summary: 'Sign out one session', middleware: authenticated },
+    ({ res, user, params }) => handleRevokeSession(res, user, parseInt(params.id, 10)));
+
+router.get('/api/user/profile', { summary: 'Get user profile', middleware: authenticated },
+    ({ res, user }) => handleGetProfile(res, user));
+
+// Documents
+router.get('/api/documents', { summary: 'Get user documents', middleware: authenticated },
+    ({ res, user }) => handleGetDocuments(res, user));
+router.post('/api/documents', {
+    summary: 'Upload a document as multipart/form-data',
+    middleware: authenticated,
+    schema: { form: schemas.documentFields }
+}, ({ req, res, user }) => handleUploadDocument(req, res, user));
+router.get('/api/documents/search', {
+    summary: 'Search your documents, best match first',
+    middleware: authenticated,
+    schema: { query: schemas.documentSearchQuery }
+}, ({ res, user, query }) => handleSearchDocuments(res, user, query));
+router.get('/api/documents/:id(\\d+)/versions', { summary: 'Version history of a document', middleware: authenticated },
+    ({ res, user, params }) => handleGetDocumentVersions(res, user, parseInt(params.id, 10)));
+router.post('/api/documents/:id(\\d+)/versions', {
+    summary: 'Upload a replacement version',
+    middleware: authenticated,
+    schema: { form: schemas.documentFields }
+}, ({ req, res, user, params }) => handleUploadDocumentVersion(req, res, user, parseInt(params.id, 10)));
+router.post('/api/documents/:id(\\d+)/versions/:versionId(\\d+)/restore', {
+    summary: 'Restore an earlier version',
+    middleware: authenticatedJson,
+    schema: { body: schemas.restoreVersion }
+}, ({ req, res, user, params, body }) => handleRestoreDocumentVersion(req, res, user, parseInt(params.id, 10), parseInt(params.versionId, 10), body));
+
+// Document sharing
+router.get('/api/documents/:id(\\d+)/shares', { summary: 'Who a document is shared with', middleware: authenticated },
+    ({ res, user, params }) => handleGetDocumentShares(res, user, parseInt(params.id, 10)));
+router.post('/api/documents/:id(\\d+)/shares', {
+    summary: 'Share a document with a trusted contact',
+    middleware: authenticatedJson,
+    schema: { body: schemas.share }
+}, ({ req, res, user, params, body }) => handleShareDocument(req, res, user, parseInt(params.id, 10), body));
+router.delete('/api/documents/:id(\\d+)/shares/:shareId(\\d+)', { summary: 'Revoke a share', middleware: authenticated },
+    ({ req, res, user, params }) => handleRevokeShare(req, res, user, parseInt(params.id, 10), parseInt(params.shareId, 10)));
+router.get('/api/shared-with-me', { summary: 'Documents shared with you', middleware: authenticated },
+    ({ res, user }) => handleGetSharedWithMe(res, user));
+
+// Document content: inline preview or download
+router.get('/api/documents/:id(\\d+)/content', {
+    summary: 'Preview a document inline',
+    middleware: authenticated,
+    responseType: 'application/octet-stream'
+}, ({ req, res, user, params }) => handleGetDocumentContent(req, res, user, parseInt(params.id, 10), false));
+router.get('/api/documents/:id(\\d+)/download', {
+    summary: 'Download a document',
+    middleware: authenticated,
+    responseType: 'application/octet-stream'
+}, ({ req, res, user, params }) => handleGetDocumentContent(req, res, user, parseInt(params.id, 10), true));
+
+// OCR of photos and scanned PDFs
+router.get('/api/documents/:id(\\d+)/ocr', { summary: 'Whether a document\'s text has been read', middleware: authenticated },
+    ({ res, user, params }) => handleGetDocumentOcr(res, user, parseInt(params.id, 10)));
+router.get('/api/documents/:id(\\d+)/ocr/pdf', {
+    summary: 'Preview the searchable PDF made from a scanned document',
+    middleware: authenticated,
+    responseType: 'application/pdf'
+}, ({ req, res, user, params }) => handleGetDocumentContent(req, res, user, parseInt(params.id, 10), false, true));
+
+// Preview images for the document library
+router.get('/api/documents/:id(\\d+)/thumbnail', {
+    summary: 'A small image of a document\'s first page',
+    middleware: authenticated,
+    responseType: 'image/jpeg'
+}, ({ res, user, params }) => handleGetDocumentThumbnail(res, user, parseInt(params.id, 10)));
+
+// End-to-end encryption key material
+router.get('/api/documents/:id(\\d+)/key', { summary: 'Your wrapped key for an encrypted document', middleware: authenticated },
+    ({ req, res, user, params }) => handleGetDocumentKey(req, res, user, parseInt(params.id, 10)));
+router.get('/api/encryption/keys', { summary: 'Your encryption key pair, private key passphrase-encrypted', middleware: authenticated },
+    ({ res, user }) => handleGetEncryptionKeys(res, user));
+router.put('/api/encryption/keys', {
+    summary: 'Set up encryption or change its passphrase',
+    middleware: authenticatedJson,
+    schema: { body: schemas.encryptionKeys }
+}, ({ res, user, body }) => handleSaveEncryptionKeys(res, user, body));
+router.get('/api/encryption/pending-keys', { summary: 'Contacts still waiting for document keys', middleware: authenticated },
+    ({ res, user }) => handleGetPendingDocumentKeys(res, user));
+router.post('/api/encryption/document-keys', {
+    summary: 'Store document keys wrapped for contacts',
+    middleware: authenticatedJson,
+    schema: { body: schemas.documentKeys }
+}, ({ req, res, user, body }) => handleSaveDocumentKeys(req, res, user, body));
+
+// Audit trail of the signed-in owner's documents, shares, contacts and emergency requests
+router.get('/api/audit', {
+    summary: 'Your audit trail, newest first',
+    middleware: authenticated,
+    schema: { query: schemas.auditQuery }
+}, ({ res, user, query }) => handleGetAuditLog(res, user, query));
+router.get('/api/audit/verify', { summary: 'Check your audit trail has not been altered', middleware: authenticated },
+    ({ res, user }) => handleVerifyAuditLog(res, user));
+router.get('/api/audit/export', {
+    summary: 'Download your audit trail as CSV or a signed PDF report',
+    middleware: authenticated,
+    schema: { query: schemas.auditExportQuery },
+    responseType: 'text/csv'
+}, ({ req, res, user, query }) => handleExportAuditLog(req, res, user, query));
+router.post('/api/audit/exports/verify', {
+    summary: 'Check the signature on an audit export',
+    middleware: [jsonBody],
+    schema: { body: schemas.verifyAuditExport }
+}, ({ res, body }) => handleVerifyAuditExport(res, body));
+
+// Trusted contacts
+router.get('/api/trusted-contacts', { summary: 'Get trusted contacts', middleware: authenticated },
+    ({ res, user }) => handleGetTrustedContacts(res, user));
+router.post('/api/trusted-contacts', {
+    summary: 'Add a trusted contact',
+    middleware: authenticatedJson,
+    schema: { body: schemas.createContact }
+}, ({ req, res, user, body }) => handleCreateTrustedContact(req, res, user, body));
+router.put('/api/trusted-contacts/:id(\\d+)', {
+    summary: 'Update a trusted contact',
+    middleware: authenticatedJson,
+    schema: { body: schemas.updateContact }
+}, ({ req, res, user, params, body }) => handleUpdateTrustedContact(req, res, user, parseInt(params.id, 10), body));
+router.delete('/api/trusted-contacts/:id(\\d+)', { summary: 'Remove a trusted contact', middleware: authenticated },
+    ({ req, res, user, params }) => handleDeleteTrustedContact(req, res, user, parseInt(params.id, 10)));
+router.post('/api/trusted-contacts/:id(\\d+)/invite', { summary: 'Email an invitation link', middleware: authenticated },
+    ({ req, res, user, params }) => handleInviteTrustedContact(req, res, user, parseInt(params.id, 10)));
+
+// Trusted contact invitations (the invitation token is the credential)
+router.get('/api/invitations/:token', { summary: 'Look up an invitation' },
+    ({ res, params }) => handleGetInvitation(res, params.token));
+router.post('/api/invitations/accept', {
+    summary: 'Accept an invitation and link an account',
+    middleware: [rateLimit('invitation-ip', RATE_LIMITS.loginByIp, byIp), jsonBody],
+    schema: { body: schemas.acceptInvitation }
+}, ({ req, res, body }) => handleAcceptInvitation(req, res, body));
+
+// Emergency access
+router.put('/api/user/emergency-settings', {
+    summary: 'Set the emergency waiting period',
+    middleware: authenticatedJson,
+    schema: { body: schemas.emergencySettings }
+}, ({ res, user, body }) => handleUpdateEmergencySettings(res, user, body));
+router.get('/api/emergency-access/contacts', { summary: 'People who named you an emergency contact', middleware: authenticated },
+    ({ res, user }) => handleGetEmergencyContacts(res, user));
+router.get('/api/emergency-requests', { summary: 'Emergency requests you made or received', middleware: authenticated },
+    ({ res, user }) => handleGetEmergencyRequests(res, user));
+router.post('/api/emergency-requests', {
+    summary: 'Request emergency access',
+    middleware: authenticatedJson,
+    schema: { body: schemas.emergencyRequest }
+}, ({ req, res, user, body }) => handleCreateEmergencyRequest(req, res, user, body));
+router.get('/api/emergency-requests/:id(\\d+)', { summary: 'Emergency request details', middleware: authenticated },
+    ({ res, user, params }) => handleGetEmergencyRequest(res, user, parseInt(params.id, 10)));
+router.post('/api/emergency-requests/:id(\\d+)/approve', {
+    summary: 'Approve an emergency request',
+    middleware: authenticatedJson,
+    schema: { body: schemas.approveEmergency }
+}, ({ req, res, user, params, body }) => handleApproveEmergencyRequest(req, res, user, parseInt(params.id, 10), body));
+router.post('/api/emergency-requests/:id(\\d+)/deny', {
+    summary: 'Deny an emergency request',
+    middleware: authenticatedJson,
+    schema: { body: schemas.denyEmergency }
+}, ({ req, res, user, params, body }) => handleDenyEmergencyRequest(req, res, user, parseInt(params.id, 10), body));
+
+// Document templates (defined in ./templates)
+router.get('/api/templates', { summary: 'Document templates you can fill in', middleware: authenticated },
+    ({ res }) => handleGetTemplates(res));
+router.get('/api/templates/:templateId([a-z_]+)', {
+    summary: 'A template with the answers you already gave filled in',
+    middleware: authenticated
+}, ({ res, user, params }) => handleGetTemplate(res, user, params.templateId));
+router.post('/api/templates/:templateId([a-z_]+)/render', {
+    summary: 'Fill in a template and save the PDF to your documents',
+    middleware: authenticatedJson,
+    schema: { body: schemas.renderTemplate }
+}, ({ req, res, user, params, body }) => handleRenderTemplate(req, res, user, params.templateId, body));
+
+// Planning workflows (the checklists are defined in ./workflows)
+router.get('/api/planning/workflows', { summary: 'Planning checklists and your progress in each', middleware: authenticated },
+    ({ res, user }) => handleGetPlanningWorkflows(res, user));
+router.get('/api/planning/workflows/:workflowId([a-z_]+)', { summary: 'A planning checklist with its steps', middleware: authenticated },
+    ({ res, user, params }) => handleGetPlanningWorkflow(res, user, params.workflowId));
+router.put('/api/planning/workflows/:workflowId([a-z_]+)/steps/:stepId([a-z_]+)', {
+    summary: 'Complete, skip or reopen a planning step',
+    middleware: authenticatedJson,
+    schema: { body: schemas.planningStep }
+}, ({ res, user, params, body }) => handleUpdatePlanningStep(res, user, params.workflowId, params.stepId, body));
+router.get('/api/planning/progress', { summary: 'Your progress across all planning checklists', middleware: authenticated },
+    ({ res, user }) => handleGetPlanningProgress(res, user));
+
+// Background jobs (see ./jobs), for administrators
+router.get('/api/admin/jobs', {
+    summary: 'Background jobs, newest first, with counts by type and status',
+    middleware: adminOnly,
+    schema: { query: schemas.jobsQuery }
+}, ({ res, query }) => handleGetJobs(res, query));
+router.post('/api/admin/jobs/:id(\\d+)/retry', { summary: 'Queue a dead-lettered job again', middleware: adminOnly },
+    ({ res, params }) => handleRetryJob(res, parseInt(params.id, 10)));
+
+/**
+ * One line per route, e.g. "GET /api/documents - Get user documents (auth required)"
+ */
+function describeRoutes() {
+    return router.routes.map(route => {
+        const auth = route.middleware.includes(requireAuth) ? ' (auth required)' : '';
+        return `${route.method} ${route.path} - ${route.summary}${auth}`;
+    });
 }
 
-function handleHealthCheck(res) {
+const requiresAuth = route => route.middleware.includes(requireAuth);
+
+/**
+ * Draft OpenAPI entries for the routes above, to start a new route's entry
+ * in ./openapi/openapi.json (see `npm run openapi print`)
+ */
+function apiSpec() {
+    return buildSpec(router.routes, {
+        title: 'Aerial Nest API',
+        version: API_VERSION,
+        description: 'Secure storage and sharing of end-of-life planning documents.',
+        requiresAuth
+    });
+}
+
+/**
+ * Contract check: the committed spec must describe every route as the
+ * route table declares it. Returns a list of problems (see `npm run openapi check`)
+ */
+function checkApiSpec() {
+    return checkSpec(router.routes, loadSpec(), {
+        requiresAuth,
+        readsBody: route => route.middleware.includes(jsonBody),
+        version: API_VERSION
+    });
+}
+
+async function routeRequest(req, res) {
+    return router.handle(req, res);
+}
+
+/**
+ * Route Handlers
+ */
+
+function handleApiRoot(res) {
+    res.writeHead(200);
+    res.end(JSON.stringify({
+        message: 'Aerial Nest API is running!',
+        timestamp: new Date().toISOString(),
+        version: API_VERSION,
+        environment: process.env.NODE_ENV || 'development',
+        documentation: '/api/openapi.json',
+        endpoints: describeRoutes()
+    }, null, 2));
+}
+
+function handleOpenApiSpec(res) {
+    res.writeHead(200);
+    res.end(JSON.stringify(loadSpec(), null, 2));
+}
+
+function handleApiDocs(res) {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(renderDocsPage(loadSpec()));
+}
+
+function handleHealthCheck(res) {
     res.writeHead(200);
     res.end(JSON.stringify({
         status: 'healthy',
@@ -231,224 +1360,3460 @@ function handleHealthCheck(res) {
     }, null, 2));
 }
 
-function handleGetCategories(res) {
+async function handleGetCategories(res) {
+    if (!db) {
+        sendError(res, 500, 'Database not available');
+        return;
+    }
+    
+    try {
+        const categories = await db.all('SELECT * FROM document_categories ORDER BY display_order');
+        
+        res.writeHead(200);
+        res.end(JSON.stringify({ categories }));
+    } catch (error) {
+        sendError(res, 500, 'Database error');
+    }
+}
+
+async function handleRegister(req, res, body) {
+    try {
+        const { email, password, firstName, lastName } = body;
+        
+        if (!db) {
+            sendError(res, 500, 'Database not available');
+            return;
+        }
+        
+        // Check if user already exists
+        const existingUser = await db.get('SELECT id FROM users WHERE email = ?', [email]);
+        if (existingUser) {
+            sendError(res, 409, 'An account with this email already exists', {
+                code: 'email_taken',
+                fields: [{ field: 'email', message: 'An account with this email already exists' }]
+            });
+            return;
+        }
+        
+        // Hash password and create user
+        const passwordHash = await bcrypt.hash(password, 10);
+        
+        const result = await db.run(`
+            INSERT INTO users (email, password_hash, first_name, last_name, email_verified)
+            VALUES (?, ?, ?, ?, ?)
+        `, [email, passwordHash, firstName, lastName, false]);
+        
+        const userId = result.lastID;
+        const tokens = await createSession(req, res, { id: userId, email });
+        
+        // The account works straight away; a failed email can be resent later
+        await sendVerificationEmail({ id: userId, email, first_name: firstName })
+            .catch(error => console.error('Verification email error:', error));
+        
+        res.writeHead(201);
+        res.end(JSON.stringify({
+            message: 'User created successfully',
+            ...tokens,
+            user: { id: userId, email, firstName, lastName }
+        }));
+    } catch (error) {
+        console.error('Register error:', error);
+        sendError(res, 500, 'Server error');
+    }
+}
+
+async function handleLogin(req, res, body) {
+    try {
+        const { email, password } = body;
+        
+        if (!db) {
+            sendError(res, 500, 'Database not available');
+            return;
+        }
+        
+        const user = await db.get('SELECT * FROM users WHERE email = ?', [email]);
+        if (!user) {
+            await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+            sendError(res, 401, 'Invalid credentials');
+            return;
+        }
+        
+        const check = await verifyPassword(req, user, password);
+        if (check.lockedFor) {
+            sendAccountLocked(res, check.lockedFor);
+            return;
+        }
+        if (!check.valid) {
+            sendError(res, 401, 'Invalid credentials');
+            return;
+        }
+        
+        const login = await startLogin(req, res, user);
+        if (login.mfaRequired) {
+            res.writeHead(200);
+            res.end(JSON.stringify({ message: 'Two-step verification required', ...login }));
+            return;
+        }
+        
+        res.writeHead(200);
+        res.end(JSON.stringify({
+            message: 'Login successful',
+            ...login,
+            user: {
+                id: user.id,
+                email: user.email,
+                firstName: user.first_name,
+                lastName: user.last_name
+            }
+        }));
+    } catch (error) {
+        console.error('Login error:', error);
+        sendError(res, 500, 'Server error');
+    }
+}
+
+/**
+ * Email Verification and Password Reset
+ * Both links carry a random single-use token; only its hash is stored
+ */
+
+async function sendVerificationEmail(account) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    
+    // Only the newest link should work
+    await db.run('DELETE FROM email_verification_tokens WHERE user_id = ? AND used_at IS NULL', [account.id]);
+    await db.run(`
+        INSERT INTO email_verification_tokens (user_id, token, expires_at) VALUES (?, ?, ?)
+    `, [account.id, hashToken(token), 
+        toSqlTimestamp(new Date(Date.now() + EMAIL_VERIFICATION_HOURS * 3600000))]);
+    
+    await queueEmail({
+        to: account.email,
+        subject: 'Please confirm your email address',
+        text: [
+            `Hello ${account.first_name},`,
+            '',
+            'Welcome to Aerial Nest. Please confirm your email address by opening this link:',
+            `${APP_URL}/?verify=${encodeURIComponent(token)}`,
+            '',
+            `The link expires in ${EMAIL_VERIFICATION_HOURS} hours. If you did not create an account, you can ignore this email.`
+        ].join('\n')
+    });
+}
+
+async function handleVerifyEmail(res, token) {
+    if (!db) {
+        sendError(res, 500, 'Database not available');
+        return;
+    }
+    
+    if (!token) {
+        sendError(res, 400, 'A verification token is required');
+        return;
+    }
+    
+    try {
+        const record = await db.get(`
+            SELECT * FROM email_verification_tokens 
+            WHERE token = ? AND used_at IS NULL AND expires_at > ?
+        `, [hashToken(token), toSqlTimestamp(new Date())]);
+        
+        if (!record) {
+            sendError(res, 400, 'This verification link is invalid or has expired');
+            return;
+        }
+        
+        // Claim the token first so a double click cannot use it twice
+        const claimed = await db.run(`
+            UPDATE email_verification_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL
+        `, [record.id]);
+        if (claimed.changes === 0) {
+            sendError(res, 400, 'This verification link has already been used');
+            return;
+        }
+        
+        await db.run(`
+            UPDATE users SET email_verified = TRUE, email_verified_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP 
+            WHERE id = ?
+        `, [record.user_id]);
+        
+        res.writeHead(200);
+        res.end(JSON.stringify({ message: 'Email address confirmed' }));
+    } catch (error) {
+        console.error('Verify email error:', error);
+        sendError(res, 500, 'Database error');
+    }
+}
+
+async function handleResendVerification(res, user) {
+    try {
+        const account = await db.get('SELECT id, email, first_name, email_verified FROM users WHERE id = ?', [user.userId]);
+        if (!account) {
+            sendError(res, 404, 'User not found');
+            return;
+        }
+        
+        if (account.email_verified) {
+            sendError(res, 400, 'Your email address is already confirmed');
+            return;
+        }
+        
+        await sendVerificationEmail(account);
+        
+        res.writeHead(200);
+        res.end(JSON.stringify({ message: `Verification email sent to ${account.email}` }));
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        sendError(res, 500, 'Could not send verification email');
+    }
+}
+
+async function handleForgotPassword(req, res, body) {
+    if (!db) {
+        sendError(res, 500, 'Database not available');
+        return;
+    }
+    
+    const email = body.email.trim();
+    
+    try {
+        const account = await db.get('SELECT id, email, first_name FROM users WHERE LOWER(email) = LOWER(?)', [email]);
+        
+        if (account) {
+            const token = crypto.randomBytes(32).toString('base64url');
+            
+            // A new request replaces any earlier link
+            await db.run(`
+                UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL
+            `, [account.id]);
+            await db.run(`
+                INSERT INTO password_reset_tokens (user_id, token, expires_at, ip_address) VALUES (?, ?, ?, ?)
+            `, [account.id, hashToken(token), 
+                toSqlTimestamp(new Date(Date.now() + PASSWORD_RESET_MINUTES * 60000)), getClientIp(req)]);
+            
+            await queueEmail({
+                to: account.email,
+                subject: 'Reset your Aerial Nest password',
+                text: [
+                    `Hello ${account.first_name},`,
+                    '',
+                    'We received a request to reset your password. Choose a new one here:',
+                    `${APP_URL}/?reset=${encodeURIComponent(token)}`,
+                    '',
+                    `The link expires in ${PASSWORD_RESET_MINUTES} minutes and can only be used once.`,
+                    'If you did not ask to reset your password, you can ignore this email.'
+                ].join('\n')
+            });
+        }
+        
+        // Same answer either way so the form cannot be used to discover accounts
+        res.writeHead(200);
+        res.end(JSON.stringify({ message: 'If an account exists for that address, a reset link is on its way' }));
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        sendError(res, 500, 'Could not send reset email');
+    }
+}
+
+async function handleResetPassword(res, body) {
+    if (!db) {
+        sendError(res, 500, 'Database not available');
+        return;
+    }
+    
+    const { token, password } = body;
+    
+    try {
+        const record = await db.get(`
+            SELECT * FROM password_reset_tokens 
+            WHERE token = ? AND used_at IS NULL AND expires_at > ?
+        `, [hashToken(token), toSqlTimestamp(new Date())]);
+        
+        if (!record) {
+            sendError(res, 400, 'This reset link is invalid or has expired');
+            return;
+        }
+        
+        const claimed = await db.run(`
+            UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL
+        `, [record.id]);
+        if (claimed.changes === 0) {
+            sendError(res, 400, 'This reset link has already been used');
+            return;
+        }
+        
+        // Receiving the link also proves the address belongs to them, so it
+        // lifts any lockout too
+        const passwordHash = await bcrypt.hash(password, 10);
+        await db.run(`
+            UPDATE users 
+            SET password_hash = ?, email_verified = TRUE, 
+                email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP),
+                failed_login_count = 0, locked_until = NULL, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [passwordHash, record.user_id]);
+        
+        // Whoever knew the old password is signed out everywhere
+        await db.run(`
+            UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL
+        `, [record.user_id]);
+        
+        res.writeHead(200);
+        res.end(JSON.stringify({ message: 'Password updated. Please sign in with your new password.' }));
+    } catch (error) {
+        console.error('Reset password error:', error);
+        sendError(res, 500, 'Database error');
+    }
+}
+
+/**
+ * Two-Step Verification (TOTP)
+ * Setup stores a secret that only takes effect once a code from the
+ * authenticator app confirms it. Recovery codes are single-use and stored
+ * hashed, like refresh tokens.
+ */
+
+/**
+ * Normalize a recovery code the way it is hashed ("ab12c-de34f" and
+ * "AB12CDE34F" are the same code)
+ */
+function hashRecoveryCode(code) {
+    return hashToken(String(code).toLowerCase().replace(/[^a-z0-9]/g, ''));
+}
+
+/**
+ * Replace an account's recovery codes with a fresh set
+ * Resolves with the plain codes, which are only ever shown once
+ */
+async function generateRecoveryCodes(userId) {
+    const codes = Array.from({ length: MFA_RECOVERY_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    
+    await db.transaction(async (tx) => {
+        await tx.run('DELETE FROM mfa_recovery_codes WHERE user_id = ?', [userId]);
+        for (const code of codes) {
+            await tx.run('INSERT INTO mfa_recovery_codes (user_id, code_hash) VALUES (?, ?)', 
+                         [userId, hashRecoveryCode(code)]);
+        }
+    });
+    
+    return codes;
+}
+
+/**
+ * Check an authenticator code or a recovery code for an account
+ * Resolves to 'totp', 'recovery' or null. Both kinds are claimed with a
+ * conditional update, so the same code can never be accepted twice.
+ */
+async function checkMfaCode(account, { code, recoveryCode }) {
+    if (code && account.mfa_secret) {
+        const step = verifyCode(account.mfa_secret, code, account.mfa_last_counter);
+        if (step !== null) {
+            const claimed = await db.run(`
+                UPDATE users SET mfa_last_counter = ? 
+                WHERE id = ? AND (mfa_last_counter IS NULL OR mfa_last_counter < ?)
+            `, [step, account.id, step]);
+            if (claimed.changes > 0) return 'totp';
+        }
+    }
+    
+    if (recoveryCode && account.mfa_enabled) {
+        const claimed = await db.run(`
+            UPDATE mfa_recovery_codes SET used_at = CURRENT_TIMESTAMP 
+            WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+        `, [account.id, hashRecoveryCode(recoveryCode)]);
+        if (claimed.changes > 0) return 'recovery';
+    }
+    
+    return null;
+}
+
+async function countRecoveryCodes(userId) {
+    const row = await db.get(`
+        SELECT COUNT(*) AS remaining FROM mfa_recovery_codes WHERE user_id = ? AND used_at IS NULL
+    `, [userId]);
+    return Number(row.remaining);
+}
+
+/**
+ * Whether this session may download documents right now
+ * Accounts that require two-step verification for downloads need a code
+ * entered within the last MFA_STEP_UP_MINUTES
+ */
+async function hasRecentMfa(user) {
+    const row = await db.get(`
+        SELECT u.mfa_enabled, u.mfa_required_for_downloads, s.mfa_verified_at
+        FROM users u
+        JOIN user_sessions s ON s.user_id = u.id AND s.id = ?
+        WHERE u.id = ?
+    `, [user.sessionId, user.userId]);
+    
+    if (!row || !row.mfa_enabled || !row.mfa_required_for_downloads) return true;
+    const cutoff = toSqlTimestamp(new Date(Date.now() - MFA_STEP_UP_MINUTES * 60000));
+    return Boolean(row.mfa_verified_at) && row.mfa_verified_at > cutoff;
+}
+
+async function handleVerifyMfaLogin(req, res, body) {
+    if (!db) {
+        sendError(res, 500, 'Database not available');
+        return;
+    }
+    
+    let challenge;
+    try {
+        challenge = jwt.verify(body.challengeToken || '', JWT_SECRET);
+    } catch (error) {
+        challenge = null;
+    }
+    
+    if (!challenge || challenge.purpose !== 'mfa_challenge') {
+        sendError(res, 401, 'Your sign-in attempt has expired. Please sign in again.');
+        return;
+    }
+    
+    try {
+        const account = await db.get('SELECT * FROM users WHERE id = ?', [challenge.userId]);
+        if (!account || !account.mfa_enabled) {
+            sendError(res, 401, 'Your sign-in attempt has expired. Please sign in again.');
+            return;
+        }
+        
+        const method = await checkMfaCode(account, body);
+        if (!method) {
+            sendError(res, 401, 'That code is not valid');
+            return;
+        }
+        
+        const tokens = await createSession(req, res, account, { mfaVerified: true });
+        
+        res.writeHead(200);
+        res.end(JSON.stringify({
+            message: 'Login successful',
+            ...tokens,
+            ...(method === 'recovery' && { recoveryCodesRemaining: await countRecoveryCodes(account.id) }),
+            user: {
+                id: account.id,
+                email: account.email,
+                firstName: account.first_name,
+                lastName: account.last_name
+            }
+        }));
+    } catch (error) {
+        console.error('MFA verify error:', error);
+        sendError(res, 500, 'Server error');
+    }
+}
+
+async function handleGetMfaStatus(res, user) {
+    try {
+        const account = await db.get(`
+            SELECT mfa_enabled, mfa_enabled_at, mfa_required_for_downloads FROM users WHERE id = ?
+        `, [user.userId]);
+        
+        res.writeHead(200);
+        res.end(JSON.stringify({
+            enabled: Boolean(account.mfa_enabled),
+            enabledAt: account.mfa_enabled_at,
+            requireForDownloads: Boolean(account.mfa_required_for_downloads),
+            recoveryCodesRemaining: account.mfa_enabled ? await countRecoveryCodes(user.userId) : 0
+        }));
+    } catch (error) {
+        console.error('MFA status error:', error);
+        sendError(res, 500, 'Database error');
+    }
+}
+
+async function handleSetupMfa(res, user) {
+    try {
+        const account = await db.get('SELECT email, mfa_enabled FROM users WHERE id = ?', [user.userId]);
+        if (account.mfa_enabled) {
+            sendError(res, 409, 'Two-step verification is already turned on');
+            return;
+        }
+        
+        // Replaces any unfinished setup; nothing changes until a code confirms it
+        const secret = generateSecret();
+        await db.run(`
+            UPDATE users SET mfa_secret = ?, mfa_last_counter = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+        `, [secret, user.userId]);
+        
+        const otpauthUrl = provisioningUri(secret, account.email, MFA_ISSUER);
+        
+        res.writeHead(200);
+        res.end(JSON.stringify({
+            secret,
+            otpauthUrl,
+            qrCode: await QRCode.toDataURL(otpauthUrl)
+        }));
+    } catch (error) {
+        console.error('MFA setup error:', error);
+        sendError(res, 500, 'Could not start two-step verification setup');
+    }
+}
+
+async function handleEnableMfa(res, user, body) {
+    try {
+        const account = await db.get('SELECT * FROM users WHERE id = ?', [user.userId]);
+        if (account.mfa_enabled) {
+            sendError(res, 409, 'Two-step verification is already turned on');
+            return;
+        }
+        
+        if (!account.mfa_secret) {
+            sendError(res, 400, 'Start two-step verification setup first');
+            return;
+        }
+        
+        if (await checkMfaCode(account, { code: body.code }) !== 'totp') {
+            sendError(res, 400, 'That code is not valid. Check the time on your device and try again.');
+            return;
+        }
+        
+        await db.run(`
+            UPDATE users SET mfa_enabled = TRUE, mfa_enabled_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP 
+            WHERE id = ?
+        `, [user.userId]);
+        await db.run('UPDATE user_sessions SET mfa_verified_at = CURRENT_TIMESTAMP WHERE id = ?', [user.sessionId]);
+        
+        const recoveryCodes = await generateRecoveryCodes(user.userId);
+        
+        res.writeHead(200);
+        res.end(JSON.stringify({ message: 'Two-step verification is on', recoveryCodes }));
+    } catch (error) {
+        console.error('MFA enable error:', error);
+        sendError(res, 500, 'Database error');
+    }
+}
+
+async function handleDisableMfa(res, user, body) {
+    try {
+        const account = await db.get('SELECT * FROM users WHERE id = ?', [user.userId]);
+        if (!account.mfa_enabled) {
+            sendError(res, 400, 'Two-step verification is not turned on');
+            return;
+        }
+        
+        // Needs both factors, so a stolen session alone cannot weaken the account
+        const validPassword = body.password && await bcrypt.compare(body.password, account.password_hash);
+        if (!validPassword || !await checkMfaCode(account, body)) {
+            sendError(res, 401, 'Your password or code is not valid', { code: 'invalid_code' });
+            return;
+        }
+        
+        await db.run(`
+            UPDATE users 
+            SET mfa_enabled = FALSE, mfa_secret = NULL, mfa_last_counter = NULL, mfa_enabled_at = NULL,
+                mfa_required_for_downloads = FALSE, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [user.userId]);
+        await db.run('DELETE FROM mfa_recovery_codes WHERE user_id = ?', [user.userId]);
+        
+        res.writeHead(200);
+        res.end(JSON.stringify({ message: 'Two-step verification is off' }));
+    } catch (error) {
+        console.error('MFA disable error:', error);
+        sendError(res, 500, 'Database error');
+    }
+}
+
+async function handleRegenerateRecoveryCodes(res, user, body) {
+    try {
+        const account = await db.get('SELECT * FROM users WHERE id = ?', [user.userId]);
+        if (!account.mfa_enabled) {
+            sendError(res, 400, 'Two-step verification is not turned on');
+            return;
+        }
+        
+        if (await checkMfaCode(account, { code: body.code }) !== 'totp') {
+            sendError(res, 401, 'That code is not valid', { code: 'invalid_code' });
+            return;
+        }
+        
+        const recoveryCodes = await generateRecoveryCodes(user.userId);
+        
+        res.writeHead(200);
+        res.end(JSON.stringify({ message: 'New recovery codes created. Your old codes no longer work.', recoveryCodes }));
+    } catch (error) {
+        console.error('Recovery codes error:', error);
+        sendError(res, 500, 'Database error');
+    }
+}
+
+async function handleUpdateMfaSettings(res, user, body) {
+    try {
+        const account = await db.get('SELECT mfa_enabled FROM users WHERE id = ?', [user.userId]);
+        if (!account.mfa_enabled) {
+            sendError(res, 400, 'Turn on two-step verification first');
+            return;
+        }
+        
+        await db.run(`
+            UPDATE users SET mfa_required_for_downloads = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+        `, [body.requireForDownloads, user.userId]);
+        
+        res.writeHead(200);
+        res.end(JSON.stringify({ message: 'Two-step verification settings updated', requireForDownloads: body.requireForDownloads }));
+    } catch (error) {
+        console.error('MFA settings error:', error);
+        sendError(res, 500, 'Database error');
+    }
+}
+
+async function handleMfaStepUp(res, user, body) {
+    try {
+        const account = await db.get('SELECT * FROM users WHERE id = ?', [user.userId]);
+        if (!account.mfa_enabled) {
+            sendError(res, 400, 'Two-step verification is not turned on');
+            return;
+        }
+        
+        if (!await checkMfaCode(account, body)) {
+            sendError(res, 401, 'That code is not valid', { code: 'invalid_code' });
+            return;
+        }
+        
+        await db.run('UPDATE user_sessions SET mfa_verified_at = CURRENT_TIMESTAMP WHERE id = ?', [user.sessionId]);
+        
+        res.writeHead(200);
+        res.end(JSON.stringify({ message: 'Code accepted', validForMinutes: MFA_STEP_UP_MINUTES }));
+    } catch (error) {
+        console.error('MFA step-up error:', error);
+        sendError(res, 500, 'Database error');
+    }
+}
+
+async function handleRefreshSession(req, res) {
+    if (!db) {
+        sendError(res, 500, 'Database not available');
+        return;
+    }
+    
+    const refreshToken = readCookie(req, REFRESH_COOKIE);
+    if (!refreshToken) {
+        sendError(res, 401, 'Invalid refresh token');
+        return;
+    }
+    
+    try {
+        const tokenHash = hashToken(refreshToken);
+        const session = await db.get(`
+            SELECT s.*, u.email 
+            FROM user_sessions s 
+            JOIN users u ON s.user_id = u.id 
+            WHERE s.session_token = ?
+        `, [tokenHash]);
+        const now = new Date();
+        
+        if (!session) {
+            const replaced = await db.get(`
+                SELECT s.*, u.email 
+                FROM user_sessions s 
+                JOIN users u ON s.user_id = u.id 
+                WHERE s.previous_token = ? AND s.revoked_at IS NULL
+            `, [tokenHash]);
+            
+            // Another tab refreshed first and the browser already holds its
+            // new cookie, so this one only needs an access token
+            const graceStart = toSqlTimestamp(new Date(now.getTime() - REFRESH_GRACE_SECONDS * 1000));
+            if (replaced && replaced.last_used_at > graceStart && replaced.expires_at > toSqlTimestamp(now)) {
+                res.writeHead(200);
+                res.end(JSON.stringify(issueTokens(res, { id: replaced.user_id, email: replaced.email }, replaced.id)));
+                return;
+            }
+            
+            // Otherwise a refresh token that was already rotated away is being
+            // replayed, so assume it leaked and end the session it belonged to
+            if (replaced) {
+                await db.run(`
+                    UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP 
+                    WHERE id = ? AND revoked_at IS NULL
+                `, [replaced.id]);
+                console.warn('Refresh token reuse detected; session revoked');
+            }
+            
+            res.setHeader('Set-Cookie', refreshCookie(null));
+            sendError(res, 401, 'Invalid refresh token');
+            return;
+        }
+        
+        if (session.revoked_at || session.expires_at <= toSqlTimestamp(now)) {
+            res.setHeader('Set-Cookie', refreshCookie(null));
+            sendError(res, 401, 'Session has ended, please sign in again');
+            return;
+        }
+        
+        // Rotate: the presented token stops working as soon as this succeeds
+        const nextRefreshToken = crypto.randomBytes(32).toString('base64url');
+        const rotated = await db.run(`
+            UPDATE user_sessions 
+            SET session_token = ?, previous_token = ?, expires_at = ?, last_used_at = CURRENT_TIMESTAMP,
+                ip_address = ?, user_agent = ?
+            WHERE id = ? AND session_token = ?
+        `, [hashToken(nextRefreshToken), tokenHash, 
+            toSqlTimestamp(new Date(now.getTime() + REFRESH_TOKEN_DAYS * 86400000)),
+            getClientIp(req), req.headers['user-agent'] || null, session.id, tokenHash]);
+        
+        // Lost a race with a concurrent refresh of the same token
+        if (rotated.changes === 0) {
+            sendError(res, 401, 'Invalid refresh token');
+            return;
+        }
+        
+        res.writeHead(200);
+        res.end(JSON.stringify(issueTokens(res, { id: session.user_id, email: session.email }, session.id, nextRefreshToken)));
+    } catch (error) {
+        console.error('Refresh session error:', error);
+        sendError(res, 500, 'Database error');
+    }
+}
+
+async function handleLogout(res, user) {
+    try {
+        await db.run(`
+            UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP 
+            WHERE id = ? AND user_id = ? AND revoked_at IS NULL
+        `, [user.sessionId, user.userId]);
+        
+        res.setHeader('Set-Cookie', refreshCookie(null));
+        res.writeHead(200);
+        res.end(JSON.stringify({ message: 'Signed out' }));
+    } catch (error) {
+        console.error('Logout error:', error);
+        sendError(res, 500, 'Database error');
+    }
+}
+
+async function handleLogoutAll(res, user) {
+    try {
+        const result = await db.run(`
+            UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP 
+            WHERE user_id = ? AND revoked_at IS NULL
+        `, [user.userId]);
+        
+        res.setHeader('Set-Cookie', refreshCookie(null));
+        res.writeHead(200);
+        res.end(JSON.stringify({ message: 'Signed out of all devices', sessionsRevoked: result.changes }));
+    } catch (error) {
+        console.error('Logout all error:', error);
+        sendError(res, 500, 'Database error');
+    }
+}
+
+async function handleGetSessions(res, user) {
+    try {
+        const sessions = await db.all(`
+            SELECT id, ip_address, user_agent, created_at, last_used_at, expires_at 
+            FROM user_sessions 
+            WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+            ORDER BY last_used_at DESC
+        `, [user.userId, toSqlTimestamp(new Date())]);
+        
+        res.writeHead(200);
+        res.end(JSON.stringify({
+            sessions: sessions.map(session => ({ ...session, current: session.id === user.sessionId }))
+        }));
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        sendError(res, 500, 'Database error');
+    }
+}
+
+async function handleRevokeSession(res, user, sessionId) {
+    try {
+        const result = await db.run(`
+            UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP 
+            WHERE id = ? AND user_id = ? AND revoked_at IS NULL
+        `, [sessionId, user.userId]);
+        
+        if (result.changes === 0) {
+            sendError(res, 404, 'Session not found');
+            return;
+        }
+        
+        res.writeHead(200);
+        res.end(JSON.stringify({ message: 'Session signed out' }));
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        sendError(res, 500, 'Database error');
+    }
+}
+
+async function handleGetProfile(res, user) {
+    if (!db) {
+        sendError(res, 500, 'Database not available');
+        return;
+    }
+    
+    try {
+        const userRecord = await db.get(`
+            SELECT id, email, first_name, last_name, phone, city, state, email_verified, emergency_waiting_period_hours 
+            FROM users WHERE id = ?
+        `, [user.userId]);
+        
+        if (!userRecord) {
+            sendError(res, 404, 'User not found');
+            return;
+        }
+        
+        res.writeHead(200);
+        res.end(JSON.stringify({ user: { ...userRecord, email_verified: Boolean(userRecord.email_verified) } }));
+    } catch (error) {
+        sendError(res, 500, 'Database error');
+    }
+}
+
+async function handleGetDocuments(res, user) {
+    if (!db) {
+        sendError(res, 500, 'Database not available');
+        return;
+    }
+    
+    try {
+        const documents = await db.all(`
+            SELECT d.*, dc.name as category_name, o.status as ocr_status, t.status as thumbnail_status 
+            FROM documents d 
+            LEFT JOIN document_categories dc ON d.category_id = dc.id 
+            LEFT JOIN document_ocr o ON o.document_id = d.id 
+            LEFT JOIN document_thumbnails t ON t.document_id = d.id 
+            WHERE d.user_id = ? AND d.is_active = TRUE 
+            ORDER BY d.upload_date DESC
+        `, [user.userId]);
+        
+        res.writeHead(200);
+        res.end(JSON.stringify({ documents: documents.map(withoutDataKey) }));
+    } catch (error) {
+        sendError(res, 500, 'Database error');
+    }
+}
+
+/**
+ * Drop the wrapped data key from a document row before it is sent anywhere
+ */
+function withoutDataKey(document) {
+    const { encrypted_data_key: encryptedDataKey, master_key_id: masterKeyId, ...rest } = document;
+    return rest;
+}
+
+/**
+ * Fetch a single document together with its category name
+ */
+async function getDocumentWithCategory(documentId) {
+    const document = await db.get(`
+        SELECT d.*, dc.name as category_name, o.status as ocr_status, t.status as thumbnail_status 
+        FROM documents d 
+        LEFT JOIN document_categories dc ON d.category_id = dc.id 
+        LEFT JOIN document_ocr o ON o.document_id = d.id 
+        LEFT JOIN document_thumbnails t ON t.document_id = d.id 
+        WHERE d.id = ?
+    `, [documentId]);
+    return document && withoutDataKey(document);
+}
+
+/**
+ * Index a document's new current version for search, in place of the
+ * version it replaced. Its title, description and notes are searchable
+ * straight away; the text of the file is read by an 'extract_text' job.
+ * Photos and PDFs also get a 'thumbnail' job for their preview image (see
+ * ./thumbnails). The server cannot read end-to-end encrypted files, so they
+ * get no jobs. A failure is logged rather than failing the upload.
+ */
+async function indexNewVersion(documentId, replacedId = null) {
+    try {
+        const document = await db.get('SELECT * FROM documents WHERE id = ?', [documentId]);
+        const searchIndex = getSearchIndex(db);
+        if (replacedId) await searchIndex.remove(replacedId);
+        await searchIndex.index(document, null);
+        
+        if (!document.is_encrypted && (TEXT_FILE_TYPES.includes(document.file_type) || needsOcr(document, null))) {
+            await enqueueJob(db, 'extract_text', { documentId });
+        }
+        await queueThumbnail(db, document);
+    } catch (error) {
+        console.error('Search index error:', error);
+    }
+}
+
+/**
+ * Add the text of a document's file to its search entry, and queue photos
+ * and scanned PDFs to have their text read (see ./ocr)
+ */
+async function extractDocumentText(documentId) {
+    const document = await db.get('SELECT * FROM documents WHERE id = ?', [documentId]);
+    
+    // A newer version may have replaced it while the job waited
+    if (!document || !document.is_active) return;
+    
+    const content = TEXT_FILE_TYPES.includes(document.file_type)
+        ? extractText(await readFile(document.file_path, storedFileEnvelope(document)), document.file_type)
+        : null;
+    await getSearchIndex(db).index(document, content);
+    await queueOcr(db, document, content);
+}
+
+/**
+ * Find the current (active) version of the chain a document belongs to
+ * Any version id in the chain can be passed in
+ */
+function getCurrentVersion(documentId, userId) {
+    return db.get(`
+        SELECT * FROM documents 
+        WHERE user_id = ? AND is_active = TRUE 
+        AND COALESCE(original_document_id, id) = (
+            SELECT COALESCE(original_document_id, id) FROM documents WHERE id = ?
+        )
+    `, [userId, documentId]);
+}
+
+/**
+ * Resolve the metadata fields sent alongside an upload
+ * Fields have already passed schemas.documentFields; missing ones fall back
+ * to `defaults` (the current version when replacing)
+ * Returns { error } or the cleaned values
+ */
+async function resolveDocumentFields(fields, defaults) {
+    const title = (fields.title || '').trim() || defaults.title;
+    const documentType = fields.documentType || defaults.documentType;
+    const categoryId = fields.categoryId ? parseInt(fields.categoryId, 10) : defaults.categoryId;
+    
+    if (categoryId !== null) {
+        const category = await db.get('SELECT id FROM document_categories WHERE id = ?', [categoryId]);
+        if (!category) {
+            return { error: 'Unknown category' };
+        }
+    }
+    
+    return {
+        title,
+        documentType,
+        categoryId,
+        description: fields.description || defaults.description || null,
+        userNotes: fields.userNotes || defaults.userNotes || null
+    };
+}
+
+/**
+ * Receive a multipart upload and validate its metadata
+ * Sends the error response (and removes the stored file) when anything is
+ * wrong; resolves with { fields, file, metadata } or null in that case
+ */
+async function receiveValidatedUpload(req, res, user, defaults) {
+    let upload;
+    try {
+        upload = await receiveDocumentUpload(req, user.userId);
+    } catch (error) {
+        sendError(res, error.statusCode || 500, error.statusCode ? error.message : 'Upload failed');
+        return null;
+    }
+    
+    const { fields, file } = upload;
+    
+    // Form fields left blank count as not sent
+    const sent = Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== ''));
+    const problems = validate(schemas.documentFields, sent);
+    if (problems.length > 0) {
+        await getStorage().remove(file.key);
+        sendValidationError(res, problems);
+        return null;
+    }
+    
+    const metadata = await resolveDocumentFields(sent, {
+        title: file.fileName,
+        documentType: 'other',
+        categoryId: null,
+        ...defaults
+    });
+    
+    if (metadata.error) {
+        await getStorage().remove(file.key);
+        sendError(res, 400, metadata.error, { fields: [{ field: 'categoryId', message: metadata.error }] });
+        return null;
+    }
+    
+    return { fields, file, metadata };
+}
+
+async function handleUploadDocument(req, res, user) {
+    if (!db) {
+        sendError(res, 500, 'Database not available');
+        return;
+    }
+    
+    let upload = null;
+    try {
+        upload = await receiveValidatedUpload(req, res, user, {});
+        if (!upload) return;
+        
+        const { fields, file, metadata } = upload;
+        const encryption = await validateEncryptionFields(fields, user, false);
+        if (encryption.error) {
+            await getStorage().remove(file.key);
+            sendError(res, 400, encryption.error);
+            return;
+        }
+        
+        const documentId = await db.transaction(async (tx) => {
+            const result = await tx.run(`
+                INSERT INTO documents (user_id, category_id, title, description, document_type,
+                                       file_path, file_name, file_size, file_type, user_notes, is_encrypted,
+                                       encrypted_data_key, master_key_id)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [user.userId, metadata.categoryId, metadata.title, metadata.description, metadata.documentType,
+                file.key, file.fileName, file.size, file.fileType, metadata.userNotes, encryption.isEncrypted,
+                file.encryptedKey, file.keyId]);
+            if (encryption.wrappedKey) {
+                await storeOwnerKey(tx, result.lastID, user.userId, encryption.wrappedKey);
+            }
+            return result.lastID;
+        });
+        
+        await indexNewVersion(documentId);
+        const document = await getDocumentWithCategory(documentId);
+        await recordAudit(req, user.userId, user, 'uploaded', {
+            documentId, details: { title: document.title, fileName: document.file_name }
+        });
+        
+        res.writeHead(201);
+        res.end(JSON.stringify({ message: 'Document uploaded successfully', document }));
+    } catch (error) {
+        console.error('Upload error:', error);
+        if (upload) {
+            await getStorage().remove(upload.file.key).catch(() => {});
+        }
+        sendError(res, 500, 'Database error');
+    }
+}
+
+async function handleSearchDocuments(res, user, query) {
+    if (!db) {
+        sendError(res, 500, 'Database not available');
+        return;
+    }
+    
+    const terms = searchTerms(query.q);
+    if (terms.length === 0) {
+        const message = 'Search must contain a word or number';
+        sendError(res, 400, message, { fields: [{ field: 'q', message }] });
+        return;
+    }
+    
+    const limit = Math.min(parseInt(query.limit, 10) || SEARCH_PAGE_SIZE, SEARCH_MAX_RESULTS);
+    
+    try {
+        const matches = await getSearchIndex(db).search(user.userId, terms, { limit });
+        const ids = matches.map(match => match.document_id);
+        const documents = ids.length === 0 ? [] : await db.all(`
+            SELECT d.*, dc.name as category_name, o.status as ocr_status, t.status as thumbnail_status 
+            FROM documents d 
+            LEFT JOIN document_categories dc ON d.category_id = dc.id 
+            LEFT JOIN document_ocr o ON o.document_id = d.id 
+            LEFT JOIN document_thumbnails t ON t.document_id = d.id 
+            WHERE d.id IN (${ids.map(() => '?').join(', ')})
+        `, ids);
+        const byId = new Map(documents.map(document => [document.id, withoutDataKey(document)]));
+        
+        res.writeHead(200);
+        res.end(JSON.stringify({
+            results: matches.filter(match => byId.has(match.document_id)).map(match => ({
+                document: byId.get(match.document_id),
+                rank: match.rank,
+                ...searchHighlights(match)
+            }))
+        }));
+    } catch (error) {
+        console.error('Search error:', error);
+        sendError(res, 500, 'Database error');
+    }
+}
+
+async function handleGetDocumentVersions(res, user, documentId) {
+    if (!db) {
+        sendError(res, 500, 'Database not available');
+        return;
+    }
+    
+    try {
+        const document = await db.get('SELECT * FROM documents WHERE id = ? AND user_id = ?', [documentId, user.userId]);
+        if (!document) {
+            sendError(res, 404, 'Document not found');
+            return;
+        }
+        
+        const versions = await db.all(`
+            SELECT d.id, d.version, d.title, d.file_name, d.file_size, d.file_type, d.upload_date,
+                   d.is_active, d.replaced_at, d.replacement_reason, d.template_id, d.template_version,
+                   u.first_name || ' ' || u.last_name as replaced_by_name
+            FROM documents d
+            LEFT JOIN users u ON d.replaced_by = u.id
+            WHERE d.user_id = ? AND COALESCE(d.original_document_id, d.id) = ?
+            ORDER BY d.version DESC
+        `, [user.userId, document.original_document_id || document.id]);
+        
+        res.writeHead(200);
+        res.end(JSON.stringify({ versions }));
+    } catch (error) {
+        console.error('Version history error:', error);
+        sendError(res, 500, 'Database error');
+    }
+}
+
+/**
+ * Add a new version to a document chain and retire the current one
+ * `source` holds the file columns and metadata for the new version, and
+ * the template that produced the file if the server generated it.
+ * Rejects with a 409 error when another save replaced `current` first.
+ */
+async function createNextVersion(current, source, user, reason) {
+    const originalId = current.original_document_id || current.id;
+    const documentId = await db.transaction(async (tx) => {
+        // Retiring the current version first claims it: of two saves at
+        // once, the second finds it already replaced
+        const retired = await tx.run(`
+            UPDATE documents 
+            SET is_active = FALSE, replaced_at = CURRENT_TIMESTAMP, replaced_by = ?, 
+                replacement_reason = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND is_active = TRUE
+        `, [user.userId, reason, current.id]);
+        if (retired.changes === 0) {
+            const error = new Error('This document was changed while you were saving. Reload it and try again.');
+            error.statusCode = 409;
+            throw error;
+        }
+        
+        const { next_version: nextVersion } = await tx.get(`
+            SELECT MAX(version) + 1 as next_version FROM documents 
+            WHERE COALESCE(original_document_id, id) = ?
+        `, [originalId]);
+        
+        const result = await tx.run(`
+            INSERT INTO documents (user_id, category_id, title, description, document_type,
+                                   file_path, file_name, file_size, file_type, user_notes,
+                                   version, original_document_id, is_encrypted, encrypted_data_key, master_key_id,
+                                   template_id, template_version)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [current.user_id, source.categoryId, source.title, source.description, source.documentType,
+            source.filePath, source.fileName, source.fileSize, source.fileType, source.userNotes,
+            nextVersion, originalId, Boolean(source.isEncrypted), source.encryptedDataKey, source.masterKeyId,
+            source.templateId || null, source.templateVersion || null]);
+        return result.lastID;
+    });
+    
+    await indexNewVersion(documentId, current.id);
+    return getDocumentWithCategory(documentId);
+}
+
+async function handleUploadDocumentVersion(req, res, user, documentId) {
+    if (!db) {
+        sendError(res, 500, 'Database not available');
+        return;
+    }
+    
+    let upload = null;
+    try {
+        const current = await getCurrentVersion(documentId, user.userId);
+        if (!current) {
+            sendError(res, 404, 'Document not found');
+            return;
+        }
+        
+        upload = await receiveValidatedUpload(req, res, user, {
+            title: current.title,
+            documentType: current.document_type,
+            categoryId: current.category_id,
+            description: current.description,
+            userNotes: current.user_notes
+        });
+        if (!upload) return;
+        
+        const { fields, file, metadata } = upload;
+        const originalId = current.original_document_id || current.id;
+        const encryption = await validateEncryptionFields(fields, user, await hasOwnerKey(originalId));
+        if (encryption.error) {
+            await getStorage().remove(file.key);
+            sendError(res, 400, encryption.error);
+            return;
+        }
+        
+        // The first encrypted version of a chain brings the content key with it
+        if (encryption.wrappedKey) {
+            await storeOwnerKey(db, originalId, user.userId, encryption.wrappedKey);
+        }
+        
+        const document = await createNextVersion(current, {
+            ...metadata,
+            filePath: file.key,
+            fileName: file.fileName,
+            fileSize: file.size,
+            fileType: file.fileType,
+            isEncrypted: encryption.isEncrypted,
+            encryptedDataKey: file.encryptedKey,
+            masterKeyId: file.keyId
+        }, user, fields.reason || null);
+        await recordAudit(req, user.userId, user, 'version_uploaded', {
+            documentId: document.id, details: { version: document.version, fileName: document.file_name }
+        });
+        
+        res.writeHead(201);
+        res.end(JSON.stringify({ message: 'New version uploaded successfully', document }));
+    } catch (error) {
+        console.error('Version upload error:', error);
+        if (upload) {
+            await getStorage().remove(upload.file.key).catch(() => {});
+        }
+        sendError(res, error.statusCode || 500, error.statusCode ? error.message : 'Database error');
+    }
+}
+
+async function handleRestoreDocumentVersion(req, res, user, documentId, versionId, body) {
+    if (!db) {
+        sendError(res, 500, 'Database not available');
+        return;
+    }
+    
+    try {
+        const current = await getCurrentVersion(documentId, user.userId);
+        const version = await db.get('SELECT * FROM documents WHERE id = ? AND user_id = ?', [versionId, user.userId]);
+        const originalId = current && (current.original_document_id || current.id);
+        
+        if (!current || !version || (version.original_document_id || version.id) !== originalId) {
+            sendError(res, 404, 'Version not found');
+            return;
+        }
+        
+        if (version.id === current.id) {
+            sendError(res, 400, 'This version is already the current version');
+            return;
+        }
+        
+        // Restoring adds a new version pointing at the old file, so the
+        // history stays linear and nothing is ever overwritten
+        const document = await createNextVersion(current, {
+            title: version.title,
+            documentType: version.document_type,
+            categoryId: version.category_id,
+            description: version.description,
+            userNotes: version.user_notes,
+            filePath: version.file_path,
+            fileName: version.file_name,
+            fileSize: version.file_size,
+            fileType: version.file_type,
+            isEncrypted: version.is_encrypted,
+            encryptedDataKey: version.encrypted_data_key,
+            masterKeyId: version.master_key_id,
+            templateId: version.template_id,
+            templateVersion: version.template_version
+        }, user, body.reason || `Restored version ${version.version}`);
+        await recordAudit(req, user.userId, user, 'version_restored', {
+            documentId: document.id, details: { restoredVersion: version.version, version: document.version }
+        });
+        
+        res.writeHead(201);
+        res.end(JSON.stringify({ message: `Version ${version.version} restored`, document }));
+    } catch (error) {
+        console.error('Version restore error:', error);
+        sendError(res, error.statusCode || 500, error.statusCode ? error.message : 'Database error');
+    }
+}
+
+/**
+ * Whether a grant from getDocumentAccess lets the user have the bytes of a
+ * document or anything made from it (searchable PDF, thumbnail), sending
+ * the 403 when not. View-only access previews a document inline but cannot
+ * download it, and accounts that ask for it need a recent two-step code.
+ */
+async function canReadFile(res, user, grant, asAttachment = false) {
+    if (asAttachment && grant.access === 'view') {
+        sendError(res, 403, 'You have view-only access to this document');
+        return false;
+    }
+    
+    if (!await hasRecentMfa(user)) {
+        sendError(res, 403, 'Enter a code from your authenticator app to open documents', {
+            code: 'mfa_required'
+        });
+        return false;
+    }
+    
+    return true;
+}
+
+/**
+ * Stream a document's file, or with searchable the PDF its text was read
+ * into (see ./ocr), to anyone who can open the document
+ */
+async function handleGetDocumentContent(req, res, user, documentId, asAttachment, searchable = false) {
+    if (!db) {
+        sendError(res, 500, 'Database not available');
+        return;
+    }
+    
+    try {
+        const document = await db.get('SELECT * FROM documents WHERE id = ?', [documentId]);
+        const grant = document ? await getDocumentAccess(document, user) : null;
+        if (!grant) {
+            sendError(res, 404, 'Document not found');
+            return;
+        }
+        if (!await canReadFile(res, user, grant, asAttachment)) return;
+        
+        let file = {
+            path: document.file_path,
+            name: document.file_name,
+            envelope: storedFileEnvelope(document),
+            contentType: document.is_encrypted
+                ? 'application/octet-stream'
+                : (ALLOWED_FILE_TYPES[document.file_type] || ['application/octet-stream'])[0]
+        };
+        if (searchable) {
+            const ocr = await db.get(`
+                SELECT * FROM document_ocr WHERE document_id = ? AND status = 'complete' AND pdf_path IS NOT NULL
+            `, [document.id]);
+            if (!ocr) {
+                sendError(res, 404, 'This document has no searchable PDF');
+                return;
+            }
+            file = {
+                path: ocr.pdf_path,
+                name: `${document.file_name.replace(/\.[^.]*$/, '')} (searchable).pdf`,
+                envelope: storedFileEnvelope(ocr),
+                contentType: 'application/pdf'
+            };
+        }
+        
+        const storage = getStorage();
+        const { size } = await storage.stat(file.path, file.envelope);
+        const range = parseRangeHeader(req.headers.range, size);
+        
+        if (range && range.unsatisfiable) {
+            sendError(res, 416, 'Requested range not satisfiable', { headers: { 'Content-Range': `bytes */${size}` } });
+            return;
+        }
+        
+        // Opening the stream unwraps the file's data key, which can fail (a
+        // missing master key, say), so it comes before any header is sent
+        const stream = await storage.createReadStream(file.path, range, file.envelope);
+        stream.on('error', (error) => {
+            console.error('Document stream error:', error);
+            res.destroy(error);
+        });
+        
+        // Only a file that could be opened counts as accessed. PDF viewers
+        // fetch large files in many range requests, so only the request that
+        // starts at byte 0 counts.
+        if (!range || range.start === 0) {
+            try {
+                await recordAudit(req, document.user_id, user, asAttachment ? 'downloaded' : 'viewed', {
+                    documentId: document.id, context: grant.context, emergencyRequestId: grant.emergencyRequestId
+                });
+                if (grant.emergencyRequestId) {
+                    await db.run(`
+                        UPDATE emergency_access_documents SET accessed_at = CURRENT_TIMESTAMP
+                        WHERE emergency_request_id = ? AND document_id = ? AND accessed_at IS NULL
+                    `, [grant.emergencyRequestId, document.original_document_id || document.id]);
+                }
+            } catch (error) {
+                stream.destroy();
+                throw error;
+            }
+        }
+        
+        const encodedName = encodeURIComponent(file.name);
+        const asciiName = file.name.replace(/[^\x20-\x7e]|"/g, '_');
+        const headers = {
+            'Content-Type': file.contentType,
+            'Content-Disposition': `${asAttachment ? 'attachment' : 'inline'}; filename="${asciiName}"; filename*=UTF-8''${encodedName}`,
+            'Accept-Ranges': 'bytes',
+            'Cache-Control': 'private, no-store',
+            // Browsers must not guess a type that runs script from the contents
+            'X-Content-Type-Options': 'nosniff'
+        };
+        
+        if (range) {
+            headers['Content-Range'] = `bytes ${range.start}-${range.end}/${size}`;
+            headers['Content-Length'] = range.end - range.start + 1;
+            res.writeHead(206, headers);
+        } else {
+            headers['Content-Length'] = size;
+            res.writeHead(200, headers);
+        }
+        stream.pipe(res);
+    } catch (error) {
+        console.error('Document content error:', error);
+        sendError(res, error.code === 'ENOENT' || error.code === 'NotFound' ? 404 : 500, 'Document file not available');
+    }
+}
+
+/**
+ * Stream a document's preview image to anyone who can open the document.
+ * Unlike the file itself it is not recorded in the audit trail: every
+ * library page shows many.
+ */
+async function handleGetDocumentThumbnail(res, user, documentId) {
+    if (!db) {
+        sendError(res, 500, 'Database not available');
+        return;
+    }
+    
+    try {
+        const document = await db.get('SELECT * FROM documents WHERE id = ?', [documentId]);
+        const grant = document ? await getDocumentAccess(document, user) : null;
+        if (!grant) {
+            sendError(res, 404, 'Document not found');
+            return;
+        }
+        if (!await canReadFile(res, user, grant)) return;
+        
+        const thumbnail = await db.get(`
+            SELECT * FROM document_thumbnails WHERE document_id = ? AND status = 'complete'
+        `, [documentId]);
+        if (!thumbnail) {
+            sendError(res, 404, 'This document has no thumbnail');
+            return;
+        }
+        
+        const storage = getStorage();
+        const envelope = storedFileEnvelope(thumbnail);
+        const { size } = await storage.stat(thumbnail.image_path, envelope);
+        
+        // Opened before the headers are sent, as for the document itself
+        const stream = await storage.createReadStream(thumbnail.image_path, null, envelope);
+        stream.on('error', (error) => {
+            console.error('Thumbnail stream error:', error);
+            res.destroy(error);
+        });
+        
+        res.writeHead(200, {
+            'Content-Type': 'image/jpeg',
+            'Content-Length': size,
+            'Cache-Control': 'private, no-store',
+            'X-Content-Type-Options': 'nosniff'
+        });
+        stream.pipe(res);
+    } catch (error) {
+        console.error('Document thumbnail error:', error);
+        sendError(res, error.code === 'ENOENT' || error.code === 'NotFound' ? 404 : 500, 'Thumbnail not available');
+    }
+}
+
+async function handleGetDocumentOcr(res, user, documentId) {
+    if (!db) {
+        sendError(res, 500, 'Database not available');
+        return;
+    }
+    
+    try {
+        const document = await db.get('SELECT id FROM documents WHERE id = ? AND user_id = ?', [documentId, user.userId]);
+        if (!document) {
+            sendError(res, 404, 'Document not found');
+            return;
+        }
+        
+        const row = await db.get('SELECT * FROM document_ocr WHERE document_id = ?', [documentId]);
+        res.writeHead(200);
+        res.end(JSON.stringify({ ocr: ocrStatus(row) }));
+    } catch (error) {
+        console.error('Get document OCR error:', error);
+        sendError(res, 500, 'Database error');
+    }
+}
+
+/**
+ * End-to-End Encryption
+ * In zero-knowledge mode the browser encrypts each document with its own
+ * content key before upload. The server only stores ciphertext and copies
+ * of that key wrapped with people's public keys, and decides which wrapped
+ * copy (if any) each person may fetch.
+ */
+
+function isBase64(value, maxLength = 16384) {
+    return typeof value === 'string' && value.length <= maxLength && BASE64_PATTERN.test(value);
+}
+
+/**
+ * Check the encryption fields sent with an upload
+ * `hasKey` says whether the document chain already has a content key.
+ * Returns { error } or { isEncrypted, wrappedKey }
+ */
+async function validateEncryptionFields(fields, user, hasKey) {
+    const isEncrypted = fields.encrypted === 'true';
+    
+    if (!isEncrypted) {
+        if (hasKey) {
+            return { error: 'This document is end-to-end encrypted, so new versions must be encrypted too' };
+        }
+        return { isEncrypted: false, wrappedKey: null };
+    }
+    
+    const account = await db.get('SELECT encryption_public_key FROM users WHERE id = ?', [user.userId]);
+    if (!account.encryption_public_key) {
+        return { error: 'Set up end-to-end encryption before uploading encrypted documents' };
+    }
+    
+    if (hasKey) {
+        return { isEncrypted: true, wrappedKey: null };
+    }
+    
+    if (!isBase64(fields.wrappedKey)) {
+        return { error: 'Encrypted uploads need the document key wrapped with your public key' };
+    }
+    
+    return { isEncrypted: true, wrappedKey: fields.wrappedKey };
+}
+
+function storeOwnerKey(queryable, documentId, ownerId, wrappedKey) {
+    return queryable.run(`
+        INSERT INTO document_keys (document_id, owner_id, user_id, key_type, wrapped_key)
+        VALUES (?, ?, ?, 'owner', ?)
+    `, [documentId, ownerId, ownerId, wrappedKey]);
+}
+
+async function hasOwnerKey(documentId) {
+    const key = await db.get(`
+        SELECT id FROM document_keys WHERE document_id = ? AND key_type = 'owner'
+    `, [documentId]);
+    return Boolean(key);
+}
+
+/**
+ * Wrapped keys an owner still has to provide
+ * Contacts who can see an encrypted document (through a share or
+ * can_access_all) need a 'share' key, and emergency contacts need an
+ * 'escrow' key for every encrypted document. Only people who have set up
+ * encryption themselves can receive one.
+ */
+async function getPendingDocumentKeys(ownerId) {
+    const recipients = `
+        FROM documents d
+        JOIN document_keys ok ON ok.document_id = d.id AND ok.key_type = 'owner'
+        JOIN trusted_contacts tc ON tc.user_id = d.user_id
+        JOIN users u ON (u.id = tc.contact_user_id OR (u.email_verified = TRUE AND LOWER(u.email) = LOWER(tc.contact_email)))
+        WHERE d.user_id = ? AND u.id <> d.user_id AND u.encryption_public_key IS NOT NULL
+    `;
+    
+    const shareKeys = await db.all(`
+        SELECT DISTINCT d.id AS document_id, d.title, u.id AS user_id, tc.contact_name,
+               u.encryption_public_key AS public_key
+        ${recipients}
+          AND (tc.can_access_all = TRUE OR EXISTS (
+                SELECT 1 FROM document_shares ds WHERE ds.trusted_contact_id = tc.id AND ds.document_id = d.id))
+          AND NOT EXISTS (
+                SELECT 1 FROM document_keys k WHERE k.document_id = d.id AND k.user_id = u.id AND k.key_type = 'share')
+    `, [ownerId]);
+    
+    const escrowKeys = await db.all(`
+        SELECT DISTINCT d.id AS document_id, d.title, u.id AS user_id, tc.contact_name,
+               u.encryption_public_key AS public_key
+        ${recipients}
+          AND tc.emergency_contact = TRUE
+          AND NOT EXISTS (
+                SELECT 1 FROM document_keys k WHERE k.document_id = d.id AND k.user_id = u.id AND k.key_type = 'escrow')
+    `, [ownerId]);
+    
+    return [
+        ...shareKeys.map(key => ({ ...key, key_type: 'share' })),
+        ...escrowKeys.map(key => ({ ...key, key_type: 'escrow' }))
+    ];
+}
+
+/**
+ * Drop wrapped keys that no share, can_access_all or emergency contact
+ * setting backs any more
+ * Someone who already fetched a key could keep it, but they can no longer
+ * download the ciphertext once their access is gone.
+ */
+async function pruneDocumentKeys(ownerId) {
+    const contactMatch = `
+        SELECT 1 FROM trusted_contacts tc
+        JOIN users u ON (u.id = tc.contact_user_id OR (u.email_verified = TRUE AND LOWER(u.email) = LOWER(tc.contact_email)))
+        WHERE tc.user_id = document_keys.owner_id AND u.id = document_keys.user_id
+    `;
+    
+    await db.run(`
+        DELETE FROM document_keys WHERE owner_id = ? AND key_type = 'share' AND NOT EXISTS (
+            ${contactMatch} AND (tc.can_access_all = TRUE OR EXISTS (
+                SELECT 1 FROM document_shares ds 
+                WHERE ds.trusted_contact_id = tc.id AND ds.document_id = document_keys.document_id)))
+    `, [ownerId]);
+    
+    await db.run(`
+        DELETE FROM document_keys WHERE owner_id = ? AND key_type = 'escrow' AND NOT EXISTS (
+            ${contactMatch} AND tc.emergency_contact = TRUE)
+    `, [ownerId]);
+}
+
+async function handleGetEncryptionKeys(res, user) {
+    try {
+        const account = await db.get(`
+            SELECT encryption_public_key, encryption_private_key, encryption_salt, encryption_iterations, 
+                   encryption_enabled_at
+            FROM users WHERE id = ?
+        `, [user.userId]);
+        
+        res.writeHead(200);
+        res.end(JSON.stringify({
+            enabled: Boolean(account.encryption_public_key),
+            publicKey: account.encryption_public_key,
+            encryptedPrivateKey: account.encryption_private_key,
+            salt: account.encryption_salt,
+            iterations: account.encryption_iterations,
+            enabledAt: account.encryption_enabled_at
+        }));
+    } catch (error) {
+        console.error('Encryption keys error:', error);
+        sendError(res, 500, 'Database error');
+    }
+}
+
+/**
+ * Store the account key pair, or re-encrypt the private key under a new
+ * passphrase. The public key can never change: existing wrapped document
+ * keys depend on it.
+ */
+async function handleSaveEncryptionKeys(res, user, body) {
+    const { publicKey, encryptedPrivateKey, salt, iterations } = body;
+    
+    try {
+        const account = await db.get('SELECT encryption_public_key, password_hash FROM users WHERE id = ?', [user.userId]);
+        if (account.encryption_public_key && account.encryption_public_key !== publicKey) {
+            sendError(res, 409, 'Encryption is already set up. Only the passphrase can be changed.');
+            return;
+        }
+        
+        // Replacing the private key locks out the real passphrase, so a
+        // stolen session alone must not be enough
+        if (account.encryption_public_key) {
+            const validPassword = body.password && await bcrypt.compare(body.password, account.password_hash);
+            if (!validPassword) {
+                sendError(res, 401, 'Your password is not valid', { code: 'invalid_code' });
+                return;
+            }
+        }
+        
+        await db.run(`
+            UPDATE users 
+            SET encryption_public_key = ?, encryption_private_key = ?, encryption_salt = ?, encryption_iterations = ?,
+                encryption_enabled_at = COALESCE(encryption_enabled_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [publicKey, encryptedPrivateKey, salt, iterations, user.userId]);
+        
+        res.writeHead(200);
+        res.end(JSON.stringify({ 
+            message: account.encryption_public_key ? 'Encryption passphrase changed' : 'End-to-end encryption is set up' 
+        }));
+    } catch (error) {
+        console.error('Save encryption keys error:', error);
+        sendError(res, 500, 'Database error');
+    }
+}
+
+async function handleGetPendingDocumentKeys(res, user) {
+    try {
+        const keys = await getPendingDocumentKeys(user.userId);
+        
+        res.writeHead(200);
+        res.end(JSON.stringify({
+            keys: keys.map(key => ({
+                documentId: key.document_id,
+                title: key.title,
+                userId: key.user_id,
+                contactName: key.contact_name,
+                keyType: key.key_type,
+                publicKey: key.public_key
+            }))
+        }));
+    } catch (error) {
+        console.error('Pending document keys error:', error);
+        sendError(res, 500, 'Database error');
+    }
+}
+
+/**
+ * Store wrapped keys for contacts
+ * Only keys that getPendingDocumentKeys asked for are accepted, so an owner
+ * cannot plant keys for people with no access
+ */
+async function handleSaveDocumentKeys(req, res, user, body) {
+    try {
+        const pending = await getPendingDocumentKeys(user.userId);
+        const wanted = new Set(pending.map(key => `${key.document_id}:${key.user_id}:${key.key_type}`));
+        
+        const accepted = body.keys.filter(key => 
+            wanted.has(`${key.documentId}:${key.userId}:${key.keyType}`) && isBase64(key.wrappedKey));
+        if (accepted.length !== body.keys.length) {
+            sendError(res, 400, 'Some keys are not for a contact who needs one, or are not base64');
+            return;
+        }
+        
+        await db.transaction(async (tx) => {
+            for (const key of accepted) {
+                await tx.run(`
+                    INSERT INTO document_keys (document_id, owner_id, user_id, key_type, wrapped_key)
+                    VALUES (?, ?, ?, ?, ?)
+                `, [key.documentId, user.userId, key.userId, key.keyType, key.wrappedKey]);
+            }
+        });
+        
+        for (const key of accepted) {
+            await recordAudit(req, user.userId, user, 'key_granted', {
+                documentId: key.documentId, details: { userId: key.userId, keyType: key.keyType }
+            });
+        }
+        
+        res.writeHead(201);
+        res.end(JSON.stringify({ message: `Stored ${accepted.length} document key(s)`, stored: accepted.length }));
+    } catch (error) {
+        console.error('Save document keys error:', error);
+        sendError(res, 500, 'Database error');
+    }
+}
+
+/**
+ * Release the caller's wrapped copy of a document key
+ * Owners get their own copy, contacts their share copy, and emergency
+ * contacts the escrowed copy only while an approved request covers the
+ * document
+ */
+async function handleGetDocumentKey(req, res, user, documentId) {
+    try {
+        const document = await db.get('SELECT * FROM documents WHERE id = ?', [documentId]);
+        const grant = document ? await getDocumentAccess(document, user) : null;
+        if (!grant) {
+            sendError(res, 404, 'Document not found');
+            return;
+        }
+        
+        if (!document.is_encrypted) {
+            sendError(res, 400, 'This document is not end-to-end encrypted');
+            return;
+        }
+        
+        let keyTypes = ['share'];
+        if (grant.access === 'owner') keyTypes = ['owner'];
+        if (grant.context === 'emergency') keyTypes = ['escrow', 'share'];
+        
+        const keys = await db.all(`
+            SELECT key_type, wrapped_key FROM document_keys 
+            WHERE document_id = ? AND user_id = ? AND key_type IN (${keyTypes.map(() => '?').join(', ')})
+        `, [document.original_document_id || document.id, user.userId, ...keyTypes]);
+        const key = keyTypes.map(type => keys.find(candidate => candidate.key_type === type)).find(Boolean);
+        
+        if (!key) {
+            sendError(res, 409, 'The owner has not shared the key for this encrypted document with you yet', {
+                code: 'key_pending'
+            });
+            return;
+        }
+        
+        await recordAudit(req, document.user_id, user, 'key_accessed', {
+            documentId: document.id, context: grant.context, emergencyRequestId: grant.emergencyRequestId || null,
+            details: { keyType: key.key_type }
+        });
+        
+        res.writeHead(200);
+        res.end(JSON.stringify({ keyType: key.key_type, wrappedKey: key.wrapped_key }));
+    } catch (error) {
+        console.error('Document key error:', error);
+        sendError(res, 500, 'Database error');
+    }
+}
+
+async function handleGetDocumentShares(res, user, documentId) {
+    if (!db) {
+        sendError(res, 500, 'Database not available');
+        return;
+    }
+    
+    try {
+        const document = await db.get('SELECT * FROM documents WHERE id = ? AND user_id = ?', [documentId, user.userId]);
+        if (!document) {
+            sendError(res, 404, 'Document not found');
+            return;
+        }
+        
+        const shares = await db.all(`
+            SELECT ds.id, ds.trusted_contact_id, ds.access_type, ds.share_message, ds.shared_at,
+                   tc.contact_name, tc.contact_email, tc.relationship
+            FROM document_shares ds
+            JOIN trusted_contacts tc ON ds.trusted_contact_id = tc.id
+            WHERE ds.document_id = ? AND ds.user_id = ?
+            ORDER BY tc.contact_name
+        `, [document.original_document_id || document.id, user.userId]);
+        
+        res.writeHead(200);
+        res.end(JSON.stringify({ shares }));
+    } catch (error) {
+        console.error('Get shares error:', error);
+        sendError(res, 500, 'Database error');
+    }
+}
+
+async function handleShareDocument(req, res, user, documentId, body) {
+    if (!db) {
+        sendError(res, 500, 'Database not available');
+        return;
+    }
+    
+    const { trustedContactId, accessType = 'view', message } = body;
+    
+    try {
+        const document = await db.get('SELECT * FROM documents WHERE id = ? AND user_id = ?', [documentId, user.userId]);
+        if (!document) {
+            sendError(res, 404, 'Document not found');
+            return;
+        }
+        
+        const contact = await db.get('SELECT * FROM trusted_contacts WHERE id = ? AND user_id = ?', [trustedContactId, user.userId]);
+        if (!contact) {
+            sendError(res, 404, 'Trusted contact not found');
+            return;
+        }
+        
+        // Shares always point at the first version so they follow replacements.
+        // Sharing again updates the one share, even when two requests race.
+        const rootId = document.original_document_id || document.id;
+        const inserted = await db.run(`
+            INSERT INTO document_shares (document_id, user_id, trusted_contact_id, access_type, share_message, shared_by)
+            VALUES (?, ?, ?, ?, ?, ?)
+            ON CONFLICT (document_id, trusted_contact_id) DO NOTHING
+        `, [rootId, user.userId, contact.id, accessType, message || null, user.userId]);
+        const existing = !inserted.changes;
+        
+        let shareId = inserted.lastID;
+        if (existing) {
+            const share = await db.get('SELECT id FROM document_shares WHERE document_id = ? AND trusted_contact_id = ?',
+                                       [rootId, contact.id]);
+            await db.run('UPDATE document_shares SET access_type = ?, share_message = ? WHERE id = ?',
+                        [accessType, message || null, share.id]);
+            shareId = share.id;
+        }
+        
+        await recordAudit(req, user.userId, user, existing ? 'share_updated' : 'shared', {
+            documentId: document.id,
+            target: { type: 'share', id: shareId },
+            details: { contactName: contact.contact_name, contactEmail: contact.contact_email, accessType }
+        });
+        
+        const share = await db.get('SELECT * FROM document_shares WHERE id = ?', [shareId]);
+        res.writeHead(existing ? 200 : 201);
+        res.end(JSON.stringify({ message: `Document shared with ${contact.contact_name}`, share }));
+    } catch (error) {
+        console.error('Share document error:', error);
+        sendError(res, 500, 'Database error');
+    }
+}
+
+async function handleRevokeShare(req, res, user, documentId, shareId) {
+    if (!db) {
+        sendError(res, 500, 'Database not available');
+        return;
+    }
+    
+    try {
+        const document = await db.get('SELECT * FROM documents WHERE id = ? AND user_id = ?', [documentId, user.userId]);
+        const share = document
+            ? await db.get(`
+                SELECT ds.id, ds.access_type, tc.contact_name, tc.contact_email
+                FROM document_shares ds
+                JOIN trusted_contacts tc ON ds.trusted_contact_id = tc.id
+                WHERE ds.id = ? AND ds.document_id = ? AND ds.user_id = ?
+            `, [shareId, document.original_document_id || document.id, user.userId])
+            : null;
+        
+        if (!share) {
+            sendError(res, 404, 'Share not found');
+            return;
+        }
+        
+        await db.run('DELETE FROM document_shares WHERE id = ?', [share.id]);
+        await pruneDocumentKeys(user.userId);
+        await recordAudit(req, user.userId, user, 'share_revoked', {
+            documentId: document.id,
+            target: { type: 'share', id: share.id },
+            details: { contactName: share.contact_name, contactEmail: share.contact_email, accessType: share.access_type }
+        });
+        
+        res.writeHead(200);
+        res.end(JSON.stringify({ message: 'Share revoked' }));
+    } catch (error) {
+        console.error('Revoke share error:', error);
+        sendError(res, 500, 'Database error');
+    }
+}
+
+async function handleGetSharedWithMe(res, user) {
+    if (!db) {
+        sendError(res, 500, 'Database not available');
+        return;
+    }
+    
+    try {
+        const rows = await db.all(`
+            SELECT d.id, d.title, d.description, d.document_type, d.file_name, d.file_size, d.file_type,
+                   d.upload_date, d.version, d.category_id, d.is_encrypted, dc.name as category_name,
+                   t.status as thumbnail_status, u.first_name || ' ' || u.last_name as owner_name,
+                   ds.access_type, ds.share_message, ds.shared_at
+            FROM trusted_contacts tc
+            JOIN users u ON tc.user_id = u.id
+            JOIN documents d ON d.user_id = tc.user_id AND d.is_active = TRUE
+            LEFT JOIN document_shares ds ON ds.trusted_contact_id = tc.id 
+                 AND ds.document_id = COALESCE(d.original_document_id, d.id)
+            LEFT JOIN document_categories dc ON d.category_id = dc.id
+            LEFT JOIN document_thumbnails t ON t.document_id = d.id
+            WHERE (tc.contact_user_id = ? OR LOWER(tc.contact_email) = LOWER(?))
+              AND (ds.id IS NOT NULL OR tc.can_access_all = TRUE)
+            ORDER BY owner_name, d.title
+        `, [user.userId, contactEmail(user)]);
+        
+        // Documents visible through can_access_all have no share row
+        const documents = rows.map(document => ({
+            ...document,
+            access_type: document.access_type || 'view'
+        }));
+        
+        res.writeHead(200);
+        res.end(JSON.stringify({ documents }));
+    } catch (error) {
+        console.error('Shared with me error:', error);
+        sendError(res, 500, 'Database error');
+    }
+}
+
+/**
+ * The owner's audit trail, newest first
+ * Filters combine (see auditConditions). Pass nextBefore back as ?before=
+ * for the next page.
+ */
+async function handleGetAuditLog(res, user, query) {
+    if (!db) {
+        sendError(res, 500, 'Database not available');
+        return;
+    }
+    
+    const { conditions, params } = auditConditions(user.userId, query);
+    if (query.before) {
+        conditions.push('al.sequence < ?');
+        params.push(parseInt(query.before, 10));
+    }
+    
+    const limit = Math.min(parseInt(query.limit, 10) || AUDIT_PAGE_SIZE, AUDIT_MAX_PAGE_SIZE);
+    
+    try {
+        const rows = await db.all(`
+            SELECT ${AUDIT_ENTRY_COLUMNS}
+            FROM access_logs al
+            LEFT JOIN documents d ON al.document_id = d.id
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY al.sequence DESC
+            LIMIT ?
+        `, [...params, limit + 1]);
+        
+        const entries = rows.slice(0, limit).map(parseAuditDetails);
+        
+        res.writeHead(200);
+        res.end(JSON.stringify({
+            entries,
+            nextBefore: rows.length > limit ? entries[entries.length - 1].sequence : null
+        }));
+    } catch (error) {
+        console.error('Get audit log error:', error);
+        sendError(res, 500, 'Database error');
+    }
+}
+
+// Columns of an audit entry as the API returns it (al = access_logs, d = documents)
+const AUDIT_ENTRY_COLUMNS = `
+    al.id, al.sequence, al.action, al.access_context, al.document_id,
+    d.title as document_title, d.version as document_version,
+    al.accessed_by_user_id, al.accessed_by_email, al.accessed_by_name,
+    al.target_type, al.target_id, al.emergency_request_id, al.details,
+    al.ip_address, al.user_agent, al.created_at, al.entry_hash
+`;
+
+const parseAuditDetails = (row) => ({ ...row, details: row.details ? JSON.parse(row.details) : null });
+
+/**
+ * WHERE conditions for the audit filters: documentId matches every version
+ * of that document, actor is an email address, from/to are inclusive UTC dates
+ */
+function auditConditions(ownerId, query) {
+    const conditions = ['al.user_id = ?'];
+    const params = [ownerId];
+    
+    if (query.documentId) {
+        conditions.push(`al.document_id IN (
+            SELECT id FROM documents WHERE COALESCE(original_document_id, id) =
+                (SELECT COALESCE(original_document_id, id) FROM documents WHERE id = ?)
+        )`);
+        params.push(parseInt(query.documentId, 10));
+    }
+    if (query.actor) {
+        conditions.push('LOWER(al.accessed_by_email) = LOWER(?)');
+        params.push(query.actor.trim());
+    }
+    if (query.action) {
+        conditions.push('al.action = ?');
+        params.push(query.action);
+    }
+    if (query.from) {
+        conditions.push('al.created_at >= ?');
+        params.push(`${query.from} 00:00:00`);
+    }
+    if (query.to) {
+        conditions.push('al.created_at <= ?');
+        params.push(`${query.to} 23:59:59`);
+    }
+    
+    return { conditions, params };
+}
+
+/**
+ * Recompute the owner's whole hash chain and report the first broken entry
+ */
+async function handleVerifyAuditLog(res, user) {
+    if (!db) {
+        sendError(res, 500, 'Database not available');
+        return;
+    }
+    
+    try {
+        const rows = await db.all('SELECT * FROM access_logs WHERE user_id = ? ORDER BY sequence', [user.userId]);
+        
+        res.writeHead(200);
+        res.end(JSON.stringify(verifyAuditChain(rows)));
+    } catch (error) {
+        console.error('Verify audit log error:', error);
+        sendError(res, 500, 'Database error');
+    }
+}
+
+/**
+ * Emergency requests for an audit export: all of the owner's, or those
+ * covering one document, within the same person and date filters
+ */
+function getAuditedEmergencyRequests(ownerId, rootDocumentId, query) {
+    const conditions = ['user_id = ?'];
+    const params = [ownerId];
+    
+    if (rootDocumentId) {
+        conditions.push('id IN (SELECT emergency_request_id FROM emergency_access_documents WHERE document_id = ?)');
+        params.push(rootDocumentId);
+    }
+    if (query.actor) {
+        conditions.push('LOWER(requested_by_email) = LOWER(?)');
+        params.push(query.actor.trim());
+    }
+    if (query.from) {
+        conditions.push('requested_at >= ?');
+        params.push(`${query.from} 00:00:00`);
+    }
+    if (query.to) {
+        conditions.push('requested_at <= ?');
+        params.push(`${query.to} 23:59:59`);
+    }
+    
+    return db.all(`SELECT * FROM emergency_access_requests WHERE ${conditions.join(' AND ')} ORDER BY id`, params);
+}
+
+/**
+ * Download the audit trail, or one document's part of it, as CSV or as a
+ * PDF report. Both carry the CSV's SHA-256, a signature over it and the
+ * signing key's id (see ./audit/export) in X-Export-SHA256,
+ * X-Export-Signature and X-Export-Key-Id.
+ */
+async function handleExportAuditLog(req, res, user, query) {
+    if (!db) {
+        sendError(res, 500, 'Database not available');
+        return;
+    }
+    
+    try {
+        let document = null;
+        if (query.documentId) {
+            document = await db.get('SELECT * FROM documents WHERE id = ? AND user_id = ?',
+                                   [parseInt(query.documentId, 10), user.userId]);
+            if (!document) {
+                sendError(res, 404, 'Document not found');
+                return;
+            }
+        }
+        
+        const { conditions, params } = auditConditions(user.userId, query);
+        const entries = (await db.all(`
+            SELECT ${AUDIT_ENTRY_COLUMNS}
+            FROM access_logs al
+            LEFT JOIN documents d ON al.document_id = d.id
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY al.sequence
+        `, params)).map(parseAuditDetails);
+        
+        // An action filter asks for one kind of entry, which requests are not
+        const requests = query.action
+            ? []
+            : await getAuditedEmergencyRequests(user.userId, document && (document.original_document_id || document.id), query);
+        
+        const chainRows = await db.all('SELECT * FROM access_logs WHERE user_id = ? ORDER BY sequence', [user.userId]);
+        const chain = {
+            ...verifyAuditChain(chainRows),
+            headHash: chainRows.length > 0 ? chainRows[chainRows.length - 1].entry_hash : null
+        };
+        
+        const format = query.format || 'csv';
+        const csv = auditCsv(entries, requests);
+        const sha256 = crypto.createHash('sha256').update(csv).digest('hex');
+        const keyId = exportKeyId(EXPORT_SIGNING_SECRET);
+        const signature = signExport(sha256, EXPORT_SIGNING_SECRET);
+        const generatedAt = new Date();
+        const baseName = `aerial-nest-access-history${document ? `-document-${document.id}` : ''}` +
+            `-${generatedAt.toISOString().slice(0, 10)}`;
+        const fileName = `${baseName}.${format}`;
+        
+        const content = format === 'pdf'
+            ? renderAuditReport({
+                owner: await db.get('SELECT email, first_name, last_name FROM users WHERE id = ?', [user.userId]),
+                document, entries, requests, chain, csv, csvName: `${baseName}.csv`, sha256, keyId, signature, generatedAt
+            })
+            : Buffer.from(csv, 'utf8');
+        
+        await recordAudit(req, user.userId, user, 'audit_exported', {
+            documentId: document ? document.id : null,
+            details: { format, entries: entries.length, requests: requests.length, sha256, keyId }
+        });
+        
+        res.writeHead(200, {
+            'Content-Type': format === 'pdf' ? 'application/pdf' : 'text/csv; charset=utf-8',
+            'Content-Length': content.length,
+            'Content-Disposition': `attachment; filename="${fileName}"`,
+            'X-Export-SHA256': sha256,
+            'X-Export-Signature': signature,
+            'X-Export-Key-Id': keyId
+        });
+        res.end(content);
+    } catch (error) {
+        console.error('Export audit log error:', error);
+        sendError(res, 500, 'Database error');
+    }
+}
+
+/**
+ * Confirm that this server signed an export's hash; needs no account, so
+ * whoever receives a report (a court, an executor) can check it
+ */
+function handleVerifyAuditExport(res, body) {
+    res.writeHead(200);
+    res.end(JSON.stringify({ valid: verifyExportSignature(body.sha256, body.signature, body.keyId, EXPORT_VERIFY_SECRETS) }));
+}
+
+async function handleGetTrustedContacts(res, user) {
+    if (!db) {
+        sendError(res, 500, 'Database not available');
+        return;
+    }
+    
+    try {
+        const contacts = await db.all('SELECT * FROM trusted_contacts WHERE user_id = ? ORDER BY contact_name', 
+                                      [user.userId]);
+        
+        res.writeHead(200);
+        res.end(JSON.stringify({ contacts }));
+    } catch (error) {
+        sendError(res, 500, 'Database error');
+    }
+}
+
+/**
+ * Map a validated trusted contact body to column values
+ * Only the fields present are included, so updates touch only what was sent
+ */
+function contactColumns(body) {
+    const values = {};
+    const has = (field) => body[field] !== undefined;
+    const optional = (value) => (value ? value.trim() : null);
+    
+    if (has('name')) values.contact_name = body.name.trim();
+    if (has('email')) values.contact_email = body.email.trim().toLowerCase();
+    if (has('phone')) values.contact_phone = optional(body.phone);
+    if (has('relationship')) values.relationship = optional(body.relationship);
+    if (has('notes')) values.notes = body.notes || null;
+    if (has('emergencyContact')) values.emergency_contact = body.emergencyContact;
+    if (has('emergencyAccessType')) values.emergency_access_type = body.emergencyAccessType;
+    if (has('canAccessAll')) values.can_access_all = body.canAccessAll;
+    
+    return values;
+}
+
+/**
+ * Email a signed invitation link to a trusted contact
+ */
+async function sendContactInvitation(contact, owner) {
+    const token = jwt.sign(
+        { purpose: 'contact_invitation', contactId: contact.id, email: contact.contact_email },
+        JWT_SECRET,
+        { expiresIn: INVITATION_EXPIRES_IN }
+    );
+    const link = `${APP_URL}/?invite=${encodeURIComponent(token)}`;
+    
+    await queueEmail({
+        to: contact.contact_email,
+        subject: `${owner.first_name} ${owner.last_name} added you as a trusted contact on Aerial Nest`,
+        text: [
+            `Hello ${contact.contact_name},`,
+            '',
+            `${owner.first_name} ${owner.last_name} has named you as a trusted contact on Aerial Nest,`,
+            'where they keep their important end-of-life documents.',
+            '',
+            'Create your account (or sign in) using the link below so they can share documents with you:',
+            link,
+            '',
+            'This link expires in 14 days.'
+        ].join('\n')
+    });
+    
+    await db.run('UPDATE trusted_contacts SET invitation_sent_at = CURRENT_TIMESTAMP WHERE id = ?', [contact.id]);
+}
+
+/**
+ * Verify an invitation token and load the contact it belongs to
+ * Returns null when the token is invalid, expired or already used
+ */
+async function getInvitationContact(token) {
+    let payload;
+    try {
+        payload = jwt.verify(token, JWT_SECRET);
+    } catch (error) {
+        return null;
+    }
+    
+    if (payload.purpose !== 'contact_invitation') {
+        return null;
+    }
+    
+    const contact = await db.get(`
+        SELECT tc.*, u.first_name as owner_first_name, u.last_name as owner_last_name
+        FROM trusted_contacts tc
+        JOIN users u ON tc.user_id = u.id
+        WHERE tc.id = ?
+    `, [payload.contactId]);
+    
+    // The owner may have changed the contact's email since the link was sent
+    if (!contact || contact.contact_email !== payload.email || contact.invitation_accepted_at) {
+        return null;
+    }
+    return contact;
+}
+
+async function handleCreateTrustedContact(req, res, user, body) {
+    if (!db) {
+        sendError(res, 500, 'Database not available');
+        return;
+    }
+    
+    const values = contactColumns(body);
+    
+    try {
+        if (values.contact_email === user.email.toLowerCase()) {
+            sendError(res, 400, 'You cannot add yourself as a trusted contact');
+            return;
+        }
+        
+        const existing = await db.get('SELECT id FROM trusted_contacts WHERE user_id = ? AND contact_email = ?',
+                                     [user.userId, values.contact_email]);
+        if (existing) {
+            sendError(res, 409, 'A trusted contact with this email already exists');
+            return;
+        }
+        
+        const columns = ['user_id', ...Object.keys(values)];
+        const result = await db.run(`
+            INSERT INTO trusted_contacts (${columns.join(', ')})
+            VALUES (${columns.map(() => '?').join(', ')})
+        `, [user.userId, ...Object.values(values)]);
+        
+        let contact = await db.get('SELECT * FROM trusted_contacts WHERE id = ?', [result.lastID]);
+        await recordAudit(req, user.userId, user, 'contact_added', {
+            target: { type: 'contact', id: contact.id },
+            details: { contactName: contact.contact_name, contactEmail: contact.contact_email,
+                       emergencyContact: Boolean(contact.emergency_contact) }
+        });
+        
+        // Invitations go out by default; the owner can opt out and send one later
+        if (body.sendInvitation !== false) {
+            const owner = await db.get('SELECT first_name, last_name FROM users WHERE id = ?', [user.userId]);
+            await sendContactInvitation(contact, owner);
+            await recordAudit(req, user.userId, user, 'contact_invited', {
+                target: { type: 'contact', id: contact.id }, details: { contactName: contact.contact_name, contactEmail: contact.contact_email }
+            });
+            contact = await db.get('SELECT * FROM trusted_contacts WHERE id = ?', [result.lastID]);
+        }
+        
+        res.writeHead(201);
+        res.end(JSON.stringify({ message: 'Trusted contact added', contact }));
+    } catch (error) {
+        console.error('Create contact error:', error);
+        sendError(res, 500, 'Database error');
+    }
+}
+
+async function handleUpdateTrustedContact(req, res, user, contactId, body) {
+    if (!db) {
+        sendError(res, 500, 'Database not available');
+        return;
+    }
+    
+    const values = contactColumns(body);
+    
+    try {
+        const contact = await db.get('SELECT * FROM trusted_contacts WHERE id = ? AND user_id = ?', [contactId, user.userId]);
+        if (!contact) {
+            sendError(res, 404, 'Trusted contact not found');
+            return;
+        }
+        
+        if (values.contact_email && values.contact_email !== contact.contact_email) {
+            const existing = await db.get('SELECT id FROM trusted_contacts WHERE user_id = ? AND contact_email = ?',
+                                         [user.userId, values.contact_email]);
+            if (existing) {
+                sendError(res, 409, 'A trusted contact with this email already exists');
+                return;
+            }
+            
+            // A new address means a new person may receive the link, so the
+            // previous account link and invitation no longer apply
+            values.contact_user_id = null;
+            values.invitation_sent_at = null;
+            values.invitation_accepted_at = null;
+        }
+        
+        const columns = Object.keys(values);
+        if (columns.length > 0) {
+            await db.run(`
+                UPDATE trusted_contacts 
+                SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [...Object.values(values), contactId]);
+            await pruneDocumentKeys(user.userId);
+        }
+        
+        const updated = await db.get('SELECT * FROM trusted_contacts WHERE id = ?', [contactId]);
+        await recordAudit(req, user.userId, user, 'contact_updated', {
+            target: { type: 'contact', id: contactId },
+            details: { contactName: updated.contact_name, contactEmail: updated.contact_email,
+                       fields: columns }
+        });
+        res.writeHead(200);
+        res.end(JSON.stringify({ message: 'Trusted contact updated', contact: updated }));
+    } catch (error) {
+        console.error('Update contact error:', error);
+        sendError(res, 500, 'Database error');
+    }
+}
+
+async function handleDeleteTrustedContact(req, res, user, contactId) {
+    if (!db) {
+        sendError(res, 500, 'Database not available');
+        return;
+    }
+    
+    try {
+        const contact = await db.get('SELECT * FROM trusted_contacts WHERE id = ? AND user_id = ?', [contactId, user.userId]);
+        if (!contact) {
+            sendError(res, 404, 'Trusted contact not found');
+            return;
+        }
+        
+        await db.run('DELETE FROM trusted_contacts WHERE id = ?', [contact.id]);
+        await pruneDocumentKeys(user.userId);
+        await recordAudit(req, user.userId, user, 'contact_removed', {
+            target: { type: 'contact', id: contact.id }, details: { contactName: contact.contact_name, contactEmail: contact.contact_email }
+        });
+        
+        res.writeHead(200);
+        res.end(JSON.stringify({ message: 'Trusted contact removed' }));
+    } catch (error) {
+        console.error('Delete contact error:', error);
+        sendError(res, 500, 'Database error');
+    }
+}
+
+async function handleInviteTrustedContact(req, res, user, contactId) {
+    if (!db) {
+        sendError(res, 500, 'Database not available');
+        return;
+    }
+    
+    try {
+        const contact = await db.get('SELECT * FROM trusted_contacts WHERE id = ? AND user_id = ?', [contactId, user.userId]);
+        if (!contact) {
+            sendError(res, 404, 'Trusted contact not found');
+            return;
+        }
+        
+        if (contact.invitation_accepted_at) {
+            sendError(res, 400, 'This contact has already accepted their invitation');
+            return;
+        }
+        
+        const owner = await db.get('SELECT first_name, last_name FROM users WHERE id = ?', [user.userId]);
+        await sendContactInvitation(contact, owner);
+        await recordAudit(req, user.userId, user, 'contact_invited', {
+            target: { type: 'contact', id: contact.id }, details: { contactName: contact.contact_name, contactEmail: contact.contact_email }
+        });
+        
+        res.writeHead(200);
+        res.end(JSON.stringify({ message: `Invitation sent to ${contact.contact_email}` }));
+    } catch (error) {
+        console.error('Invite contact error:', error);
+        sendError(res, 500, 'Failed to send invitation');
+    }
+}
+
+async function handleGetInvitation(res, token) {
+    if (!db) {
+        sendError(res, 500, 'Database not available');
+        return;
+    }
+    
+    try {
+        const contact = await getInvitationContact(token);
+        if (!contact) {
+            sendError(res, 404, 'This invitation is invalid or has expired');
+            return;
+        }
+        
+        const existingUser = await db.get('SELECT id FROM users WHERE email = ?', [contact.contact_email]);
+        
+        res.writeHead(200);
+        res.end(JSON.stringify({
+            invitation: {
+                contactName: contact.contact_name,
+                email: contact.contact_email,
+                relationship: contact.relationship,
+                ownerName: `${contact.owner_first_name} ${contact.owner_last_name}`,
+                hasAccount: Boolean(existingUser)
+            }
+        }));
+    } catch (error) {
+        console.error('Get invitation error:', error);
+        sendError(res, 500, 'Database error');
+    }
+}
+
+async function handleAcceptInvitation(req, res, body) {
+    if (!db) {
+        sendError(res, 500, 'Database not available');
+        return;
+    }
+    
+    try {
+        const { token, password, firstName, lastName } = body;
+        const contact = token ? await getInvitationContact(token) : null;
+        if (!contact) {
+            sendError(res, 404, 'This invitation is invalid or has expired');
+            return;
+        }
+        
+        let account = await db.get('SELECT * FROM users WHERE email = ?', [contact.contact_email]);
+        
+        if (account) {
+            // Existing account: the password proves it belongs to the invitee
+            const check = await verifyPassword(req, account, password);
+            if (check.lockedFor) {
+                sendAccountLocked(res, check.lockedFor);
+                return;
+            }
+            if (!check.valid) {
+                sendError(res, 401, 'Invalid credentials');
+                return;
+            }
+        } else {
+            // A new account needs a name and a password that meets the policy
+            const problems = validate(schemas.newAccount, body);
+            if (problems.length > 0) {
+                sendValidationError(res, problems);
+                return;
+            }
+            
+            // Following the emailed link proves ownership of the address
+            const passwordHash = await bcrypt.hash(password, 10);
+            const result = await db.run(`
+                INSERT INTO users (email, password_hash, first_name, last_name, email_verified, email_verified_at)
+                VALUES (?, ?, ?, ?, TRUE, CURRENT_TIMESTAMP)
+            `, [contact.contact_email, passwordHash, firstName, lastName]);
+            account = await db.get('SELECT * FROM users WHERE id = ?', [result.lastID]);
+        }
+        
+        await db.run(`
+            UPDATE trusted_contacts 
+            SET contact_user_id = ?, invitation_accepted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [account.id, contact.id]);
+        await recordAudit(req, contact.user_id, { userId: account.id, email: account.email }, 'invitation_accepted', {
+            target: { type: 'contact', id: contact.id }, details: { contactName: contact.contact_name, contactEmail: contact.contact_email }
+        });
+        
+        // Existing accounts still have to pass their second step to sign in
+        const login = await startLogin(req, res, account);
+        if (login.mfaRequired) {
+            res.writeHead(200);
+            res.end(JSON.stringify({ message: 'Invitation accepted. Two-step verification required', ...login }));
+            return;
+        }
+        
+        res.writeHead(200);
+        res.end(JSON.stringify({
+            message: 'Invitation accepted',
+            ...login,
+            user: {
+                id: account.id,
+                email: account.email,
+                firstName: account.first_name,
+                lastName: account.last_name
+            }
+        }));
+    } catch (error) {
+        console.error('Accept invitation error:', error);
+        sendError(res, 500, 'Server error');
+    }
+}
+
+/**
+ * Emergency Access Workflow
+ * A trusted emergency contact asks for access; the owner can approve or deny,
+ * and if they stay silent for their waiting period the request approves
+ * itself (a dead-man's switch for when the owner is incapacitated).
+ */
+
+/**
+ * Auto-approve pending requests whose waiting period has passed and expire
+ * approved ones whose access window has closed
+ */
+async function processEmergencyRequests() {
+    if (!db) return;
+    
+    const now = new Date();
+    const due = await db.all(`
+        SELECT id, user_id FROM emergency_access_requests 
+        WHERE status = 'pending' AND auto_approve_at <= ?
+    `, [toSqlTimestamp(now)]);
+    
+    for (const { id, user_id: ownerId } of due) {
+        const approved = await db.transaction(async (tx) => {
+            const result = await tx.run(`
+                UPDATE emergency_access_requests 
+                SET status = 'approved', approval_type = 'auto', approved_at = ?, expires_at = ?, 
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND status = 'pending'
+            `, [toSqlTimestamp(now), toSqlTimestamp(new Date(now.getTime() + EMERGENCY_ACCESS_DAYS * 86400000)), id]);
+            if (result.changes === 0) return false;
+            
+            // With no answer from the owner, the contact gets the access the
+            // owner chose for them in advance
+            await tx.run(`
+                UPDATE emergency_access_documents SET granted_access_type = (
+                    SELECT tc.emergency_access_type FROM emergency_access_requests ear
+                    JOIN trusted_contacts tc ON ear.trusted_contact_id = tc.id
+                    WHERE ear.id = ?
+                )
+                WHERE emergency_request_id = ?
+            `, [id, id]);
+            return true;
+        });
+        
+        // Another process may have handled it first
+        if (approved) {
+            await recordAudit(null, ownerId, null, 'emergency_auto_approved', {
+                emergencyRequestId: id, target: { type: 'emergency_request', id }, context: 'emergency'
+            });
+            await notifyEmergencyDecision(id);
+        }
+    }
+    
+    const ended = await db.all(`
+        SELECT id, user_id FROM emergency_access_requests 
+        WHERE status = 'approved' AND expires_at <= ?
+    `, [toSqlTimestamp(now)]);
+    
+    for (const { id, user_id: ownerId } of ended) {
+        const result = await db.run(`
+            UPDATE emergency_access_requests SET status = 'expired', updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status = 'approved'
+        `, [id]);
+        
+        if (result.changes > 0) {
+            await recordAudit(null, ownerId, null, 'emergency_expired', {
+                emergencyRequestId: id, target: { type: 'emergency_request', id }, context: 'emergency'
+            });
+        }
+    }
+}
+
+/**
+ * Load an emergency request with the owner and contact details
+ */
+function getEmergencyRequest(requestId) {
+    return db.get(`
+        SELECT ear.*, tc.contact_user_id, tc.contact_email, tc.emergency_access_type,
+               u.email as owner_email, u.first_name || ' ' || u.last_name as owner_name
+        FROM emergency_access_requests ear
+        JOIN trusted_contacts tc ON ear.trusted_contact_id = tc.id
+        JOIN users u ON ear.user_id = u.id
+        WHERE ear.id = ?
+    `, [requestId]);
+}
+
+/**
+ * Whether the logged-in user is the trusted contact behind a request
+ */
+function isEmergencyRequester(request, user) {
+    return request.contact_user_id === user.userId ||
+        (user.emailVerified && request.contact_email.toLowerCase() === user.email.toLowerCase());
+}
+
+/**
+ * Documents covered by a request, resolved to their current versions
+ */
+function getEmergencyRequestDocuments(requestId) {
+    return db.all(`
+        SELECT d.id, d.title, d.document_type, d.file_name, d.file_size, d.file_type, d.upload_date,
+               d.version, d.category_id, d.is_encrypted, dc.name as category_name, t.status as thumbnail_status,
+               ead.granted_access_type as access_type, ead.accessed_at
+        FROM emergency_access_documents ead
+        JOIN documents d ON COALESCE(d.original_document_id, d.id) = ead.document_id AND d.is_active = TRUE
+        LEFT JOIN document_categories dc ON d.category_id = dc.id
+        LEFT JOIN document_thumbnails t ON t.document_id = d.id
+        WHERE ead.emergency_request_id = ?
+        ORDER BY d.title
+    `, [requestId]);
+}
+
+/**
+ * Tell the requester (and, for auto-approvals, the owner) how a request ended
+ */
+async function notifyEmergencyDecision(requestId) {
+    const request = await getEmergencyRequest(requestId);
+    
+    if (request.status === 'approved') {
+        await queueEmail({
+            to: request.requested_by_email,
+            subject: `Emergency access to ${request.owner_name}'s documents was approved`,
+            text: [
+                `Hello ${request.requested_by_name},`,
+                '',
+                request.approval_type === 'auto'
+                    ? `${request.owner_name} did not respond within the waiting period, so your emergency access request was approved automatically.`
+                    : `${request.owner_name} approved your emergency access request.`,
+                `You can view the documents at ${APP_URL} until ${request.expires_at} UTC.`
+            ].join('\n')
+        });
+        
+        if (request.approval_type === 'auto') {
+            await queueEmail({
+                to: request.owner_email,
+                subject: `Emergency access was granted to ${request.requested_by_name}`,
+                text: [
+                    `Hello ${request.owner_name},`,
+                    '',
+                    `${request.requested_by_name} requested emergency access on ${request.requested_at} UTC and no response was received,`,
+                    'so access was granted automatically. Every document they open is recorded in your access log.',
+                    `If this was not expected, sign in at ${APP_URL} and remove them as a trusted contact.`
+                ].join('\n')
+            });
+        }
+    } else if (request.status === 'denied') {
+        await queueEmail({
+            to: request.requested_by_email,
+            subject: `Emergency access to ${request.owner_name}'s documents was denied`,
+            text: [
+                `Hello ${request.requested_by_name},`,
+                '',
+                `${request.owner_name} denied your emergency access request.`,
+                request.denial_reason ? `Reason: ${request.denial_reason}` : ''
+            ].join('\n').trim()
+        });
+    }
+}
+
+async function handleUpdateEmergencySettings(res, user, body) {
+    if (!db) {
+        sendError(res, 500, 'Database not available');
+        return;
+    }
+    
+    const { waitingPeriodHours } = body;
+    
+    try {
+        await db.run('UPDATE users SET emergency_waiting_period_hours = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                    [waitingPeriodHours, user.userId]);
+        
+        res.writeHead(200);
+        res.end(JSON.stringify({
+            message: 'Emergency settings updated',
+            waitingPeriodHours: waitingPeriodHours || EMERGENCY_WAITING_PERIOD_HOURS
+        }));
+    } catch (error) {
+        console.error('Emergency settings error:', error);
+        sendError(res, 500, 'Database error');
+    }
+}
+
+async function handleGetEmergencyContacts(res, user) {
+    if (!db) {
+        sendError(res, 500, 'Database not available');
+        return;
+    }
+    
+    try {
+        const contacts = await db.all(`
+            SELECT tc.id as trusted_contact_id, tc.relationship,
+                   u.first_name || ' ' || u.last_name as owner_name,
+                   COALESCE(u.emergency_waiting_period_hours, ?) as waiting_period_hours
+            FROM trusted_contacts tc
+            JOIN users u ON tc.user_id = u.id
+            WHERE tc.emergency_contact = TRUE AND (tc.contact_user_id = ? OR LOWER(tc.contact_email) = LOWER(?))
+            ORDER BY owner_name
+        `, [EMERGENCY_WAITING_PERIOD_HOURS, user.userId, contactEmail(user)]);
+        
+        res.writeHead(200);
+        res.end(JSON.stringify({ contacts }));
+    } catch (error) {
+        console.error('Emergency contacts error:', error);
+        sendError(res, 500, 'Database error');
+    }
+}
+
+async function handleGetEmergencyRequests(res, user) {
+    if (!db) {
+        sendError(res, 500, 'Database not available');
+        return;
+    }
+    
+    try {
+        await processEmergencyRequests();
+        
+        const columns = `
+            ear.id, ear.requested_by_name, ear.requested_by_email, ear.request_reason, ear.emergency_type,
+            ear.requested_at, ear.status, ear.approval_type, ear.approved_at, ear.auto_approve_at,
+            ear.expires_at, ear.denial_reason, u.first_name || ' ' || u.last_name as owner_name
+        `;
+        
+        const incoming = await db.all(`
+            SELECT ${columns}
+            FROM emergency_access_requests ear
+            JOIN users u ON ear.user_id = u.id
+            WHERE ear.user_id = ?
+            ORDER BY ear.requested_at DESC
+        `, [user.userId]);
+        
+        const outgoing = await db.all(`
+            SELECT ${columns}
+            FROM emergency_access_requests ear
+            JOIN trusted_contacts tc ON ear.trusted_contact_id = tc.id
+            JOIN users u ON ear.user_id = u.id
+            WHERE tc.contact_user_id = ? OR LOWER(tc.contact_email) = LOWER(?)
+            ORDER BY ear.requested_at DESC
+        `, [user.userId, contactEmail(user)]);
+        
+        res.writeHead(200);
+        res.end(JSON.stringify({ incoming, outgoing }));
+    } catch (error) {
+        console.error('Emergency requests error:', error);
+        sendError(res, 500, 'Database error');
+    }
+}
+
+async function handleCreateEmergencyRequest(req, res, user, body) {
+    if (!db) {
+        sendError(res, 500, 'Database not available');
+        return;
+    }
+    
+    const { trustedContactId, reason, emergencyType = 'general' } = body;
+    
+    try {
+        const contact = await db.get(`
+            SELECT tc.*, u.email as owner_email, u.first_name as owner_first_name,
+                   COALESCE(u.emergency_waiting_period_hours, ?) as waiting_period_hours
+            FROM trusted_contacts tc
+            JOIN users u ON tc.user_id = u.id
+            WHERE tc.id = ? AND tc.emergency_contact = TRUE 
+              AND (tc.contact_user_id = ? OR LOWER(tc.contact_email) = LOWER(?))
+        `, [EMERGENCY_WAITING_PERIOD_HOURS, trustedContactId, user.userId, contactEmail(user)]);
+        
+        if (!contact) {
+            sendError(res, 404, 'You are not an emergency contact for this person');
+            return;
+        }
+        
+        const open = await db.get(`
+            SELECT id FROM emergency_access_requests 
+            WHERE trusted_contact_id = ? AND status IN ('pending', 'approved') AND expires_at > ?
+        `, [contact.id, toSqlTimestamp(new Date())]);
+        if (open) {
+            sendError(res, 409, 'You already have an open emergency request for this person');
+            return;
+        }
+        
+        const account = await db.get('SELECT first_name, last_name FROM users WHERE id = ?', [user.userId]);
+        const requesterName = account ? `${account.first_name} ${account.last_name}` : contact.contact_name;
+        
+        // expires_at is provisional until the request is approved
+        const now = new Date();
+        const autoApproveAt = new Date(now.getTime() + contact.waiting_period_hours * 3600000);
+        const expiresAt = new Date(autoApproveAt.getTime() + EMERGENCY_ACCESS_DAYS * 86400000);
+        
+        const result = await db.run(`
+            INSERT INTO emergency_access_requests (user_id, trusted_contact_id, requested_by_email, requested_by_name,
+                                                   request_reason, emergency_type, auto_approve_at, expires_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [contact.user_id, contact.id, user.email, requesterName, String(reason).trim(), emergencyType,
+            toSqlTimestamp(autoApproveAt), toSqlTimestamp(expiresAt)]);
+        
+        // The emergency type decides which documents the request covers
+        const documentTypes = EMERGENCY_DOCUMENT_TYPES[emergencyType];
+        const typeFilter = documentTypes ? `AND document_type IN (${documentTypes.map(() => '?').join(', ')})` : '';
+        await db.run(`
+            INSERT INTO emergency_access_documents (emergency_request_id, document_id, granted_access_type)
+            SELECT CAST(? AS INTEGER), COALESCE(original_document_id, id), ?
+            FROM documents
+            WHERE user_id = ? AND is_active = TRUE ${typeFilter}
+        `, [result.lastID, contact.emergency_access_type, contact.user_id, ...(documentTypes || [])]);
+        await recordAudit(req, contact.user_id, user, 'emergency_requested', {
+            emergencyRequestId: result.lastID,
+            target: { type: 'emergency_request', id: result.lastID },
+            context: 'emergency',
+            details: { emergencyType, reason: String(reason).trim() }
+        });
+        
+        await queueEmail({
+            to: contact.owner_email,
+            subject: `${requesterName} has requested emergency access to your documents`,
+            text: [
+                `Hello ${contact.owner_first_name},`,
+                '',
+                `${requesterName} has requested ${emergencyType} emergency access to your Aerial Nest documents.`,
+                `Reason given: ${String(reason).trim()}`,
+                '',
+                `Please approve or deny the request at ${APP_URL}.`,
+                `If you do not respond by ${toSqlTimestamp(autoApproveAt)} UTC, the request will be approved automatically.`
+            ].join('\n')
+        });
+        
+        const request = await getEmergencyRequest(result.lastID);
+        res.writeHead(201);
+        res.end(JSON.stringify({ message: 'Emergency access requested', request }));
+    } catch (error) {
+        console.error('Create emergency request error:', error);
+        sendError(res, 500, 'Database error');
+    }
+}
+
+async function handleGetEmergencyRequest(res, user, requestId) {
     if (!db) {
-        res.writeHead(500);
-        res.end(JSON.stringify({ error: 'Database not available' }));
+        sendError(res, 500, 'Database not available');
         return;
     }
     
-    db.all('SELECT * FROM document_categories ORDER BY display_order', (err, categories) => {
-        if (err) {
-            res.writeHead(500);
-            res.end(JSON.stringify({ error: 'Database error' }));
+    try {
+        await processEmergencyRequests();
+        
+        const request = await getEmergencyRequest(requestId);
+        const isOwner = request && request.user_id === user.userId;
+        if (!request || (!isOwner && !isEmergencyRequester(request, user))) {
+            sendError(res, 404, 'Emergency request not found');
             return;
         }
         
+        // Requesters only learn which documents are covered once approved
+        const documents = isOwner || request.status === 'approved'
+            ? await getEmergencyRequestDocuments(requestId)
+            : [];
+        
         res.writeHead(200);
-        res.end(JSON.stringify({ categories }));
-    });
+        res.end(JSON.stringify({ request, documents }));
+    } catch (error) {
+        console.error('Get emergency request error:', error);
+        sendError(res, 500, 'Database error');
+    }
 }
 
-async function handleRegister(res, body) {
+async function handleApproveEmergencyRequest(req, res, user, requestId, body) {
+    if (!db) {
+        sendError(res, 500, 'Database not available');
+        return;
+    }
+    
+    const { documentIds } = body;
+    
     try {
-        const { email, password, firstName, lastName } = body;
+        await processEmergencyRequests();
         
-        // Basic validation
-        if (!email || !password || !firstName || !lastName) {
-            res.writeHead(400);
-            res.end(JSON.stringify({ error: 'All fields are required' }));
+        const request = await getEmergencyRequest(requestId);
+        if (!request || request.user_id !== user.userId) {
+            sendError(res, 404, 'Emergency request not found');
             return;
         }
         
-        if (!db) {
-            res.writeHead(500);
-            res.end(JSON.stringify({ error: 'Database not available' }));
+        if (request.status !== 'pending') {
+            sendError(res, 400, `This request is already ${request.status}`);
             return;
         }
         
-        // Check if user already exists
-        db.get('SELECT id FROM users WHERE email = ?', [email], async (err, user) => {
-            if (err) {
-                res.writeHead(500);
-                res.end(JSON.stringify({ error: 'Database error' }));
-                return;
+        const accessType = body.accessType || request.emergency_access_type;
+        const now = new Date();
+        // The documents and the decision change together, and only while the
+        // request is still pending: a deny or the auto-approval job may have
+        // decided it since it was read
+        await db.transaction(async (tx) => {
+            // The owner may narrow (or widen) the documents before approving
+            if (documentIds) {
+                const owned = await tx.all(`
+                    SELECT DISTINCT COALESCE(original_document_id, id) as root_id FROM documents 
+                    WHERE user_id = ? AND id IN (${documentIds.map(() => '?').join(', ') || 'NULL'})
+                `, [user.userId, ...documentIds]);
+                
+                await tx.run('DELETE FROM emergency_access_documents WHERE emergency_request_id = ?', [requestId]);
+                for (const { root_id: rootId } of owned) {
+                    await tx.run(`
+                        INSERT INTO emergency_access_documents (emergency_request_id, document_id, granted_access_type)
+                        VALUES (?, ?, ?)
+                    `, [requestId, rootId, accessType]);
+                }
+            } else {
+                await tx.run('UPDATE emergency_access_documents SET granted_access_type = ? WHERE emergency_request_id = ?',
+                            [accessType, requestId]);
             }
             
-            if (user) {
-                res.writeHead(400);
-                res.end(JSON.stringify({ error: 'User already exists' }));
-                return;
+            const result = await tx.run(`
+                UPDATE emergency_access_requests 
+                SET status = 'approved', approval_type = 'owner', approved_at = ?, expires_at = ?, 
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND status = 'pending'
+            `, [toSqlTimestamp(now), toSqlTimestamp(new Date(now.getTime() + EMERGENCY_ACCESS_DAYS * 86400000)), requestId]);
+            if (result.changes === 0) {
+                const error = new Error('This request was decided while you were approving it. Reload it to see what changed.');
+                error.statusCode = 409;
+                throw error;
             }
-            
-            // Hash password and create user
-            const passwordHash = await bcrypt.hash(password, 10);
-            
-            db.run(`
-                INSERT INTO users (email, password_hash, first_name, last_name, email_verified)
-                VALUES (?, ?, ?, ?, ?)
-            `, [email, passwordHash, firstName, lastName, 0], function(err) {
-                if (err) {
-                    res.writeHead(500);
-                    res.end(JSON.stringify({ error: 'Failed to create user' }));
-                    return;
-                }
-                
-                const userId = this.lastID;
-                const token = jwt.sign({ userId, email }, JWT_SECRET, { expiresIn: '24h' });
-                
-                res.writeHead(201);
-                res.end(JSON.stringify({
-                    message: 'User created successfully',
-                    token,
-                    user: { id: userId, email, firstName, lastName }
-                }));
-            });
         });
+        
+        const documents = await getEmergencyRequestDocuments(requestId);
+        await recordAudit(req, user.userId, user, 'emergency_approved', {
+            emergencyRequestId: requestId,
+            target: { type: 'emergency_request', id: requestId },
+            context: 'emergency',
+            details: { requestedBy: request.requested_by_email, accessType, documents: documents.length }
+        });
+        await notifyEmergencyDecision(requestId);
+        
+        res.writeHead(200);
+        res.end(JSON.stringify({
+            message: 'Emergency request approved',
+            request: await getEmergencyRequest(requestId),
+            documents
+        }));
     } catch (error) {
-        res.writeHead(500);
-        res.end(JSON.stringify({ error: 'Server error' }));
+        console.error('Approve emergency request error:', error);
+        sendError(res, error.statusCode || 500, error.statusCode ? error.message : 'Database error');
     }
 }
 
-async function handleLogin(res, body) {
+async function handleDenyEmergencyRequest(req, res, user, requestId, body) {
+    if (!db) {
+        sendError(res, 500, 'Database not available');
+        return;
+    }
+    
     try {
-        const { email, password } = body;
+        await processEmergencyRequests();
         
-        if (!email || !password) {
-            res.writeHead(400);
-            res.end(JSON.stringify({ error: 'Email and password are required' }));
+        const request = await getEmergencyRequest(requestId);
+        if (!request || request.user_id !== user.userId) {
+            sendError(res, 404, 'Emergency request not found');
             return;
         }
         
-        if (!db) {
-            res.writeHead(500);
-            res.end(JSON.stringify({ error: 'Database not available' }));
+        // Owners can also revoke access that was already granted
+        if (request.status !== 'pending' && request.status !== 'approved') {
+            sendError(res, 400, `This request is already ${request.status}`);
             return;
         }
         
-        db.get('SELECT * FROM users WHERE email = ?', [email], async (err, user) => {
-            if (err) {
-                res.writeHead(500);
-                res.end(JSON.stringify({ error: 'Database error' }));
-                return;
-            }
-            
-            if (!user) {
-                res.writeHead(401);
-                res.end(JSON.stringify({ error: 'Invalid credentials' }));
-                return;
-            }
-            
-            const validPassword = await bcrypt.compare(password, user.password_hash);
-            if (!validPassword) {
-                res.writeHead(401);
-                res.end(JSON.stringify({ error: 'Invalid credentials' }));
-                return;
-            }
-            
-            const token = jwt.sign({ userId: user.id, email: user.email }, JWT_SECRET, { expiresIn: '24h' });
-            
-            res.writeHead(200);
-            res.end(JSON.stringify({
-                message: 'Login successful',
-                token,
-                user: {
-                    id: user.id,
-                    email: user.email,
-                    firstName: user.first_name,
-                    lastName: user.last_name
-                }
-            }));
+        // Unless it changed since it was read (approved by the job, say)
+        const result = await db.run(`
+            UPDATE emergency_access_requests 
+            SET status = 'denied', denial_reason = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status = ?
+        `, [body.reason || null, requestId, request.status]);
+        if (result.changes === 0) {
+            sendError(res, 409, 'This request was decided while you were denying it. Reload it to see what changed.');
+            return;
+        }
+        
+        await recordAudit(req, user.userId, user, 'emergency_denied', {
+            emergencyRequestId: requestId,
+            target: { type: 'emergency_request', id: requestId },
+            context: 'emergency',
+            details: { requestedBy: request.requested_by_email, previousStatus: request.status, reason: body.reason || null }
         });
+        await notifyEmergencyDecision(requestId);
+        
+        res.writeHead(200);
+        res.end(JSON.stringify({ message: 'Emergency request denied', request: await getEmergencyRequest(requestId) }));
     } catch (error) {
-        res.writeHead(500);
-        res.end(JSON.stringify({ error: 'Server error' }));
+        console.error('Deny emergency request error:', error);
+        sendError(res, 500, 'Database error');
     }
 }
 
-function handleGetProfile(res, user) {
+/**
+ * Document Template Handlers
+ */
+
+function handleGetTemplates(res) {
+    res.writeHead(200);
+    res.end(JSON.stringify({
+        templates: TEMPLATES.map(({ id, version, title, description, documentType, category }) => ({
+            id, version, title, description, documentType, category
+        }))
+    }));
+}
+
+/**
+ * The template's sections and fields, plus `values` for the fields the
+ * user's profile and planning answers already cover
+ */
+async function handleGetTemplate(res, user, templateId) {
     if (!db) {
-        res.writeHead(500);
-        res.end(JSON.stringify({ error: 'Database not available' }));
+        sendError(res, 500, 'Database not available');
         return;
     }
-    
-    db.get('SELECT id, email, first_name, last_name, phone, city, state FROM users WHERE id = ?', 
-           [user.userId], (err, userRecord) => {
-        if (err) {
-            res.writeHead(500);
-            res.end(JSON.stringify({ error: 'Database error' }));
+
+    const template = getTemplate(templateId);
+    if (!template) {
+        sendError(res, 404, 'Template not found');
+        return;
+    }
+
+    try {
+        const [profile, answers] = await Promise.all([
+            db.get('SELECT first_name, last_name FROM users WHERE id = ?', [user.userId]),
+            db.all(`
+                SELECT workflow_id, step_id, answer FROM planning_progress
+                WHERE user_id = ? AND status = 'complete' AND answer IS NOT NULL
+            `, [user.userId])
+        ]);
+        const known = Object.fromEntries(answers.map(row => [`planning.${row.workflow_id}.${row.step_id}`, row.answer]));
+        if (profile) known['profile.name'] = `${profile.first_name} ${profile.last_name}`;
+
+        res.writeHead(200);
+        res.end(JSON.stringify({ template, values: prefillValues(template, known) }));
+    } catch (error) {
+        console.error('Get template error:', error);
+        sendError(res, 500, 'Database error');
+    }
+}
+
+/**
+ * Render a filled-in template to PDF and file it in the template's
+ * category, as a new document or as the next version of `documentId`
+ */
+async function handleRenderTemplate(req, res, user, templateId, body) {
+    if (!db) {
+        sendError(res, 500, 'Database not available');
+        return;
+    }
+
+    const template = getTemplate(templateId);
+    if (!template) {
+        sendError(res, 404, 'Template not found');
+        return;
+    }
+
+    const problems = validate({ type: 'object', properties: { values: templateSchema(template) } }, { values: body.values });
+    if (problems.length > 0) {
+        sendValidationError(res, problems);
+        return;
+    }
+
+    let file = null;
+    try {
+        const current = body.documentId ? await getCurrentVersion(body.documentId, user.userId) : null;
+        if (body.documentId && !current) {
+            sendError(res, 404, 'Document not found');
             return;
         }
-        
-        if (!userRecord) {
-            res.writeHead(404);
-            res.end(JSON.stringify({ error: 'User not found' }));
+        // Versions of an end-to-end encrypted document all share a key the server never sees
+        if (current && current.is_encrypted) {
+            sendError(res, 400, 'An encrypted document can only be replaced from your browser', {
+                fields: [{ field: 'documentId', message: 'An encrypted document can only be replaced from your browser' }]
+            });
             return;
         }
-        
+
+        const title = (body.title || '').trim() || (current ? current.title : template.title);
+        const fileName = `${title.replace(/[\\/:*?"<>|\s]+/g, ' ').trim() || template.id}.pdf`;
+        const category = await db.get('SELECT id FROM document_categories WHERE name = ?', [template.category]);
+        file = await storeGeneratedFile(user.userId, renderTemplate(template, body.values), fileName);
+
+        const generated = { template: template.id, templateVersion: template.version, title };
+        let document;
+        if (current) {
+            document = await createNextVersion(current, {
+                title,
+                documentType: template.documentType,
+                categoryId: current.category_id,
+                description: current.description,
+                userNotes: current.user_notes,
+                filePath: file.key,
+                fileName: file.fileName,
+                fileSize: file.size,
+                fileType: file.fileType,
+                isEncrypted: false,
+                encryptedDataKey: file.encryptedKey,
+                masterKeyId: file.keyId,
+                templateId: template.id,
+                templateVersion: template.version
+            }, user, `Filled in again from the ${template.title} template`);
+            generated.version = document.version;
+        } else {
+            const result = await db.run(`
+                INSERT INTO documents (user_id, category_id, title, document_type, file_path, file_name, file_size,
+                                       file_type, encrypted_data_key, master_key_id, template_id, template_version)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [user.userId, category ? category.id : null, title, template.documentType, file.key, file.fileName,
+                file.size, file.fileType, file.encryptedKey, file.keyId, template.id, template.version]);
+            await indexNewVersion(result.lastID);
+            document = await getDocumentWithCategory(result.lastID);
+        }
+
+        await recordAudit(req, user.userId, user, 'generated', { documentId: document.id, details: generated });
+
+        res.writeHead(201);
+        res.end(JSON.stringify({ message: `${template.title} saved to your documents`, document }));
+    } catch (error) {
+        console.error('Render template error:', error);
+        if (file) {
+            await getStorage().remove(file.key).catch(() => {});
+        }
+        sendError(res, error.statusCode || 500, error.statusCode ? error.message : 'Database error');
+    }
+}
+
+/**
+ * Planning Workflow Handlers
+ */
+
+/**
+ * Everything a workflow's state is worked out from: the user's saved
+ * progress and the current version of each of their documents
+ */
+async function getPlanningState(userId) {
+    const [progress, documents] = await Promise.all([
+        db.all('SELECT * FROM planning_progress WHERE user_id = ?', [userId]),
+        db.all(`
+            SELECT id, COALESCE(original_document_id, id) AS root_id, title, document_type
+            FROM documents
+            WHERE user_id = ? AND is_active = TRUE
+            ORDER BY upload_date DESC, id DESC
+        `, [userId])
+    ]);
+    return { progress, documents };
+}
+
+async function handleGetPlanningWorkflows(res, user) {
+    if (!db) {
+        sendError(res, 500, 'Database not available');
+        return;
+    }
+
+    try {
+        const { progress, documents } = await getPlanningState(user.userId);
+
         res.writeHead(200);
-        res.end(JSON.stringify({ user: userRecord }));
-    });
+        res.end(JSON.stringify({
+            workflows: WORKFLOWS.map(workflow => summarizeWorkflow(resolveWorkflow(workflow, progress, documents)))
+        }));
+    } catch (error) {
+        console.error('Get planning workflows error:', error);
+        sendError(res, 500, 'Database error');
+    }
 }
 
-function handleGetDocuments(res, user) {
+async function handleGetPlanningWorkflow(res, user, workflowId) {
     if (!db) {
-        res.writeHead(500);
-        res.end(JSON.stringify({ error: 'Database not available' }));
+        sendError(res, 500, 'Database not available');
         return;
     }
-    
-    db.all(`
-        SELECT d.*, dc.name as category_name 
-        FROM documents d 
-        LEFT JOIN document_categories dc ON d.category_id = dc.id 
-        WHERE d.user_id = ? AND d.is_active = 1 
-        ORDER BY d.upload_date DESC
-    `, [user.userId], (err, documents) => {
-        if (err) {
-            res.writeHead(500);
-            res.end(JSON.stringify({ error: 'Database error' }));
+
+    const workflow = getWorkflow(workflowId);
+    if (!workflow) {
+        sendError(res, 404, 'Planning workflow not found');
+        return;
+    }
+
+    try {
+        const { progress, documents } = await getPlanningState(user.userId);
+
+        res.writeHead(200);
+        res.end(JSON.stringify({ workflow: resolveWorkflow(workflow, progress, documents) }));
+    } catch (error) {
+        console.error('Get planning workflow error:', error);
+        sendError(res, 500, 'Database error');
+    }
+}
+
+/**
+ * Save a step as complete (with its answer or document) or skipped, or
+ * clear it back to pending. Steps hidden by the user's answers can still
+ * be saved; they count once an answer brings them back.
+ */
+async function handleUpdatePlanningStep(res, user, workflowId, stepId, body) {
+    if (!db) {
+        sendError(res, 500, 'Database not available');
+        return;
+    }
+
+    const workflow = getWorkflow(workflowId);
+    const step = workflow && workflow.steps.find(candidate => candidate.id === stepId);
+    if (!step) {
+        sendError(res, 404, workflow ? 'Planning step not found' : 'Planning workflow not found');
+        return;
+    }
+
+    try {
+        const { documents } = await getPlanningState(user.userId);
+        const update = stepUpdate(step, body, documents);
+        if (update.error) {
+            sendValidationError(res, [update.error]);
             return;
         }
-        
+
+        if (update.status === 'pending') {
+            await db.run('DELETE FROM planning_progress WHERE user_id = ? AND workflow_id = ? AND step_id = ?',
+                        [user.userId, workflowId, stepId]);
+        } else {
+            await db.run(`
+                INSERT INTO planning_progress (user_id, workflow_id, step_id, status, answer, document_id)
+                VALUES (?, ?, ?, ?, ?, ?)
+                ON CONFLICT (user_id, workflow_id, step_id) DO UPDATE SET
+                    status = excluded.status,
+                    answer = excluded.answer,
+                    document_id = excluded.document_id,
+                    updated_at = CURRENT_TIMESTAMP
+            `, [user.userId, workflowId, stepId, update.status, update.answer, update.documentId]);
+        }
+
+        const { progress } = await getPlanningState(user.userId);
+
         res.writeHead(200);
-        res.end(JSON.stringify({ documents }));
-    });
+        res.end(JSON.stringify({
+            message: 'Progress saved',
+            workflow: resolveWorkflow(workflow, progress, documents)
+        }));
+    } catch (error) {
+        console.error('Update planning step error:', error);
+        sendError(res, 500, 'Database error');
+    }
+}
+
+/**
+ * Totals across every workflow; pendingTasks is the number of steps the
+ * user's answers lead to that are neither done nor skipped
+ */
+async function handleGetPlanningProgress(res, user) {
+    if (!db) {
+        sendError(res, 500, 'Database not available');
+        return;
+    }
+
+    try {
+        const { progress, documents } = await getPlanningState(user.userId);
+        const workflows = WORKFLOWS.map(workflow => summarizeWorkflow(resolveWorkflow(workflow, progress, documents)));
+        const totalSteps = workflows.reduce((total, workflow) => total + workflow.totalSteps, 0);
+        const completedSteps = workflows.reduce((total, workflow) => total + workflow.completedSteps, 0);
+
+        res.writeHead(200);
+        res.end(JSON.stringify({
+            totalSteps,
+            completedSteps,
+            pendingTasks: totalSteps - completedSteps,
+            completedWorkflows: workflows.filter(workflow => workflow.status === 'complete').length,
+            workflows
+        }));
+    } catch (error) {
+        console.error('Get planning progress error:', error);
+        sendError(res, 500, 'Database error');
+    }
+}
+
+/**
+ * Background Jobs
+ * Handlers for each type of job (see ./jobs), and the upkeep queued on a
+ * timer. Jobs run in the local server, in `node worker.js work`, and on
+ * Lambda from SQS messages and a scheduled event.
+ */
+
+// Upkeep that used to run on the local server's timers, now run wherever
+// jobs run; an activity summary covers the UTC day before its period
+const RECURRING_JOBS = [
+    { type: 'process_emergency_requests', everyMinutes: 5 },
+    {
+        type: 'activity_summary',
+        everyMinutes: 24 * 60,
+        payload: periodStart => ({ date: new Date(periodStart.getTime() - 86400000).toISOString().slice(0, 10) })
+    },
+    { type: 'purge_jobs', everyMinutes: 24 * 60 }
+];
+
+let jobHandlers = null;
+
+/**
+ * The handler for each type of job, built once the database is connected
+ */
+function getJobHandlers() {
+    if (!db) initializeDatabase();
+    if (!jobHandlers) {
+        jobHandlers = {
+            send_email: {
+                run: async message => sendMail(await openMessage(getKeyProvider(), message)),
+                summary: ({ to, subject }) => ({ to, subject })
+            },
+            extract_text: { run: ({ documentId }) => extractDocumentText(documentId) },
+            ocr: ocrJob(db),
+            thumbnail: thumbnailJob(db),
+            process_emergency_requests: { run: () => processEmergencyRequests() },
+            activity_summary: { run: ({ date }) => summarizeActivity(date) },
+            purge_jobs: { run: () => purgeJobs(db) }
+        };
+    }
+    return jobHandlers;
+}
+
+/**
+ * Send an email from a background job, so a slow or failing mail server
+ * neither holds up nor fails the request; it is retried with backoff.
+ * The text carries sign-in and invitation links, so it is queued sealed.
+ */
+async function queueEmail(message) {
+    return enqueueJob(db, 'send_email', await sealMessage(getKeyProvider(), message));
+}
+
+/**
+ * Queue scheduled upkeep that is due and run due jobs. limit caps how many
+ * jobs run (for the scheduled Lambda, which has a timeout)
+ */
+async function runBackgroundJobs({ limit } = {}) {
+    if (!db) initializeDatabase();
+    await scheduleJobs(db, RECURRING_JOBS);
+    await sweepJobs(db, getJobHandlers());
+    return runDueJobs(db, getJobHandlers(), { limit });
+}
+
+/**
+ * Roll one UTC day (YYYY-MM-DD) of the audit trail and sign-ins up into
+ * user_activity_summary, one row per person who did something. Running it
+ * again replaces the day's counts. Columns the server cannot see (pages
+ * visited, time in session) are left alone.
+ */
+async function summarizeActivity(date) {
+    const start = `${date} 00:00:00`;
+    const end = toSqlTimestamp(new Date(Date.parse(`${date}T00:00:00Z`) + 86400000));
+    
+    const actions = await db.all(`
+        SELECT accessed_by_user_id as user_id,
+               SUM(CASE WHEN action IN ('uploaded', 'generated', 'version_uploaded') THEN 1 ELSE 0 END) as documents_uploaded,
+               SUM(CASE WHEN action = 'viewed' THEN 1 ELSE 0 END) as documents_viewed,
+               SUM(CASE WHEN action = 'downloaded' THEN 1 ELSE 0 END) as documents_downloaded,
+               COUNT(DISTINCT CASE WHEN action = 'shared' THEN document_id END) as documents_shared,
+               SUM(CASE WHEN action = 'shared' THEN 1 ELSE 0 END) as shares_created,
+               SUM(CASE WHEN action = 'contact_added' THEN 1 ELSE 0 END) as trusted_contacts_added,
+               SUM(CASE WHEN action = 'emergency_requested' THEN 1 ELSE 0 END) as emergency_requests_made
+        FROM access_logs
+        WHERE accessed_by_user_id IS NOT NULL AND created_at >= ? AND created_at < ?
+        GROUP BY accessed_by_user_id
+    `, [start, end]);
+    const logins = await db.all(`
+        SELECT user_id, COUNT(*) as login_count FROM user_sessions
+        WHERE created_at >= ? AND created_at < ?
+        GROUP BY user_id
+    `, [start, end]);
+    
+    const counts = ['login_count', 'documents_uploaded', 'documents_viewed', 'documents_downloaded', 'documents_shared',
+        'shares_created', 'trusted_contacts_added', 'emergency_requests_made'];
+    const byUser = new Map();
+    for (const row of [...actions, ...logins]) {
+        const summary = byUser.get(row.user_id) || Object.fromEntries(counts.map(column => [column, 0]));
+        for (const column of counts) {
+            if (row[column] !== undefined) summary[column] = Number(row[column]);
+        }
+        byUser.set(row.user_id, summary);
+    }
+    
+    for (const [userId, summary] of byUser) {
+        await db.run(`
+            INSERT INTO user_activity_summary (user_id, activity_date, ${counts.join(', ')})
+            VALUES (?, ?, ${counts.map(() => '?').join(', ')})
+            ON CONFLICT (user_id, activity_date) DO UPDATE SET
+                ${counts.map(column => `${column} = excluded.${column}`).join(',\n                ')}
+        `, [userId, date, ...counts.map(column => summary[column])]);
+    }
+}
+
+async function handleGetJobs(res, query) {
+    if (!db) {
+        sendError(res, 500, 'Database not available');
+        return;
+    }
+    
+    const limit = Math.min(parseInt(query.limit, 10) || JOB_PAGE_SIZE, JOB_MAX_PAGE_SIZE);
+    
+    try {
+        const counts = await jobCounts(db);
+        const jobs = await listJobs(db, getJobHandlers(), { status: query.status, type: query.type, limit });
+        res.writeHead(200);
+        res.end(JSON.stringify({ counts, jobs }));
+    } catch (error) {
+        console.error('Get jobs error:', error);
+        sendError(res, 500, 'Database error');
+    }
 }
 
-function handleGetTrustedContacts(res, user) {
+async function handleRetryJob(res, jobId) {
     if (!db) {
-        res.writeHead(500);
-        res.end(JSON.stringify({ error: 'Database not available' }));
+        sendError(res, 500, 'Database not available');
         return;
     }
     
-    db.all('SELECT * FROM trusted_contacts WHERE user_id = ? ORDER BY contact_name', 
-           [user.userId], (err, contacts) => {
-        if (err) {
-            res.writeHead(500);
-            res.end(JSON.stringify({ error: 'Database error' }));
+    try {
+        const existing = await db.get('SELECT status FROM jobs WHERE id = ?', [jobId]);
+        if (!existing) {
+            sendError(res, 404, 'Job not found');
+            return;
+        }
+        
+        const job = await retryJob(db, getJobHandlers(), jobId);
+        if (!job) {
+            sendError(res, 409, 'Only dead-lettered jobs can be retried');
             return;
         }
         
         res.writeHead(200);
-        res.end(JSON.stringify({ contacts }));
-    });
+        res.end(JSON.stringify({ message: 'Job queued again', job: describeJob(getJobHandlers(), job) }));
+    } catch (error) {
+        console.error('Retry job error:', error);
+        sendError(res, 500, 'Database error');
+    }
 }
 
 function handleUnauthorized(res) {
-    res.writeHead(401);
-    res.end(JSON.stringify({ error: 'Authorization required' }));
+    sendError(res, 401, 'Authorization required');
 }
 
 function handleNotFound(res, pathname) {
     res.writeHead(404);
     res.end(JSON.stringify({
-        error: 'Not Found',
-        message: `Path ${pathname} not found`,
-        availableEndpoints: ['/api', '/api/health', '/api/categories', '/api/auth/register', '/api/auth/login']
+        ...errorBody(404, `Path ${pathname} not found`),
+        availableEndpoints: describeRoutes()
     }, null, 2));
 }
 
@@ -456,52 +4821,125 @@ function handleNotFound(res, pathname) {
  * AWS Lambda Handler
  * Enhanced to handle database routes and authentication
  */
+exports.apiSpec = apiSpec;
+exports.checkApiSpec = checkApiSpec;
+exports.runBackgroundJobs = runBackgroundJobs;
+exports.getJobHandlers = getJobHandlers;
+
 exports.lambdaHandler = async (event, context) => {
-    console.log('Lambda Event:', JSON.stringify(event, null, 2));
-    
     // Initialize database for Lambda (will use PostgreSQL in production)
     if (!db) {
         initializeDatabase();
     }
     
+    // Background jobs arrive as SQS messages, and upkeep as a scheduled event
+    if (event.Records) {
+        console.log(`Job messages: ${event.Records.length} (request ${context && context.awsRequestId})`);
+        const failed = await runJobMessages(db, getJobHandlers(), event);
+        return { batchItemFailures: failed.map(itemIdentifier => ({ itemIdentifier })) };
+    }
+    if (event.source === 'aws.events') {
+        const ran = await runBackgroundJobs({ limit: SCHEDULED_JOB_LIMIT });
+        return { ran };
+    }
+    
     const corsHeaders = {
         'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*',
+        ...corsOriginHeaders((event.headers || {}).origin),
         'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-        'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, Range',
+        'Access-Control-Expose-Headers': 'Content-Disposition, Content-Range, Accept-Ranges, Retry-After, X-Export-SHA256, X-Export-Signature, X-Export-Key-Id'
     };
     
     try {
         const path = event.rawPath || event.path || '/';
         const method = event.requestContext?.http?.method || event.httpMethod || 'GET';
+        // Only the request line: bodies and headers carry files, passwords and tokens
+        console.log(`${method} ${path} (request ${context && context.awsRequestId})`);
         
         // Handle preflight requests
         if (method === 'OPTIONS') {
             return { statusCode: 200, headers: corsHeaders, body: '' };
         }
         
+        // Apply pending migrations on cold start when enabled; a failure is
+        // retried on the next request rather than serving an outdated schema
+        if (process.env.AUTO_MIGRATE === 'true' && !migrationsApplied) {
+            try {
+                await migrateUp(db);
+                migrationsApplied = true;
+            } catch (error) {
+                console.error('Migration error:', error);
+                return {
+                    statusCode: 503,
+                    headers: corsHeaders,
+                    body: JSON.stringify(errorBody(503, 'Database upgrade in progress, please try again shortly'))
+                };
+            }
+        }
+        
         // Create a mock request/response for Lambda
-        const mockReq = {
-            method,
-            headers: event.headers || {},
-            body: event.body
-        };
+        // The request is a readable stream of the (possibly base64-encoded)
+        // body so JSON parsing and multipart uploads work exactly as locally
+        const rawBody = event.body
+            ? Buffer.from(event.body, event.isBase64Encoded ? 'base64' : 'utf8')
+            : Buffer.alloc(0);
+        const mockReq = Readable.from([rawBody]);
+        mockReq.method = method;
+        mockReq.url = event.rawQueryString
+            ? `${path}?${event.rawQueryString}`
+            : `${path}?${querystring.stringify(event.queryStringParameters || {})}`;
+        mockReq.headers = { ...event.headers };
+        // Function URLs pass cookies separately from the other headers
+        if (event.cookies) {
+            mockReq.headers.cookie = event.cookies.join('; ');
+        }
+        mockReq.socket = { remoteAddress: event.requestContext?.http?.sourceIp || event.requestContext?.identity?.sourceIp };
         
-        const mockRes = {
-            statusCode: 200,
-            headers: corsHeaders,
-            body: '',
-            writeHead: function(code) { this.statusCode = code; },
-            end: function(data) { this.body = data; }
+        // The response collects everything written to it, so handlers can
+        // either res.end() JSON or pipe a file stream into it
+        const chunks = [];
+        const mockRes = new Writable({
+            write(chunk, encoding, callback) {
+                chunks.push(Buffer.from(chunk, encoding));
+                callback();
+            }
+        });
+        mockRes.statusCode = 200;
+        mockRes.headers = { ...corsHeaders };
+        mockRes.setHeader = function(name, value) { this.headers[name] = value; };
+        mockRes.writeHead = function(code, headers) {
+            this.statusCode = code;
+            Object.assign(this.headers, headers);
+            return this;
         };
         
         // Use the same routing logic
-        await routeRequest(mockReq, mockRes, { pathname: path });
+        await routeRequest(mockReq, mockRes);
+        await finished(mockRes);
+        
+        // Binary responses (document files) must be base64-encoded for Lambda
+        const body = Buffer.concat(chunks);
+        const isText = /^(application\/json|text\/)/.test(mockRes.headers['Content-Type'] || '');
+        const encoded = isText ? body.toString('utf8') : body.toString('base64');
         
+        // Lambda cannot return more than this; larger files are read in byte ranges
+        if (Buffer.byteLength(encoded) > LAMBDA_MAX_RESPONSE_BYTES) {
+            return {
+                statusCode: 413,
+                headers: corsHeaders,
+                body: JSON.stringify(errorBody(413, `This is too large to send at once. Request it in byte ranges of at most ${LAMBDA_MAX_RANGE_BYTES} bytes.`))
+            };
+        }
+        
+        // ...and take the ones they set separately too
+        const { 'Set-Cookie': cookie, ...headers } = mockRes.headers;
         return {
             statusCode: mockRes.statusCode,
-            headers: mockRes.headers,
-            body: mockRes.body
+            headers,
+            ...(cookie && { cookies: [cookie] }),
+            body: encoded,
+            isBase64Encoded: !isText
         };
         
     } catch (error) {
@@ -510,10 +4948,7 @@ exports.lambdaHandler = async (event, context) => {
         return {
             statusCode: 500,
             headers: corsHeaders,
-            body: JSON.stringify({
-                error: 'Internal Server Error',
-                message: 'An unexpected error occurred'
-            })
+            body: JSON.stringify(errorBody(500, 'An unexpected error occurred'))
         };
     }
 };
@@ -524,21 +4959,18 @@ exports.lambdaHandler = async (event, context) => {
  */
 if (require.main === module) {
     startLocalServer();
-}
 
-// Graceful shutdown for local development
-process.on('SIGINT', () => {
-    console.log('\n🛑 Shutting down Aerial Nest server...');
-    if (db) {
-        db.close((err) => {
-            if (err) {
-                console.error('Error closing database:', err.message);
-            } else {
-                console.log('✅ Database connection closed');
-            }
+    // Graceful shutdown for local development (worker.js, which loads this
+    // module, finishes its current job instead)
+    process.on('SIGINT', () => {
+        console.log('\n🛑 Shutting down Aerial Nest server...');
+        if (db) {
+            db.close()
+                .then(() => console.log('✅ Database connection closed'))
+                .catch(error => console.error('Error closing database:', error.message))
+                .finally(() => process.exit(0));
+        } else {
             process.exit(0);
-        });
-    } else {
-        process.exit(0);
-    }
-});
+        }
+    });
+}
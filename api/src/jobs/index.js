@@ -0,0 +1,386 @@
+/**
+ * Background Jobs
+ * Work that can happen after a request returns (sending email, reading the
+ * text of uploads, scheduled upkeep) is queued as a row in the jobs table,
+ * which keeps every job until it completes or is dead-lettered. A worker
+ * claims a due job and runs its handler. When the handler throws, the job
+ * is queued again with exponential backoff; after max_attempts it is marked
+ * 'dead' and waits for someone to look at it and retry it.
+ *
+ * Picks how queued jobs reach a worker:
+ * - SQS when JOB_QUEUE_URL is set: each job is also sent as a message, so
+ *   a Lambda subscribed to the queue runs it straight away (see ./sqs)
+ * - The database otherwise: workers poll the jobs table
+ * Workers poll in both cases, so a job whose message was lost still runs.
+ *
+ * Handlers are keyed by job type:
+ *   { run(payload, job), summary(payload), dead(payload, job), retried(payload, job), available() }
+ * Only run is required. summary is what is kept of the payload once the job
+ * completes and all the admin API shows (an email without its links, say);
+ * dead and retried let a handler keep its own status in step; available
+ * says whether this process can run the job at all.
+ *
+ *   enqueueJob(db, type, payload, { delaySeconds, uniqueKey, maxAttempts })
+ *                                          -> job id, or null when uniqueKey is already taken
+ *   scheduleJobs(db, schedule)             -> queue recurring jobs whose time has come
+ *   runDueJobs(db, handlers, { limit })    -> how many jobs were run
+ *   runJobMessages(db, handlers, event)    -> run the jobs in an SQS event; resolves with
+ *                                             the messageIds SQS should deliver again
+ *   sweepJobs(db, handlers)                -> requeue jobs whose worker stopped, resend lost messages
+ *   retryJob(db, handlers, jobId)          -> the job queued again, or null when it is not dead
+ *   listJobs(db, handlers, { status, type, limit }) -> describeJob() of the newest matching jobs
+ *   jobCounts(db)                          -> [{ type, status, count }]
+ *   purgeJobs(db)                          -> delete completed jobs past JOB_RETENTION_DAYS
+ *   onJobQueued(listener)                  -> listener(job) after each job is queued in this process
+ */
+
+const JOB_STATUSES = ['queued', 'running', 'complete', 'dead'];
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+
+// How often a worker looks for due jobs
+const JOB_POLL_SECONDS = parseInt(process.env.JOB_POLL_SECONDS, 10) || 5;
+
+// The first retry waits this long, each later one twice as long as the last
+const JOB_RETRY_SECONDS = parseInt(process.env.JOB_RETRY_SECONDS, 10) || 30;
+const MAX_RETRY_SECONDS = 3600;
+
+// A job running longer than this is assumed to have lost its worker
+const STALLED_AFTER_MINUTES = 30;
+
+// A queued job this overdue has probably lost its SQS message
+const LOST_AFTER_MINUTES = 5;
+
+// How long completed jobs are kept; dead jobs stay until they are retried
+const JOB_RETENTION_DAYS = parseInt(process.env.JOB_RETENTION_DAYS, 10) || 7;
+
+// Same "YYYY-MM-DD HH:MM:SS" UTC form as CURRENT_TIMESTAMP
+const toSqlTimestamp = date => date.toISOString().replace('T', ' ').slice(0, 19);
+const fromSqlTimestamp = value => (value instanceof Date ? value : new Date(`${String(value).replace(' ', 'T')}Z`));
+
+let transport = null;
+const listeners = [];
+
+function getJobTransport() {
+    if (!transport) {
+        if (process.env.JOB_QUEUE_URL) {
+            const { createSqsTransport } = require('./sqs');
+            transport = createSqsTransport(process.env.JOB_QUEUE_URL);
+        } else {
+            // Workers find new jobs by polling, so there is nothing to send
+            transport = { type: 'database', async deliver() {} };
+        }
+    }
+    return transport;
+}
+
+function onJobQueued(listener) {
+    listeners.push(listener);
+}
+
+/**
+ * Hand a queued job to the transport. A failure is only logged: the job is
+ * in the database, and a polling worker or the next sweep will find it.
+ */
+async function deliver(job, delaySeconds = 0) {
+    try {
+        await getJobTransport().deliver(job, delaySeconds);
+    } catch (error) {
+        console.error(`Job ${job.id} delivery error:`, error.message);
+    }
+    for (const listener of listeners) listener(job);
+}
+
+async function enqueueJob(db, type, payload, { delaySeconds = 0, uniqueKey = null, maxAttempts = DEFAULT_MAX_ATTEMPTS } = {}) {
+    const runAt = toSqlTimestamp(new Date(Date.now() + delaySeconds * 1000));
+    const result = await db.run(`
+        INSERT INTO jobs (type, payload, max_attempts, unique_key, run_at) VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT (unique_key) DO NOTHING
+    `, [type, JSON.stringify(payload || {}), maxAttempts, uniqueKey, runAt]);
+    if (!result.changes) return null;
+
+    const job = await db.get('SELECT * FROM jobs WHERE id = ?', [result.lastID]);
+    await deliver(job, delaySeconds);
+    return job.id;
+}
+
+/**
+ * Queue each recurring job once per period. schedule is a list of
+ * { type, everyMinutes, payload(periodStart) }; periods are counted from
+ * the Unix epoch, so a daily job's period starts at midnight UTC.
+ */
+async function scheduleJobs(db, schedule) {
+    const now = Date.now();
+    for (const { type, everyMinutes, payload } of schedule) {
+        const periodStart = new Date(Math.floor(now / (everyMinutes * 60000)) * everyMinutes * 60000);
+        const uniqueKey = `${type}:${periodStart.toISOString()}`;
+
+        // Checked first because a conflicting insert still uses up an id
+        if (await db.get('SELECT id FROM jobs WHERE unique_key = ?', [uniqueKey])) continue;
+        await enqueueJob(db, type, payload ? payload(periodStart) : {}, { uniqueKey });
+    }
+}
+
+function retryDelaySeconds(attempts) {
+    return Math.min(JOB_RETRY_SECONDS * 2 ** (attempts - 1), MAX_RETRY_SECONDS);
+}
+
+function summarize(handler, payload) {
+    return handler && handler.summary ? handler.summary(payload) : payload;
+}
+
+async function isAvailable(handler) {
+    return Boolean(handler) && (!handler.available || await handler.available());
+}
+
+/**
+ * Record that a running job failed: queue it again after its backoff, or
+ * dead-letter it once it has used its attempts
+ */
+async function failJob(db, handler, job, error) {
+    const message = String((error && error.message) || error).slice(0, 1000);
+    const payload = JSON.parse(job.payload);
+
+    if (job.attempts >= job.max_attempts) {
+        const result = await db.run(`
+            UPDATE jobs SET status = 'dead', last_error = ?, completed_at = ? WHERE id = ? AND status = 'running'
+        `, [message, toSqlTimestamp(new Date()), job.id]);
+        if (!result.changes) return null;
+
+        console.error(`Job ${job.id} (${job.type}) failed ${job.attempts} time(s) and was dead-lettered:`, message);
+        if (handler && handler.dead) {
+            await handler.dead(payload, job).catch(hookError => console.error(`Job ${job.id} dead hook error:`, hookError));
+        }
+        return 'dead';
+    }
+
+    const delaySeconds = retryDelaySeconds(job.attempts);
+    const result = await db.run(`
+        UPDATE jobs SET status = 'queued', last_error = ?, run_at = ? WHERE id = ? AND status = 'running'
+    `, [message, toSqlTimestamp(new Date(Date.now() + delaySeconds * 1000)), job.id]);
+    if (!result.changes) return null;
+
+    await deliver(job, delaySeconds);
+    return 'retry';
+}
+
+/**
+ * Claim one queued job and run it; resolves with 'complete', 'retry',
+ * 'dead', or null when it was not run here (not due, taken by another
+ * worker, or of a type this process cannot run)
+ */
+async function runJob(db, handlers, jobId) {
+    const job = await db.get('SELECT * FROM jobs WHERE id = ?', [jobId]);
+    const handler = job && handlers[job.type];
+    if (!job || job.status !== 'queued' || !await isAvailable(handler)) return null;
+
+    const claimed = await db.run(`
+        UPDATE jobs SET status = 'running', attempts = attempts + 1, started_at = ?
+        WHERE id = ? AND status = 'queued' AND run_at <= ?
+    `, [toSqlTimestamp(new Date()), job.id, toSqlTimestamp(new Date())]);
+    if (!claimed.changes) return null;
+
+    const running = { ...job, status: 'running', attempts: job.attempts + 1 };
+    const payload = JSON.parse(job.payload);
+    try {
+        await handler.run(payload, running);
+    } catch (error) {
+        return failJob(db, handler, running, error);
+    }
+
+    await db.run(`
+        UPDATE jobs SET status = 'complete', payload = ?, last_error = NULL, completed_at = ? WHERE id = ?
+    `, [JSON.stringify(summarize(handler, payload)), toSqlTimestamp(new Date()), job.id]);
+    return 'complete';
+}
+
+/**
+ * Give jobs whose worker stopped mid-way (a crash, a Lambda timeout) the
+ * same treatment as a job that failed
+ */
+async function requeueStalled(db, handlers) {
+    const stalledBefore = new Date(Date.now() - STALLED_AFTER_MINUTES * 60000);
+    const stalled = await db.all(`
+        SELECT * FROM jobs WHERE status = 'running' AND started_at < ?
+    `, [toSqlTimestamp(stalledBefore)]);
+    for (const job of stalled) {
+        await failJob(db, handlers[job.type], job, new Error('The worker stopped before the job finished'));
+    }
+}
+
+/**
+ * Run due jobs one at a time, oldest first, skipping types this process
+ * cannot run. Several workers can run at once: each job is claimed first.
+ */
+async function runDueJobs(db, handlers, { limit = Infinity } = {}) {
+    await requeueStalled(db, handlers);
+
+    const types = [];
+    for (const type of Object.keys(handlers)) {
+        if (await isAvailable(handlers[type])) types.push(type);
+    }
+    if (types.length === 0) return 0;
+
+    let ran = 0;
+    const tried = new Set();
+    while (ran < limit) {
+        const due = await db.all(`
+            SELECT id FROM jobs
+            WHERE status = 'queued' AND run_at <= ? AND type IN (${types.map(() => '?').join(', ')})
+            ORDER BY run_at, id
+            LIMIT ?
+        `, [toSqlTimestamp(new Date()), ...types, tried.size + 1]);
+        const next = due.find(row => !tried.has(row.id));
+        if (!next) break;
+        tried.add(next.id);
+
+        if (await runJob(db, handlers, next.id)) ran++;
+    }
+    return ran;
+}
+
+/**
+ * Run the jobs named by the messages in an SQS event. A message can
+ * arrive before its job is due, since SQS delays are capped, and is then
+ * sent again for the time left.
+ *
+ * A job that fails is queued again by failJob with its own backoff, so its
+ * message is done with. Only messages that could not be handled at all (the
+ * database was unreachable, say) are returned, for SQS to deliver again.
+ */
+async function runJobMessages(db, handlers, event) {
+    const failed = [];
+    for (const record of event.Records || []) {
+        let jobId;
+        try {
+            jobId = JSON.parse(record.body).jobId;
+        } catch (error) {
+            console.error('Unreadable job message:', record.body);
+            continue;
+        }
+
+        try {
+            const job = await db.get('SELECT * FROM jobs WHERE id = ?', [jobId]);
+            if (!job || job.status !== 'queued') continue;
+
+            const waitSeconds = (fromSqlTimestamp(job.run_at).getTime() - Date.now()) / 1000;
+            if (waitSeconds > 0) {
+                await deliver(job, waitSeconds);
+            } else {
+                await runJob(db, handlers, job.id);
+            }
+        } catch (error) {
+            console.error(`Job message ${record.messageId} error:`, error);
+            failed.push(record.messageId);
+        }
+    }
+    return failed;
+}
+
+/**
+ * Periodic upkeep: requeue stalled jobs and, when jobs travel by SQS,
+ * resend the messages of jobs that should have run by now
+ */
+async function sweepJobs(db, handlers) {
+    await requeueStalled(db, handlers);
+    if (getJobTransport().type === 'database') return;
+
+    const lostBefore = new Date(Date.now() - LOST_AFTER_MINUTES * 60000);
+    const lost = await db.all(`
+        SELECT * FROM jobs WHERE status = 'queued' AND run_at < ?
+    `, [toSqlTimestamp(lostBefore)]);
+    for (const job of lost) {
+        await deliver(job);
+    }
+}
+
+async function retryJob(db, handlers, jobId) {
+    const result = await db.run(`
+        UPDATE jobs SET status = 'queued', attempts = 0, run_at = ?, started_at = NULL, completed_at = NULL
+        WHERE id = ? AND status = 'dead'
+    `, [toSqlTimestamp(new Date()), jobId]);
+    if (!result.changes) return null;
+
+    const job = await db.get('SELECT * FROM jobs WHERE id = ?', [jobId]);
+    const handler = handlers[job.type];
+    if (handler && handler.retried) {
+        await handler.retried(JSON.parse(job.payload), job);
+    }
+    await deliver(job);
+    return job;
+}
+
+/**
+ * A jobs row as the admin API reports it
+ */
+function describeJob(handlers, job) {
+    return {
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        attempts: job.attempts,
+        maxAttempts: job.max_attempts,
+        lastError: job.last_error,
+        payload: summarize(handlers[job.type], JSON.parse(job.payload)),
+        runAt: job.run_at,
+        startedAt: job.started_at,
+        completedAt: job.completed_at,
+        createdAt: job.created_at
+    };
+}
+
+async function listJobs(db, handlers, { status, type, limit = 50 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (status) {
+        conditions.push('status = ?');
+        params.push(status);
+    }
+    if (type) {
+        conditions.push('type = ?');
+        params.push(type);
+    }
+    const jobs = await db.all(`
+        SELECT * FROM jobs
+        ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY id DESC
+        LIMIT ?
+    `, [...params, limit]);
+    return jobs.map(job => describeJob(handlers, job));
+}
+
+async function jobCounts(db) {
+    const rows = await db.all(`
+        SELECT type, status, COUNT(*) as job_count FROM jobs
+        GROUP BY type, status
+        ORDER BY type, status
+    `);
+    return rows.map(row => ({ type: row.type, status: row.status, count: Number(row.job_count) }));
+}
+
+/**
+ * Delete completed jobs older than JOB_RETENTION_DAYS; resolves with how many
+ */
+async function purgeJobs(db) {
+    const before = new Date(Date.now() - JOB_RETENTION_DAYS * 86400000);
+    const result = await db.run(`
+        DELETE FROM jobs WHERE status = 'complete' AND completed_at < ?
+    `, [toSqlTimestamp(before)]);
+    return result.changes;
+}
+
+module.exports = {
+    JOB_STATUSES,
+    JOB_POLL_SECONDS,
+    enqueueJob,
+    scheduleJobs,
+    runDueJobs,
+    runJobMessages,
+    sweepJobs,
+    retryJob,
+    describeJob,
+    listJobs,
+    jobCounts,
+    purgeJobs,
+    onJobQueued
+};
@@ -0,0 +1,31 @@
+/**
+ * SQS Job Transport
+ * Sends each queued job's id to an SQS queue (or any SQS-compatible
+ * service such as ElasticMQ when SQS_ENDPOINT is set). A Lambda with the
+ * queue as its event source runs the jobs; the jobs table stays the
+ * record of their status, attempts and errors.
+ */
+
+const AWS = require('aws-sdk');
+
+// SQS can hold a message back for at most 15 minutes
+const MAX_DELAY_SECONDS = 900;
+
+function createSqsTransport(queueUrl) {
+    const sqs = new AWS.SQS({ endpoint: process.env.SQS_ENDPOINT || undefined });
+
+    return {
+        type: 'sqs',
+
+        // A job due later than SQS can wait is sent again when this arrives
+        async deliver(job, delaySeconds = 0) {
+            await sqs.sendMessage({
+                QueueUrl: queueUrl,
+                MessageBody: JSON.stringify({ jobId: job.id, type: job.type }),
+                DelaySeconds: Math.min(Math.max(Math.ceil(delaySeconds), 0), MAX_DELAY_SECONDS)
+            }).promise();
+        }
+    };
+}
+
+module.exports = { createSqsTransport };
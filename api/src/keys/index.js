@@ -0,0 +1,39 @@
+/**
+ * Master Keys
+ * Picks the provider that wraps the per-document data keys used for
+ * encryption at rest:
+ * - AWS KMS when MASTER_KEY_ID is set (Lambda / production)
+ * - A local key file otherwise (development)
+ *
+ * Every provider exposes the same methods:
+ *   wrap(dataKey) -> { encryptedKey, keyId }
+ *   unwrap(encryptedKey, keyId) -> Buffer
+ *   rewrap(encryptedKey, keyId) -> { encryptedKey, keyId } under the current key
+ *   rotate() -> start using a new master key, resolves with its id
+ *   retire(keepKeyIds, replacedBefore) -> forget every other non-current
+ *                         master key replaced before that Date, resolves
+ *                         with the ids it forgot
+ */
+
+const path = require('path');
+const { createLocalKeyProvider } = require('./local');
+
+let provider = null;
+
+function getKeyProvider() {
+    if (!provider) {
+        if (process.env.MASTER_KEY_ID) {
+            console.log('🔑 Using KMS master key:', process.env.MASTER_KEY_ID);
+            // Required lazily so local development never loads the AWS SDK
+            const { createKmsKeyProvider } = require('./kms');
+            provider = createKmsKeyProvider(process.env.MASTER_KEY_ID);
+        } else {
+            const keyFile = process.env.MASTER_KEY_FILE || path.join(__dirname, '..', '..', 'keys', 'master-keys.json');
+            console.log('🔑 Using local master key file:', keyFile);
+            provider = createLocalKeyProvider(keyFile);
+        }
+    }
+    return provider;
+}
+
+module.exports = { getKeyProvider };
@@ -0,0 +1,130 @@
+/**
+ * Local Master Key File
+ * Keeps AES-256 master keys in a JSON file for local development:
+ *   { "currentKeyId": "local-...", "keys": { "local-...": "<base64 key>" },
+ *     "replacedAt": { "local-...": "<ISO time>" } }
+ * The file is created on first use. Older keys are removed from it once
+ * rotation has re-wrapped every data key they protected and they have been
+ * replaced for long enough that no server still wraps with them.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+function newKeyId() {
+    return `local-${new Date().toISOString().replace(/\D/g, '').slice(0, 14)}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+function createLocalKeyProvider(keyFile) {
+    let keyring = null;
+    let loadedAt = null;
+
+    async function writeKeyring(next) {
+        await fs.promises.mkdir(path.dirname(keyFile), { recursive: true });
+        // Write then rename so a running server never reads half a file
+        const tempFile = `${keyFile}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tempFile, JSON.stringify(next, null, 2), { mode: 0o600 });
+        await fs.promises.rename(tempFile, keyFile);
+        keyring = next;
+        loadedAt = (await fs.promises.stat(keyFile)).mtimeMs;
+    }
+
+    /**
+     * Read the key file, again whenever it changes, so a server that is
+     * already running picks up a rotation made by the keys command
+     */
+    async function loadKeyring() {
+        let stats;
+        try {
+            stats = await fs.promises.stat(keyFile);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            const keyId = newKeyId();
+            await writeKeyring({ currentKeyId: keyId, keys: { [keyId]: crypto.randomBytes(32).toString('base64') } });
+            return keyring;
+        }
+
+        if (!keyring || stats.mtimeMs !== loadedAt) {
+            keyring = JSON.parse(await fs.promises.readFile(keyFile, 'utf8'));
+            loadedAt = stats.mtimeMs;
+        }
+        return keyring;
+    }
+
+    async function getMasterKey(keyId) {
+        const { keys } = await loadKeyring();
+        if (!keys[keyId]) {
+            throw new Error(`Master key ${keyId} is not in ${keyFile}`);
+        }
+        return Buffer.from(keys[keyId], 'base64');
+    }
+
+    async function wrap(dataKey) {
+        const { currentKeyId } = await loadKeyring();
+        const iv = crypto.randomBytes(IV_BYTES);
+        const cipher = crypto.createCipheriv('aes-256-gcm', await getMasterKey(currentKeyId), iv);
+        // Bind the wrapped key to the master key id it claims to use
+        cipher.setAAD(Buffer.from(currentKeyId));
+        const ciphertext = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+        return {
+            encryptedKey: Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64'),
+            keyId: currentKeyId
+        };
+    }
+
+    async function unwrap(encryptedKey, keyId) {
+        const sealed = Buffer.from(encryptedKey, 'base64');
+        const decipher = crypto.createDecipheriv('aes-256-gcm', await getMasterKey(keyId), sealed.subarray(0, IV_BYTES));
+        decipher.setAAD(Buffer.from(keyId));
+        decipher.setAuthTag(sealed.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+        return Buffer.concat([decipher.update(sealed.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+    }
+
+    return {
+        type: 'local',
+
+        wrap,
+        unwrap,
+
+        async rewrap(encryptedKey, keyId) {
+            return wrap(await unwrap(encryptedKey, keyId));
+        },
+
+        async rotate() {
+            const current = await loadKeyring();
+            const keyId = newKeyId();
+            await writeKeyring({
+                currentKeyId: keyId,
+                keys: { ...current.keys, [keyId]: crypto.randomBytes(32).toString('base64') },
+                replacedAt: { ...current.replacedAt, [current.currentKeyId]: new Date().toISOString() }
+            });
+            return keyId;
+        },
+
+        async retire(keepKeyIds, replacedBefore) {
+            const current = await loadKeyring();
+            const keys = {};
+            const replacedAt = {};
+            for (const [keyId, key] of Object.entries(current.keys)) {
+                if (keyId === current.currentKeyId) {
+                    keys[keyId] = key;
+                    continue;
+                }
+                // Keys replaced before this was recorded start their wait now
+                const replaced = (current.replacedAt || {})[keyId] || new Date().toISOString();
+                if (keepKeyIds.includes(keyId) || new Date(replaced) > replacedBefore) {
+                    keys[keyId] = key;
+                    replacedAt[keyId] = replaced;
+                }
+            }
+            await writeKeyring({ ...current, keys, replacedAt });
+            return Object.keys(current.keys).filter(keyId => !keys[keyId]);
+        }
+    };
+}
+
+module.exports = { createLocalKeyProvider };
@@ -0,0 +1,148 @@
+/**
+ * Master Key Rotation
+ * Re-wraps every stored data key under the current master key. File bodies
+ * are never re-encrypted: only the wrapped keys in the documents table,
+ * in document_ocr for the searchable PDFs read from scans and in
+ * document_thumbnails for preview images, change. Jobs that have not
+ * completed may hold a sealed payload (an email with its links, see
+ * ../mail/sealed) whose wrapped key is re-wrapped too.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+
+// A server that read the key file or started an upload before a rotation
+// can still wrap new data keys with the old master key for a while, so a
+// key is only retired once it has been replaced for this long
+const RETIRE_AFTER_HOURS = parseInt(process.env.KEY_RETIRE_AFTER_HOURS, 10) || 24;
+
+// Tables that point at stored files, and the column holding the storage key
+const STORED_FILES = [
+    { table: 'documents', column: 'file_path' },
+    { table: 'document_ocr', column: 'pdf_path' },
+    { table: 'document_thumbnails', column: 'image_path' }
+];
+
+/**
+ * Count stored files per master key; files stored before encryption at
+ * rest are reported under a null key id
+ */
+async function getKeyStatus(db) {
+    const files = STORED_FILES.map(({ table, column }) => `
+        SELECT ${column} as file_path, master_key_id FROM ${table} WHERE ${column} IS NOT NULL
+    `).join(' UNION ');
+    return db.all(`
+        SELECT master_key_id, COUNT(DISTINCT file_path) as file_count
+        FROM (${files}) stored_files
+        GROUP BY master_key_id
+        ORDER BY master_key_id
+    `);
+}
+
+/**
+ * Jobs not yet completed whose payload is sealed, as { id, payload, rawPayload }
+ */
+async function sealedJobs(db) {
+    const jobs = await db.all(`SELECT id, payload FROM jobs WHERE status <> 'complete'`);
+    return jobs
+        .map(job => ({ id: job.id, payload: JSON.parse(job.payload), rawPayload: job.payload }))
+        .filter(job => job.payload.sealed);
+}
+
+/**
+ * Retire the master keys that nothing uses any more and that were replaced
+ * at least retireAfterHours ago
+ * Resolves with the retired key ids
+ */
+async function retireUnusedKeys(db, keyProvider, retireAfterHours = RETIRE_AFTER_HOURS) {
+    const stillUsed = await db.all(STORED_FILES.map(({ table }) => `
+        SELECT master_key_id FROM ${table} WHERE master_key_id IS NOT NULL
+    `).join(' UNION '));
+    const jobKeyIds = (await sealedJobs(db)).map(job => job.payload.sealed.keyId);
+    const replacedBefore = new Date(Date.now() - retireAfterHours * 60 * 60 * 1000);
+    return keyProvider.retire([...stillUsed.map(row => row.master_key_id), ...jobKeyIds], replacedBefore);
+}
+
+/**
+ * Start a new master key, re-wrap every data key with it and retire the
+ * older master keys nothing uses any more (see retireUnusedKeys)
+ * Resolves with { keyId, rewrapped, retired }
+ */
+async function rotateMasterKey(db, keyProvider) {
+    const keyId = await keyProvider.rotate();
+
+    // Every version that shares a file shares its wrapped key, so each
+    // distinct wrapped key is re-wrapped once and updated everywhere
+    let rewrapped = 0;
+    for (const { table } of STORED_FILES) {
+        const wrappedKeys = await db.all(`
+            SELECT DISTINCT encrypted_data_key, master_key_id FROM ${table}
+            WHERE encrypted_data_key IS NOT NULL
+        `);
+
+        for (const row of wrappedKeys) {
+            const next = await keyProvider.rewrap(row.encrypted_data_key, row.master_key_id);
+            await db.run(`
+                UPDATE ${table} SET encrypted_data_key = ?, master_key_id = ?
+                WHERE encrypted_data_key = ?
+            `, [next.encryptedKey, next.keyId, row.encrypted_data_key]);
+            rewrapped++;
+        }
+    }
+
+    for (const job of await sealedJobs(db)) {
+        const next = await keyProvider.rewrap(job.payload.sealed.encryptedKey, job.payload.sealed.keyId);
+        const payload = { ...job.payload, sealed: { ...job.payload.sealed, ...next } };
+        // Left alone if a worker completed the job meanwhile
+        const result = await db.run(`
+            UPDATE jobs SET payload = ? WHERE id = ? AND payload = ?
+        `, [JSON.stringify(payload), job.id, job.rawPayload]);
+        rewrapped += result.changes;
+    }
+
+    // The key just replaced is kept for now: anything uploaded or queued by
+    // a server that had not yet seen the new key still uses it
+    const retired = await retireUnusedKeys(db, keyProvider);
+
+    return { keyId, rewrapped, retired };
+}
+
+/**
+ * Encrypt files stored before encryption at rest
+ * Each file is copied to a new key encrypted, the rows that point at it are
+ * updated and the plaintext copy is removed. Missing files are skipped.
+ * Resolves with { encrypted, missing }
+ */
+async function encryptExistingFiles(db, storage) {
+    let encrypted = 0;
+    const missing = [];
+    for (const { table, column } of STORED_FILES) {
+        const files = await db.all(`
+            SELECT DISTINCT ${column} as file_path FROM ${table}
+            WHERE ${column} IS NOT NULL AND encrypted_data_key IS NULL
+        `);
+
+        for (const { file_path: filePath } of files) {
+            try {
+                await storage.stat(filePath, null);
+            } catch (error) {
+                if (error.code !== 'ENOENT' && error.code !== 'NotFound') throw error;
+                missing.push(filePath);
+                continue;
+            }
+
+            const newKey = `${path.posix.dirname(filePath)}/${crypto.randomUUID()}${path.posix.extname(filePath)}`;
+            const saved = await storage.save(newKey, await storage.createReadStream(filePath, null, null));
+            await db.run(`
+                UPDATE ${table} SET ${column} = ?, encrypted_data_key = ?, master_key_id = ?
+                WHERE ${column} = ? AND encrypted_data_key IS NULL
+            `, [newKey, saved.encryptedKey, saved.keyId, filePath]);
+            await storage.remove(filePath);
+            encrypted++;
+        }
+    }
+
+    return { encrypted, missing };
+}
+
+module.exports = { getKeyStatus, rotateMasterKey, retireUnusedKeys, encryptExistingFiles };
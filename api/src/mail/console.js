@@ -0,0 +1,20 @@
+/**
+ * Console Mail Transport
+ * Prints messages to the server log instead of sending them
+ */
+
+function createConsoleTransport() {
+    return {
+        type: 'console',
+
+        async send({ from, to, subject, text }) {
+            console.log('📧 Outgoing email');
+            console.log(`   From:    ${from}`);
+            console.log(`   To:      ${to}`);
+            console.log(`   Subject: ${subject}`);
+            console.log(text.split('\n').map(line => `   ${line}`).join('\n'));
+        }
+    };
+}
+
+module.exports = { createConsoleTransport };
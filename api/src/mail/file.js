@@ -0,0 +1,29 @@
+/**
+ * File Mail Transport
+ * Writes each message to its own JSON file, named so that a directory
+ * listing sorts oldest first
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+function createFileTransport(mailDir) {
+    console.log('📬 Writing outgoing email to:', mailDir);
+
+    return {
+        type: 'file',
+
+        async send({ from, to, subject, text }) {
+            await fs.promises.mkdir(mailDir, { recursive: true });
+            const sentAt = new Date().toISOString();
+            const fileName = `${sentAt.replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.json`;
+            await fs.promises.writeFile(
+                path.join(mailDir, fileName),
+                JSON.stringify({ from, to, subject, text, sentAt }, null, 2)
+            );
+        }
+    };
+}
+
+module.exports = { createFileTransport };
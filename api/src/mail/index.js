@@ -0,0 +1,41 @@
+/**
+ * Outgoing Email
+ * Picks the mail transport:
+ * - SMTP when MAIL_TRANSPORT=smtp, or SMTP_HOST is set (production)
+ * - File when MAIL_TRANSPORT=file: one JSON file per message in MAIL_DIR,
+ *   handy for tests that need to read a link out of an email
+ * - Console otherwise (development), so links can be copied from the log
+ *
+ * Every transport exposes the same method:
+ *   send({ from, to, subject, text }) -> resolves once the message is handed off
+ */
+
+const path = require('path');
+const { createConsoleTransport } = require('./console');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Aerial Nest <no-reply@aerialnest.com>';
+
+let transport = null;
+
+function getMailTransport() {
+    if (!transport) {
+        const type = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+        if (type === 'smtp') {
+            // Required lazily so local development never loads nodemailer
+            const { createSmtpTransport } = require('./smtp');
+            transport = createSmtpTransport();
+        } else if (type === 'file') {
+            const { createFileTransport } = require('./file');
+            transport = createFileTransport(process.env.MAIL_DIR || path.join(__dirname, '..', '..', 'outbox'));
+        } else {
+            transport = createConsoleTransport();
+        }
+    }
+    return transport;
+}
+
+async function sendMail({ to, subject, text }) {
+    await getMailTransport().send({ from: MAIL_FROM, to, subject, text });
+}
+
+module.exports = { sendMail };
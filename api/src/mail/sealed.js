@@ -0,0 +1,45 @@
+/**
+ * Sealed Email
+ * Emails wait in the jobs table until they are sent, and their text carries
+ * sign-in, reset and invitation links. The text is encrypted with its own
+ * AES-256-GCM data key, wrapped by the master key provider like the data
+ * key of a stored file, so the table alone never gives a link away:
+ *   { to, subject, sealed: { text, encryptedKey, keyId } }
+ * Key rotation re-wraps the keys of jobs that have not completed (see
+ * ../keys/rotation). Emails queued before sealing are sent as they are.
+ */
+
+const crypto = require('crypto');
+
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+async function sealMessage(keyProvider, { to, subject, text }) {
+    const dataKey = crypto.randomBytes(32);
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv('aes-256-gcm', dataKey, iv);
+    // Bind the text to its recipient and subject
+    cipher.setAAD(Buffer.from(JSON.stringify([to, subject])));
+    const ciphertext = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+    const wrapped = await keyProvider.wrap(dataKey);
+    return {
+        to,
+        subject,
+        sealed: { text: Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64'), ...wrapped }
+    };
+}
+
+async function openMessage(keyProvider, message) {
+    const { to, subject, sealed } = message;
+    if (!sealed) return message;
+
+    const dataKey = await keyProvider.unwrap(sealed.encryptedKey, sealed.keyId);
+    const packed = Buffer.from(sealed.text, 'base64');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', dataKey, packed.subarray(0, IV_BYTES));
+    decipher.setAAD(Buffer.from(JSON.stringify([to, subject])));
+    decipher.setAuthTag(packed.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+    const text = Buffer.concat([decipher.update(packed.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]).toString('utf8');
+    return { to, subject, text };
+}
+
+module.exports = { sealMessage, openMessage };
@@ -0,0 +1,30 @@
+/**
+ * SMTP Mail Transport
+ * Sends through any SMTP relay (SES, Postmark, Mailgun, a local MailHog...)
+ * configured with SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER and SMTP_PASS
+ */
+
+const nodemailer = require('nodemailer');
+
+function createSmtpTransport() {
+    const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+    const mailer = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port,
+        // Port 465 speaks TLS from the start; others upgrade with STARTTLS
+        secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+        auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+            : undefined
+    });
+
+    return {
+        type: 'smtp',
+
+        async send({ from, to, subject, text }) {
+            await mailer.sendMail({ from, to, subject, text });
+        }
+    };
+}
+
+module.exports = { createSmtpTransport };
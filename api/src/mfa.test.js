@@ -0,0 +1,193 @@
+/**
+ * Two-step verification through the API: codes and recovery codes are
+ * single use, and document bytes wait for a recent code when the account
+ * asks for one. Calls go through the Lambda handler on a fresh SQLite
+ * database, as in ./openapi/contract.test.js.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aerial-nest-mfa-'));
+Object.assign(process.env, {
+    SQLITE_PATH: path.join(dir, 'test.db'),
+    STORAGE_DIR: path.join(dir, 'uploads'),
+    MASTER_KEY_FILE: path.join(dir, 'master-keys.json'),
+    MAIL_TRANSPORT: 'file',
+    MAIL_DIR: path.join(dir, 'mail'),
+    AUTO_MIGRATE: 'true'
+});
+fs.mkdirSync(process.env.MAIL_DIR);
+
+const api = require('./index');
+const { generateCode, currentCounter } = require('./totp');
+
+let requestCount = 0;
+async function call(method, requestPath, { token, body, query, multipart } = {}) {
+    // A different address each time, so the tests stay under the rate limits
+    const headers = { 'x-forwarded-for': `10.30.${Math.floor(requestCount / 250)}.${requestCount++ % 250}` };
+    if (token) headers.authorization = `Bearer ${token}`;
+
+    let rawBody = null;
+    if (body !== undefined) {
+        headers['content-type'] = 'application/json';
+        rawBody = JSON.stringify(body);
+    }
+    if (multipart) {
+        const boundary = 'mfaboundary';
+        const parts = Object.entries(multipart.fields).map(([name, value]) =>
+            `--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`);
+        parts.push(`--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="${multipart.fileName}"\r\n` +
+            `Content-Type: text/plain\r\n\r\n${multipart.content}\r\n--${boundary}--\r\n`);
+        headers['content-type'] = `multipart/form-data; boundary=${boundary}`;
+        rawBody = parts.join('');
+    }
+
+    const response = await api.lambdaHandler({
+        httpMethod: method, path: requestPath, headers, body: rawBody, queryStringParameters: query || null
+    });
+    const type = (response.headers['Content-Type'] || '').split(';')[0].trim();
+    return { status: response.statusCode, body: type === 'application/json' ? JSON.parse(response.body) : response.body };
+}
+
+// The newest email to an address, after sending the queued ones
+async function lastEmail(to) {
+    await api.runBackgroundJobs();
+    const messages = fs.readdirSync(process.env.MAIL_DIR).sort()
+        .map(file => JSON.parse(fs.readFileSync(path.join(process.env.MAIL_DIR, file), 'utf8')));
+    return messages.filter(message => message.to === to).pop();
+}
+
+const linkParam = (message, name) => decodeURIComponent(new RegExp(`[?&]${name}=([^\\s&]+)`).exec(message.text)[1]);
+
+async function register(email, firstName) {
+    const account = { email, password: 'password123' };
+    await call('POST', '/api/auth/register', { body: { ...account, firstName, lastName: 'Tester' } });
+    await call('POST', '/api/auth/resend-verification', {
+        token: (await call('POST', '/api/auth/login', { body: account })).body.token
+    });
+    await call('GET', '/api/auth/verify-email', { query: { token: linkParam(await lastEmail(email), 'verify') } });
+    return account;
+}
+
+async function upload(token) {
+    const [category] = (await call('GET', '/api/categories')).body.categories;
+    return (await call('POST', '/api/documents', {
+        token,
+        multipart: {
+            fields: { title: 'Letter', documentType: 'other', categoryId: String(category.id) },
+            fileName: 'letter.txt',
+            content: 'Dear family, the key is under the mat.'
+        }
+    })).body.document;
+}
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+describe('codes', () => {
+    let account;
+    let token;
+    let otherToken;
+    let secret;
+    let counter;
+    let recoveryCodes;
+
+    beforeAll(async () => {
+        account = await register('olive@example.com', 'Olive');
+        token = (await call('POST', '/api/auth/login', { body: account })).body.token;
+        // Signed in before two-step verification was turned on, so never verified
+        otherToken = (await call('POST', '/api/auth/login', { body: account })).body.token;
+
+        secret = (await call('POST', '/api/auth/mfa/setup', { token })).body.secret;
+        counter = currentCounter();
+        const enabled = await call('POST', '/api/auth/mfa/enable', { token, body: { code: generateCode(secret, counter) } });
+        expect(enabled.status).toBe(200);
+        recoveryCodes = enabled.body.recoveryCodes;
+    });
+
+    test('a code cannot be used twice', async () => {
+        const reused = await call('POST', '/api/auth/mfa/step-up', { token, body: { code: generateCode(secret, counter) } });
+        expect(reused.status).toBe(401);
+        expect(reused.body.code).toBe('invalid_code');
+
+        const next = await call('POST', '/api/auth/mfa/step-up', { token, body: { code: generateCode(secret, counter + 1) } });
+        expect(next.status).toBe(200);
+    });
+
+    test('a recovery code works once', async () => {
+        const body = { recoveryCode: recoveryCodes[0] };
+        expect((await call('POST', '/api/auth/mfa/step-up', { token, body })).status).toBe(200);
+        expect((await call('POST', '/api/auth/mfa/step-up', { token, body })).status).toBe(401);
+    });
+
+    test('signing in takes a recovery code once', async () => {
+        const challenge = (await call('POST', '/api/auth/login', { body: account })).body;
+        expect(challenge.mfaRequired).toBe(true);
+        expect(challenge.token).toBeUndefined();
+
+        const body = { challengeToken: challenge.challengeToken, recoveryCode: recoveryCodes[1] };
+        const verified = await call('POST', '/api/auth/mfa/verify', { body });
+        expect(verified.status).toBe(200);
+        expect(verified.body.token).toEqual(expect.any(String));
+        expect(verified.body.recoveryCodesRemaining).toBe(recoveryCodes.length - 2);
+
+        const again = (await call('POST', '/api/auth/login', { body: account })).body;
+        const reused = await call('POST', '/api/auth/mfa/verify', {
+            body: { challengeToken: again.challengeToken, recoveryCode: recoveryCodes[1] }
+        });
+        expect(reused.status).toBe(401);
+        expect(reused.body.message).toBe('That code is not valid');
+    });
+
+    test('documents wait for a recent code when the account asks for one', async () => {
+        const document = await upload(token);
+        const content = `/api/documents/${document.id}/content`;
+        expect((await call('GET', content, { token: otherToken })).status).toBe(200);
+
+        await call('PUT', '/api/auth/mfa/settings', { token, body: { requireForDownloads: true } });
+        const refused = await call('GET', content, { token: otherToken });
+        expect(refused.status).toBe(403);
+        expect(refused.body.code).toBe('mfa_required');
+        expect((await call('GET', `/api/documents/${document.id}/download`, { token: otherToken })).status).toBe(403);
+        // The session that turned it on entered a code just now
+        expect((await call('GET', content, { token })).status).toBe(200);
+
+        await call('POST', '/api/auth/mfa/step-up', { token: otherToken, body: { recoveryCode: recoveryCodes[2] } });
+        expect((await call('GET', content, { token: otherToken })).status).toBe(200);
+    });
+});
+
+describe('view-only shares', () => {
+    test('preview a document but cannot download it', async () => {
+        const owner = await register('vera@example.com', 'Vera');
+        const token = (await call('POST', '/api/auth/login', { body: owner })).body.token;
+        const document = await upload(token);
+
+        const contact = (await call('POST', '/api/trusted-contacts', {
+            token, body: { name: 'Bea Contact', email: 'bea@example.com', relationship: 'sister' }
+        })).body.contact;
+        await call('POST', `/api/trusted-contacts/${contact.id}/invite`, { token });
+        const contactToken = (await call('POST', '/api/invitations/accept', {
+            body: {
+                token: linkParam(await lastEmail('bea@example.com'), 'invite'),
+                password: 'password789',
+                firstName: 'Bea',
+                lastName: 'Contact'
+            }
+        })).body.token;
+        const shared = await call('POST', `/api/documents/${document.id}/shares`, {
+            token, body: { trustedContactId: contact.id, accessType: 'view' }
+        });
+        expect(shared.status).toBe(201);
+
+        expect((await call('GET', `/api/documents/${document.id}/content`, { token: contactToken })).status).toBe(200);
+        const download = await call('GET', `/api/documents/${document.id}/download`, { token: contactToken });
+        expect(download.status).toBe(403);
+        expect(download.body.message).toBe('You have view-only access to this document');
+    });
+});
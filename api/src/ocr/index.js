@@ -0,0 +1,153 @@
+/**
+ * OCR of Scanned Documents
+ * Photos (jpg, png) and PDFs without a text layer get a document_ocr row
+ * and an 'ocr' background job (../jobs) once their upload is indexed. The
+ * job reads their text with ./tesseract, stores a searchable PDF alongside
+ * the original and indexes the text for search (../search). It only runs
+ * where tesseract is installed: `node worker.js work` on such a machine,
+ * or the local server when it has it. document_ocr keeps the status the
+ * API reports, in step with the job.
+ *
+ *   needsOcr(document, extractedText)        -> whether a new version should be read
+ *   queueOcr(db, document, extractedText)    -> 'pending', 'complete' (a restored file
+ *                                               already read) or null when not needed
+ *   ocrJob(db)                               -> the handler for 'ocr' jobs
+ *   ocrStatus(row)                           -> a document_ocr row as the API reports it;
+ *                                               status 'pending', 'processing', 'complete' or
+ *                                               'failed', or 'not_needed' without a row
+ *
+ * End-to-end encrypted files are never queued: the server cannot read them.
+ */
+
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { getStorage, readFile } = require('../storage');
+const { getSearchIndex } = require('../search');
+const { enqueueJob } = require('../jobs');
+const { isAvailable, recognize } = require('./tesseract');
+
+const OCR_FILE_TYPES = ['jpg', 'jpeg', 'png', 'pdf'];
+
+// A PDF with fewer letters and digits than this is treated as a scan
+const MIN_PDF_TEXT_LENGTH = 20;
+
+// Attempts before a document is marked failed
+const MAX_ATTEMPTS = 3;
+
+// Same "YYYY-MM-DD HH:MM:SS" UTC form as CURRENT_TIMESTAMP
+const toSqlTimestamp = date => date.toISOString().replace('T', ' ').slice(0, 19);
+
+function needsOcr(document, extractedText) {
+    if (document.is_encrypted || !OCR_FILE_TYPES.includes(document.file_type)) return false;
+    return document.file_type !== 'pdf' || (extractedText || '').replace(/\s/g, '').length < MIN_PDF_TEXT_LENGTH;
+}
+
+async function queueOcr(db, document, extractedText) {
+    if (!needsOcr(document, extractedText)) return null;
+
+    // The job that indexed the upload may be running again after a failure
+    const queued = await db.get('SELECT status FROM document_ocr WHERE document_id = ?', [document.id]);
+    if (queued) return queued.status;
+
+    // Restoring a version points a new row at a file that may have been read already
+    const earlier = await db.get(`
+        SELECT o.* FROM document_ocr o
+        JOIN documents d ON d.id = o.document_id
+        WHERE d.file_path = ? AND o.status = 'complete'
+        ORDER BY o.id DESC
+        LIMIT 1
+    `, [document.file_path]);
+
+    if (earlier) {
+        await db.run(`
+            INSERT INTO document_ocr (document_id, user_id, status, attempts, text, page_count, pdf_path, pdf_size,
+                                      encrypted_data_key, master_key_id, started_at, completed_at)
+            VALUES (?, ?, 'complete', ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [document.id, document.user_id, earlier.attempts, earlier.text, earlier.page_count, earlier.pdf_path,
+            earlier.pdf_size, earlier.encrypted_data_key, earlier.master_key_id, earlier.started_at, earlier.completed_at]);
+        await getSearchIndex(db).index(document, earlier.text);
+        return 'complete';
+    }
+
+    await db.run('INSERT INTO document_ocr (document_id, user_id) VALUES (?, ?)', [document.id, document.user_id]);
+    await enqueueJob(db, 'ocr', { documentId: document.id }, { maxAttempts: MAX_ATTEMPTS });
+    return 'pending';
+}
+
+/**
+ * Read one document's text; a failure is recorded for the API and thrown
+ * again so the job is retried
+ */
+async function readDocument(db, documentId) {
+    const document = await db.get('SELECT * FROM documents WHERE id = ?', [documentId]);
+    await db.run(`
+        UPDATE document_ocr SET status = 'processing', attempts = attempts + 1, started_at = ? WHERE document_id = ?
+    `, [toSqlTimestamp(new Date()), documentId]);
+
+    try {
+        const envelope = document.encrypted_data_key
+            ? { encryptedKey: document.encrypted_data_key, keyId: document.master_key_id }
+            : null;
+        const { text, pdf, pageCount } = await recognize(await readFile(document.file_path, envelope), document.file_type);
+
+        const key = `documents/${document.user_id}/${crypto.randomUUID()}.pdf`;
+        const saved = await getStorage().save(key, Readable.from([pdf]), { contentType: 'application/pdf' });
+        await db.run(`
+            UPDATE document_ocr
+            SET status = 'complete', error = NULL, text = ?, page_count = ?, pdf_path = ?, pdf_size = ?,
+                encrypted_data_key = ?, master_key_id = ?, completed_at = ?
+            WHERE document_id = ?
+        `, [text, pageCount, key, saved.size, saved.encryptedKey, saved.keyId, toSqlTimestamp(new Date()), documentId]);
+
+        // A newer version may have replaced this one while it was read
+        if (document.is_active) {
+            await getSearchIndex(db).index(document, text);
+        }
+    } catch (error) {
+        await db.run('UPDATE document_ocr SET status = ?, error = ? WHERE document_id = ?', [
+            'pending',
+            error.killed ? 'Reading the text took too long' : 'The text could not be read',
+            documentId
+        ]);
+        throw error;
+    }
+}
+
+// Whether tesseract and pdftoppm are installed does not change while the
+// process runs
+let available = null;
+
+function ocrJob(db) {
+    return {
+        run: ({ documentId }) => readDocument(db, documentId),
+        dead: ({ documentId }) => db.run(`UPDATE document_ocr SET status = 'failed' WHERE document_id = ?`, [documentId]),
+        retried: ({ documentId }) => db.run(`
+            UPDATE document_ocr SET status = 'pending', attempts = 0, error = NULL WHERE document_id = ?
+        `, [documentId]),
+        available: () => {
+            if (!available) available = isAvailable();
+            return available;
+        }
+    };
+}
+
+function ocrStatus(row) {
+    if (!row) return { status: 'not_needed' };
+    return {
+        status: row.status,
+        pageCount: row.page_count,
+        attempts: row.attempts,
+        error: row.error,
+        queuedAt: row.queued_at,
+        startedAt: row.started_at,
+        completedAt: row.completed_at,
+        hasSearchablePdf: Boolean(row.pdf_path)
+    };
+}
+
+module.exports = {
+    needsOcr,
+    queueOcr,
+    ocrJob,
+    ocrStatus
+};
@@ -0,0 +1,94 @@
+/**
+ * Tesseract OCR Engine
+ * Runs the tesseract command line tool on this machine, with pdftoppm
+ * (poppler-utils) turning PDF pages into images first. Both work offline
+ * on the CPU, so documents never leave the server. On Debian or Ubuntu:
+ *   apt-get install tesseract-ocr poppler-utils
+ *
+ *   isAvailable() -> whether both tools can be run
+ *   recognize(buffer, fileType) -> { text, pdf, pageCount }, where pdf is the
+ *                                  pages as images with the text laid invisibly
+ *                                  over them, so it can be searched and copied
+ */
+
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+const TESSERACT_PATH = process.env.TESSERACT_PATH || 'tesseract';
+const PDFTOPPM_PATH = process.env.PDFTOPPM_PATH || 'pdftoppm';
+
+// Tesseract language codes joined with "+", e.g. "eng+spa"
+const OCR_LANGUAGES = process.env.OCR_LANGUAGES || 'eng';
+
+// Only the first pages of long PDFs are read
+const OCR_MAX_PAGES = parseInt(process.env.OCR_MAX_PAGES, 10) || 50;
+
+// Photos rarely say how large they are; tesseract reads them best at this
+const OCR_DPI = 300;
+
+const OCR_TIMEOUT_MS = (parseInt(process.env.OCR_TIMEOUT_SECONDS, 10) || 600) * 1000;
+
+function run(command, args) {
+    return execFileAsync(command, args, {
+        timeout: OCR_TIMEOUT_MS,
+        maxBuffer: 16 * 1024 * 1024,
+        // Tesseract's own threading slows it down on small CPU-only machines
+        env: { ...process.env, OMP_THREAD_LIMIT: '1' }
+    });
+}
+
+async function isAvailable() {
+    try {
+        await run(TESSERACT_PATH, ['--version']);
+        await run(PDFTOPPM_PATH, ['-v']);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// pdftoppm names pages page-1.png or page-01.png depending on the page count
+async function renderPdfPages(pdfPath, directory) {
+    await run(PDFTOPPM_PATH, ['-r', String(OCR_DPI), '-png', '-l', String(OCR_MAX_PAGES), pdfPath, path.join(directory, 'page')]);
+    const pages = (await fs.promises.readdir(directory))
+        .map(name => /^page-(\d+)\.png$/.exec(name))
+        .filter(Boolean)
+        .sort((a, b) => parseInt(a[1], 10) - parseInt(b[1], 10))
+        .map(match => path.join(directory, match[0]));
+    if (pages.length === 0) throw new Error('The PDF has no pages to read');
+    return pages;
+}
+
+/**
+ * Read the text of a photo (jpg, png) or of a PDF's pages; files are
+ * worked on in a temporary directory that is always removed
+ */
+async function recognize(buffer, fileType) {
+    const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'aerial-nest-ocr-'));
+    try {
+        const original = path.join(directory, `original.${fileType}`);
+        await fs.promises.writeFile(original, buffer);
+        const pages = fileType === 'pdf' ? await renderPdfPages(original, directory) : [original];
+
+        // Given a list of images, tesseract writes one multi-page result
+        const pageList = path.join(directory, 'pages.txt');
+        await fs.promises.writeFile(pageList, `${pages.join('\n')}\n`);
+        const output = path.join(directory, 'result');
+        await run(TESSERACT_PATH, [pageList, output, '-l', OCR_LANGUAGES, '--dpi', String(OCR_DPI), 'txt', 'pdf']);
+
+        return {
+            text: (await fs.promises.readFile(`${output}.txt`, 'utf8')).replace(/\f/g, '\n').trim(),
+            pdf: await fs.promises.readFile(`${output}.pdf`),
+            pageCount: pages.length
+        };
+    } finally {
+        await fs.promises.rm(directory, { recursive: true, force: true });
+    }
+}
+
+module.exports = { isAvailable, recognize };
@@ -0,0 +1,296 @@
+/**
+ * Contract test: the committed spec (./openapi.json) against the API
+ * The route table must match the spec, and the API's real responses must
+ * match what the spec says each operation returns. A scenario calls every
+ * operation through the Lambda handler, as an owner and a trusted contact,
+ * on a fresh SQLite database; every response is checked by its status code
+ * against the operation's responses.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validate } = require('../validation');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aerial-nest-contract-'));
+Object.assign(process.env, {
+    SQLITE_PATH: path.join(dir, 'test.db'),
+    STORAGE_DIR: path.join(dir, 'uploads'),
+    MASTER_KEY_FILE: path.join(dir, 'master-keys.json'),
+    MAIL_TRANSPORT: 'file',
+    MAIL_DIR: path.join(dir, 'mail'),
+    AUTO_MIGRATE: 'true',
+    ADMIN_EMAILS: 'owner@example.com'
+});
+fs.mkdirSync(process.env.MAIL_DIR);
+
+const api = require('../index');
+const { generateCode, currentCounter } = require('../totp');
+const { loadSpec } = require('.');
+
+const spec = loadSpec();
+const calls = [];
+
+// Inline every $ref, since validate() doesn't follow them
+function resolve(node) {
+    if (Array.isArray(node)) return node.map(resolve);
+    if (!node || typeof node !== 'object') return node;
+    if (node.$ref) {
+        const target = node.$ref.replace(/^#\//, '').split('/').reduce((parent, key) => parent[key], spec);
+        return resolve(target);
+    }
+    return Object.fromEntries(Object.entries(node).map(([key, value]) => [key, resolve(value)]));
+}
+
+/**
+ * Call an operation by its spec path, e.g. call('GET', '/api/documents/{id}', { params: { id } })
+ */
+let requestCount = 0;
+async function call(method, specPath, { params = {}, token, body, query, multipart, cookies } = {}) {
+    const requestPath = specPath.replace(/\{(\w+)\}/g, (_, name) => encodeURIComponent(params[name]));
+    // A different address each time, so the scenario stays under the rate limits
+    const headers = { 'x-forwarded-for': `10.20.${Math.floor(requestCount / 250)}.${requestCount++ % 250}` };
+    if (token) headers.authorization = `Bearer ${token}`;
+
+    let rawBody = null;
+    if (body !== undefined) {
+        headers['content-type'] = 'application/json';
+        rawBody = JSON.stringify(body);
+    }
+    if (multipart) {
+        const boundary = 'contractboundary';
+        const parts = Object.entries(multipart.fields).map(([name, value]) =>
+            `--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`);
+        parts.push(`--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="${multipart.fileName}"\r\n` +
+            `Content-Type: text/plain\r\n\r\n${multipart.content}\r\n--${boundary}--\r\n`);
+        headers['content-type'] = `multipart/form-data; boundary=${boundary}`;
+        rawBody = parts.join('');
+    }
+
+    const response = await api.lambdaHandler({
+        httpMethod: method, path: requestPath, headers, cookies, body: rawBody, queryStringParameters: query || null
+    });
+    const type = (response.headers['Content-Type'] || '').split(';')[0].trim();
+    const parsed = type === 'application/json' ? JSON.parse(response.body) : response.body;
+    calls.push({ method, specPath, status: response.statusCode, type, body: parsed });
+    return { status: response.statusCode, body: parsed, headers: response.headers, cookies: response.cookies };
+}
+
+// The newest email to an address, after sending the queued ones
+async function lastEmail(to) {
+    await api.runBackgroundJobs();
+    const messages = fs.readdirSync(process.env.MAIL_DIR).sort()
+        .map(file => JSON.parse(fs.readFileSync(path.join(process.env.MAIL_DIR, file), 'utf8')));
+    return messages.filter(message => message.to === to).pop();
+}
+
+const linkParam = (message, name) => decodeURIComponent(new RegExp(`[?&]${name}=([^\\s&]+)`).exec(message.text)[1]);
+
+async function scenario() {
+    for (const specPath of ['/', '/api', '/api/health', '/api/categories', '/api/openapi.json', '/api/docs']) {
+        await call('GET', specPath);
+    }
+
+    // Accounts and sessions
+    const owner = { email: 'owner@example.com', password: 'password123' };
+    await call('POST', '/api/auth/register', { body: { ...owner, firstName: 'Olive', lastName: 'Owner' } });
+    let ownerToken = (await call('POST', '/api/auth/login', { body: owner })).body.token;
+    const session = await call('POST', '/api/auth/login', { body: owner });
+    // The Set-Cookie values, sent back as name=value
+    await call('POST', '/api/auth/refresh', { cookies: session.cookies.map(cookie => cookie.split(';')[0]) });
+    await call('GET', '/api/user/profile', { token: ownerToken });
+    await call('POST', '/api/auth/resend-verification', { token: ownerToken });
+    const verification = await lastEmail(owner.email);
+    await call('GET', '/api/auth/verify-email', { query: { token: linkParam(verification, 'verify') } });
+    await call('POST', '/api/auth/forgot-password', { body: { email: owner.email } });
+    const reset = await lastEmail(owner.email);
+    owner.password = 'password456';
+    await call('POST', '/api/auth/reset-password', { body: { token: linkParam(reset, 'reset'), password: owner.password } });
+    ownerToken = (await call('POST', '/api/auth/login', { body: owner })).body.token;
+    await call('POST', '/api/auth/login', { body: owner });
+    const sessions = (await call('GET', '/api/auth/sessions', { token: ownerToken })).body.sessions;
+    const otherSession = sessions.find(item => !item.current);
+    await call('DELETE', '/api/auth/sessions/{id}', { params: { id: otherSession.id }, token: ownerToken });
+
+    // Multi-factor authentication
+    await call('GET', '/api/auth/mfa', { token: ownerToken });
+    const { secret } = (await call('POST', '/api/auth/mfa/setup', { token: ownerToken })).body;
+    const counter = currentCounter();
+    await call('POST', '/api/auth/mfa/enable', { token: ownerToken, body: { code: generateCode(secret, counter) } });
+    const { recoveryCodes } = (await call('POST', '/api/auth/mfa/recovery-codes', {
+        token: ownerToken, body: { code: generateCode(secret, counter + 1) }
+    })).body;
+    await call('PUT', '/api/auth/mfa/settings', { token: ownerToken, body: { requireForDownloads: true } });
+    await call('POST', '/api/auth/mfa/step-up', { token: ownerToken, body: { recoveryCode: recoveryCodes[0] } });
+    const challenge = (await call('POST', '/api/auth/login', { body: owner })).body;
+    await call('POST', '/api/auth/mfa/verify', { body: { challengeToken: challenge.challengeToken, recoveryCode: recoveryCodes[1] } });
+
+    // Documents and versions
+    const [category] = (await call('GET', '/api/categories')).body.categories;
+    const uploaded = (await call('POST', '/api/documents', {
+        token: ownerToken,
+        multipart: {
+            fields: { title: 'Letter', documentType: 'other', categoryId: String(category.id) },
+            fileName: 'letter.txt',
+            content: 'Dear family, the key is under the mat.'
+        }
+    })).body.document;
+    await call('GET', '/api/documents', { token: ownerToken });
+    await call('GET', '/api/documents/search', { token: ownerToken, query: { q: 'letter' } });
+    const replaced = (await call('POST', '/api/documents/{id}/versions', {
+        params: { id: uploaded.id },
+        token: ownerToken,
+        multipart: { fields: { reason: 'Updated' }, fileName: 'letter.txt', content: 'Dear family, the key moved.' }
+    })).body.document;
+    await call('GET', '/api/documents/{id}/versions', { params: { id: uploaded.id }, token: ownerToken });
+    const current = (await call('POST', '/api/documents/{id}/versions/{versionId}/restore', {
+        params: { id: replaced.id, versionId: uploaded.id }, token: ownerToken, body: { reason: 'Went back' }
+    })).body.document;
+    const document = { params: { id: current.id }, token: ownerToken };
+    await call('GET', '/api/documents/{id}/content', document);
+    await call('GET', '/api/documents/{id}/download', document);
+    await call('GET', '/api/documents/{id}/ocr', document);
+    await call('GET', '/api/documents/{id}/ocr/pdf', document);
+    await call('GET', '/api/documents/{id}/thumbnail', document);
+    await call('GET', '/api/documents/{id}/key', document);
+
+    // Templates
+    await call('GET', '/api/templates', { token: ownerToken });
+    const funeralWishes = { params: { templateId: 'funeral_wishes' }, token: ownerToken };
+    await call('GET', '/api/templates/{templateId}', funeralWishes);
+    await call('POST', '/api/templates/{templateId}/render', { ...funeralWishes, body: { values: { fullName: 'Olive Owner' } } });
+
+    // Trusted contacts and invitations
+    const contact = (await call('POST', '/api/trusted-contacts', {
+        token: ownerToken,
+        body: { name: 'Bea Contact', email: 'bea@example.com', relationship: 'sister', emergencyContact: true }
+    })).body.contact;
+    const ownContact = { params: { id: contact.id }, token: ownerToken };
+    await call('GET', '/api/trusted-contacts', { token: ownerToken });
+    await call('PUT', '/api/trusted-contacts/{id}', { ...ownContact, body: { phone: '555-0100' } });
+    await call('POST', '/api/trusted-contacts/{id}/invite', ownContact);
+    const inviteToken = linkParam(await lastEmail('bea@example.com'), 'invite');
+    await call('GET', '/api/invitations/{token}', { params: { token: inviteToken } });
+    const contactLogin = { email: 'bea@example.com', password: 'password789' };
+    const contactToken = (await call('POST', '/api/invitations/accept', {
+        body: { token: inviteToken, password: contactLogin.password, firstName: 'Bea', lastName: 'Contact' }
+    })).body.token;
+
+    // Sharing
+    const share = (await call('POST', '/api/documents/{id}/shares', {
+        ...document, body: { trustedContactId: contact.id, accessType: 'download' }
+    })).body.share;
+    await call('GET', '/api/documents/{id}/shares', document);
+    await call('GET', '/api/shared-with-me', { token: contactToken });
+    await call('DELETE', '/api/documents/{id}/shares/{shareId}', { params: { id: current.id, shareId: share.id }, token: ownerToken });
+
+    // End-to-end encryption keys
+    await call('GET', '/api/encryption/keys', { token: ownerToken });
+    await call('PUT', '/api/encryption/keys', {
+        token: ownerToken,
+        body: { publicKey: 'cHVibGlj', encryptedPrivateKey: 'cHJpdmF0ZQ==', salt: 'c2FsdHNhbHQ=', iterations: 600000 }
+    });
+    await call('GET', '/api/encryption/pending-keys', { token: ownerToken });
+    await call('POST', '/api/encryption/document-keys', {
+        token: ownerToken, body: { keys: [{ documentId: current.id, userId: 1, keyType: 'share', wrappedKey: 'a2V5' }] }
+    });
+
+    // Emergency access
+    await call('PUT', '/api/user/emergency-settings', { token: ownerToken, body: { waitingPeriodHours: 48 } });
+    await call('GET', '/api/emergency-access/contacts', { token: contactToken });
+    const denied = (await call('POST', '/api/emergency-requests', {
+        token: contactToken, body: { trustedContactId: contact.id, reason: 'In hospital' }
+    })).body.request;
+    await call('GET', '/api/emergency-requests', { token: ownerToken });
+    await call('GET', '/api/emergency-requests/{id}', { params: { id: denied.id }, token: ownerToken });
+    await call('POST', '/api/emergency-requests/{id}/deny', { params: { id: denied.id }, token: ownerToken, body: { reason: 'Not now' } });
+    const approved = (await call('POST', '/api/emergency-requests', {
+        token: contactToken, body: { trustedContactId: contact.id, reason: 'In hospital again' }
+    })).body.request;
+    await call('POST', '/api/emergency-requests/{id}/approve', {
+        params: { id: approved.id }, token: ownerToken, body: { documentIds: [current.id], accessType: 'view' }
+    });
+
+    // Planning
+    const [workflow] = (await call('GET', '/api/planning/workflows', { token: ownerToken })).body.workflows;
+    const { steps } = (await call('GET', '/api/planning/workflows/{workflowId}', {
+        params: { workflowId: workflow.id }, token: ownerToken
+    })).body.workflow;
+    await call('PUT', '/api/planning/workflows/{workflowId}/steps/{stepId}', {
+        params: { workflowId: workflow.id, stepId: steps[0].id }, token: ownerToken, body: { status: 'skipped' }
+    });
+    await call('GET', '/api/planning/progress', { token: ownerToken });
+
+    // Audit trail
+    await call('GET', '/api/audit', { token: ownerToken });
+    await call('GET', '/api/audit/verify', { token: ownerToken });
+    const exported = await call('GET', '/api/audit/export', { token: ownerToken, query: { format: 'csv' } });
+    await call('POST', '/api/audit/exports/verify', {
+        token: ownerToken,
+        body: {
+            sha256: exported.headers['X-Export-SHA256'],
+            signature: exported.headers['X-Export-Signature'],
+            keyId: exported.headers['X-Export-Key-Id']
+        }
+    });
+
+    // Administration
+    const [job] = (await call('GET', '/api/admin/jobs', { token: ownerToken })).body.jobs;
+    await call('POST', '/api/admin/jobs/{id}/retry', { params: { id: job.id }, token: ownerToken });
+
+    // Tearing down
+    await call('POST', '/api/auth/mfa/disable', { token: ownerToken, body: { password: owner.password, recoveryCode: recoveryCodes[2] } });
+    await call('DELETE', '/api/trusted-contacts/{id}', ownContact);
+    const contactSession = (await call('POST', '/api/auth/login', { body: contactLogin })).body.token;
+    await call('POST', '/api/auth/logout', { token: contactSession });
+    await call('POST', '/api/auth/logout-all', { token: ownerToken });
+}
+
+// Problems with one response, by the operation's responses for its status
+function responseProblems({ method, specPath, status, type, body }) {
+    const label = `${method} ${specPath} ${status}`;
+    const operation = spec.paths[specPath] && spec.paths[specPath][method.toLowerCase()];
+    if (!operation) return [`${label}: not in the spec`];
+
+    const responses = operation.responses;
+    const declared = responses[status] || responses[`${String(status)[0]}XX`] || responses.default;
+    if (!declared) return [`${label}: status not in the spec`];
+
+    const { content = {} } = resolve(declared);
+    const media = content[type] || content['*/*'];
+    if (!media) return [`${label}: ${type} is not a declared content type`];
+    if (type !== 'application/json' || !media.schema) return [];
+
+    return validate(media.schema, body).map(error => `${label}: ${error.message}`);
+}
+
+beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await scenario();
+}, 60000);
+
+test('the spec describes every route as the route table declares it', () => {
+    expect(api.checkApiSpec()).toEqual([]);
+});
+
+test('every operation in the spec is called', () => {
+    const called = new Set(calls.map(({ method, specPath }) => `${method} ${specPath}`));
+    const operations = Object.entries(spec.paths).flatMap(([specPath, operations]) =>
+        Object.keys(operations).map(method => `${method.toUpperCase()} ${specPath}`));
+    expect(operations.filter(operation => !called.has(operation))).toEqual([]);
+});
+
+test('every response matches the spec', () => {
+    expect(calls.flatMap(responseProblems)).toEqual([]);
+});
+
+test('a response that breaks the spec is caught', () => {
+    const problems = responseProblems({
+        method: 'GET', specPath: '/api/planning/progress', status: 200, type: 'application/json',
+        body: { totalSteps: '22', workflows: [] }
+    });
+    expect(problems).toEqual([
+        expect.stringContaining('totalSteps'),
+        expect.stringContaining('completedSteps')
+    ]);
+});
@@ -0,0 +1,306 @@
+/**
+ * OpenAPI Specification
+ * The published OpenAPI 3.1 document is ./openapi.json. It is kept by hand
+ * and reviewed like code, because it is what clients are promised: above
+ * all the responses, which nothing in the route table describes.
+ *
+ * The request side of each operation can be worked out from the router's
+ * route table, and checkSpec holds the file to it:
+ *   - paths and path parameters come from the route patterns
+ *   - request bodies and query parameters come from each route's schema
+ *     ({ body, query, form }, see ../validation)
+ *   - summaries come from the route's `summary`
+ * The contract test (./contract.test.js) holds the responses to it.
+ *
+ *   const spec = loadSpec();
+ *   const problems = checkSpec(router.routes, spec, { requiresAuth, readsBody, version });
+ *   const draft = buildSpec(router.routes, { title, version, requiresAuth });  // to start new entries
+ *
+ * `requiresAuth(route)` and `readsBody(route)` let the caller say which
+ * middleware means what; the router itself doesn't know.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { renderDocsPage } = require('./page');
+
+const SPEC_FILE = path.join(__dirname, 'openapi.json');
+
+const INTEGER_CONSTRAINT = '\\d+';
+
+// Keywords that only shape our own error messages
+const PRIVATE_KEYWORDS = new Set(['errorMessage']);
+
+/**
+ * "/api/documents/:id" -> "/api/documents/{id}"
+ */
+function specPath(route) {
+    return route.path.replace(/:([A-Za-z_]\w*)/g, '{$1}');
+}
+
+/**
+ * A stable operationId from method and path, e.g.
+ * GET /api/documents/:id/versions -> getDocumentsByIdVersions
+ */
+function operationId(route) {
+    const words = route.path.replace(/^\/api(?=\/)/, '').split('/')
+        .filter(Boolean)
+        .map(segment => (segment.startsWith(':') ? `by-${segment.slice(1)}` : segment))
+        .join('-')
+        .split(/[^A-Za-z0-9]+/)
+        .filter(Boolean);
+    const name = words.map(word => word[0].toUpperCase() + word.slice(1)).join('');
+    return `${route.method.toLowerCase()}${name || 'Root'}`;
+}
+
+// Group operations by the first path segment after /api
+function tagFor(route) {
+    const segment = route.path.split('/').filter(part => part && part !== 'api')[0];
+    return segment && /^[a-z-]+$/.test(segment) ? segment : 'general';
+}
+
+/**
+ * Copy a validation schema into the spec, dropping our private keywords
+ */
+function toSpecSchema(schema) {
+    if (Array.isArray(schema)) return schema.map(toSpecSchema);
+    if (!schema || typeof schema !== 'object') return schema;
+    const copy = {};
+    for (const [key, value] of Object.entries(schema)) {
+        if (!PRIVATE_KEYWORDS.has(key)) copy[key] = toSpecSchema(value);
+    }
+    return copy;
+}
+
+function pathParameters(route) {
+    const constraints = {};
+    route.pattern.split('/').forEach(segment => {
+        const match = /^:([A-Za-z_]\w*)(?:\((.+)\))?$/.exec(segment);
+        if (match) constraints[match[1]] = match[2];
+    });
+    return route.names.map(name => ({
+        name,
+        in: 'path',
+        required: true,
+        schema: constraints[name] === INTEGER_CONSTRAINT
+            ? { type: 'integer', minimum: 1 }
+            : { type: 'string', ...(constraints[name] ? { pattern: `^${constraints[name]}$` } : {}) }
+    }));
+}
+
+function queryParameters(schema) {
+    const required = schema.required || [];
+    return Object.entries(schema.properties || {}).map(([name, property]) => ({
+        name,
+        in: 'query',
+        required: required.includes(name),
+        ...(property.title ? { description: property.title } : {}),
+        schema: toSpecSchema(property)
+    }));
+}
+
+function requestBody(schema) {
+    if (schema.body) {
+        return { required: true, content: { 'application/json': { schema: toSpecSchema(schema.body) } } };
+    }
+    if (schema.form) {
+        const form = toSpecSchema(schema.form);
+        return {
+            required: true,
+            content: {
+                'multipart/form-data': {
+                    schema: {
+                        ...form,
+                        required: ['file', ...(form.required || [])],
+                        properties: { ...form.properties, file: { type: 'string', format: 'binary', title: 'File' } }
+                    }
+                }
+            }
+        };
+    }
+    return null;
+}
+
+function buildOperation(route, { requiresAuth }) {
+    const schema = route.schema || {};
+    const parameters = [...pathParameters(route), ...(schema.query ? queryParameters(schema.query) : [])];
+    const body = requestBody(schema);
+    const secured = requiresAuth(route);
+
+    const responses = {
+        '2XX': {
+            description: 'Success',
+            content: { [route.responseType]: { schema: route.responseType === 'application/json' ? { type: 'object' } : {} } }
+        }
+    };
+    if (parameters.length > 0 || body) responses['400'] = { $ref: '#/components/responses/BadRequest' };
+    if (secured) responses['401'] = { $ref: '#/components/responses/Unauthorized' };
+    if (route.names.length > 0) responses['404'] = { $ref: '#/components/responses/NotFound' };
+    responses.default = { $ref: '#/components/responses/Error' };
+
+    return {
+        operationId: operationId(route),
+        summary: route.summary,
+        tags: [tagFor(route)],
+        ...(secured ? { security: [{ bearerAuth: [] }] } : {}),
+        ...(parameters.length > 0 ? { parameters } : {}),
+        ...(body ? { requestBody: body } : {}),
+        responses
+    };
+}
+
+const errorResponse = (description) => ({
+    description,
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+});
+
+/**
+ * Build an OpenAPI document for a route table. Its responses only say
+ * "an object": the entries are a starting point for ./openapi.json.
+ */
+function buildSpec(routes, { title, version, description, requiresAuth = () => false }) {
+    const paths = {};
+    for (const route of routes) {
+        const path = specPath(route);
+        paths[path] = paths[path] || {};
+        paths[path][route.method.toLowerCase()] = buildOperation(route, { requiresAuth });
+    }
+
+    return {
+        openapi: '3.1.0',
+        info: { title, version, ...(description ? { description } : {}) },
+        paths,
+        components: {
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+            },
+            schemas: {
+                Error: {
+                    type: 'object',
+                    required: ['code', 'message', 'fields'],
+                    properties: {
+                        code: { type: 'string', description: 'Stable error code, e.g. validation_failed' },
+                        message: { type: 'string' },
+                        fields: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                required: ['field', 'message'],
+                                properties: { field: { type: 'string' }, message: { type: 'string' } }
+                            }
+                        }
+                    }
+                }
+            },
+            responses: {
+                BadRequest: errorResponse('The request failed validation'),
+                Unauthorized: errorResponse('Missing or expired access token'),
+                NotFound: errorResponse('No such resource'),
+                Error: errorResponse('Any other error')
+            }
+        }
+    };
+}
+
+function loadSpec() {
+    return JSON.parse(fs.readFileSync(SPEC_FILE, 'utf8'));
+}
+
+// Compare JSON values regardless of key order
+function sameJson(a, b) {
+    const sorted = value => {
+        if (Array.isArray(value)) return value.map(sorted);
+        if (!value || typeof value !== 'object') return value;
+        return Object.fromEntries(Object.keys(value).sort().map(key => [key, sorted(value[key])]));
+    };
+    return JSON.stringify(sorted(a)) === JSON.stringify(sorted(b));
+}
+
+/**
+ * Success responses must say what they return: a JSON body needs a schema
+ * with properties, and the route's content type (or any, "*\/*") must be
+ * among those listed
+ */
+function responseProblems(route, operation) {
+    const success = Object.entries(operation.responses || {}).filter(([status]) => /^2\d\d$/.test(status));
+    if (success.length === 0) {
+        return ['has no success response (e.g. "200")'];
+    }
+
+    const problems = [];
+    const types = new Set();
+    for (const [status, response] of success) {
+        for (const [type, media] of Object.entries(response.content || {})) {
+            types.add(type);
+            const schema = media.schema || {};
+            if (type === 'application/json' && !schema.$ref && !schema.properties) {
+                problems.push(`does not describe its ${status} response body`);
+            }
+        }
+    }
+    if (!types.has(route.responseType) && !types.has('*/*')) {
+        problems.push(`has no success response of type ${route.responseType}`);
+    }
+    return problems;
+}
+
+/**
+ * Check a spec against the route table: every route has an operation and
+ * every operation a route, and each operation's request side is what the
+ * route accepts. Returns a list of problems, empty when they agree.
+ */
+function checkSpec(routes, spec, { requiresAuth = () => false, readsBody = () => false, version } = {}) {
+    const problems = [];
+    const seen = new Set();
+    const operationIds = new Map();
+
+    if (version && spec.info.version !== version) {
+        problems.push(`The spec is for version ${spec.info.version} but the API is ${version}`);
+    }
+
+    for (const route of routes) {
+        const label = `${route.method} ${route.path}`;
+        const path = specPath(route);
+        const method = route.method.toLowerCase();
+        const operation = spec.paths[path] && spec.paths[path][method];
+        seen.add(`${method} ${path}`);
+
+        if (!operation) {
+            problems.push(`${label} has no entry in the spec`);
+            continue;
+        }
+        if (!route.summary) {
+            problems.push(`${label} has no summary`);
+        }
+        if (readsBody(route) && !(route.schema && route.schema.body)) {
+            problems.push(`${label} reads a request body but has no body schema`);
+        }
+
+        const expected = buildOperation(route, { requiresAuth });
+        for (const key of ['operationId', 'summary', 'security', 'parameters', 'requestBody']) {
+            if (!sameJson(operation[key], expected[key])) {
+                problems.push(`${label} ${key} differs from the route table`);
+            }
+        }
+        for (const problem of responseProblems(route, operation)) {
+            problems.push(`${label} ${problem}`);
+        }
+
+        if (operationIds.has(operation.operationId)) {
+            problems.push(`${label} reuses operationId ${operation.operationId} from ${operationIds.get(operation.operationId)}`);
+        }
+        operationIds.set(operation.operationId, label);
+    }
+
+    for (const [path, operations] of Object.entries(spec.paths)) {
+        for (const method of Object.keys(operations)) {
+            if (!seen.has(`${method} ${path}`)) {
+                problems.push(`${method.toUpperCase()} ${path} is in the spec but no route serves it`);
+            }
+        }
+    }
+
+    return problems;
+}
+
+module.exports = { SPEC_FILE, loadSpec, buildSpec, checkSpec, renderDocsPage };
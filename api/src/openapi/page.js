@@ -0,0 +1,142 @@
+/**
+ * API Docs Page
+ * Renders an OpenAPI document as a single self-contained HTML page, with
+ * no scripts or external assets, so it works offline and under any CSP.
+ */
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const METHOD_COLORS = {
+    get: '#4A6B61',
+    post: '#6B8B82',
+    put: '#8B7355',
+    delete: '#A67C5A'
+};
+
+function describeType(schema) {
+    if (schema.format === 'binary') return 'file';
+    const types = [].concat(schema.type || 'any');
+    if (types.includes('array') && schema.items) {
+        return types.map(type => (type === 'array' ? `array of ${describeType(schema.items)}` : type)).join(' | ');
+    }
+    return types.join(' | ');
+}
+
+// The constraints a client has to meet, in words
+function describeRules(schema) {
+    const rules = [];
+    if (schema.format && schema.format !== 'binary') rules.push(`format: ${schema.format}`);
+    if (schema.enum) rules.push(`one of: ${schema.enum.join(', ')}`);
+    if (schema.minLength > 1) rules.push(`at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined) rules.push(`at most ${schema.maxLength} characters`);
+    if (schema.minimum !== undefined) rules.push(`≥ ${schema.minimum}`);
+    if (schema.maximum !== undefined) rules.push(`≤ ${schema.maximum}`);
+    if (schema.minItems) rules.push(`at least ${schema.minItems} item(s)`);
+    if (schema.maxItems !== undefined) rules.push(`at most ${schema.maxItems} item(s)`);
+    if (schema.pattern) rules.push(`pattern: <code>${escapeHtml(schema.pattern)}</code>`);
+    return rules.join('; ');
+}
+
+/**
+ * One table row per field, nested objects and arrays of objects flattened
+ * as "keys[].wrappedKey"
+ */
+function fieldRows(schema, prefix = '', required = []) {
+    const rows = [];
+    for (const [name, property] of Object.entries(schema.properties || {})) {
+        const field = `${prefix}${name}`;
+        rows.push(`<tr><td><code>${escapeHtml(field)}</code></td><td>${escapeHtml(describeType(property))}</td>` +
+            `<td>${required.includes(name) ? 'yes' : ''}</td><td>${describeRules(property)}</td></tr>`);
+        if (property.properties) {
+            rows.push(...fieldRows(property, `${field}.`, property.required || []));
+        }
+        if (property.items && property.items.properties) {
+            rows.push(...fieldRows(property.items, `${field}[].`, property.items.required || []));
+        }
+    }
+    return rows;
+}
+
+function fieldTable(title, rows) {
+    if (rows.length === 0) return '';
+    return `<h4>${title}</h4><table><thead><tr><th>Field</th><th>Type</th><th>Required</th><th>Rules</th></tr></thead>` +
+        `<tbody>${rows.join('')}</tbody></table>`;
+}
+
+function renderOperation(path, method, operation) {
+    const parameters = operation.parameters || [];
+    const parameterRows = parameters.map(parameter =>
+        `<tr><td><code>${escapeHtml(parameter.name)}</code> (${parameter.in})</td>` +
+        `<td>${escapeHtml(describeType(parameter.schema))}</td><td>${parameter.required ? 'yes' : ''}</td>` +
+        `<td>${describeRules(parameter.schema)}</td></tr>`);
+
+    let bodyTable = '';
+    if (operation.requestBody) {
+        const [mediaType, { schema }] = Object.entries(operation.requestBody.content)[0];
+        bodyTable = fieldTable(`Request body <small>${escapeHtml(mediaType)}</small>`,
+            fieldRows(schema, '', schema.required || []));
+    }
+
+    return `
+    <section class="operation" id="${escapeHtml(operation.operationId)}">
+      <h3><span class="method" style="background:${METHOD_COLORS[method] || '#5A7B71'}">${method.toUpperCase()}</span>
+        <code>${escapeHtml(path)}</code></h3>
+      <p>${escapeHtml(operation.summary || '')}${operation.security ? ' <span class="auth">🔒 Bearer token</span>' : ''}</p>
+      ${fieldTable('Parameters', parameterRows)}
+      ${bodyTable}
+    </section>`;
+}
+
+function renderDocsPage(spec, { specUrl = '/api/openapi.json' } = {}) {
+    const groups = {};
+    for (const [path, operations] of Object.entries(spec.paths)) {
+        for (const [method, operation] of Object.entries(operations)) {
+            const tag = (operation.tags && operation.tags[0]) || 'general';
+            (groups[tag] = groups[tag] || []).push(renderOperation(path, method, operation));
+        }
+    }
+
+    const nav = Object.keys(groups)
+        .map(tag => `<a href="#tag-${escapeHtml(tag)}">${escapeHtml(tag)}</a>`)
+        .join(' · ');
+    const sections = Object.entries(groups)
+        .map(([tag, operations]) => `<h2 id="tag-${escapeHtml(tag)}">${escapeHtml(tag)}</h2>${operations.join('')}`)
+        .join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(spec.info.title)} ${escapeHtml(spec.info.version)}</title>
+  <style>
+    body { font-family: 'Nunito Sans', sans-serif; color: #2D4A45; background: #F8FAFA; max-width: 960px; margin: 0 auto; padding: 24px; }
+    h1, h2 { font-family: 'Crimson Text', serif; }
+    h2 { border-bottom: 2px solid #E8F0ED; padding-top: 16px; }
+    nav { line-height: 1.8; }
+    a { color: #6B8B82; }
+    .operation { background: #FFFFFF; border: 1px solid #E8F0ED; border-radius: 12px; padding: 8px 16px; margin: 12px 0; }
+    .method { color: #FFFFFF; border-radius: 6px; padding: 2px 8px; font-size: 14px; margin-right: 8px; }
+    .auth { color: #8B7355; font-size: 14px; margin-left: 8px; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 12px; font-size: 14px; }
+    th, td { text-align: left; border-bottom: 1px solid #E8F0ED; padding: 4px 8px; vertical-align: top; }
+    code { font-size: 13px; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(spec.info.title)} <small>${escapeHtml(spec.info.version)}</small></h1>
+  ${spec.info.description ? `<p>${escapeHtml(spec.info.description)}</p>` : ''}
+  <p>Machine-readable spec: <a href="${escapeHtml(specUrl)}">${escapeHtml(specUrl)}</a>.
+     Errors are JSON objects with <code>code</code>, <code>message</code> and a <code>fields</code> list.</p>
+  <nav>${nav}</nav>
+  ${sections}
+</body>
+</html>
+`;
+}
+
+module.exports = { renderDocsPage };
@@ -0,0 +1,255 @@
+/**
+ * PDF Writer
+ * Just enough of PDF 1.4 to lay out text reports: headings, wrapped
+ * paragraphs, monospaced lines and a footer on every page, in the standard
+ * Helvetica and Courier fonts every reader has built in, so nothing is
+ * embedded and no external service is involved.
+ *
+ *   const pdf = createPdf({ title: 'Report', footer: 'Confidential' });
+ *   pdf.heading('Summary');
+ *   pdf.paragraph('Text that wraps to the page width');
+ *   pdf.code('a1b2c3...');
+ *   pdf.attach('data.csv', csvBuffer, { mimeType: 'text/csv' });
+ *   const buffer = pdf.toBuffer();
+ *
+ * Attached files travel inside the PDF as-is and show in the reader's
+ * attachments panel.
+ *
+ * Text is WinAnsi: Latin-1 plus curly quotes, dashes, bullets and the
+ * ellipsis. Characters outside it print as "?".
+ */
+
+// US Letter in points, with one-inch side margins
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 54;
+const FOOTER_HEIGHT = 36;
+
+// Helvetica advance widths (1/1000 em) for ASCII 32-126, from the Adobe AFM files
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+const FONTS = {
+    regular: { resource: 'F1', baseFont: 'Helvetica', widths: HELVETICA_WIDTHS },
+    bold: { resource: 'F2', baseFont: 'Helvetica-Bold', widths: HELVETICA_BOLD_WIDTHS },
+    mono: { resource: 'F3', baseFont: 'Courier', widths: null }
+};
+
+// Typographic punctuation WinAnsi has outside Latin-1, at its code points
+const WIN_ANSI_EXTRAS = {
+    '\u20ac': '\x80', '\u2026': '\x85', '\u2018': '\x91', '\u2019': '\x92', '\u201c': '\x93',
+    '\u201d': '\x94', '\u2022': '\x95', '\u2013': '\x96', '\u2014': '\x97'
+};
+
+// Latin-1 plus WIN_ANSI_EXTRAS; anything else becomes "?"
+function toWinAnsi(text) {
+    return String(text).replace(/[^\x20-\x7e\xa0-\xff]/g, (character) => {
+        if (character === '\t') return ' ';
+        return WIN_ANSI_EXTRAS[character] || '?';
+    });
+}
+
+// Helvetica widths of the WIN_ANSI_EXTRAS characters that differ most from the default
+const EXTRA_WIDTHS = { '\x85': 1000, '\x91': 222, '\x92': 222, '\x93': 333, '\x94': 333, '\x95': 350, '\x97': 1000 };
+
+function textWidth(text, font, size) {
+    const units = [...text].reduce((total, character) => {
+        if (!font.widths) return total + 600;
+        const code = character.charCodeAt(0);
+        return total + (code >= 32 && code <= 126 ? font.widths[code - 32] : EXTRA_WIDTHS[character] || 556);
+    }, 0);
+    return (units * size) / 1000;
+}
+
+/**
+ * Break text into lines no wider than `width`, splitting words that
+ * are longer than a line (hashes, URLs) wherever they overflow
+ */
+function wrapText(text, font, size, width) {
+    const lines = [];
+    for (const paragraph of String(text).split(/\r?\n/).map(toWinAnsi)) {
+        let line = '';
+        for (const word of paragraph.split(' ')) {
+            const candidate = line ? `${line} ${word}` : word;
+            if (textWidth(candidate, font, size) <= width) {
+                line = candidate;
+                continue;
+            }
+            if (line) lines.push(line);
+            line = '';
+            for (const character of word) {
+                if (textWidth(line + character, font, size) > width && line) {
+                    lines.push(line);
+                    line = '';
+                }
+                line += character;
+            }
+        }
+        lines.push(line);
+    }
+    return lines;
+}
+
+function escapeString(text) {
+    return text.replace(/[\\()]/g, character => `\\${character}`);
+}
+
+// PDF dates look like D:20240131154500Z
+function pdfDate(date) {
+    return `D:${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`;
+}
+
+function createPdf({ title = '', author = 'Aerial Nest', footer = '', createdAt = new Date() } = {}) {
+    const contentWidth = PAGE_WIDTH - 2 * MARGIN;
+    const pages = [];
+    const attachments = [];
+    let page = null;
+    let y = 0;
+
+    function newPage() {
+        page = [];
+        pages.push(page);
+        y = PAGE_HEIGHT - MARGIN;
+    }
+
+    function ensureRoom(height) {
+        if (!page || y - height < MARGIN + FOOTER_HEIGHT) newPage();
+    }
+
+    function addLines(text, { font = FONTS.regular, size = 10, leading = 1.35, color = null, indent = 0 } = {}) {
+        const lineHeight = size * leading;
+        for (const line of wrapText(text, font, size, contentWidth - indent)) {
+            ensureRoom(lineHeight);
+            y -= lineHeight;
+            page.push({ text: line, font, size, x: MARGIN + indent, y, color });
+        }
+    }
+
+    const pdf = {
+        heading(text, { size = 14 } = {}) {
+            // Keep a heading with at least a couple of lines after it
+            ensureRoom(size * 1.35 + 40);
+            if (page.length > 0) y -= size * 0.6;
+            addLines(text, { font: FONTS.bold, size });
+            y -= 4;
+            return pdf;
+        },
+
+        paragraph(text, { bold = false, size = 10, color = null, indent = 0 } = {}) {
+            addLines(text, { font: bold ? FONTS.bold : FONTS.regular, size, color, indent });
+            return pdf;
+        },
+
+        code(text, { size = 8, indent = 0 } = {}) {
+            addLines(text, { font: FONTS.mono, size, indent });
+            return pdf;
+        },
+
+        space(points = 8) {
+            ensureRoom(points);
+            y -= points;
+            return pdf;
+        },
+
+        rule() {
+            ensureRoom(10);
+            y -= 5;
+            page.push({ rule: true, y });
+            y -= 5;
+            return pdf;
+        },
+
+        attach(fileName, content, { mimeType = 'application/octet-stream', description = '' } = {}) {
+            attachments.push({ fileName: toWinAnsi(fileName), content, mimeType, description });
+            return pdf;
+        },
+
+        toBuffer() {
+            if (pages.length === 0) newPage();
+            const objects = [];
+            const addObject = (body) => {
+                objects.push(body);
+                return objects.length;
+            };
+
+            const catalogId = addObject(null);
+            const pagesId = addObject(null);
+            const fontIds = {};
+            for (const font of Object.values(FONTS)) {
+                fontIds[font.resource] = addObject(
+                    `<< /Type /Font /Subtype /Type1 /BaseFont /${font.baseFont} /Encoding /WinAnsiEncoding >>`);
+            }
+            const fontResources = Object.entries(fontIds).map(([name, id]) => `/${name} ${id} 0 R`).join(' ');
+
+            const pageIds = pages.map((items, index) => {
+                const footerText = toWinAnsi(`${footer ? `${footer}  ·  ` : ''}Page ${index + 1} of ${pages.length}`);
+                const operations = items.map(item => {
+                    if (item.rule) {
+                        return `0.75 g ${MARGIN} ${item.y.toFixed(2)} ${contentWidth} 0.5 re f 0 g`;
+                    }
+                    const color = item.color ? `${item.color.join(' ')} rg ` : '';
+                    return `BT ${color}/${item.font.resource} ${item.size} Tf ${item.x} ${item.y.toFixed(2)} Td ` +
+                        `(${escapeString(item.text)}) Tj ET${item.color ? ' 0 g' : ''}`;
+                });
+                operations.push(`BT 0.45 g /F1 8 Tf ${MARGIN} ${MARGIN} Td (${escapeString(footerText)}) Tj ET 0 g`);
+
+                const stream = Buffer.from(operations.join('\n'), 'latin1');
+                const contentId = addObject(`<< /Length ${stream.length} >>\nstream\n${stream.toString('latin1')}\nendstream`);
+                return addObject(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+                    `/Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`);
+            });
+
+            // Name trees list their keys in order
+            const fileSpecs = [...attachments].sort((a, b) => (a.fileName < b.fileName ? -1 : 1)).map((file) => {
+                const streamId = addObject(`<< /Type /EmbeddedFile /Subtype /${file.mimeType.replace('/', '#2F')} ` +
+                    `/Params << /Size ${file.content.length} >> /Length ${file.content.length} >>\n` +
+                    `stream\n${file.content.toString('latin1')}\nendstream`);
+                const name = `(${escapeString(file.fileName)})`;
+                const specId = addObject(`<< /Type /Filespec /F ${name} /UF ${name} ` +
+                    `/Desc (${escapeString(toWinAnsi(file.description))}) /EF << /F ${streamId} 0 R >> >>`);
+                return `${name} ${specId} 0 R`;
+            });
+            const names = fileSpecs.length > 0
+                ? ` /Names << /EmbeddedFiles << /Names [${fileSpecs.join(' ')}] >> >> /PageMode /UseAttachments`
+                : '';
+
+            objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R${names} >>`;
+            objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+            const infoId = addObject(`<< /Title (${escapeString(toWinAnsi(title))}) /Author (${escapeString(toWinAnsi(author))}) ` +
+                `/Producer (Aerial Nest) /CreationDate (${pdfDate(createdAt)}) >>`);
+
+            // Byte offsets of every object go in the cross-reference table
+            let output = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+            const offsets = objects.map((body, index) => {
+                const offset = Buffer.byteLength(output, 'latin1');
+                output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+                return offset;
+            });
+            const xrefOffset = Buffer.byteLength(output, 'latin1');
+            output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+            output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+            output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\n`;
+            output += `startxref\n${xrefOffset}\n%%EOF\n`;
+
+            return Buffer.from(output, 'latin1');
+        }
+    };
+
+    return pdf;
+}
+
+module.exports = { createPdf };
@@ -0,0 +1,47 @@
+/**
+ * Database Rate Limit Store
+ * Counters live in rate_limit_buckets so every Lambda container shares
+ * them. A single upsert counts the hit and starts a new window when the
+ * old one has ended, so concurrent requests cannot both see a fresh window.
+ */
+
+const crypto = require('crypto');
+
+// Clear out ended windows on roughly one hit in this many
+const PRUNE_EVERY = 100;
+
+// Same "YYYY-MM-DD HH:MM:SS" UTC form as CURRENT_TIMESTAMP
+const toSqlTimestamp = date => date.toISOString().replace('T', ' ').slice(0, 19);
+const fromSqlTimestamp = value => new Date(`${value.replace(' ', 'T')}Z`);
+
+function createDatabaseStore(db) {
+    return {
+        type: 'database',
+
+        async hit(key, windowSeconds) {
+            const now = new Date();
+            const nowTimestamp = toSqlTimestamp(now);
+            const windowEnd = toSqlTimestamp(new Date(now.getTime() + windowSeconds * 1000));
+            // Keys can hold email addresses; only their hash is stored
+            const bucketKey = crypto.createHash('sha256').update(key).digest('hex');
+
+            const bucket = await db.get(`
+                INSERT INTO rate_limit_buckets (bucket_key, hits, window_ends_at)
+                VALUES (?, 1, ?)
+                ON CONFLICT (bucket_key) DO UPDATE SET
+                    hits = CASE WHEN rate_limit_buckets.window_ends_at <= ? THEN 1 ELSE rate_limit_buckets.hits + 1 END,
+                    window_ends_at = CASE WHEN rate_limit_buckets.window_ends_at <= ?
+                                          THEN excluded.window_ends_at ELSE rate_limit_buckets.window_ends_at END
+                RETURNING hits, window_ends_at
+            `, [bucketKey, windowEnd, nowTimestamp, nowTimestamp]);
+
+            if (Math.random() < 1 / PRUNE_EVERY) {
+                await db.run('DELETE FROM rate_limit_buckets WHERE window_ends_at <= ?', [nowTimestamp]);
+            }
+
+            return { hits: bucket.hits, resetAt: fromSqlTimestamp(bucket.window_ends_at) };
+        }
+    };
+}
+
+module.exports = { createDatabaseStore };
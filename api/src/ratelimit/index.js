@@ -0,0 +1,31 @@
+/**
+ * Rate Limit Counters
+ * Picks where fixed-window request counters are kept:
+ * - The database when RATE_LIMIT_STORE=database, and by default on Lambda,
+ *   where each container has its own memory and a limit kept there would
+ *   multiply with the number of containers
+ * - Process memory otherwise (the local server is a single process)
+ *
+ * Every store exposes the same method:
+ *   hit(key, windowSeconds) -> { hits, resetAt } counting this request;
+ *                              the window starts at a key's first hit
+ */
+
+const { createMemoryStore } = require('./memory');
+
+let store = null;
+
+function getRateLimitStore(db) {
+    if (!store) {
+        const type = process.env.RATE_LIMIT_STORE || (process.env.AWS_LAMBDA_FUNCTION_NAME ? 'database' : 'memory');
+        if (type === 'database' && db) {
+            const { createDatabaseStore } = require('./database');
+            store = createDatabaseStore(db);
+        } else {
+            store = createMemoryStore();
+        }
+    }
+    return store;
+}
+
+module.exports = { getRateLimitStore };
@@ -0,0 +1,35 @@
+/**
+ * In-Memory Rate Limit Store
+ * Counters live in a Map, so they only limit the process that holds them
+ */
+
+// Sweep expired windows once the map grows past this many keys
+const SWEEP_THRESHOLD = 10000;
+
+function createMemoryStore() {
+    const windows = new Map();
+
+    function sweep(now) {
+        for (const [key, window] of windows) {
+            if (window.resetAt <= now) windows.delete(key);
+        }
+    }
+
+    return {
+        type: 'memory',
+
+        async hit(key, windowSeconds) {
+            const now = Date.now();
+            let window = windows.get(key);
+            if (!window || window.resetAt <= now) {
+                if (windows.size >= SWEEP_THRESHOLD) sweep(now);
+                window = { hits: 0, resetAt: now + windowSeconds * 1000 };
+                windows.set(key, window);
+            }
+            window.hits += 1;
+            return { hits: window.hits, resetAt: new Date(window.resetAt) };
+        }
+    };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,170 @@
+/**
+ * Request Router
+ * Matches requests against a table of routes and runs each route's
+ * middleware before its handler. Used by both the local server and the
+ * Lambda handler, which only differ in how they build req and res.
+ *
+ *   const router = createRouter({ notFound });
+ *   router.get('/api/documents/:id(\\d+)/versions', { summary, middleware: [requireAuth] }, handler);
+ *   await router.handle(req, res);
+ *
+ * Paths may contain ":name" parameters, optionally constrained with a
+ * regular expression in parentheses. Handlers and middleware receive a
+ * context { req, res, method, path, params, query }; middleware is
+ * async (ctx, next) and either calls next() or responds itself.
+ *
+ * A route's `schema` ({ body, query }, JSON Schema) is checked after its
+ * middleware has run, so ctx.body must already be parsed by then; invalid
+ * requests get a 400 listing every field problem. `schema.form` describes
+ * multipart fields, which the handler checks once the upload is received.
+ * Schemas, `summary` and `responseType` (default application/json) also
+ * feed the OpenAPI spec (see ./openapi).
+ *
+ * A path that matches with the wrong method gets a 405 listing the allowed
+ * methods; anything else unmatched goes to `notFound(ctx)`.
+ */
+
+const url = require('url');
+const { validate } = require('./validation');
+const { sendError, sendValidationError } = require('./errors');
+
+const PARAM_PATTERN = /^:([A-Za-z_]\w*)(?:\((.+)\))?$/;
+
+/**
+ * Compile "/api/documents/:id(\\d+)" into a regular expression and the
+ * parameter names it captures
+ */
+function compilePath(pattern) {
+    const names = [];
+    const segments = pattern.split('/').map((segment) => {
+        const param = PARAM_PATTERN.exec(segment);
+        if (!param) {
+            return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }
+        names.push(param[1]);
+        return `(${param[2] || '[^/]+'})`;
+    });
+    return {
+        regex: new RegExp(`^${segments.join('/')}$`),
+        names,
+        // The path as documented, without the constraints
+        path: pattern.split('/').map(segment => segment.replace(PARAM_PATTERN, ':$1')).join('/')
+    };
+}
+
+function matchRoute(route, pathname) {
+    const match = route.regex.exec(pathname);
+    if (!match) return null;
+
+    const params = {};
+    try {
+        route.names.forEach((name, index) => {
+            params[name] = decodeURIComponent(match[index + 1]);
+        });
+    } catch (error) {
+        // Malformed percent-encoding never names a real resource
+        return null;
+    }
+    return params;
+}
+
+/**
+ * Run middleware in order, then the handler
+ */
+async function runChain(middleware, handler, ctx) {
+    let index = -1;
+    const dispatch = async (position) => {
+        if (position <= index) {
+            throw new Error('next() called more than once');
+        }
+        index = position;
+        if (position === middleware.length) {
+            return handler(ctx);
+        }
+        return middleware[position](ctx, () => dispatch(position + 1));
+    };
+    return dispatch(0);
+}
+
+/**
+ * Middleware that checks ctx.body and ctx.query against a route's schema
+ */
+function validateRequest(schema) {
+    return async (ctx, next) => {
+        const fields = [
+            ...(schema.query ? validate(schema.query, ctx.query) : []),
+            ...(schema.body ? validate(schema.body, ctx.body) : [])
+        ];
+        if (fields.length > 0) {
+            return sendValidationError(ctx.res, fields);
+        }
+        return next();
+    };
+}
+
+function defaultNotFound({ res, path }) {
+    sendError(res, 404, `Path ${path} not found`);
+}
+
+function createRouter({ notFound = defaultNotFound } = {}) {
+    const routes = [];
+
+    function add(method, pattern, options, handler) {
+        const { regex, names, path } = compilePath(pattern);
+        const middleware = options.middleware || [];
+        const schema = options.schema || null;
+        routes.push({
+            method,
+            pattern,
+            path,
+            regex,
+            names,
+            summary: options.summary || '',
+            schema,
+            responseType: options.responseType || 'application/json',
+            middleware,
+            chain: schema && (schema.body || schema.query) ? [...middleware, validateRequest(schema)] : middleware,
+            handler
+        });
+    }
+
+    async function handle(req, res) {
+        const parsedUrl = url.parse(req.url || '/', true);
+        const path = parsedUrl.pathname || '/';
+        const method = req.method;
+        const allowedMethods = new Set();
+
+        for (const route of routes) {
+            const params = matchRoute(route, path);
+            if (!params) continue;
+
+            if (route.method !== method) {
+                allowedMethods.add(route.method);
+                continue;
+            }
+
+            const ctx = { req, res, method, path, params, query: parsedUrl.query || {}, route };
+            return runChain(route.chain, route.handler, ctx);
+        }
+
+        if (allowedMethods.size > 0) {
+            const allow = [...allowedMethods].join(', ');
+            return sendError(res, 405, `${method} is not supported for ${path}. Allowed: ${allow}`, {
+                headers: { Allow: allow }
+            });
+        }
+
+        return notFound({ req, res, method, path, params: {}, query: parsedUrl.query || {} });
+    }
+
+    return {
+        routes,
+        handle,
+        get: (pattern, options, handler) => add('GET', pattern, options, handler),
+        post: (pattern, options, handler) => add('POST', pattern, options, handler),
+        put: (pattern, options, handler) => add('PUT', pattern, options, handler),
+        delete: (pattern, options, handler) => add('DELETE', pattern, options, handler)
+    };
+}
+
+module.exports = { createRouter };
@@ -0,0 +1,226 @@
+/**
+ * Text Extraction
+ * Pulls the searchable text out of an uploaded file without any outside
+ * tools, so it runs the same locally and on Lambda:
+ *   txt   the file itself (UTF-8)
+ *   docx  the paragraphs of word/document.xml, read straight from the zip
+ *   pdf   the strings shown by text operators in the page content streams
+ *
+ * PDF extraction is best effort. Text drawn with embedded subset fonts and
+ * scanned pages come out empty or garbled, and other file types give ''.
+ */
+
+const zlib = require('zlib');
+
+// Only this much text per document is kept for searching
+const MAX_TEXT_LENGTH = 200000;
+
+// File types (extensions) that have text to extract
+const TEXT_FILE_TYPES = ['txt', 'docx', 'pdf'];
+
+const ZIP_END_OF_DIRECTORY = 0x06054b50;
+const ZIP_DIRECTORY_ENTRY = 0x02014b50;
+const ZIP_LOCAL_HEADER = 0x04034b50;
+
+// The WinAnsi bytes that differ from Latin-1 (see ../pdf)
+const WIN_ANSI_CHARACTERS = {
+    0x80: '€', 0x85: '…', 0x91: '‘', 0x92: '’', 0x93: '“', 0x94: '”', 0x95: '•', 0x96: '–', 0x97: '—'
+};
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * The contents of one file in a zip archive, or null when it is missing
+ * or stored with a compression method other than deflate
+ */
+function readZipEntry(buffer, name) {
+    // The end of central directory record sits in the last 64 KB
+    let end = -1;
+    for (let offset = buffer.length - 22; offset >= Math.max(0, buffer.length - 65557); offset--) {
+        if (buffer.readUInt32LE(offset) === ZIP_END_OF_DIRECTORY) {
+            end = offset;
+            break;
+        }
+    }
+    if (end < 0) return null;
+
+    const entries = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    for (let entry = 0; entry < entries && offset + 46 <= buffer.length; entry++) {
+        if (buffer.readUInt32LE(offset) !== ZIP_DIRECTORY_ENTRY) return null;
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const headerOffset = buffer.readUInt32LE(offset + 42);
+
+        if (buffer.toString('utf8', offset + 46, offset + 46 + nameLength) === name) {
+            if (buffer.readUInt32LE(headerOffset) !== ZIP_LOCAL_HEADER) return null;
+            const start = headerOffset + 30 + buffer.readUInt16LE(headerOffset + 26) + buffer.readUInt16LE(headerOffset + 28);
+            const data = buffer.subarray(start, start + compressedSize);
+            if (method === 0) return data;
+            if (method === 8) return zlib.inflateRawSync(data);
+            return null;
+        }
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return null;
+}
+
+function decodeXmlEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (entity, name) => {
+        if (name[0] !== '#') return XML_ENTITIES[name] || entity;
+        const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+        return String.fromCodePoint(code);
+    });
+}
+
+function extractDocx(buffer) {
+    const xml = readZipEntry(buffer, 'word/document.xml');
+    if (!xml) return '';
+    return decodeXmlEntities(xml.toString('utf8')
+        .replace(/<w:tab\/>/g, '\t')
+        .replace(/<w:br\/>|<\/w:p>/g, '\n')
+        .replace(/<[^>]+>/g, ''));
+}
+
+/**
+ * Read a PDF literal string starting just after its "(" and return
+ * [bytes as text, index after the closing ")"]
+ */
+function readLiteralString(content, start) {
+    let text = '';
+    let depth = 1;
+    let index = start;
+    while (index < content.length) {
+        const char = content[index];
+        if (char === '\\') {
+            const next = content[index + 1];
+            const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+            if (next in escapes) {
+                text += escapes[next];
+                index += 2;
+            } else if (/[0-7]/.test(next)) {
+                const octal = /^[0-7]{1,3}/.exec(content.slice(index + 1, index + 4))[0];
+                text += String.fromCharCode(parseInt(octal, 8) & 0xff);
+                index += 1 + octal.length;
+            } else if (next === '\r' || next === '\n') {
+                index += next === '\r' && content[index + 2] === '\n' ? 3 : 2;
+            } else {
+                text += next;
+                index += 2;
+            }
+            continue;
+        }
+        if (char === '(') depth++;
+        if (char === ')' && --depth === 0) return [text, index + 1];
+        text += char;
+        index++;
+    }
+    return [text, index];
+}
+
+function fromWinAnsi(text) {
+    return text.replace(/[\x80-\x9f]/g, char => WIN_ANSI_CHARACTERS[char.charCodeAt(0)] || '');
+}
+
+/**
+ * The text shown by one content stream: strings passed to Tj, TJ, ' and ",
+ * with a line break wherever the text moves to a new line
+ */
+function contentStreamText(content) {
+    const lines = [];
+    let line = '';
+    let operands = [];
+    const tokens = /\(|\[|\]|<[0-9a-fA-F\s]*>|\/[^\s/[\]()<>{}%]+|[-+]?(?:\d+\.?\d*|\.\d+)|[A-Za-z'"*]+/g;
+
+    for (let match = tokens.exec(content); match; match = tokens.exec(content)) {
+        const token = match[0];
+        if (token === '(') {
+            const [text, next] = readLiteralString(content, tokens.lastIndex);
+            operands.push(text);
+            tokens.lastIndex = next;
+        } else if (token[0] === '<') {
+            // Hex strings are only readable when each byte is a character
+            const hex = token.slice(1, -1).replace(/\s/g, '');
+            operands.push(Buffer.from(hex.length % 2 ? `${hex}0` : hex, 'hex').toString('latin1'));
+        } else if (token === '[' || token === ']' || token[0] === '/') {
+            operands.push({ name: token });
+        } else if (/^[-+.\d]/.test(token)) {
+            operands.push(parseFloat(token));
+        } else {
+            if (token === 'Tj' || token === "'" || token === '"') {
+                if (token !== 'Tj' && line) {
+                    lines.push(line);
+                    line = '';
+                }
+                const text = operands[operands.length - 1];
+                if (typeof text === 'string') line += text;
+            } else if (token === 'TJ') {
+                for (const operand of operands) {
+                    // A wide negative adjustment between strings is a space
+                    if (typeof operand === 'number' && operand < -200) line += ' ';
+                    else if (typeof operand === 'string') line += operand;
+                }
+            } else if (token === 'T*' || token === 'ET' || ((token === 'Td' || token === 'TD') && operands[1] !== 0)) {
+                if (line) lines.push(line);
+                line = '';
+            }
+            operands = [];
+        }
+    }
+    if (line) lines.push(line);
+    return fromWinAnsi(lines.join('\n'));
+}
+
+function extractPdf(buffer) {
+    const pdf = buffer.toString('latin1');
+    const texts = [];
+    const streams = /\bstream\r?\n/g;
+
+    for (let match = streams.exec(pdf); match; match = streams.exec(pdf)) {
+        // The stream's dictionary is what its object holds before it
+        const dictionary = pdf.slice(pdf.lastIndexOf(' obj', match.index), match.index);
+        // Fonts, images, metadata and cross-reference streams hold no page text
+        if (/\/Subtype\s*\/Image|\/Length[123]\b|\/Type\s*\/(?:XRef|ObjStm|Metadata)/.test(dictionary)) continue;
+        if (/\/Filter/.test(dictionary) && !/\/Filter\s*\[?\s*\/FlateDecode\s*\]?/.test(dictionary)) continue;
+
+        const start = streams.lastIndex;
+        const end = pdf.indexOf('endstream', start);
+        if (end < 0) break;
+        streams.lastIndex = end;
+
+        let data = buffer.subarray(start, end);
+        if (/\/FlateDecode/.test(dictionary)) {
+            try {
+                data = zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+            } catch (error) {
+                continue;
+            }
+        }
+        const text = contentStreamText(data.toString('latin1'));
+        if (text.trim()) texts.push(text);
+        if (texts.join('\n').length > MAX_TEXT_LENGTH) break;
+    }
+    return texts.join('\n');
+}
+
+/**
+ * The text of a file of the given type (its extension), tidied up and cut
+ * to MAX_TEXT_LENGTH; '' when there is nothing to read
+ */
+function extractText(buffer, fileType) {
+    let text = '';
+    if (fileType === 'txt') text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+    else if (fileType === 'docx') text = extractDocx(buffer);
+    else if (fileType === 'pdf') text = extractPdf(buffer);
+
+    return text
+        .replace(/[^\S\n]+/g, ' ')
+        .replace(/\s*\n\s*/g, '\n')
+        .trim()
+        .slice(0, MAX_TEXT_LENGTH);
+}
+
+module.exports = { extractText, TEXT_FILE_TYPES, MAX_TEXT_LENGTH };
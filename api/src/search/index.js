@@ -0,0 +1,89 @@
+/**
+ * Document Search
+ * Full-text search over each document's current version: its title,
+ * description, notes and the text extracted from the file (./extract).
+ * Picks the index that suits the database:
+ * - SQLite FTS5 (development), see ./sqlite
+ * - PostgreSQL tsvector (production), see ./postgres
+ *
+ * Every index exposes the same methods:
+ *   index(document, content) -> adds or replaces the document's entry
+ *   remove(documentId)
+ *   search(userId, terms, { limit }) -> [{ document_id, rank, title, description, user_notes, content }]
+ *                                       best match first; the text columns come back
+ *                                       with matches between HIGHLIGHT_START and HIGHLIGHT_END
+ *
+ * `rank` only orders results; its scale differs between the two indexes.
+ */
+
+const { extractText, TEXT_FILE_TYPES } = require('./extract');
+
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_END = '\u0003';
+
+// Words beyond this many are ignored
+const MAX_TERMS = 10;
+
+// Where a snippet is taken from, in order of preference
+const SNIPPET_FIELDS = [
+    { column: 'description', field: 'description' },
+    { column: 'user_notes', field: 'userNotes' },
+    { column: 'content', field: 'content' }
+];
+
+let searchIndex = null;
+
+function getSearchIndex(db) {
+    if (!searchIndex) {
+        if (db.dialect === 'postgres') {
+            const { createPostgresIndex } = require('./postgres');
+            searchIndex = createPostgresIndex(db);
+        } else {
+            const { createSqliteIndex } = require('./sqlite');
+            searchIndex = createSqliteIndex(db);
+        }
+    }
+    return searchIndex;
+}
+
+/**
+ * The words of a search box query, lower-cased; punctuation is dropped so
+ * nothing the user types reaches the query syntax of either index
+ */
+function searchTerms(query) {
+    return (String(query).toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).slice(0, MAX_TERMS);
+}
+
+/**
+ * Split highlighted text into [{ text, match }] segments, so clients can
+ * mark matches up without parsing or trusting any markup
+ */
+function highlightSegments(text) {
+    const segments = [];
+    for (const [index, part] of text.split(new RegExp(`[${HIGHLIGHT_START}${HIGHLIGHT_END}]`)).entries()) {
+        if (part) segments.push({ text: part.replace(/\s+/g, ' '), match: index % 2 === 1 });
+    }
+    return segments;
+}
+
+/**
+ * The result's title and the best snippet of its other text as segments;
+ * the snippet is null when only the title matched
+ */
+function searchHighlights(row) {
+    const snippet = SNIPPET_FIELDS.find(({ column }) => row[column] && row[column].includes(HIGHLIGHT_START));
+    return {
+        title: highlightSegments(row.title || ''),
+        snippet: snippet ? { field: snippet.field, segments: highlightSegments(row[snippet.column]) } : null
+    };
+}
+
+module.exports = {
+    getSearchIndex,
+    searchTerms,
+    searchHighlights,
+    extractText,
+    TEXT_FILE_TYPES,
+    HIGHLIGHT_START,
+    HIGHLIGHT_END
+};
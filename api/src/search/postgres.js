@@ -0,0 +1,60 @@
+/**
+ * PostgreSQL Search Index
+ * document_search keeps each document's text next to a generated tsvector
+ * (see migration 0011) with the title weighted A, the description and
+ * notes B and the file's text C, under a GIN index. Every word is matched
+ * as a prefix of an English stem, so "retire" finds "retirement" and
+ * results show up while the user is still typing.
+ */
+
+// ts_headline options; chr(2) and chr(3) mark the matches
+const SNIPPET_OPTIONS = "'StartSel=' || chr(2) || ', StopSel=' || chr(3) || ', MaxWords=24, MinWords=12'";
+const TITLE_OPTIONS = "'HighlightAll=true, StartSel=' || chr(2) || ', StopSel=' || chr(3)";
+
+function createPostgresIndex(db) {
+    return {
+        type: 'postgres',
+
+        async index(document, content) {
+            await db.run(`
+                INSERT INTO document_search (document_id, title, description, user_notes, content)
+                VALUES (?, ?, ?, ?, ?)
+                ON CONFLICT (document_id) DO UPDATE SET
+                    title = excluded.title,
+                    description = excluded.description,
+                    user_notes = excluded.user_notes,
+                    content = excluded.content
+            `, [document.id, document.title, document.description, document.user_notes, content || null]);
+        },
+
+        async remove(documentId) {
+            await db.run('DELETE FROM document_search WHERE document_id = ?', [documentId]);
+        },
+
+        search(userId, terms, { limit }) {
+            const query = terms.map(term => `${term}:*`).join(' & ');
+            // Headlines are slow on long text, so only the page of results gets them
+            const headline = (column, options) => `CASE WHEN ${column} IS NULL THEN NULL
+                ELSE ts_headline('english', ${column}, matches.query, ${options}) END`;
+            return db.all(`
+                SELECT matches.document_id, matches.rank,
+                       ${headline('matches.title', TITLE_OPTIONS)} as title,
+                       ${headline('matches.description', SNIPPET_OPTIONS)} as description,
+                       ${headline('matches.user_notes', SNIPPET_OPTIONS)} as user_notes,
+                       ${headline('matches.content', SNIPPET_OPTIONS)} as content
+                FROM (
+                    SELECT s.*, ts_rank(s.search_vector, q.query) as rank, q.query
+                    FROM document_search s
+                    JOIN documents d ON d.id = s.document_id
+                    CROSS JOIN (SELECT to_tsquery('english', ?) as query) q
+                    WHERE s.search_vector @@ q.query AND d.user_id = ? AND d.is_active = TRUE
+                    ORDER BY rank DESC
+                    LIMIT ?
+                ) matches
+                ORDER BY matches.rank DESC
+            `, [query, userId, limit]);
+        }
+    };
+}
+
+module.exports = { createPostgresIndex };
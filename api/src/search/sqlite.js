@@ -0,0 +1,52 @@
+/**
+ * SQLite Search Index
+ * document_search is an FTS5 table whose rowid is the document id. BM25
+ * ranks a match in the title above one in the description or notes, and
+ * those above one in the file's text. The porter tokenizer lets "retire"
+ * find "retirement", and every word is also matched as a prefix so results
+ * show up while the user is still typing.
+ */
+
+// bm25() weights for title, description, user_notes and content
+const COLUMN_WEIGHTS = '10.0, 4.0, 4.0, 1.0';
+
+// Words of context around a match in a snippet
+const SNIPPET_WORDS = 24;
+
+function createSqliteIndex(db) {
+    return {
+        type: 'sqlite',
+
+        async index(document, content) {
+            await db.run('DELETE FROM document_search WHERE rowid = ?', [document.id]);
+            await db.run(`
+                INSERT INTO document_search (rowid, title, description, user_notes, content)
+                VALUES (?, ?, ?, ?, ?)
+            `, [document.id, document.title, document.description, document.user_notes, content || null]);
+        },
+
+        async remove(documentId) {
+            await db.run('DELETE FROM document_search WHERE rowid = ?', [documentId]);
+        },
+
+        search(userId, terms, { limit }) {
+            const query = terms.map(term => `"${term}"*`).join(' ');
+            const snippet = column => `snippet(document_search, ${column}, char(2), char(3), '…', ${SNIPPET_WORDS})`;
+            return db.all(`
+                SELECT document_search.rowid as document_id,
+                       -bm25(document_search, ${COLUMN_WEIGHTS}) as rank,
+                       highlight(document_search, 0, char(2), char(3)) as title,
+                       ${snippet(1)} as description,
+                       ${snippet(2)} as user_notes,
+                       ${snippet(3)} as content
+                FROM document_search
+                JOIN documents d ON d.id = document_search.rowid
+                WHERE document_search MATCH ? AND d.user_id = ? AND d.is_active = TRUE
+                ORDER BY bm25(document_search, ${COLUMN_WEIGHTS})
+                LIMIT ?
+            `, [query, userId, limit]);
+        }
+    };
+}
+
+module.exports = { createSqliteIndex };
@@ -0,0 +1,183 @@
+/**
+ * Envelope Encryption at Rest
+ * Wraps a storage backend so every file is encrypted with its own AES-256-GCM
+ * data key. The data key is wrapped by the master key provider and kept with
+ * the document row, so rotating the master key only re-wraps data keys and
+ * never touches file bodies.
+ *
+ * Files are sealed in 64 KiB chunks so range requests only decrypt the
+ * chunks they cover:
+ *   [chunk 0 ciphertext][16-byte tag][chunk 1 ciphertext][tag]...
+ * The nonce is the chunk number and the last chunk is authenticated as
+ * such, so chunks cannot be reordered and files cannot be truncated.
+ *
+ * Files saved before encryption at rest have no data key and are read as is.
+ */
+
+const crypto = require('crypto');
+const { Transform, pipeline } = require('stream');
+
+const CHUNK_BYTES = 64 * 1024;
+const TAG_BYTES = 16;
+const RECORD_BYTES = CHUNK_BYTES + TAG_BYTES;
+
+function chunkNonce(index) {
+    const nonce = Buffer.alloc(12);
+    nonce.writeBigUInt64BE(BigInt(index), 4);
+    return nonce;
+}
+
+function sealChunk(dataKey, index, plaintext, isLast) {
+    const cipher = crypto.createCipheriv('aes-256-gcm', dataKey, chunkNonce(index));
+    cipher.setAAD(Buffer.from([isLast ? 1 : 0]));
+    return Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+}
+
+function openChunk(dataKey, index, record, isLast) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', dataKey, chunkNonce(index));
+    decipher.setAAD(Buffer.from([isLast ? 1 : 0]));
+    decipher.setAuthTag(record.subarray(record.length - TAG_BYTES));
+    return Buffer.concat([decipher.update(record.subarray(0, record.length - TAG_BYTES)), decipher.final()]);
+}
+
+function chunkCount(storedSize) {
+    return Math.max(1, Math.ceil(storedSize / RECORD_BYTES));
+}
+
+function plaintextSize(storedSize) {
+    return storedSize - chunkCount(storedSize) * TAG_BYTES;
+}
+
+function createEncryptStream(dataKey) {
+    let index = 0;
+    let pending = Buffer.alloc(0);
+
+    return new Transform({
+        transform(data, encoding, callback) {
+            pending = Buffer.concat([pending, data]);
+            // Hold back a full chunk until more data arrives: only then is
+            // it known not to be the last one
+            while (pending.length > CHUNK_BYTES) {
+                this.push(sealChunk(dataKey, index++, pending.subarray(0, CHUNK_BYTES), false));
+                pending = pending.subarray(CHUNK_BYTES);
+            }
+            callback();
+        },
+        flush(callback) {
+            this.push(sealChunk(dataKey, index, pending, true));
+            callback();
+        }
+    });
+}
+
+/**
+ * Decrypt records `firstChunk` to `stopChunk` of a file whose last chunk is
+ * `finalChunk`, yielding only the plaintext bytes from `skip` onwards,
+ * `length` bytes in total
+ */
+function createDecryptStream(dataKey, { firstChunk, stopChunk, finalChunk, skip, length }) {
+    let index = firstChunk;
+    let pending = Buffer.alloc(0);
+    let remaining = length;
+
+    const emit = (stream, record) => {
+        let plaintext = openChunk(dataKey, index, record, index === finalChunk);
+        index++;
+        if (skip > 0) {
+            plaintext = plaintext.subarray(skip);
+            skip = 0;
+        }
+        if (remaining > 0) {
+            stream.push(plaintext.subarray(0, remaining));
+            remaining -= Math.min(remaining, plaintext.length);
+        }
+    };
+
+    return new Transform({
+        transform(data, encoding, callback) {
+            pending = Buffer.concat([pending, data]);
+            try {
+                while (pending.length >= RECORD_BYTES && index < stopChunk) {
+                    emit(this, pending.subarray(0, RECORD_BYTES));
+                    pending = pending.subarray(RECORD_BYTES);
+                }
+                callback();
+            } catch (error) {
+                callback(new Error('Stored file failed authentication'));
+            }
+        },
+        flush(callback) {
+            try {
+                if (index === stopChunk) emit(this, pending);
+                callback();
+            } catch (error) {
+                callback(new Error('Stored file failed authentication'));
+            }
+        }
+    });
+}
+
+function createEnvelopeStorage(backend, keyProvider) {
+    return {
+        type: backend.type,
+
+        /**
+         * Encrypt and store a file
+         * Resolves with { key, size, encryptedKey, keyId }; size is the
+         * plaintext size and the wrapped key must be kept with the file
+         */
+        async save(key, stream, options = {}) {
+            const dataKey = crypto.randomBytes(32);
+            const wrapped = await keyProvider.wrap(dataKey);
+            const sealed = pipeline(stream, createEncryptStream(dataKey), () => {});
+            const saved = await backend.save(key, sealed, { ...options, contentType: 'application/octet-stream' });
+            return { key, size: plaintextSize(saved.size), ...wrapped };
+        },
+
+        /**
+         * `envelope` is the { encryptedKey, keyId } stored with the file, or
+         * null for a file saved before encryption at rest
+         */
+        async stat(key, envelope) {
+            const { size } = await backend.stat(key);
+            return { size: envelope ? plaintextSize(size) : size };
+        },
+
+        async createReadStream(key, range, envelope) {
+            if (!envelope) {
+                return backend.createReadStream(key, range);
+            }
+
+            const { size: storedSize } = await backend.stat(key);
+            // Even an empty file has the tag of its one chunk
+            if (storedSize < TAG_BYTES) {
+                throw new Error('Stored file failed authentication');
+            }
+            const size = plaintextSize(storedSize);
+            const start = range ? range.start : 0;
+            const end = range ? range.end : size - 1;
+            const finalChunk = chunkCount(storedSize) - 1;
+            const firstChunk = Math.min(Math.floor(start / CHUNK_BYTES), finalChunk);
+            const stopChunk = Math.min(Math.floor(Math.max(end, 0) / CHUNK_BYTES), finalChunk);
+
+            const dataKey = await keyProvider.unwrap(envelope.encryptedKey, envelope.keyId);
+            const source = backend.createReadStream(key, {
+                start: firstChunk * RECORD_BYTES,
+                end: Math.min((stopChunk + 1) * RECORD_BYTES, storedSize) - 1
+            });
+            return pipeline(source, createDecryptStream(dataKey, {
+                firstChunk,
+                stopChunk,
+                finalChunk,
+                skip: start - firstChunk * CHUNK_BYTES,
+                length: Math.max(end - start + 1, 0)
+            }), () => {});
+        },
+
+        remove(key) {
+            return backend.remove(key);
+        }
+    };
+}
+
+module.exports = { createEnvelopeStorage };
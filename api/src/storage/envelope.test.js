@@ -0,0 +1,167 @@
+/**
+ * Envelope encryption tests, on local storage with a local key file in a
+ * temporary directory
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createEnvelopeStorage } = require('./envelope');
+const { createLocalStorage } = require('./local');
+const { createLocalKeyProvider } = require('../keys/local');
+
+const CHUNK_BYTES = 64 * 1024;
+const RECORD_BYTES = CHUNK_BYTES + 16;
+
+let dir;
+let storage;
+let saved = 0;
+
+beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aerial-nest-envelope-'));
+    storage = createEnvelopeStorage(
+        createLocalStorage(path.join(dir, 'files')),
+        createLocalKeyProvider(path.join(dir, 'master-keys.json'))
+    );
+});
+
+afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+async function save(plaintext) {
+    const key = `file-${saved++}.bin`;
+    const { size, encryptedKey, keyId } = await storage.save(key, [plaintext]);
+    return { key, size, envelope: { encryptedKey, keyId } };
+}
+
+function read({ key, envelope }, range = null) {
+    return new Promise((resolve, reject) => {
+        storage.createReadStream(key, range, envelope).then((stream) => {
+            const chunks = [];
+            stream.on('data', chunk => chunks.push(chunk));
+            stream.on('error', reject);
+            stream.on('end', () => resolve(Buffer.concat(chunks)));
+        }, reject);
+    });
+}
+
+// Change the stored (encrypted) file in place
+function rewrite({ key }, change) {
+    const file = path.join(dir, 'files', key);
+    fs.writeFileSync(file, change(fs.readFileSync(file)));
+}
+
+describe('round trip', () => {
+    test.each([
+        ['an empty file', 0],
+        ['a file smaller than a chunk', 1000],
+        ['exactly one chunk', CHUNK_BYTES],
+        ['exactly three chunks', 3 * CHUNK_BYTES],
+        ['a chunk and a byte', CHUNK_BYTES + 1]
+    ])('%s', async (name, length) => {
+        const plaintext = crypto.randomBytes(length);
+        const file = await save(plaintext);
+
+        expect(file.size).toBe(length);
+        expect((await storage.stat(file.key, file.envelope)).size).toBe(length);
+        expect(fs.statSync(path.join(dir, 'files', file.key)).size)
+            .toBe(length + Math.max(1, Math.ceil(length / CHUNK_BYTES)) * 16);
+        expect((await read(file)).equals(plaintext)).toBe(true);
+    });
+
+    test('stores nothing in the clear', async () => {
+        const plaintext = Buffer.from('Account number 12345678 '.repeat(100));
+        const file = await save(plaintext);
+        const stored = fs.readFileSync(path.join(dir, 'files', file.key));
+        expect(stored.includes(Buffer.from('12345678'))).toBe(false);
+    });
+});
+
+describe('range reads', () => {
+    const plaintext = crypto.randomBytes(3 * CHUNK_BYTES + 500);
+    let file;
+
+    beforeAll(async () => {
+        file = await save(plaintext);
+    });
+
+    test.each([
+        ['inside the first chunk', 10, 99],
+        ['across one chunk boundary', CHUNK_BYTES - 10, CHUNK_BYTES + 9],
+        ['across two chunk boundaries', CHUNK_BYTES - 1, 2 * CHUNK_BYTES],
+        ['from a chunk boundary to the end', 2 * CHUNK_BYTES, plaintext.length - 1],
+        ['the last byte', plaintext.length - 1, plaintext.length - 1],
+        ['a single byte either side of a boundary', CHUNK_BYTES - 1, CHUNK_BYTES]
+    ])('%s', async (name, start, end) => {
+        const bytes = await read(file, { start, end });
+        expect(bytes.equals(plaintext.subarray(start, end + 1))).toBe(true);
+    });
+
+    test('on a file of exact chunks, the last chunk', async () => {
+        const exact = crypto.randomBytes(2 * CHUNK_BYTES);
+        const exactFile = await save(exact);
+        const bytes = await read(exactFile, { start: CHUNK_BYTES, end: 2 * CHUNK_BYTES - 1 });
+        expect(bytes.equals(exact.subarray(CHUNK_BYTES))).toBe(true);
+    });
+});
+
+describe('authentication', () => {
+    const plaintext = crypto.randomBytes(3 * CHUNK_BYTES);
+
+    test('rejects a flipped ciphertext byte', async () => {
+        const file = await save(plaintext);
+        rewrite(file, (stored) => {
+            stored[RECORD_BYTES + 100] ^= 1;
+            return stored;
+        });
+        await expect(read(file)).rejects.toThrow('Stored file failed authentication');
+        // Ranges that avoid the damaged chunk still read
+        expect((await read(file, { start: 0, end: 99 })).equals(plaintext.subarray(0, 100))).toBe(true);
+    });
+
+    test('rejects a flipped tag byte', async () => {
+        const file = await save(plaintext);
+        rewrite(file, (stored) => {
+            stored[stored.length - 1] ^= 1;
+            return stored;
+        });
+        await expect(read(file, { start: plaintext.length - 10, end: plaintext.length - 1 }))
+            .rejects.toThrow('Stored file failed authentication');
+    });
+
+    test('rejects chunks swapped with each other', async () => {
+        const file = await save(plaintext);
+        rewrite(file, stored => Buffer.concat([
+            stored.subarray(RECORD_BYTES, 2 * RECORD_BYTES),
+            stored.subarray(0, RECORD_BYTES),
+            stored.subarray(2 * RECORD_BYTES)
+        ]));
+        await expect(read(file)).rejects.toThrow('Stored file failed authentication');
+    });
+
+    test('rejects a file cut at a chunk boundary, whose new last chunk was not sealed as last', async () => {
+        const file = await save(plaintext);
+        rewrite(file, stored => stored.subarray(0, 2 * RECORD_BYTES));
+        expect((await storage.stat(file.key, file.envelope)).size).toBe(2 * CHUNK_BYTES);
+        await expect(read(file)).rejects.toThrow('Stored file failed authentication');
+    });
+
+    test('rejects a file cut inside a chunk', async () => {
+        const file = await save(plaintext);
+        rewrite(file, stored => stored.subarray(0, stored.length - 100));
+        await expect(read(file)).rejects.toThrow('Stored file failed authentication');
+    });
+
+    test('rejects an empty file cut to nothing', async () => {
+        const file = await save(Buffer.alloc(0));
+        rewrite(file, () => Buffer.alloc(0));
+        await expect(read(file)).rejects.toThrow('Stored file failed authentication');
+    });
+
+    test('rejects the data key of another file', async () => {
+        const file = await save(plaintext);
+        const other = await save(plaintext);
+        await expect(read({ key: file.key, envelope: other.envelope }))
+            .rejects.toThrow('Stored file failed authentication');
+    });
+});
@@ -0,0 +1,55 @@
+/**
+ * Document Storage
+ * Picks the storage backend for uploaded files:
+ * - S3 when DOCUMENT_BUCKET is set (Lambda / production)
+ * - Local filesystem otherwise (development)
+ *
+ * Every backend exposes the same methods:
+ *   save(key, stream, { contentType }) -> { key, size }
+ *   stat(key) -> { size }
+ *   createReadStream(key, { start, end }?) -> Readable
+ *   remove(key)
+ *
+ * getStorage() wraps the backend in envelope encryption (see ./envelope),
+ * which adds the wrapped data key to what save() returns and takes it back
+ * as the last argument of stat() and createReadStream()
+ *
+ * readFile(key, envelope) reads a whole file into memory, for the server's
+ * own processing (text extraction, OCR) rather than for responses.
+ */
+
+const path = require('path');
+const { createLocalStorage } = require('./local');
+const { createEnvelopeStorage } = require('./envelope');
+const { getKeyProvider } = require('../keys');
+
+let storage = null;
+
+function getStorage() {
+    if (!storage) {
+        let backend;
+        if (process.env.DOCUMENT_BUCKET) {
+            console.log('🪣 Using S3 document storage:', process.env.DOCUMENT_BUCKET);
+            // Required lazily so local development never loads the AWS SDK
+            const { createS3Storage } = require('./s3');
+            backend = createS3Storage(process.env.DOCUMENT_BUCKET);
+        } else {
+            const rootDir = process.env.STORAGE_DIR || path.join(__dirname, '..', '..', 'uploads');
+            console.log('📁 Using local document storage at:', rootDir);
+            backend = createLocalStorage(rootDir);
+        }
+        storage = createEnvelopeStorage(backend, getKeyProvider());
+    }
+    return storage;
+}
+
+async function readFile(key, envelope) {
+    const stream = await getStorage().createReadStream(key, null, envelope);
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+module.exports = { getStorage, readFile };
@@ -0,0 +1,49 @@
+/**
+ * Local Filesystem Storage
+ * Stores document files on disk for local development
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+function createLocalStorage(rootDir) {
+    /**
+     * Resolve a storage key to an absolute path, refusing anything
+     * that would escape the storage root (e.g. "../../etc/passwd")
+     */
+    function resolveKey(key) {
+        const fullPath = path.resolve(rootDir, key);
+        if (!fullPath.startsWith(path.resolve(rootDir) + path.sep)) {
+            throw new Error('Invalid storage key');
+        }
+        return fullPath;
+    }
+
+    return {
+        type: 'local',
+
+        async save(key, stream) {
+            const fullPath = resolveKey(key);
+            await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+            await pipeline(stream, fs.createWriteStream(fullPath));
+            const stats = await fs.promises.stat(fullPath);
+            return { key, size: stats.size };
+        },
+
+        async stat(key) {
+            const stats = await fs.promises.stat(resolveKey(key));
+            return { size: stats.size };
+        },
+
+        createReadStream(key, range) {
+            return fs.createReadStream(resolveKey(key), range || {});
+        },
+
+        async remove(key) {
+            await fs.promises.rm(resolveKey(key), { force: true });
+        }
+    };
+}
+
+module.exports = { createLocalStorage };
@@ -0,0 +1,52 @@
+/**
+ * S3 Storage
+ * Stores document files in the DocumentStorageS3Bucket (or any
+ * S3-compatible service such as MinIO when S3_ENDPOINT is set)
+ */
+
+const AWS = require('aws-sdk');
+
+function createS3Storage(bucket) {
+    const s3 = new AWS.S3({
+        endpoint: process.env.S3_ENDPOINT || undefined,
+        s3ForcePathStyle: Boolean(process.env.S3_ENDPOINT),
+        signatureVersion: 'v4'
+    });
+
+    return {
+        type: 's3',
+
+        async save(key, stream, options = {}) {
+            // upload() streams the body in parts, so large files never sit in memory
+            await s3.upload({
+                Bucket: bucket,
+                Key: key,
+                Body: stream,
+                ContentType: options.contentType,
+                ServerSideEncryption: 'AES256'
+            }).promise();
+
+            const head = await s3.headObject({ Bucket: bucket, Key: key }).promise();
+            return { key, size: head.ContentLength };
+        },
+
+        async stat(key) {
+            const head = await s3.headObject({ Bucket: bucket, Key: key }).promise();
+            return { size: head.ContentLength };
+        },
+
+        createReadStream(key, range) {
+            const params = { Bucket: bucket, Key: key };
+            if (range) {
+                params.Range = `bytes=${range.start}-${range.end}`;
+            }
+            return s3.getObject(params).createReadStream();
+        },
+
+        async remove(key) {
+            await s3.deleteObject({ Bucket: bucket, Key: key }).promise();
+        }
+    };
+}
+
+module.exports = { createS3Storage };
@@ -0,0 +1,272 @@
+/**
+ * Document Template Definitions
+ * Each template is a set of sections of typed fields; ../templates turns
+ * the answers into a PDF. Field types:
+ *   text      one line (up to 200 characters)
+ *   textarea  free text (up to 5000 characters)
+ *   date      YYYY-MM-DD
+ *   choice    one of `options`; the option label is what the PDF prints
+ *   boolean   yes or no
+ *   list      rows of `columns`, e.g. one row per bank account
+ *
+ * `prefill` names an answer the user has already given elsewhere:
+ * "profile.name" or "planning.<workflow>.<step>" (see ../workflows).
+ *
+ * Bump `version` whenever wording or fields change. Generated documents
+ * record the version that produced them.
+ */
+
+module.exports = [
+    {
+        id: 'advance_directive',
+        version: 1,
+        title: 'Advance Healthcare Directive',
+        description: 'Name the person who makes medical decisions for you and record the care you want.',
+        documentType: 'healthcare_directive',
+        category: 'Healthcare',
+        preamble: 'I make this directive to state my wishes about my medical care and to name the person I trust ' +
+                  'to make healthcare decisions for me if I cannot make or communicate them myself.',
+        sections: [
+            {
+                title: 'About me',
+                fields: [
+                    { name: 'fullName', label: 'Full legal name', type: 'text', required: true, prefill: 'profile.name' },
+                    { name: 'dateOfBirth', label: 'Date of birth', type: 'date' },
+                    { name: 'address', label: 'Address', type: 'text' }
+                ]
+            },
+            {
+                title: 'My healthcare agent',
+                intro: 'I appoint this person as my healthcare agent. If they are not willing, able or reasonably ' +
+                       'available, I appoint my alternate agent.',
+                fields: [
+                    { name: 'agentName', label: 'Agent', type: 'text', required: true },
+                    { name: 'agentRelationship', label: 'Relationship to me', type: 'text' },
+                    { name: 'agentPhone', label: 'Agent’s phone', type: 'text' },
+                    { name: 'alternateAgentName', label: 'Alternate agent', type: 'text' },
+                    { name: 'alternateAgentPhone', label: 'Alternate agent’s phone', type: 'text' }
+                ]
+            },
+            {
+                title: 'My treatment wishes',
+                intro: 'If I am terminally ill, permanently unconscious, or unlikely to recover the ability to know ' +
+                       'where I am and who is with me:',
+                fields: [
+                    {
+                        name: 'lifeSupport',
+                        label: 'Life-sustaining treatment',
+                        type: 'choice',
+                        required: true,
+                        options: [
+                            { value: 'prolong', label: 'I want my life prolonged as long as possible within accepted medical standards.' },
+                            { value: 'comfort', label: 'I do not want my life prolonged. Keep me comfortable and let me die naturally.' },
+                            { value: 'agent', label: 'I want my agent to decide, based on what they know of my wishes and values.' }
+                        ]
+                    },
+                    { name: 'painRelief', label: 'I want medicine to relieve pain, even if it may hasten my death', type: 'boolean' },
+                    {
+                        name: 'organDonation',
+                        label: 'Organ and tissue donation',
+                        type: 'choice',
+                        options: [
+                            { value: 'any', label: 'I give any organs or tissues that may help others.' },
+                            { value: 'none', label: 'I do not wish to donate my organs or tissues.' },
+                            { value: 'agent', label: 'My agent may decide.' }
+                        ]
+                    },
+                    {
+                        name: 'otherWishes',
+                        label: 'Other wishes',
+                        type: 'textarea',
+                        help: 'For example religious beliefs, where you would like to be cared for, or treatments you would refuse.'
+                    }
+                ]
+            }
+        ],
+        signature: {
+            statement: 'I sign this directive willingly, and I understand what it means.',
+            witnesses: 2,
+            witnessStatement: 'I declare that the person who signed this directive did so in my presence, appeared ' +
+                              'to be of sound mind and free from pressure, and that I am not the person appointed ' +
+                              'as agent.'
+        }
+    },
+    {
+        id: 'funeral_wishes',
+        version: 1,
+        title: 'My Funeral Wishes',
+        description: 'A letter to your family about the farewell you would like.',
+        documentType: 'funeral_wishes',
+        category: 'Personal',
+        preamble: 'These are my wishes for my funeral and for the care of my body. I hope they make things a ' +
+                  'little easier for the people I love. Where I have not said, please do what feels right to you.',
+        sections: [
+            {
+                title: 'About me',
+                fields: [
+                    { name: 'fullName', label: 'Name', type: 'text', required: true, prefill: 'profile.name' }
+                ]
+            },
+            {
+                title: 'My body',
+                fields: [
+                    {
+                        name: 'disposition',
+                        label: 'Burial or cremation',
+                        type: 'choice',
+                        prefill: 'planning.funeral_wishes.disposition',
+                        options: [
+                            { value: 'burial', label: 'I wish to be buried.' },
+                            { value: 'cremation', label: 'I wish to be cremated.' },
+                            { value: 'undecided', label: 'I leave this choice to my family.' }
+                        ]
+                    },
+                    {
+                        name: 'restingPlace',
+                        label: 'Resting place',
+                        type: 'text',
+                        help: 'A cemetery or family plot, or where your ashes should go.'
+                    }
+                ]
+            },
+            {
+                title: 'The service',
+                fields: [
+                    {
+                        name: 'serviceType',
+                        label: 'Kind of service',
+                        type: 'choice',
+                        options: [
+                            { value: 'religious', label: 'A religious service' },
+                            { value: 'celebration', label: 'A celebration of life' },
+                            { value: 'private', label: 'A private gathering for family only' },
+                            { value: 'none', label: 'No service' }
+                        ]
+                    },
+                    { name: 'location', label: 'Where', type: 'text' },
+                    { name: 'officiant', label: 'Who should lead it', type: 'text' },
+                    { name: 'music', label: 'Music', type: 'textarea' },
+                    { name: 'readings', label: 'Readings', type: 'textarea' },
+                    { name: 'flowersOrDonations', label: 'Flowers, or donations in my memory to', type: 'textarea' }
+                ]
+            },
+            {
+                title: 'Arrangements',
+                fields: [
+                    {
+                        name: 'prepaid',
+                        label: 'I have prepaid or set money aside for my funeral',
+                        type: 'boolean',
+                        prefill: 'planning.funeral_wishes.prepaid'
+                    },
+                    { name: 'funeralHome', label: 'Funeral home', type: 'text' },
+                    { name: 'contractLocation', label: 'Where the contract or policy is kept', type: 'text' }
+                ]
+            },
+            {
+                title: 'A few words',
+                fields: [
+                    { name: 'message', label: 'To the people I leave behind', type: 'textarea' }
+                ]
+            }
+        ],
+        signature: { statement: 'With love,', witnesses: 0 }
+    },
+    {
+        id: 'asset_inventory',
+        version: 1,
+        title: 'Asset Inventory',
+        description: 'A list of your accounts, property, policies and online accounts for your executor or agent.',
+        documentType: 'other',
+        category: 'Financial',
+        preamble: 'This inventory lists what I own and where to find it, so the people handling my affairs know ' +
+                  'where to start. It contains no passwords or full account numbers.',
+        sections: [
+            {
+                title: 'About me',
+                fields: [
+                    { name: 'fullName', label: 'Name', type: 'text', required: true, prefill: 'profile.name' }
+                ]
+            },
+            {
+                title: 'Bank and investment accounts',
+                fields: [
+                    {
+                        name: 'accounts',
+                        label: 'Accounts',
+                        type: 'list',
+                        help: 'Give only the last four digits of each account number.',
+                        columns: [
+                            { name: 'institution', label: 'Bank or firm' },
+                            { name: 'accountType', label: 'Kind of account' },
+                            { name: 'lastDigits', label: 'Ending in' },
+                            { name: 'notes', label: 'Notes' }
+                        ]
+                    }
+                ]
+            },
+            {
+                title: 'Property',
+                fields: [
+                    {
+                        name: 'property',
+                        label: 'Homes, land and vehicles',
+                        type: 'list',
+                        columns: [
+                            { name: 'description', label: 'What' },
+                            { name: 'location', label: 'Where' },
+                            { name: 'notes', label: 'Notes' }
+                        ]
+                    }
+                ]
+            },
+            {
+                title: 'Insurance and pensions',
+                fields: [
+                    {
+                        name: 'policies',
+                        label: 'Policies',
+                        type: 'list',
+                        columns: [
+                            { name: 'provider', label: 'Company' },
+                            { name: 'policyType', label: 'Kind of policy' },
+                            { name: 'contact', label: 'Contact' }
+                        ]
+                    }
+                ]
+            },
+            {
+                title: 'Online accounts',
+                fields: [
+                    {
+                        name: 'usesPasswordManager',
+                        label: 'I keep my passwords in a password manager',
+                        type: 'boolean',
+                        prefill: 'planning.digital_assets.password_manager'
+                    },
+                    {
+                        name: 'digitalAccounts',
+                        label: 'Accounts',
+                        type: 'list',
+                        columns: [
+                            { name: 'service', label: 'Service' },
+                            { name: 'purpose', label: 'Used for' },
+                            { name: 'wishes', label: 'Keep, download or close' }
+                        ]
+                    }
+                ]
+            },
+            {
+                title: 'Where to find things',
+                fields: [
+                    {
+                        name: 'whereToFind',
+                        label: 'Papers, keys and safe deposit boxes',
+                        type: 'textarea'
+                    }
+                ]
+            }
+        ],
+        signature: null
+    }
+];
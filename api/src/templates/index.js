@@ -0,0 +1,222 @@
+/**
+ * Document Templates
+ * Fillable templates (./definitions) that turn a user's answers into a
+ * PDF on the server, laid out with ../pdf.
+ *
+ *   getTemplate(id)                                 -> definition or undefined
+ *   templateSchema(template)                        -> JSON Schema the answers must match
+ *   prefillValues(template, known)                  -> answers the user already gave elsewhere
+ *   renderTemplate(template, values, { generatedAt }) -> PDF Buffer
+ *
+ * `known` maps prefill names ("profile.name", "planning.<workflow>.<step>")
+ * to the user's values for them.
+ */
+
+const { createPdf } = require('../pdf');
+const TEMPLATES = require('./definitions');
+
+const FIELD_TYPES = ['text', 'textarea', 'date', 'choice', 'boolean', 'list'];
+
+const TEXT_MAX_LENGTH = 200;
+const TEXTAREA_MAX_LENGTH = 5000;
+const LIST_MAX_ITEMS = 50;
+
+const NOTE_COLOR = [0.4, 0.4, 0.4];
+
+function templateFields(template) {
+    return template.sections.flatMap(section => section.fields);
+}
+
+/**
+ * Catch mistakes in the definitions when the module loads rather than
+ * when someone fills in the broken template
+ */
+function checkDefinitions(templates) {
+    const ids = new Set();
+    for (const template of templates) {
+        if (ids.has(template.id)) throw new Error(`Duplicate template "${template.id}"`);
+        ids.add(template.id);
+        if (!Number.isInteger(template.version) || template.version < 1) {
+            throw new Error(`Template "${template.id}" needs a version`);
+        }
+
+        const names = new Set();
+        for (const field of templateFields(template)) {
+            const name = `${template.id}/${field.name}`;
+            if (names.has(field.name)) throw new Error(`Duplicate field "${name}"`);
+            names.add(field.name);
+            if (!FIELD_TYPES.includes(field.type)) throw new Error(`Field "${name}" has unknown type "${field.type}"`);
+            if (field.type === 'choice' && !(field.options && field.options.length)) {
+                throw new Error(`Field "${name}" has no options`);
+            }
+            if (field.type === 'list' && !(field.columns && field.columns.length)) {
+                throw new Error(`Field "${name}" has no columns`);
+            }
+        }
+    }
+}
+
+checkDefinitions(TEMPLATES);
+
+function getTemplate(id) {
+    return TEMPLATES.find(template => template.id === id);
+}
+
+function fieldSchema(field) {
+    const schema = { title: field.label };
+    switch (field.type) {
+        case 'textarea':
+            return { ...schema, type: 'string', maxLength: TEXTAREA_MAX_LENGTH };
+        case 'date':
+            return { ...schema, type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$',
+                     errorMessage: `${field.label} must be a date (YYYY-MM-DD)` };
+        case 'choice':
+            return { ...schema, type: 'string', enum: field.options.map(option => option.value) };
+        case 'boolean':
+            return { ...schema, type: 'boolean' };
+        case 'list':
+            return {
+                ...schema,
+                type: 'array',
+                maxItems: LIST_MAX_ITEMS,
+                ...(field.required ? { minItems: 1 } : {}),
+                items: {
+                    type: 'object',
+                    additionalProperties: false,
+                    properties: Object.fromEntries(field.columns.map(column =>
+                        [column.name, { type: 'string', title: column.label, maxLength: TEXT_MAX_LENGTH }]))
+                }
+            };
+        default:
+            return { ...schema, type: 'string', maxLength: TEXT_MAX_LENGTH };
+    }
+}
+
+function templateSchema(template) {
+    const fields = templateFields(template);
+    return {
+        type: 'object',
+        additionalProperties: false,
+        required: fields.filter(field => field.required).map(field => field.name),
+        properties: Object.fromEntries(fields.map(field => [field.name, fieldSchema(field)]))
+    };
+}
+
+/**
+ * Answers a field can take from what the user told us before; planning
+ * questions answer yes/no fields and choices that share their values
+ */
+function prefillValues(template, known) {
+    const values = {};
+    for (const field of templateFields(template)) {
+        const value = field.prefill && known[field.prefill];
+        if (value === undefined || value === null) continue;
+
+        if (field.type === 'boolean') {
+            if (value === 'yes' || value === 'no') values[field.name] = value === 'yes';
+        } else if (field.type === 'choice') {
+            if (field.options.some(option => option.value === value)) values[field.name] = value;
+        } else if (typeof value === 'string') {
+            values[field.name] = value;
+        }
+    }
+    return values;
+}
+
+function isAnswered(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    return value !== undefined && value !== null && !(typeof value === 'string' && value.trim() === '');
+}
+
+// Dates are entered as YYYY-MM-DD and printed as "March 4, 1948"
+function formatDate(value) {
+    const date = new Date(`${value}T00:00:00Z`);
+    if (Number.isNaN(date.getTime())) return value;
+    return date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+}
+
+function renderField(pdf, field, value) {
+    pdf.paragraph(field.label, { bold: true, size: 9 });
+
+    if (field.type === 'list') {
+        for (const row of value) {
+            const cells = field.columns.map(column => row[column.name]).filter(isAnswered);
+            if (cells.length > 0) pdf.paragraph(`•  ${cells.join('  ·  ')}`, { indent: 12 });
+        }
+    } else if (field.type === 'choice') {
+        const option = field.options.find(candidate => candidate.value === value);
+        pdf.paragraph(option ? option.label : value, { indent: 12 });
+    } else if (field.type === 'boolean') {
+        pdf.paragraph(value ? 'Yes' : 'No', { indent: 12 });
+    } else if (field.type === 'date') {
+        pdf.paragraph(formatDate(value), { indent: 12 });
+    } else {
+        pdf.paragraph(value.trim(), { indent: 12 });
+    }
+    pdf.space(6);
+}
+
+function renderSignature(pdf, signature, signerName) {
+    pdf.heading('Signature');
+    if (signature.statement) pdf.paragraph(signature.statement);
+    pdf.space(28)
+        .paragraph('______________________________________          Date ________________')
+        .paragraph(signerName, { size: 9 });
+
+    if (signature.witnesses > 0) {
+        pdf.heading('Witnesses');
+        if (signature.witnessStatement) pdf.paragraph(signature.witnessStatement, { size: 9 });
+        for (let witness = 1; witness <= signature.witnesses; witness++) {
+            pdf.space(28)
+                .paragraph('______________________________________          Date ________________')
+                .paragraph(`Witness ${witness} signature`, { size: 9 })
+                .space(16)
+                .paragraph('______________________________________')
+                .paragraph(`Witness ${witness} printed name and address`, { size: 9 });
+        }
+    }
+}
+
+/**
+ * Lay out a filled-in template; `values` must already match
+ * templateSchema(template). Unanswered fields are left out.
+ */
+function renderTemplate(template, values, { generatedAt = new Date() } = {}) {
+    const pdf = createPdf({
+        title: template.title,
+        author: values.fullName || 'Aerial Nest',
+        footer: `${template.title}  ·  template version ${template.version}`,
+        createdAt: generatedAt
+    });
+
+    pdf.heading(template.title, { size: 20 });
+    if (template.preamble) pdf.paragraph(template.preamble).space(4);
+
+    for (const section of template.sections) {
+        const answered = section.fields.filter(field => isAnswered(values[field.name]));
+        if (answered.length === 0) continue;
+
+        pdf.heading(section.title);
+        if (section.intro) pdf.paragraph(section.intro).space(4);
+        for (const field of answered) renderField(pdf, field, values[field.name]);
+    }
+
+    if (template.signature) renderSignature(pdf, template.signature, values.fullName || '');
+
+    const prepared = generatedAt.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+    pdf.space(16).paragraph(
+        `Prepared on ${prepared} with Aerial Nest from the “${template.title}” template, version ${template.version}. ` +
+        'Requirements for signing and witnessing differ between states, so check them before relying on this document.',
+        { size: 8, color: NOTE_COLOR }
+    );
+
+    return pdf.toBuffer();
+}
+
+module.exports = {
+    TEMPLATES,
+    getTemplate,
+    templateSchema,
+    prefillValues,
+    renderTemplate
+};
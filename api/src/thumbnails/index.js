@@ -0,0 +1,105 @@
+/**
+ * Document Thumbnails
+ * Photos (jpg, png) and PDFs get a document_thumbnails row and a
+ * 'thumbnail' background job (../jobs) when a version is added. The job
+ * renders a small JPEG of the first page with ./render and stores it
+ * alongside the original, for the document library to show. It only runs
+ * where the renderers are installed, like OCR.
+ *
+ *   needsThumbnail(document)      -> whether a version gets a preview image
+ *   queueThumbnail(db, document)  -> 'pending', 'complete' (a restored file
+ *                                    already rendered) or null when not needed
+ *   thumbnailJob(db)              -> the handler for 'thumbnail' jobs
+ *
+ * End-to-end encrypted files are never queued: the server cannot read them.
+ */
+
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { getStorage, readFile } = require('../storage');
+const { enqueueJob } = require('../jobs');
+const { isAvailable, render } = require('./render');
+
+const THUMBNAIL_FILE_TYPES = ['jpg', 'jpeg', 'png', 'pdf'];
+
+// Attempts before a thumbnail is marked failed
+const MAX_ATTEMPTS = 3;
+
+// Same "YYYY-MM-DD HH:MM:SS" UTC form as CURRENT_TIMESTAMP
+const toSqlTimestamp = date => date.toISOString().replace('T', ' ').slice(0, 19);
+
+function needsThumbnail(document) {
+    return !document.is_encrypted && THUMBNAIL_FILE_TYPES.includes(document.file_type);
+}
+
+async function queueThumbnail(db, document) {
+    if (!needsThumbnail(document)) return null;
+
+    const queued = await db.get('SELECT status FROM document_thumbnails WHERE document_id = ?', [document.id]);
+    if (queued) return queued.status;
+
+    // Restoring a version points a new row at a file that may have been rendered already
+    const earlier = await db.get(`
+        SELECT t.* FROM document_thumbnails t
+        JOIN documents d ON d.id = t.document_id
+        WHERE d.file_path = ? AND t.status = 'complete'
+        ORDER BY t.id DESC
+        LIMIT 1
+    `, [document.file_path]);
+
+    if (earlier) {
+        await db.run(`
+            INSERT INTO document_thumbnails (document_id, user_id, status, image_path, image_size,
+                                             encrypted_data_key, master_key_id, completed_at)
+            VALUES (?, ?, 'complete', ?, ?, ?, ?, ?)
+        `, [document.id, document.user_id, earlier.image_path, earlier.image_size, earlier.encrypted_data_key,
+            earlier.master_key_id, earlier.completed_at]);
+        return 'complete';
+    }
+
+    await db.run('INSERT INTO document_thumbnails (document_id, user_id) VALUES (?, ?)', [document.id, document.user_id]);
+    await enqueueJob(db, 'thumbnail', { documentId: document.id }, { maxAttempts: MAX_ATTEMPTS });
+    return 'pending';
+}
+
+async function renderThumbnail(db, documentId) {
+    const document = await db.get('SELECT * FROM documents WHERE id = ?', [documentId]);
+    const envelope = document.encrypted_data_key
+        ? { encryptedKey: document.encrypted_data_key, keyId: document.master_key_id }
+        : null;
+    const image = await render(await readFile(document.file_path, envelope), document.file_type);
+
+    const key = `documents/${document.user_id}/${crypto.randomUUID()}.jpg`;
+    const saved = await getStorage().save(key, Readable.from([image]), { contentType: 'image/jpeg' });
+    await db.run(`
+        UPDATE document_thumbnails
+        SET status = 'complete', image_path = ?, image_size = ?, encrypted_data_key = ?, master_key_id = ?,
+            completed_at = ?
+        WHERE document_id = ?
+    `, [key, saved.size, saved.encryptedKey, saved.keyId, toSqlTimestamp(new Date()), documentId]);
+}
+
+// Whether the renderers are installed does not change while the process runs
+let available = null;
+
+function thumbnailJob(db) {
+    return {
+        run: ({ documentId }) => renderThumbnail(db, documentId),
+        dead: ({ documentId }) => db.run(`
+            UPDATE document_thumbnails SET status = 'failed' WHERE document_id = ?
+        `, [documentId]),
+        retried: ({ documentId }) => db.run(`
+            UPDATE document_thumbnails SET status = 'pending' WHERE document_id = ?
+        `, [documentId]),
+        available: () => {
+            if (!available) available = isAvailable();
+            return available;
+        }
+    };
+}
+
+module.exports = {
+    needsThumbnail,
+    queueThumbnail,
+    thumbnailJob
+};
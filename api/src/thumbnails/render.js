@@ -0,0 +1,94 @@
+/**
+ * Thumbnail Renderer
+ * Draws the first page of a PDF with pdftoppm (poppler-utils), which OCR
+ * uses too, and shrinks photos with ImageMagick. Both run on this machine,
+ * so documents never leave the server. On Debian or Ubuntu:
+ *   apt-get install poppler-utils imagemagick
+ * ImageMagick is told which decoder to use rather than left to guess from
+ * the content, and runs under ./policy.xml, which allows no other.
+ *
+ *   isAvailable() -> whether both tools can be run
+ *   render(buffer, fileType) -> a JPEG no larger than THUMBNAIL_SIZE on its longer side
+ */
+
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+const { hasFileSignature } = require('../uploads');
+
+const execFileAsync = promisify(execFile);
+
+const PDFTOPPM_PATH = process.env.PDFTOPPM_PATH || 'pdftoppm';
+
+// "magick" with ImageMagick 7
+const IMAGEMAGICK_PATH = process.env.IMAGEMAGICK_PATH || 'convert';
+
+// Pixels on the longer side: sharp in a library card on high density screens
+const THUMBNAIL_SIZE = 480;
+
+const JPEG_QUALITY = 80;
+
+// ImageMagick's decoder for each photo type
+const IMAGE_CODERS = { jpg: 'jpeg', jpeg: 'jpeg', png: 'png' };
+
+// Directory of the policy.xml ImageMagick runs under
+const POLICY_DIRECTORY = __dirname;
+
+const THUMBNAIL_TIMEOUT_MS = (parseInt(process.env.THUMBNAIL_TIMEOUT_SECONDS, 10) || 60) * 1000;
+
+function run(command, args, env = process.env) {
+    return execFileAsync(command, args, { timeout: THUMBNAIL_TIMEOUT_MS, env });
+}
+
+async function isAvailable() {
+    try {
+        await run(PDFTOPPM_PATH, ['-v']);
+        await run(IMAGEMAGICK_PATH, ['-version']);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function renderPdf(original, output) {
+    return run(PDFTOPPM_PATH, [
+        '-jpeg', '-jpegopt', `quality=${JPEG_QUALITY}`, '-f', '1', '-l', '1',
+        '-scale-to', String(THUMBNAIL_SIZE), '-singlefile', original, output.replace(/\.jpg$/, '')
+    ]);
+}
+
+// Phone photos are turned upright and kept to a bounded amount of memory
+function renderImage(original, output, fileType) {
+    return run(IMAGEMAGICK_PATH, [
+        '-limit', 'memory', '256MiB', '-limit', 'disk', '1GiB',
+        '-define', `jpeg:size=${THUMBNAIL_SIZE * 2}x${THUMBNAIL_SIZE * 2}`,
+        `${IMAGE_CODERS[fileType]}:${original}[0]`, '-auto-orient', '-thumbnail', `${THUMBNAIL_SIZE}x${THUMBNAIL_SIZE}>`,
+        '-background', 'white', '-alpha', 'remove', '-strip', '-quality', String(JPEG_QUALITY), `jpeg:${output}`
+    ], { ...process.env, MAGICK_CONFIGURE_PATH: POLICY_DIRECTORY });
+}
+
+/**
+ * Render a photo (jpg, png) or a PDF's first page; files are worked on in a
+ * temporary directory that is always removed. Files stored before uploads
+ * were checked are checked here.
+ */
+async function render(buffer, fileType) {
+    if ((fileType !== 'pdf' && !IMAGE_CODERS[fileType]) || !hasFileSignature(fileType, buffer)) {
+        throw new Error(`Not a ${fileType} file`);
+    }
+
+    const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'aerial-nest-thumbnail-'));
+    try {
+        const original = path.join(directory, `original.${fileType}`);
+        const output = path.join(directory, 'thumbnail.jpg');
+        await fs.promises.writeFile(original, buffer);
+        await (fileType === 'pdf' ? renderPdf(original, output) : renderImage(original, output, fileType));
+        return await fs.promises.readFile(output);
+    } finally {
+        await fs.promises.rm(directory, { recursive: true, force: true });
+    }
+}
+
+module.exports = { isAvailable, render };
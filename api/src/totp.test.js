@@ -0,0 +1,83 @@
+/**
+ * TOTP tests: the RFC 6238 test vectors, clock drift and replayed steps
+ */
+
+const { generateSecret, generateCode, currentCounter, verifyCode, provisioningUri } = require('./totp');
+
+// The RFC's SHA-1 key, "12345678901234567890", in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+afterEach(() => jest.restoreAllMocks());
+
+function atTime(seconds) {
+    jest.spyOn(Date, 'now').mockReturnValue(seconds * 1000);
+}
+
+describe('generateCode', () => {
+    // RFC 6238 appendix B lists 8-digit codes; 6-digit codes are their last six digits
+    test.each([
+        [59, '94287082'],
+        [1111111109, '07081804'],
+        [1111111111, '14050471'],
+        [1234567890, '89005924'],
+        [2000000000, '69279037'],
+        [20000000000, '65353130']
+    ])('matches the RFC 6238 vector at %i seconds', (seconds, code) => {
+        expect(generateCode(RFC_SECRET, currentCounter(seconds * 1000))).toBe(code.slice(-6));
+    });
+
+    test('reads lower case and spaced secrets as authenticator apps show them', () => {
+        expect(generateCode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq', 1)).toBe('287082');
+    });
+});
+
+describe('verifyCode', () => {
+    const now = 1111111111;
+    const step = currentCounter(now * 1000);
+
+    test('accepts the current step and one either side, resolving to the step', () => {
+        atTime(now);
+        expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step))).toBe(step);
+        expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1))).toBe(step - 1);
+        expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1))).toBe(step + 1);
+    });
+
+    test('refuses codes two steps away', () => {
+        atTime(now);
+        expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2))).toBeNull();
+        expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 2))).toBeNull();
+    });
+
+    test('refuses a step already used, and any before it', () => {
+        atTime(now);
+        const code = generateCode(RFC_SECRET, step);
+        expect(verifyCode(RFC_SECRET, code, step - 1)).toBe(step);
+        expect(verifyCode(RFC_SECRET, code, step)).toBeNull();
+        expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), step)).toBeNull();
+        expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1), step)).toBe(step + 1);
+    });
+
+    test('ignores spaces but refuses anything that is not six digits', () => {
+        atTime(now);
+        const code = generateCode(RFC_SECRET, step);
+        expect(verifyCode(RFC_SECRET, `${code.slice(0, 3)} ${code.slice(3)}`)).toBe(step);
+        for (const wrong of ['', null, '12345', '1234567', 'abcdef', `${code}0`]) {
+            expect(verifyCode(RFC_SECRET, wrong)).toBeNull();
+        }
+    });
+});
+
+describe('secrets', () => {
+    test('are 160 random bits in base32', () => {
+        const secret = generateSecret();
+        expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+        expect(generateSecret()).not.toBe(secret);
+    });
+
+    test('are offered to authenticator apps with their settings', () => {
+        expect(provisioningUri(RFC_SECRET, 'sam@example.com', 'Aerial Nest')).toBe(
+            'otpauth://totp/Aerial%20Nest%3Asam%40example.com?secret=GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ' +
+            '&issuer=Aerial%20Nest&algorithm=SHA1&digits=6&period=30'
+        );
+    });
+});
@@ -0,0 +1,220 @@
+/**
+ * Document Upload Handling
+ * Streams multipart/form-data uploads straight into document storage
+ * without buffering the file in memory, and stores files the server
+ * generates under the same keys. A file must start the way its extension
+ * says: the thumbnail and OCR tools pick their decoder by content.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { Readable, Transform } = require('stream');
+const Busboy = require('busboy');
+const { getStorage } = require('./storage');
+
+// On Lambda the whole request arrives in the event, and a Function URL
+// takes at most 6 MB of it. A file arrives base64 encoded (4/3 its size),
+// so 4 MB leaves room for the encoding and the rest of the form.
+const LAMBDA_MAX_UPLOAD_BYTES = 4 * 1024 * 1024;
+
+// Maximum upload size in bytes (25 MB by default, at most 4 MB on Lambda)
+const MAX_UPLOAD_BYTES = Math.min(
+    parseInt(process.env.MAX_UPLOAD_BYTES, 10) || 25 * 1024 * 1024,
+    process.env.AWS_LAMBDA_FUNCTION_NAME ? LAMBDA_MAX_UPLOAD_BYTES : Infinity
+);
+
+// Allowed file extensions and the content types browsers send for them
+const ALLOWED_FILE_TYPES = {
+    pdf: ['application/pdf'],
+    doc: ['application/msword'],
+    docx: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    txt: ['text/plain'],
+    jpg: ['image/jpeg'],
+    jpeg: ['image/jpeg'],
+    png: ['image/png']
+};
+
+// How files of each type begin; text files have no signature
+const FILE_SIGNATURES = {
+    pdf: [Buffer.from('%PDF-')],
+    doc: [Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])],
+    docx: [Buffer.from([0x50, 0x4b, 0x03, 0x04])],
+    jpg: [Buffer.from([0xff, 0xd8, 0xff])],
+    jpeg: [Buffer.from([0xff, 0xd8, 0xff])],
+    png: [Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])]
+};
+
+// Readers accept a PDF header anywhere in the first kilobyte
+const PDF_HEADER_WINDOW = 1024;
+
+// Bytes kept from the start of a file to check its signature
+const SIGNATURE_BYTES = PDF_HEADER_WINDOW;
+
+/**
+ * Whether the first bytes of a file match its type
+ */
+function hasFileSignature(fileType, head) {
+    const signatures = FILE_SIGNATURES[fileType];
+    if (!signatures) return true;
+    if (fileType === 'pdf') return head.subarray(0, PDF_HEADER_WINDOW).includes(signatures[0]);
+    return signatures.some(signature => head.subarray(0, signature.length).equals(signature));
+}
+
+/**
+ * A pass-through stream that keeps the first SIGNATURE_BYTES of what it carries
+ */
+function headRecorder() {
+    const chunks = [];
+    let kept = 0;
+    const recorder = new Transform({
+        transform(chunk, encoding, callback) {
+            if (kept < SIGNATURE_BYTES) {
+                chunks.push(chunk.subarray(0, SIGNATURE_BYTES - kept));
+                kept += Math.min(chunk.length, SIGNATURE_BYTES - kept);
+            }
+            callback(null, chunk);
+        }
+    });
+    recorder.head = () => Buffer.concat(chunks);
+    return recorder;
+}
+
+/**
+ * Create an error that carries the HTTP status to respond with
+ */
+function uploadError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+/**
+ * Receive a document upload
+ * Expects a single file in the "file" field; every other field is
+ * collected as text. Resolves with { fields, file } once the file has
+ * been encrypted and written to storage; file.encryptedKey and file.keyId
+ * must be stored with the document to read it back.
+ */
+function receiveDocumentUpload(req, userId) {
+    return new Promise((resolve, reject) => {
+        let busboy;
+        try {
+            busboy = Busboy({
+                headers: req.headers,
+                limits: { fileSize: MAX_UPLOAD_BYTES, files: 1, fields: 20 }
+            });
+        } catch (error) {
+            reject(uploadError(415, 'Expected a multipart/form-data upload'));
+            return;
+        }
+
+        const storage = getStorage();
+        const fields = {};
+        let upload = null;
+        let failed = false;
+
+        const fail = (error) => {
+            if (failed) return;
+            failed = true;
+            req.unpipe(busboy);
+            req.resume();
+            reject(error);
+        };
+
+        busboy.on('field', (name, value) => {
+            fields[name] = value;
+        });
+
+        busboy.on('file', (name, file, info) => {
+            if (name !== 'file' || upload) {
+                file.resume();
+                return;
+            }
+
+            const fileName = path.basename(info.filename || '');
+            const fileType = path.extname(fileName).slice(1).toLowerCase();
+            const allowedMimeTypes = ALLOWED_FILE_TYPES[fileType];
+
+            // Some clients (curl, older browsers) send a generic type, so only
+            // reject a content type that contradicts the extension
+            if (!allowedMimeTypes ||
+                (info.mimeType !== 'application/octet-stream' && !allowedMimeTypes.includes(info.mimeType))) {
+                file.resume();
+                fail(uploadError(415, `File type not allowed. Allowed types: ${Object.keys(ALLOWED_FILE_TYPES).join(', ')}`));
+                return;
+            }
+
+            let tooLarge = false;
+            file.on('limit', () => {
+                tooLarge = true;
+            });
+
+            const key = `documents/${userId}/${crypto.randomUUID()}.${fileType}`;
+            const contentType = allowedMimeTypes[0];
+            const recorder = headRecorder();
+            file.on('error', error => recorder.destroy(error));
+
+            upload = storage.save(key, file.pipe(recorder), { contentType }).then(async (saved) => {
+                if (tooLarge) {
+                    await storage.remove(key);
+                    throw uploadError(413, `File exceeds the ${Math.round(MAX_UPLOAD_BYTES / (1024 * 1024))} MB limit`);
+                }
+                if (!hasFileSignature(fileType, recorder.head())) {
+                    await storage.remove(key);
+                    throw uploadError(415, `The file's contents are not a .${fileType} file`);
+                }
+                return {
+                    key,
+                    size: saved.size,
+                    encryptedKey: saved.encryptedKey,
+                    keyId: saved.keyId,
+                    fileName,
+                    fileType,
+                    contentType
+                };
+            });
+            upload.catch(fail);
+        });
+
+        busboy.on('error', () => fail(uploadError(400, 'Malformed multipart upload')));
+
+        busboy.on('close', async () => {
+            if (failed) return;
+            if (!upload) {
+                fail(uploadError(400, 'A file is required in the "file" field'));
+                return;
+            }
+
+            try {
+                const file = await upload;
+                resolve({ fields, file });
+            } catch (error) {
+                fail(error);
+            }
+        });
+
+        req.pipe(busboy);
+    });
+}
+
+/**
+ * Store a file the server made itself (e.g. a PDF rendered from a
+ * template) the same way as an upload; resolves with the same file fields
+ */
+async function storeGeneratedFile(userId, buffer, fileName) {
+    const fileType = path.extname(fileName).slice(1).toLowerCase();
+    const contentType = ALLOWED_FILE_TYPES[fileType][0];
+    const key = `documents/${userId}/${crypto.randomUUID()}.${fileType}`;
+    const saved = await getStorage().save(key, Readable.from([buffer]), { contentType });
+    return {
+        key,
+        size: saved.size,
+        encryptedKey: saved.encryptedKey,
+        keyId: saved.keyId,
+        fileName,
+        fileType,
+        contentType
+    };
+}
+
+module.exports = { receiveDocumentUpload, storeGeneratedFile, hasFileSignature, ALLOWED_FILE_TYPES, MAX_UPLOAD_BYTES };
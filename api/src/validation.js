@@ -0,0 +1,132 @@
+/**
+ * Request Validation
+ * Checks request bodies and query strings against JSON Schema. Only the
+ * keywords the API uses are supported:
+ *   type (a name or a list, e.g. ["string", "null"]), properties, required,
+ *   additionalProperties (false), items, minItems, maxItems, minLength,
+ *   maxLength, pattern, format ("email"), enum, minimum, maximum
+ * A minLength of 1, like required, also rejects text that is only whitespace.
+ * Two extra keywords give friendlier messages:
+ *   title         how the field is named in messages ("Email", "Last name")
+ *   errorMessage  replaces every message for that field
+ *
+ * validate(schema, value) -> [{ field, message }], empty when valid
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const FORMATS = {
+    email: value => EMAIL_PATTERN.test(value)
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function describeType(types) {
+    const names = { integer: 'a whole number', number: 'a number', string: 'text', boolean: 'true or false',
+                    array: 'a list', object: 'an object', null: 'empty' };
+    return types.map(type => names[type] || type).join(' or ');
+}
+
+// A required field that is absent, empty or only whitespace
+function isMissing(value) {
+    return value === undefined || (typeof value === 'string' && value.trim() === '');
+}
+
+/**
+ * Validate one value; `field` is its path ("email", "keys[0].wrappedKey")
+ */
+function check(schema, value, field, errors) {
+    const label = schema.title || field || 'Request body';
+    const fail = (message) => errors.push({ field, message: schema.errorMessage || `${label} ${message}` });
+
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        if (!types.some(type => matchesType(value, type))) {
+            fail(`must be ${describeType(types)}`);
+            return;
+        }
+    }
+    if (value === null) return;
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        fail(`must be one of: ${schema.enum.join(', ')}`);
+        return;
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength === 1 && isMissing(value)) {
+            fail('is required');
+        } else if (schema.minLength !== undefined && value.length < schema.minLength) {
+            fail(`must be at least ${schema.minLength} characters`);
+        } else if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            fail(`must be ${schema.maxLength} characters or fewer`);
+        } else if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+            fail(`must be a valid ${schema.format} address`);
+        } else if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+            fail('is not in the expected format');
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            fail(`must be at least ${schema.minimum}`);
+        } else if (schema.maximum !== undefined && value > schema.maximum) {
+            fail(`must be at most ${schema.maximum}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            fail(schema.minItems === 1 ? 'must not be empty' : `must have at least ${schema.minItems} items`);
+        } else if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            fail(`must have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => check(schema.items, item, `${field}[${index}]`, errors));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+        const prefix = field ? `${field}.` : '';
+        const required = schema.required || [];
+        // Report problems in the order the schema lists its fields
+        const names = [...new Set([...Object.keys(properties), ...required])];
+        for (const name of names) {
+            const property = properties[name] || {};
+            if (required.includes(name) && isMissing(value[name])) {
+                errors.push({
+                    field: `${prefix}${name}`,
+                    message: property.errorMessage || `${property.title || name} is required`
+                });
+            } else if (value[name] !== undefined) {
+                check(property, value[name], `${prefix}${name}`, errors);
+            }
+        }
+        if (schema.additionalProperties === false) {
+            for (const name of Object.keys(value)) {
+                if (!properties[name]) {
+                    errors.push({ field: `${prefix}${name}`, message: `${name} is not a recognised field` });
+                }
+            }
+        }
+    }
+}
+
+function validate(schema, value) {
+    const errors = [];
+    check(schema, value, '', errors);
+    return errors;
+}
+
+module.exports = { validate, EMAIL_PATTERN };
@@ -0,0 +1,291 @@
+/**
+ * Planning Workflow Definitions
+ * The guided checklists offered on the Planning tab, in display order.
+ *
+ * Steps are one of:
+ *   task      - something to do; the user marks it done or skips it
+ *   question  - choose one of `options`; later steps can depend on the answer
+ *   document  - done once a document of `documentType` is in the library
+ *
+ * A step with `when: { step, equals }` (or `oneOf: [...]`) only appears
+ * once an earlier question has that answer. Step ids are stored with each
+ * user's progress, so rename them only with a migration.
+ */
+
+const YES_NO = [
+    { value: 'yes', label: 'Yes' },
+    { value: 'no', label: 'Not yet' }
+];
+
+module.exports = [
+    {
+        id: 'healthcare_directive',
+        title: 'Healthcare Directive',
+        description: 'Choose who speaks for you about medical care, and write down the care you want.',
+        steps: [
+            {
+                id: 'has_agent',
+                type: 'question',
+                title: 'Have you chosen a healthcare agent?',
+                description: 'Your agent makes medical decisions for you if you cannot make them yourself.',
+                options: YES_NO
+            },
+            {
+                id: 'choose_agent',
+                type: 'task',
+                title: 'Choose your healthcare agent',
+                description: 'Pick someone you trust who can be reached quickly and will speak up for your wishes. ' +
+                             'Name a second person in case your first choice is unavailable.',
+                when: { step: 'has_agent', equals: 'no' }
+            },
+            {
+                id: 'talk_with_agent',
+                type: 'task',
+                title: 'Talk with your agent about your wishes',
+                description: 'Make sure they are willing to serve and know what matters most to you.'
+            },
+            {
+                id: 'life_support',
+                type: 'question',
+                title: 'Do you know your wishes about life-sustaining treatment?',
+                description: 'For example breathing machines, feeding tubes and resuscitation.',
+                options: [
+                    { value: 'yes', label: 'Yes, I know what I want' },
+                    { value: 'unsure', label: 'I am not sure yet' }
+                ]
+            },
+            {
+                id: 'talk_with_doctor',
+                type: 'task',
+                title: 'Ask your doctor about your treatment options',
+                description: 'Your doctor can explain what each treatment involves for someone in your health.',
+                when: { step: 'life_support', equals: 'unsure' }
+            },
+            {
+                id: 'upload_directive',
+                type: 'document',
+                title: 'Add your signed healthcare directive',
+                description: 'Upload the signed and witnessed form so your agent can reach it in an emergency.',
+                documentType: 'healthcare_directive'
+            },
+            {
+                id: 'share_directive',
+                type: 'task',
+                title: 'Share the directive with your agent',
+                description: 'Add your agent as a trusted contact and share the document with them.'
+            }
+        ]
+    },
+    {
+        id: 'will',
+        title: 'Last Will',
+        description: 'Decide who receives your belongings and who carries out your wishes.',
+        steps: [
+            {
+                id: 'has_will',
+                type: 'question',
+                title: 'Do you already have a will?',
+                options: YES_NO
+            },
+            {
+                id: 'review_will',
+                type: 'task',
+                title: 'Review your will',
+                description: 'Check that it still reflects your family, your property and where you live. ' +
+                             'Marriage, divorce, births and moves are common reasons to update it.',
+                when: { step: 'has_will', equals: 'yes' }
+            },
+            {
+                id: 'list_assets',
+                type: 'task',
+                title: 'List your property and accounts',
+                description: 'Homes, vehicles, bank and retirement accounts, and belongings with special meaning.',
+                when: { step: 'has_will', equals: 'no' }
+            },
+            {
+                id: 'choose_executor',
+                type: 'task',
+                title: 'Choose an executor',
+                description: 'The executor settles your estate and makes sure your will is followed.'
+            },
+            {
+                id: 'has_dependents',
+                type: 'question',
+                title: 'Do you have children or others who depend on you?',
+                options: [
+                    { value: 'yes', label: 'Yes' },
+                    { value: 'no', label: 'No' }
+                ]
+            },
+            {
+                id: 'choose_guardian',
+                type: 'task',
+                title: 'Choose a guardian',
+                description: 'Name who would care for them, and talk with that person first.',
+                when: { step: 'has_dependents', equals: 'yes' }
+            },
+            {
+                id: 'sign_will',
+                type: 'task',
+                title: 'Have your will drafted and signed',
+                description: 'An attorney can make sure it is signed and witnessed the way your state requires.',
+                when: { step: 'has_will', equals: 'no' }
+            },
+            {
+                id: 'upload_will',
+                type: 'document',
+                title: 'Add a copy of your will',
+                description: 'Keep the signed original somewhere safe and tell your executor where it is.',
+                documentType: 'will'
+            }
+        ]
+    },
+    {
+        id: 'financial_poa',
+        title: 'Financial Power of Attorney',
+        description: 'Let someone you trust handle your money and bills if you cannot.',
+        steps: [
+            {
+                id: 'choose_agent',
+                type: 'task',
+                title: 'Choose your financial agent',
+                description: 'Pick someone careful with money who you trust completely.'
+            },
+            {
+                id: 'poa_timing',
+                type: 'question',
+                title: 'When should the power of attorney take effect?',
+                options: [
+                    { value: 'immediately', label: 'As soon as it is signed' },
+                    { value: 'incapacity', label: 'Only if I cannot act for myself' }
+                ]
+            },
+            {
+                id: 'incapacity_doctor',
+                type: 'task',
+                title: 'Decide how incapacity will be confirmed',
+                description: 'Usually a letter from one or two doctors. Your attorney can write this into the document.',
+                when: { step: 'poa_timing', equals: 'incapacity' }
+            },
+            {
+                id: 'list_accounts',
+                type: 'task',
+                title: 'List your accounts and regular bills',
+                description: 'Banks, pensions, investments, insurance, and the bills your agent would need to keep paying.'
+            },
+            {
+                id: 'upload_poa',
+                type: 'document',
+                title: 'Add your signed power of attorney',
+                documentType: 'financial_poa'
+            },
+            {
+                id: 'tell_bank',
+                type: 'task',
+                title: 'Give your bank a copy',
+                description: 'Many banks review a power of attorney before they accept it, so do this in advance.'
+            }
+        ]
+    },
+    {
+        id: 'funeral_wishes',
+        title: 'Funeral Wishes',
+        description: 'Spare your family guesswork by writing down the farewell you want.',
+        steps: [
+            {
+                id: 'disposition',
+                type: 'question',
+                title: 'Do you prefer burial or cremation?',
+                options: [
+                    { value: 'burial', label: 'Burial' },
+                    { value: 'cremation', label: 'Cremation' },
+                    { value: 'undecided', label: 'I have not decided' }
+                ]
+            },
+            {
+                id: 'choose_cemetery',
+                type: 'task',
+                title: 'Choose a cemetery or family plot',
+                when: { step: 'disposition', equals: 'burial' }
+            },
+            {
+                id: 'choose_ashes',
+                type: 'task',
+                title: 'Decide what should happen to your ashes',
+                when: { step: 'disposition', equals: 'cremation' }
+            },
+            {
+                id: 'service_wishes',
+                type: 'task',
+                title: 'Describe the service you would like',
+                description: 'Music, readings, the place, who should speak, and anything you would rather avoid.'
+            },
+            {
+                id: 'prepaid',
+                type: 'question',
+                title: 'Have you prepaid or set money aside for your funeral?',
+                options: YES_NO
+            },
+            {
+                id: 'prepaid_contract',
+                type: 'task',
+                title: 'Note where the prepaid contract is kept',
+                description: 'Your family needs the funeral home\'s name and the contract number.',
+                when: { step: 'prepaid', equals: 'yes' }
+            },
+            {
+                id: 'upload_wishes',
+                type: 'document',
+                title: 'Add your written funeral wishes',
+                documentType: 'funeral_wishes'
+            }
+        ]
+    },
+    {
+        id: 'digital_assets',
+        title: 'Digital Assets',
+        description: 'Make sure your online accounts, photos and devices are not lost or left open.',
+        steps: [
+            {
+                id: 'list_accounts',
+                type: 'task',
+                title: 'List your important online accounts',
+                description: 'Email, banking, social media, photo storage and subscriptions. ' +
+                             'Do not write passwords in this list.'
+            },
+            {
+                id: 'password_manager',
+                type: 'question',
+                title: 'Do you use a password manager?',
+                options: YES_NO
+            },
+            {
+                id: 'emergency_access',
+                type: 'task',
+                title: 'Set up your password manager\'s emergency access',
+                description: 'Most password managers let a trusted person request access after a waiting period.',
+                when: { step: 'password_manager', equals: 'yes' }
+            },
+            {
+                id: 'store_passwords',
+                type: 'task',
+                title: 'Decide how your passwords can be found',
+                description: 'A password manager or a sealed list kept with your will both work. Avoid leaving passwords in plain text.',
+                when: { step: 'password_manager', equals: 'no' }
+            },
+            {
+                id: 'legacy_contacts',
+                type: 'task',
+                title: 'Name legacy contacts where services offer them',
+                description: 'Apple, Google and Facebook let you choose who can manage or download your account.'
+            },
+            {
+                id: 'upload_inventory',
+                type: 'document',
+                title: 'Add your digital asset instructions',
+                description: 'What should be kept, downloaded for family, or closed.',
+                documentType: 'digital_assets'
+            }
+        ]
+    }
+];
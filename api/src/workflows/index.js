@@ -0,0 +1,183 @@
+/**
+ * Planning Workflows
+ * Works out where a user stands in each checklist from ./definitions, the
+ * progress they saved (planning_progress rows) and the documents in their
+ * library. Steps hidden by an earlier answer are left out along with any
+ * progress saved for them, so changing an answer reshapes the checklist
+ * without losing work if it is changed back.
+ *
+ *   getWorkflow(id)                                -> definition or undefined
+ *   resolveWorkflow(workflow, progress, documents) -> the workflow with each visible step's state
+ *   summarizeWorkflow(resolved)                    -> the same without its steps
+ *   stepUpdate(step, body, documents)              -> { status, answer, documentId } or { error }
+ *
+ * `documents` are the user's current versions as { id, root_id, title,
+ * document_type }, newest first. Document steps link the first version's
+ * id, so the link follows the document through later versions.
+ */
+
+const WORKFLOWS = require('./definitions');
+
+const STEP_TYPES = ['task', 'question', 'document'];
+
+// Statuses a step can be saved with; 'pending' clears saved progress
+const STEP_STATUSES = ['complete', 'skipped', 'pending'];
+
+/**
+ * Catch mistakes in the definitions when the module loads rather than
+ * when a user reaches the broken step
+ */
+function checkDefinitions(workflows) {
+    const workflowIds = new Set();
+    for (const workflow of workflows) {
+        if (workflowIds.has(workflow.id)) throw new Error(`Duplicate workflow "${workflow.id}"`);
+        workflowIds.add(workflow.id);
+
+        const earlier = new Map();
+        for (const step of workflow.steps) {
+            const name = `${workflow.id}/${step.id}`;
+            if (earlier.has(step.id)) throw new Error(`Duplicate step "${name}"`);
+            if (!STEP_TYPES.includes(step.type)) throw new Error(`Step "${name}" has unknown type "${step.type}"`);
+            if (step.type === 'question' && !(step.options && step.options.length)) {
+                throw new Error(`Question "${name}" has no options`);
+            }
+            if (step.type === 'document' && !step.documentType) throw new Error(`Step "${name}" has no documentType`);
+
+            if (step.when) {
+                const question = earlier.get(step.when.step);
+                if (!question || question.type !== 'question') {
+                    throw new Error(`Step "${name}" depends on "${step.when.step}", which is not an earlier question`);
+                }
+                const values = 'equals' in step.when ? [step.when.equals] : step.when.oneOf || [];
+                const unknown = values.find(value => !question.options.some(option => option.value === value));
+                if (values.length === 0 || unknown !== undefined) {
+                    throw new Error(`Step "${name}" depends on an answer "${step.when.step}" does not offer`);
+                }
+            }
+            earlier.set(step.id, step);
+        }
+    }
+}
+
+checkDefinitions(WORKFLOWS);
+
+function getWorkflow(id) {
+    return WORKFLOWS.find(workflow => workflow.id === id);
+}
+
+function conditionHolds(when, answers) {
+    if (!when) return true;
+    const answer = answers.get(when.step);
+    if (answer === undefined) return false;
+    return 'equals' in when ? answer === when.equals : when.oneOf.includes(answer);
+}
+
+// The document a document step points at: the one the user linked while it
+// is still of the right type, otherwise the newest one of that type
+function matchDocument(step, saved, documents) {
+    const ofType = documents.filter(document => document.document_type === step.documentType);
+    const linked = saved && saved.document_id && ofType.find(document => document.root_id === saved.document_id);
+    return linked || ofType[0] || null;
+}
+
+function stepState(step, saved, documents) {
+    if (step.type === 'document' && !(saved && saved.status === 'skipped')) {
+        const document = matchDocument(step, saved, documents);
+        return {
+            status: document ? 'complete' : 'pending',
+            answer: null,
+            document: document && { id: document.id, title: document.title }
+        };
+    }
+    return {
+        status: saved ? saved.status : 'pending',
+        answer: (saved && saved.answer) || null,
+        document: null
+    };
+}
+
+/**
+ * The steps the user's answers lead to, in order, each with its status
+ * ('pending', 'complete' or 'skipped'), answer and linked document
+ */
+function resolveWorkflow(workflow, progress, documents) {
+    const saved = new Map(progress.filter(row => row.workflow_id === workflow.id).map(row => [row.step_id, row]));
+    const answers = new Map();
+    const steps = [];
+
+    for (const step of workflow.steps) {
+        if (!conditionHolds(step.when, answers)) continue;
+
+        const state = stepState(step, saved.get(step.id), documents);
+        if (step.type === 'question' && state.status === 'complete') answers.set(step.id, state.answer);
+
+        const { when, ...definition } = step;
+        steps.push({ ...definition, ...state, updatedAt: saved.has(step.id) ? saved.get(step.id).updated_at : null });
+    }
+
+    const completedSteps = steps.filter(step => step.status !== 'pending').length;
+    let status = 'in_progress';
+    if (completedSteps === steps.length) status = 'complete';
+    else if (completedSteps === 0) status = 'not_started';
+
+    return {
+        id: workflow.id,
+        title: workflow.title,
+        description: workflow.description,
+        status,
+        totalSteps: steps.length,
+        completedSteps,
+        steps
+    };
+}
+
+function summarizeWorkflow(resolved) {
+    const { steps, ...summary } = resolved;
+    return summary;
+}
+
+/**
+ * Check a step update from the API and work out what to save: a question
+ * needs one of its options as the answer, and a document step is completed
+ * with one of the user's documents of its type
+ */
+function stepUpdate(step, { status, answer, documentId }, documents) {
+    const fail = (field, message) => ({ error: { field, message } });
+
+    if (answer !== undefined && step.type !== 'question') return fail('answer', 'Only questions take an answer');
+    if (documentId !== undefined && step.type !== 'document') {
+        return fail('documentId', 'Only document steps can be linked to a document');
+    }
+    if (status !== 'complete') return { status, answer: null, documentId: null };
+
+    if (step.type === 'question') {
+        if (!step.options.some(option => option.value === answer)) {
+            return fail('answer', `Answer must be one of: ${step.options.map(option => option.value).join(', ')}`);
+        }
+        return { status, answer, documentId: null };
+    }
+
+    if (step.type === 'document') {
+        const ofType = documents.filter(document => document.document_type === step.documentType);
+        const document = documentId === undefined
+            ? ofType[0]
+            : ofType.find(candidate => candidate.id === documentId || candidate.root_id === documentId);
+        if (!document) {
+            return fail('documentId', documentId === undefined
+                ? 'Upload a document of this type to complete this step'
+                : 'Document must be one of your documents of this type');
+        }
+        return { status, answer: null, documentId: document.root_id };
+    }
+
+    return { status, answer: null, documentId: null };
+}
+
+module.exports = {
+    WORKFLOWS,
+    STEP_STATUSES,
+    getWorkflow,
+    resolveWorkflow,
+    summarizeWorkflow,
+    stepUpdate
+};
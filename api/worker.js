@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+/**
+ * Aerial Nest Background Worker
+ * Runs background jobs (see src/jobs) against the same database and
+ * storage as the API: email, reading the text of uploads, scheduled
+ * upkeep, and OCR where tesseract is installed.
+ *
+ *   node worker.js work        keep running jobs as they come due (SIGTERM stops after the current one)
+ *   node worker.js once        run the jobs due now, then exit
+ *   node worker.js status      count jobs per type and status
+ *   node worker.js retry <id>  queue a dead-lettered job again
+ */
+
+const { getDatabase } = require('./src/database');
+const { runBackgroundJobs, getJobHandlers } = require('./src/index');
+const { JOB_POLL_SECONDS, jobCounts, retryJob } = require('./src/jobs');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function main() {
+    const [command, argument] = process.argv.slice(2);
+
+    const db = getDatabase();
+    try {
+        switch (command) {
+            case 'work': {
+                let stopping = false;
+                const stop = () => { stopping = true; };
+                process.once('SIGINT', stop);
+                process.once('SIGTERM', stop);
+
+                if (!await getJobHandlers().ocr.available()) {
+                    console.log('📄 tesseract not found: OCR jobs are left for a worker that has it');
+                }
+                console.log(`👀 Waiting for jobs (every ${JOB_POLL_SECONDS}s)`);
+                while (!stopping) {
+                    const ran = await runBackgroundJobs({ limit: 1 });
+                    if (ran > 0) {
+                        console.log(`⚙️  Ran ${ran} job(s)`);
+                    } else {
+                        await sleep(JOB_POLL_SECONDS * 1000);
+                    }
+                }
+                break;
+            }
+            case 'once': {
+                const ran = await runBackgroundJobs();
+                console.log(`✅ Ran ${ran} job(s)`);
+                break;
+            }
+            case 'status': {
+                const counts = await jobCounts(db);
+                if (counts.length === 0) console.log('No jobs');
+                for (const { type, status, count } of counts) {
+                    console.log(`${status === 'dead' ? '💀' : '  '} ${type} ${status}: ${count}`);
+                }
+                break;
+            }
+            case 'retry': {
+                const job = await retryJob(db, getJobHandlers(), parseInt(argument, 10));
+                if (job) {
+                    console.log(`✅ Job ${job.id} (${job.type}) queued again`);
+                } else {
+                    console.log(`⚠️  No dead-lettered job ${argument}`);
+                    process.exitCode = 1;
+                }
+                break;
+            }
+            default:
+                console.log('Usage: node worker.js <work | once | status | retry <id>>');
+                process.exitCode = 1;
+        }
+    } finally {
+        await db.close();
+    }
+}
+
+main().catch((error) => {
+    console.error('❌ Worker failed:', error.message);
+    process.exitCode = 1;
+});
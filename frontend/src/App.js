@@ -1,4 +1,14 @@
-import React, { useState, useContext, createContext, useEffect } from 'react';
+import React, { useState, useContext, createContext, useEffect, useRef, useCallback } from 'react';
+import {
+  createAccountKeys,
+  unlockPrivateKey,
+  changePassphrase as reencryptPrivateKey,
+  createDocumentKey,
+  wrapDocumentKey,
+  unwrapDocumentKey,
+  encryptFile,
+  decryptFile,
+} from './encryption';
 
 // ==================== STYLES ====================
 const styles = {
@@ -29,9 +39,20 @@ const styles = {
 // ==================== API CLIENT ====================
 const API_BASE_URL = 'http://localhost:3001';
 
+// Files are fetched in pieces this size, within what Lambda can return
+const FILE_RANGE_BYTES = 4 * 1024 * 1024;
+
+// Signing in answers 401 for a wrong password or code, never an expired token
+const SIGN_IN_PATHS = ['/api/auth/login', '/api/auth/register', '/api/auth/refresh', '/api/auth/mfa/verify'];
+
 class ApiClient {
   constructor() {
     this.token = localStorage.getItem('authToken');
+    // Refresh tokens were kept here before they moved to an httpOnly cookie
+    localStorage.removeItem('refreshToken');
+    this.refreshPromise = null;
+    // Set by AuthProvider so an unrecoverable 401 signs the user out
+    this.onSessionExpired = null;
   }
 
   setToken(token) {
@@ -43,21 +64,72 @@ class ApiClient {
     }
   }
 
-  async request(path, options = {}) {
-    const headers = {
-      'Content-Type': 'application/json',
-      ...options.headers,
-    };
+  // Swap the refresh token cookie for a new access token. Each refresh
+  // token only works once, so concurrent callers share one request and tabs
+  // take turns; a tab that waited its turn may find a new token stored
+  refreshSession() {
+    if (!this.refreshPromise) {
+      const expiredToken = this.token;
+      const refresh = async () => {
+        const stored = localStorage.getItem('authToken');
+        if (stored && stored !== expiredToken) {
+          this.token = stored;
+          return true;
+        }
+        const response = await fetch(`${API_BASE_URL}/api/auth/refresh`, {
+          method: 'POST',
+          credentials: 'include',
+        });
+        if (!response.ok) return false;
+        const data = await response.json();
+        this.setToken(data.token);
+        return true;
+      };
+      this.refreshPromise = (navigator.locks ? navigator.locks.request('aerial-nest-refresh', refresh) : refresh())
+        .catch(() => false)
+        .finally(() => {
+          this.refreshPromise = null;
+        });
+    }
+    return this.refreshPromise;
+  }
 
+  // fetch() with the access token, refreshing it once if it has expired.
+  // A wrong password or code is a 401 too, but with its own error code
+  async authorizedFetch(path, options = {}, canRefresh = true) {
+    const headers = { ...options.headers };
     if (this.token) {
       headers['Authorization'] = `Bearer ${this.token}`;
     }
 
+    // Credentials, so signing in can set the refresh token cookie
+    const response = await fetch(`${API_BASE_URL}${path}`, { ...options, headers, credentials: 'include' });
+
+    if (response.status === 401 && this.token && canRefresh && !SIGN_IN_PATHS.includes(path)) {
+      const { code } = await response.clone().json().catch(() => ({}));
+      if (code !== 'unauthorized') return response;
+      if (await this.refreshSession()) {
+        return this.authorizedFetch(path, options, false);
+      }
+      this.setToken(null);
+      if (this.onSessionExpired) this.onSessionExpired();
+    }
+
+    return response;
+  }
+
+  async request(path, options = {}) {
+    // Let the browser set the multipart boundary for file uploads
+    const isFormData = options.body instanceof FormData;
+    const headers = {
+      ...(isFormData ? {} : { 'Content-Type': 'application/json' }),
+      ...options.headers,
+    };
+
     // Ensure clean URL construction
-    const url = `${API_BASE_URL}${path}`;
-    console.log('Making request to:', url); // Debug log
+    console.log('Making request to:', `${API_BASE_URL}${path}`); // Debug log
 
-    const response = await fetch(url, {
+    const response = await this.authorizedFetch(path, {
       ...options,
       headers,
     });
@@ -66,7 +138,12 @@ class ApiClient {
 
     if (!response.ok) {
       console.error('API Error:', data); // Debug log
-      throw new Error(data.error || 'API request failed');
+      // Errors share one shape: { code, message, fields: [{ field, message }] }
+      const error = new Error(data.message || 'API request failed');
+      error.status = response.status;
+      error.code = data.code;
+      error.fields = data.fields || [];
+      throw error;
     }
 
     return data;
@@ -80,18 +157,107 @@ class ApiClient {
     });
   }
 
-  async register(email, password, firstName, LastName) {
+  async register(email, password, firstName, lastName) {
     return this.request('/api/auth/register', {
       method: 'POST',
       body: JSON.stringify({ 
         email, 
         password, 
         firstName,
-	lastName
+        lastName
       }),
     });
   }
 
+  async logout() {
+    return this.request('/api/auth/logout', { method: 'POST' });
+  }
+
+  // Two-step verification; credentials is { code } or { recoveryCode }
+  async verifyMfaLogin(challengeToken, credentials) {
+    return this.request('/api/auth/mfa/verify', {
+      method: 'POST',
+      body: JSON.stringify({ challengeToken, ...credentials }),
+    });
+  }
+
+  async getMfaStatus() {
+    return this.request('/api/auth/mfa');
+  }
+
+  async setupMfa() {
+    return this.request('/api/auth/mfa/setup', { method: 'POST' });
+  }
+
+  async enableMfa(code) {
+    return this.request('/api/auth/mfa/enable', {
+      method: 'POST',
+      body: JSON.stringify({ code }),
+    });
+  }
+
+  async disableMfa(password, credentials) {
+    return this.request('/api/auth/mfa/disable', {
+      method: 'POST',
+      body: JSON.stringify({ password, ...credentials }),
+    });
+  }
+
+  async regenerateRecoveryCodes(code) {
+    return this.request('/api/auth/mfa/recovery-codes', {
+      method: 'POST',
+      body: JSON.stringify({ code }),
+    });
+  }
+
+  async updateMfaSettings(requireForDownloads) {
+    return this.request('/api/auth/mfa/settings', {
+      method: 'PUT',
+      body: JSON.stringify({ requireForDownloads }),
+    });
+  }
+
+  async mfaStepUp(credentials) {
+    return this.request('/api/auth/mfa/step-up', {
+      method: 'POST',
+      body: JSON.stringify(credentials),
+    });
+  }
+
+  async verifyEmail(verifyToken) {
+    return this.request(`/api/auth/verify-email?token=${encodeURIComponent(verifyToken)}`);
+  }
+
+  async resendVerification() {
+    return this.request('/api/auth/resend-verification', { method: 'POST' });
+  }
+
+  async forgotPassword(email) {
+    return this.request('/api/auth/forgot-password', {
+      method: 'POST',
+      body: JSON.stringify({ email }),
+    });
+  }
+
+  async resetPassword(resetToken, password) {
+    return this.request('/api/auth/reset-password', {
+      method: 'POST',
+      body: JSON.stringify({ token: resetToken, password }),
+    });
+  }
+
+  async logoutAll() {
+    return this.request('/api/auth/logout-all', { method: 'POST' });
+  }
+
+  async getSessions() {
+    return this.request('/api/auth/sessions');
+  }
+
+  async revokeSession(sessionId) {
+    return this.request(`/api/auth/sessions/${sessionId}`, { method: 'DELETE' });
+  }
+
   async getProfile() {
     return this.request('/api/user/profile');
   }
@@ -105,9 +271,290 @@ class ApiClient {
     return this.request('/api/documents');
   }
 
+  async searchDocuments(query) {
+    return this.request(`/api/documents/search?${new URLSearchParams({ q: query })}`);
+  }
+
+  // Fetches a file as a Blob (the JSON request() helper can't). On Lambda a
+  // response is capped at 6 MB, so larger files come in several ranges
+  async fetchFile(endpoint) {
+    const parts = [];
+    let start = 0;
+    let size = null;
+    let type = '';
+
+    while (size === null || start < size) {
+      const response = await this.authorizedFetch(endpoint, {
+        headers: { Range: `bytes=${start}-${start + FILE_RANGE_BYTES - 1}` },
+      });
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        const error = new Error(data.message || 'Could not open document');
+        error.code = data.code;
+        throw error;
+      }
+
+      // A 200 is the whole file (thumbnails ignore Range)
+      if (response.status !== 206) {
+        return response.blob();
+      }
+
+      const part = await response.blob();
+      parts.push(part);
+      type = part.type;
+      size = parseInt((response.headers.get('Content-Range') || '').split('/')[1], 10);
+      if (!part.size || Number.isNaN(size)) break;
+      start += part.size;
+    }
+
+    return new Blob(parts, { type });
+  }
+
+  async getDocumentFile(documentId, download = false) {
+    const action = download ? 'download' : 'content';
+    return this.fetchFile(`/api/documents/${documentId}/${action}`);
+  }
+
+  // The PDF made from a photo or scan once its text has been read
+  async getSearchablePdf(documentId) {
+    return this.fetchFile(`/api/documents/${documentId}/ocr/pdf`);
+  }
+
+  // A small JPEG of the first page, once document.thumbnail_status is 'complete'
+  async getThumbnail(documentId) {
+    return this.fetchFile(`/api/documents/${documentId}/thumbnail`);
+  }
+
+  // fields holds the metadata (title, categoryId, documentType, ...) and,
+  // for encrypted uploads, encrypted/wrappedKey
+  async uploadDocument(file, fields = {}) {
+    const formData = new FormData();
+    Object.entries(fields).forEach(([name, value]) => {
+      if (value !== undefined && value !== null && value !== '') formData.append(name, value);
+    });
+    formData.append('file', file);
+    return this.request('/api/documents', {
+      method: 'POST',
+      body: formData,
+    });
+  }
+
+  async getDocumentVersions(documentId) {
+    return this.request(`/api/documents/${documentId}/versions`);
+  }
+
+  async uploadDocumentVersion(documentId, file, reason, fields = {}) {
+    const formData = new FormData();
+    formData.append('reason', reason);
+    Object.entries(fields).forEach(([name, value]) => formData.append(name, value));
+    formData.append('file', file);
+    return this.request(`/api/documents/${documentId}/versions`, {
+      method: 'POST',
+      body: formData,
+    });
+  }
+
+  async restoreDocumentVersion(documentId, versionId, reason) {
+    return this.request(`/api/documents/${documentId}/versions/${versionId}/restore`, {
+      method: 'POST',
+      body: JSON.stringify({ reason }),
+    });
+  }
+
+  // End-to-end encryption endpoints
+  async getDocumentKey(documentId) {
+    return this.request(`/api/documents/${documentId}/key`);
+  }
+
+  async getEncryptionKeys() {
+    return this.request('/api/encryption/keys');
+  }
+
+  async saveEncryptionKeys(material) {
+    return this.request('/api/encryption/keys', {
+      method: 'PUT',
+      body: JSON.stringify(material),
+    });
+  }
+
+  async getPendingDocumentKeys() {
+    return this.request('/api/encryption/pending-keys');
+  }
+
+  async saveDocumentKeys(keys) {
+    return this.request('/api/encryption/document-keys', {
+      method: 'POST',
+      body: JSON.stringify({ keys }),
+    });
+  }
+
+  async getDocumentShares(documentId) {
+    return this.request(`/api/documents/${documentId}/shares`);
+  }
+
+  async shareDocument(documentId, trustedContactId, accessType, message) {
+    return this.request(`/api/documents/${documentId}/shares`, {
+      method: 'POST',
+      body: JSON.stringify({ trustedContactId, accessType, message }),
+    });
+  }
+
+  async revokeShare(documentId, shareId) {
+    return this.request(`/api/documents/${documentId}/shares/${shareId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async getSharedWithMe() {
+    return this.request('/api/shared-with-me');
+  }
+
   async getTrustedContacts() {
     return this.request('/api/trusted-contacts');
   }
+
+  async createTrustedContact(contact) {
+    return this.request('/api/trusted-contacts', {
+      method: 'POST',
+      body: JSON.stringify(contact),
+    });
+  }
+
+  async updateTrustedContact(contactId, contact) {
+    return this.request(`/api/trusted-contacts/${contactId}`, {
+      method: 'PUT',
+      body: JSON.stringify(contact),
+    });
+  }
+
+  async deleteTrustedContact(contactId) {
+    return this.request(`/api/trusted-contacts/${contactId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async inviteTrustedContact(contactId) {
+    return this.request(`/api/trusted-contacts/${contactId}/invite`, {
+      method: 'POST',
+    });
+  }
+
+  // Emergency access endpoints
+  async updateEmergencySettings(waitingPeriodHours) {
+    return this.request('/api/user/emergency-settings', {
+      method: 'PUT',
+      body: JSON.stringify({ waitingPeriodHours }),
+    });
+  }
+
+  async getEmergencyContacts() {
+    return this.request('/api/emergency-access/contacts');
+  }
+
+  async getEmergencyRequests() {
+    return this.request('/api/emergency-requests');
+  }
+
+  async getEmergencyRequest(requestId) {
+    return this.request(`/api/emergency-requests/${requestId}`);
+  }
+
+  async createEmergencyRequest(trustedContactId, reason, emergencyType) {
+    return this.request('/api/emergency-requests', {
+      method: 'POST',
+      body: JSON.stringify({ trustedContactId, reason, emergencyType }),
+    });
+  }
+
+  async approveEmergencyRequest(requestId, accessType) {
+    return this.request(`/api/emergency-requests/${requestId}/approve`, {
+      method: 'POST',
+      body: JSON.stringify({ accessType }),
+    });
+  }
+
+  async denyEmergencyRequest(requestId, reason) {
+    return this.request(`/api/emergency-requests/${requestId}/deny`, {
+      method: 'POST',
+      body: JSON.stringify({ reason }),
+    });
+  }
+
+  // Audit trail endpoints; empty filters are left out of the query
+  async getAuditLog(filters = {}) {
+    const query = new URLSearchParams(Object.entries(filters).filter(([, value]) => value)).toString();
+    return this.request(`/api/audit${query ? `?${query}` : ''}`);
+  }
+
+  async verifyAuditLog() {
+    return this.request('/api/audit/verify');
+  }
+
+  // format is 'csv' or 'pdf'; resolves to the file and the name the server gave it
+  async exportAuditLog(filters = {}, format = 'pdf') {
+    const query = new URLSearchParams(Object.entries({ ...filters, format }).filter(([, value]) => value)).toString();
+    const response = await this.authorizedFetch(`/api/audit/export?${query}`);
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.message || 'Could not export the access history');
+    }
+
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const fileName = (disposition.match(/filename="([^"]+)"/) || [])[1] || `aerial-nest-access-history.${format}`;
+    return { blob: await response.blob(), fileName };
+  }
+
+  // Document template endpoints
+  async getTemplates() {
+    return this.request('/api/templates');
+  }
+
+  async getTemplate(templateId) {
+    return this.request(`/api/templates/${templateId}`);
+  }
+
+  // options may carry a title, or a documentId to save the PDF as its next version
+  async renderTemplate(templateId, values, options = {}) {
+    return this.request(`/api/templates/${templateId}/render`, {
+      method: 'POST',
+      body: JSON.stringify({ ...options, values }),
+    });
+  }
+
+  // Planning workflow endpoints
+  async getPlanningWorkflows() {
+    return this.request('/api/planning/workflows');
+  }
+
+  async getPlanningWorkflow(workflowId) {
+    return this.request(`/api/planning/workflows/${workflowId}`);
+  }
+
+  // update is { status: 'complete' | 'skipped' | 'pending', answer?, documentId? }
+  async updatePlanningStep(workflowId, stepId, update) {
+    return this.request(`/api/planning/workflows/${workflowId}/steps/${stepId}`, {
+      method: 'PUT',
+      body: JSON.stringify(update),
+    });
+  }
+
+  async getPlanningProgress() {
+    return this.request('/api/planning/progress');
+  }
+
+  // Invitation endpoints (the invitation token is the credential)
+  async getInvitation(inviteToken) {
+    return this.request(`/api/invitations/${encodeURIComponent(inviteToken)}`);
+  }
+
+  async acceptInvitation(inviteToken, password, firstName, lastName) {
+    return this.request('/api/invitations/accept', {
+      method: 'POST',
+      body: JSON.stringify({ token: inviteToken, password, firstName, lastName }),
+    });
+  }
 }
 
 const apiClient = new ApiClient();
@@ -126,9 +573,18 @@ const AuthProvider = ({ children }) => {
   const [token, setToken] = useState(localStorage.getItem('authToken'));
   const [isLoading, setIsLoading] = useState(true);
 
+  useEffect(() => {
+    apiClient.onSessionExpired = () => {
+      setToken(null);
+      setUser(null);
+    };
+    return () => {
+      apiClient.onSessionExpired = null;
+    };
+  }, []);
+
   useEffect(() => {
     if (token) {
-      apiClient.setToken(token);
       apiClient.getProfile()
         .then(data => setUser(data.user))
         .catch(() => {
@@ -141,33 +597,163 @@ const AuthProvider = ({ children }) => {
     }
   }, [token]);
 
-  const login = async (email, password) => {
-    const response = await apiClient.login(email, password);
+  const startSession = (response) => {
+    apiClient.setToken(response.token);
     setToken(response.token);
     setUser(response.user);
-    apiClient.setToken(response.token);
+  };
+
+  // Resolves with the response; when it has mfaRequired the caller must
+  // finish with completeMfaLogin before anyone is signed in
+  const login = async (email, password) => {
+    const response = await apiClient.login(email, password);
+    if (!response.mfaRequired) startSession(response);
+    return response;
+  };
+
+  const completeMfaLogin = async (challengeToken, credentials) => {
+    const response = await apiClient.verifyMfaLogin(challengeToken, credentials);
+    startSession(response);
+    return response;
   };
 
   const register = async (email, password, firstName, lastName) => {
     const response = await apiClient.register(email, password, firstName,lastName);
+    apiClient.setToken(response.token);
     setToken(response.token);
     setUser(response.user);
-    apiClient.setToken(response.token);
   };
 
-  const logout = () => {
+  const acceptInvitation = async (inviteToken, password, firstName, lastName) => {
+    const response = await apiClient.acceptInvitation(inviteToken, password, firstName, lastName);
+    if (!response.mfaRequired) startSession(response);
+    return response;
+  };
+
+  const endSession = () => {
+    apiClient.setToken(null);
     setToken(null);
     setUser(null);
-    apiClient.setToken(null);
+  };
+
+  // Revoke the session on the server too; sign out locally even if that fails
+  const logout = async () => {
+    await apiClient.logout().catch(() => {});
+    endSession();
+  };
+
+  const logoutAll = async () => {
+    await apiClient.logoutAll();
+    endSession();
   };
 
   return (
-    <AuthContext.Provider value={{ user, token, isLoading, login, register, logout }}>
+    <AuthContext.Provider value={{ user, token, isLoading, login, completeMfaLogin, register, acceptInvitation, logout, logoutAll }}>
       {children}
     </AuthContext.Provider>
   );
 };
 
+// ==================== ENCRYPTION CONTEXT ====================
+// Holds the unlocked private key in memory only; reloading the page locks it again
+const EncryptionContext = createContext(null);
+
+export const useEncryption = () => {
+  const context = useContext(EncryptionContext);
+  if (!context) throw new Error('useEncryption must be used within EncryptionProvider');
+  return context;
+};
+
+const EncryptionProvider = ({ children }) => {
+  const { user } = useAuth();
+  const [material, setMaterial] = useState(null);
+  const [privateKey, setPrivateKey] = useState(null);
+
+  const refresh = async () => {
+    const response = await apiClient.getEncryptionKeys();
+    setMaterial(response);
+    return response;
+  };
+
+  useEffect(() => {
+    setPrivateKey(null);
+    setMaterial(null);
+    if (user) {
+      refresh().catch(err => console.error('Failed to load encryption keys:', err));
+    }
+  }, [user]);
+
+  const requireUnlocked = () => {
+    if (!privateKey) throw new Error('Unlock end-to-end encryption on your dashboard first');
+    return privateKey;
+  };
+
+  // Unwrap this person's copy of a document's content key
+  const getDocumentKey = async (documentId) => {
+    const key = requireUnlocked();
+    const response = await apiClient.getDocumentKey(documentId);
+    return unwrapDocumentKey(response.wrappedKey, key);
+  };
+
+  // Wrap document keys for every contact who is waiting for one
+  const syncDocumentKeys = async (key = privateKey) => {
+    if (!key) return 0;
+    const { keys: pending } = await apiClient.getPendingDocumentKeys();
+    if (pending.length === 0) return 0;
+
+    const ownKeys = {};
+    const keys = [];
+    for (const item of pending) {
+      if (!ownKeys[item.documentId]) {
+        const response = await apiClient.getDocumentKey(item.documentId);
+        ownKeys[item.documentId] = await unwrapDocumentKey(response.wrappedKey, key);
+      }
+      keys.push({
+        documentId: item.documentId,
+        userId: item.userId,
+        keyType: item.keyType,
+        wrappedKey: await wrapDocumentKey(ownKeys[item.documentId], item.publicKey),
+      });
+    }
+    await apiClient.saveDocumentKeys(keys);
+    return keys.length;
+  };
+
+  const setUp = async (passphrase) => {
+    const created = await createAccountKeys(passphrase);
+    await apiClient.saveEncryptionKeys(created.material);
+    await refresh();
+    setPrivateKey(created.privateKey);
+  };
+
+  const unlock = async (passphrase) => {
+    const key = await unlockPrivateKey(material, passphrase);
+    setPrivateKey(key);
+    return syncDocumentKeys(key);
+  };
+
+  const changePassphrase = async (newPassphrase, password) => {
+    const changed = await reencryptPrivateKey(material, requireUnlocked(), newPassphrase);
+    await apiClient.saveEncryptionKeys({ ...changed, password });
+    await refresh();
+  };
+
+  const value = {
+    isEnabled: Boolean(material?.enabled),
+    isUnlocked: Boolean(privateKey),
+    publicKey: material?.publicKey,
+    setUp,
+    unlock,
+    lock: () => setPrivateKey(null),
+    changePassphrase,
+    getDocumentKey,
+    syncDocumentKeys,
+    requireUnlocked,
+  };
+
+  return <EncryptionContext.Provider value={value}>{children}</EncryptionContext.Provider>;
+};
+
 // ==================== COMPONENTS ====================
 
 // Button Component
@@ -177,7 +763,8 @@ const Button = ({
   onClick, 
   disabled = false,
   children,
-  fullWidth = false 
+  fullWidth = false,
+  type = 'button'
 }) => {
   const baseStyle = {
     fontFamily: styles.fonts.nunito,
@@ -218,6 +805,7 @@ const Button = ({
 
   return (
     <button
+      type={type}
       onClick={onClick}
       disabled={disabled}
       style={{
@@ -274,31 +862,66 @@ const ErrorMessage = ({ message }) => (
   </div>
 );
 
+// Message shown under a single form input
+const FieldError = ({ message }) => (
+  message ? (
+    <p style={{ color: styles.colors.warmEarth, fontSize: '16px', marginTop: '6px' }}>
+      {message}
+    </p>
+  ) : null
+);
+
+// Map an API error's field problems to { fieldName: message }
+// Only the first problem per field is kept
+const fieldErrorsFrom = (err) => {
+  const fieldErrors = {};
+  (err.fields || []).forEach(({ field, message }) => {
+    if (!fieldErrors[field]) fieldErrors[field] = message;
+  });
+  return fieldErrors;
+};
+
 // ==================== AUTH COMPONENTS ====================
 
 // Login Form
-const LoginForm = ({ onSwitchToRegister }) => {
+const LoginForm = ({ onSwitchToRegister, onForgotPassword }) => {
   const { login } = useAuth();
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
+  const [challengeToken, setChallengeToken] = useState(null);
   const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
   const [isLoading, setIsLoading] = useState(false);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
+    setFieldErrors({});
     setIsLoading(true);
 
     try {
-      await login(email, password);
+      const response = await login(email, password);
+      if (response.mfaRequired) {
+        setPassword('');
+        setChallengeToken(response.challengeToken);
+      }
     } catch (err) {
-      setError(err.message || 'Login failed. Please try again.');
+      const problems = fieldErrorsFrom(err);
+      setFieldErrors(problems);
+      // Field problems are shown next to their inputs instead
+      if (Object.keys(problems).length === 0) {
+        setError(err.message || 'Login failed. Please try again.');
+      }
     } finally {
       setIsLoading(false);
     }
   };
 
-  const inputStyle = {
+  if (challengeToken) {
+    return <MfaChallengeForm challengeToken={challengeToken} onCancel={() => setChallengeToken(null)} />;
+  }
+
+  const inputStyle = {
     width: '100%',
     padding: '12px 16px',
     fontSize: '18px',
@@ -339,6 +962,7 @@ const LoginForm = ({ onSwitchToRegister }) => {
             placeholder="your@email.com"
             required
           />
+          <FieldError message={fieldErrors.email} />
         </div>
         
         <div style={{ marginBottom: '24px' }}>
@@ -351,6 +975,22 @@ const LoginForm = ({ onSwitchToRegister }) => {
             placeholder="••••••••"
             required
           />
+          <FieldError message={fieldErrors.password} />
+          <button
+            type="button"
+            onClick={onForgotPassword}
+            style={{
+              color: styles.colors.riverStone,
+              textDecoration: 'underline',
+              border: 'none',
+              background: 'none',
+              cursor: 'pointer',
+              fontSize: '16px',
+              marginTop: '8px'
+            }}
+          >
+            Forgot your password?
+          </button>
         </div>
         
         {error && <ErrorMessage message={error} />}
@@ -387,6 +1027,117 @@ const LoginForm = ({ onSwitchToRegister }) => {
   );
 };
 
+// Code entry shared by every two-step verification prompt
+// Calls onSubmit with { code } or, after switching, { recoveryCode }
+const MfaCodeForm = ({ onSubmit, submitLabel = 'Verify', allowRecoveryCode = true, onCancel, children }) => {
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [value, setValue] = useState('');
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setIsLoading(true);
+    try {
+      await onSubmit(useRecoveryCode ? { recoveryCode: value.trim() } : { code: value.replace(/\s+/g, '') });
+    } catch (err) {
+      setError(err.message || 'That code is not valid');
+      setIsLoading(false);
+    }
+  };
+
+  const linkStyle = {
+    color: styles.colors.riverStone,
+    textDecoration: 'underline',
+    border: 'none',
+    background: 'none',
+    cursor: 'pointer',
+    fontSize: '16px'
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      {children}
+      <label style={{ display: 'block', color: styles.colors.deepForest, fontSize: '18px', marginBottom: '8px' }}>
+        {useRecoveryCode ? 'Recovery Code' : 'Code from your authenticator app'}
+      </label>
+      <input
+        type="text"
+        inputMode={useRecoveryCode ? 'text' : 'numeric'}
+        autoComplete="one-time-code"
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+        placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+        style={{
+          width: '100%',
+          padding: '12px 16px',
+          fontSize: '24px',
+          letterSpacing: '4px',
+          textAlign: 'center',
+          border: `2px solid ${styles.colors.gentleBreeze}`,
+          borderRadius: '12px',
+          fontFamily: styles.fonts.nunito,
+          marginBottom: '12px'
+        }}
+        autoFocus
+        required
+      />
+
+      {allowRecoveryCode && (
+        <button
+          type="button"
+          onClick={() => { setUseRecoveryCode(!useRecoveryCode); setValue(''); setError(''); }}
+          style={linkStyle}
+        >
+          {useRecoveryCode ? 'Use your authenticator app instead' : 'Lost your device? Use a recovery code'}
+        </button>
+      )}
+
+      {error && <ErrorMessage message={error} />}
+
+      <div style={{ display: 'flex', gap: '12px', marginTop: '16px' }}>
+        <Button type="submit" disabled={isLoading || !value.trim()}>
+          {isLoading ? 'Checking...' : submitLabel}
+        </Button>
+        {onCancel && <Button variant="tertiary" onClick={onCancel}>Cancel</Button>}
+      </div>
+    </form>
+  );
+};
+
+// Second login step for accounts with two-step verification
+const MfaChallengeForm = ({ challengeToken, onCancel, onComplete }) => {
+  const { completeMfaLogin } = useAuth();
+
+  const handleSubmit = async (credentials) => {
+    const response = await completeMfaLogin(challengeToken, credentials);
+    if (response.recoveryCodesRemaining !== undefined) {
+      window.alert(`You have ${response.recoveryCodesRemaining} recovery codes left. ` +
+        'Create new ones from your dashboard if you are running low.');
+    }
+    if (onComplete) onComplete();
+  };
+
+  return (
+    <Card style={{ maxWidth: '480px', margin: '0 auto' }}>
+      <h2 style={{
+        fontSize: '32px',
+        fontFamily: styles.fonts.crimson,
+        color: styles.colors.ancientPine,
+        marginBottom: '16px',
+        textAlign: 'center'
+      }}>
+        Two-Step Verification
+      </h2>
+      <p style={{ color: styles.colors.sageGrove, fontSize: '18px', marginBottom: '24px', textAlign: 'center' }}>
+        Enter the 6-digit code from your authenticator app to finish signing in.
+      </p>
+      <MfaCodeForm onSubmit={handleSubmit} submitLabel="Sign In" onCancel={onCancel} />
+    </Card>
+  );
+};
+
 // Register Form
 const RegisterForm = ({ onSwitchToLogin }) => {
   const { register } = useAuth();
@@ -398,32 +1149,40 @@ const RegisterForm = ({ onSwitchToLogin }) => {
     confirmPassword: ''
   });
   const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
   const [isLoading, setIsLoading] = useState(false);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
+    setFieldErrors({});
 
-    if (formData.password !== formData.confirmPassword) {
-      setError('Passwords do not match');
+    if (formData.password.length < 8 || formData.password.length > 72) {
+      setFieldErrors({ password: 'Password must be between 8 and 72 characters' });
       return;
     }
 
-    if (formData.password.length < 8) {
-      setError('Password must be at least 8 characters long');
+    if (formData.password !== formData.confirmPassword) {
+      setFieldErrors({ confirmPassword: 'Passwords do not match' });
       return;
     }
 
     setIsLoading(true);
     try {
       await register(
-	 formData.email,
-	 formData.password,
-	 formData.firstName,
-	 formData.lastName
-	);
+        formData.email,
+        formData.password,
+        formData.firstName,
+        formData.lastName
+      );
     } catch (err) {
-      setError(err.message || 'Registration failed. Please try again.');
+      const problems = fieldErrorsFrom(err);
+      setFieldErrors(problems);
+      // Field problems are shown next to their inputs instead
+      if (Object.keys(problems).length === 0) {
+        setError(err.message || 'Registration failed. Please try again.');
+      }
+      setIsLoading(false);
     }
   };
 
@@ -468,6 +1227,7 @@ const RegisterForm = ({ onSwitchToLogin }) => {
              placeholder="John"
              required
           />
+           <FieldError message={fieldErrors.firstName} />
          </div>
  
          <div style={{ marginBottom: '20px' }}>
@@ -480,6 +1240,7 @@ const RegisterForm = ({ onSwitchToLogin }) => {
              placeholder="Doe"
              required
            />
+           <FieldError message={fieldErrors.lastName} />
          </div>
         
         <div style={{ marginBottom: '20px' }}>
@@ -492,6 +1253,7 @@ const RegisterForm = ({ onSwitchToLogin }) => {
             placeholder="your@email.com"
             required
           />
+          <FieldError message={fieldErrors.email} />
         </div>
         
         <div style={{ marginBottom: '20px' }}>
@@ -504,9 +1266,11 @@ const RegisterForm = ({ onSwitchToLogin }) => {
             placeholder="••••••••"
             required
           />
-          <p style={{ color: styles.colors.sageGrove, fontSize: '14px', marginTop: '4px' }}>
-            At least 8 characters
-          </p>
+          {fieldErrors.password ? <FieldError message={fieldErrors.password} /> : (
+            <p style={{ color: styles.colors.sageGrove, fontSize: '14px', marginTop: '4px' }}>
+              At least 8 characters
+            </p>
+          )}
         </div>
         
         <div style={{ marginBottom: '24px' }}>
@@ -519,6 +1283,7 @@ const RegisterForm = ({ onSwitchToLogin }) => {
             placeholder="••••••••"
             required
           />
+          <FieldError message={fieldErrors.confirmPassword} />
         </div>
         
         {error && <ErrorMessage message={error} />}
@@ -556,200 +1321,3544 @@ const RegisterForm = ({ onSwitchToLogin }) => {
   );
 };
 
-// ==================== DOCUMENT COMPONENTS ====================
+// Forgot Password Form
+const ForgotPasswordForm = ({ onSwitchToLogin }) => {
+  const [email, setEmail] = useState('');
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setIsLoading(true);
+
+    try {
+      const response = await apiClient.forgotPassword(email);
+      setMessage(response.message);
+    } catch (err) {
+      setError(err.message || 'Could not send a reset link. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const inputStyle = {
+    width: '100%',
+    padding: '12px 16px',
+    fontSize: '18px',
+    border: `2px solid ${styles.colors.gentleBreeze}`,
+    borderRadius: '12px',
+    fontFamily: styles.fonts.nunito,
+    marginTop: '8px'
+  };
+
+  const labelStyle = {
+    display: 'block',
+    color: styles.colors.deepForest,
+    fontSize: '18px',
+    fontFamily: styles.fonts.nunito,
+    marginBottom: '8px'
+  };
+
+  return (
+    <Card style={{ maxWidth: '480px', margin: '0 auto' }}>
+      <h2 style={{
+        fontSize: '32px',
+        fontFamily: styles.fonts.crimson,
+        color: styles.colors.ancientPine,
+        marginBottom: '16px',
+        textAlign: 'center'
+      }}>
+        Reset Your Password
+      </h2>
+
+      {message ? (
+        <p style={{ color: styles.colors.deepForest, fontSize: '18px', textAlign: 'center' }}>{message}</p>
+      ) : (
+        <form onSubmit={handleSubmit}>
+          <p style={{ color: styles.colors.sageGrove, fontSize: '18px', marginBottom: '24px', textAlign: 'center' }}>
+            Enter the email address you signed up with and we'll send you a link to choose a new password.
+          </p>
+
+          <div style={{ marginBottom: '24px' }}>
+            <label style={labelStyle}>Email Address</label>
+            <input
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              style={inputStyle}
+              placeholder="your@email.com"
+              required
+            />
+          </div>
+
+          {error && <ErrorMessage message={error} />}
+
+          <Button type="submit" size="large" fullWidth disabled={isLoading || !email}>
+            {isLoading ? 'Sending...' : 'Send Reset Link'}
+          </Button>
+        </form>
+      )}
+
+      <div style={{ marginTop: '24px', textAlign: 'center' }}>
+        <Button variant="tertiary" onClick={onSwitchToLogin}>Back to Sign In</Button>
+      </div>
+    </Card>
+  );
+};
+
+// Reset Password Form (reached from the emailed /?reset=<token> link)
+const ResetPasswordForm = ({ resetToken, onDone }) => {
+  const [formData, setFormData] = useState({ password: '', confirmPassword: '' });
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    if (formData.password.length < 8) {
+      setError('Password must be at least 8 characters long');
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const response = await apiClient.resetPassword(resetToken, formData.password);
+      setMessage(response.message);
+    } catch (err) {
+      setError(err.message || 'Could not reset your password. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const inputStyle = {
+    width: '100%',
+    padding: '12px 16px',
+    fontSize: '18px',
+    border: `2px solid ${styles.colors.gentleBreeze}`,
+    borderRadius: '12px',
+    fontFamily: styles.fonts.nunito,
+    marginTop: '8px'
+  };
+
+  const labelStyle = {
+    display: 'block',
+    color: styles.colors.deepForest,
+    fontSize: '18px',
+    fontFamily: styles.fonts.nunito,
+    marginBottom: '8px'
+  };
+
+  return (
+    <Card style={{ maxWidth: '480px', margin: '0 auto' }}>
+      <h2 style={{
+        fontSize: '32px',
+        fontFamily: styles.fonts.crimson,
+        color: styles.colors.ancientPine,
+        marginBottom: '24px',
+        textAlign: 'center'
+      }}>
+        Choose a New Password
+      </h2>
+
+      {message ? (
+        <p style={{ color: styles.colors.deepForest, fontSize: '18px', textAlign: 'center' }}>{message}</p>
+      ) : (
+        <form onSubmit={handleSubmit}>
+          <div style={{ marginBottom: '20px' }}>
+            <label style={labelStyle}>New Password</label>
+            <input
+              type="password"
+              value={formData.password}
+              onChange={(e) => setFormData({ ...formData, password: e.target.value })}
+              style={inputStyle}
+              placeholder="••••••••"
+              required
+            />
+            <p style={{ color: styles.colors.sageGrove, fontSize: '14px', marginTop: '4px' }}>
+              At least 8 characters
+            </p>
+          </div>
+
+          <div style={{ marginBottom: '24px' }}>
+            <label style={labelStyle}>Confirm Password</label>
+            <input
+              type="password"
+              value={formData.confirmPassword}
+              onChange={(e) => setFormData({ ...formData, confirmPassword: e.target.value })}
+              style={inputStyle}
+              placeholder="••••••••"
+              required
+            />
+          </div>
+
+          {error && <ErrorMessage message={error} />}
+
+          <Button type="submit" size="large" fullWidth disabled={isLoading || !formData.password}>
+            {isLoading ? 'Saving...' : 'Set New Password'}
+          </Button>
+        </form>
+      )}
+
+      <div style={{ marginTop: '24px', textAlign: 'center' }}>
+        <Button variant="tertiary" onClick={onDone}>Go to Sign In</Button>
+      </div>
+    </Card>
+  );
+};
+
+// Confirms an emailed /?verify=<token> link, whether or not anyone is signed in
+const EmailVerificationNotice = ({ verifyToken, onDone }) => {
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const requested = useRef(null);
+
+  useEffect(() => {
+    // The token is single-use, so never send it twice (StrictMode re-runs effects)
+    if (requested.current === verifyToken) return;
+    requested.current = verifyToken;
+    apiClient.verifyEmail(verifyToken)
+      .then(data => setMessage(data.message))
+      .catch(err => setError(err.message || 'This verification link is invalid or has expired'));
+  }, [verifyToken]);
+
+  if (!message && !error) return null;
+
+  return (
+    <Card style={{ maxWidth: '480px', margin: '0 auto 24px', textAlign: 'center' }}>
+      {message && <p style={{ color: styles.colors.deepForest, fontSize: '18px' }}>{message}</p>}
+      {error && <ErrorMessage message={error} />}
+      <div style={{ marginTop: '16px' }}>
+        <Button variant="tertiary" size="small" onClick={onDone}>Dismiss</Button>
+      </div>
+    </Card>
+  );
+};
+
+// Accept Invitation Form
+const AcceptInvitationForm = ({ inviteToken, onDone }) => {
+  const { acceptInvitation } = useAuth();
+  const [invitation, setInvitation] = useState(null);
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [formData, setFormData] = useState({
+    firstName: '',
+    lastName: '',
+    password: '',
+    confirmPassword: ''
+  });
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    apiClient.getInvitation(inviteToken)
+      .then(data => setInvitation(data.invitation))
+      .catch(err => setError(err.message || 'This invitation is invalid or has expired'))
+      .finally(() => setIsLoading(false));
+  }, [inviteToken]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!invitation.hasAccount && formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const response = await acceptInvitation(inviteToken, formData.password, formData.firstName, formData.lastName);
+      if (response.mfaRequired) {
+        setChallengeToken(response.challengeToken);
+        return;
+      }
+      onDone();
+    } catch (err) {
+      setError(err.message || 'Could not accept the invitation. Please try again.');
+      setIsLoading(false);
+    }
+  };
+
+  const inputStyle = {
+    width: '100%',
+    padding: '12px 16px',
+    fontSize: '18px',
+    border: `2px solid ${styles.colors.gentleBreeze}`,
+    borderRadius: '12px',
+    fontFamily: styles.fonts.nunito,
+    marginTop: '8px'
+  };
+
+  const labelStyle = {
+    display: 'block',
+    color: styles.colors.deepForest,
+    fontSize: '18px',
+    fontFamily: styles.fonts.nunito,
+    marginBottom: '8px'
+  };
+
+  // The invitation is already accepted by now; this only finishes signing in
+  if (challengeToken) {
+    return <MfaChallengeForm challengeToken={challengeToken} onCancel={onDone} onComplete={onDone} />;
+  }
+
+  if (!invitation) {
+    return (
+      <Card style={{ maxWidth: '480px', margin: '0 auto' }}>
+        {isLoading ? <LoadingSpinner /> : <ErrorMessage message={error} />}
+        {!isLoading && (
+          <div style={{ marginTop: '24px', textAlign: 'center' }}>
+            <Button variant="tertiary" onClick={onDone}>Go to Sign In</Button>
+          </div>
+        )}
+      </Card>
+    );
+  }
+
+  return (
+    <Card style={{ maxWidth: '480px', margin: '0 auto' }}>
+      <h2 style={{
+        fontSize: '32px',
+        fontFamily: styles.fonts.crimson,
+        color: styles.colors.ancientPine,
+        marginBottom: '16px',
+        textAlign: 'center'
+      }}>
+        You're Invited
+      </h2>
+      <p style={{ color: styles.colors.sageGrove, fontSize: '18px', marginBottom: '24px', textAlign: 'center' }}>
+        {invitation.ownerName} has named you as a trusted contact.
+        {invitation.hasAccount
+          ? ' Sign in to link your existing account.'
+          : ' Create your account to continue.'}
+      </p>
+
+      <form onSubmit={handleSubmit}>
+        <div style={{ marginBottom: '20px' }}>
+          <label style={labelStyle}>Email Address</label>
+          <input type="email" value={invitation.email} style={inputStyle} disabled />
+        </div>
+
+        {!invitation.hasAccount && (
+          <>
+            <div style={{ marginBottom: '20px' }}>
+              <label style={labelStyle}>First Name</label>
+              <input
+                type="text"
+                value={formData.firstName}
+                onChange={(e) => setFormData({ ...formData, firstName: e.target.value })}
+                style={inputStyle}
+                required
+              />
+            </div>
+
+            <div style={{ marginBottom: '20px' }}>
+              <label style={labelStyle}>Last Name</label>
+              <input
+                type="text"
+                value={formData.lastName}
+                onChange={(e) => setFormData({ ...formData, lastName: e.target.value })}
+                style={inputStyle}
+                required
+              />
+            </div>
+          </>
+        )}
+
+        <div style={{ marginBottom: '20px' }}>
+          <label style={labelStyle}>Password</label>
+          <input
+            type="password"
+            value={formData.password}
+            onChange={(e) => setFormData({ ...formData, password: e.target.value })}
+            style={inputStyle}
+            placeholder="••••••••"
+            required
+          />
+        </div>
+
+        {!invitation.hasAccount && (
+          <div style={{ marginBottom: '24px' }}>
+            <label style={labelStyle}>Confirm Password</label>
+            <input
+              type="password"
+              value={formData.confirmPassword}
+              onChange={(e) => setFormData({ ...formData, confirmPassword: e.target.value })}
+              style={inputStyle}
+              placeholder="••••••••"
+              required
+            />
+          </div>
+        )}
+
+        {error && <ErrorMessage message={error} />}
+
+        <Button type="submit" size="large" fullWidth disabled={isLoading || !formData.password}>
+          {isLoading ? 'Please wait...' : (invitation.hasAccount ? 'Sign In and Accept' : 'Create Account and Accept')}
+        </Button>
+      </form>
+    </Card>
+  );
+};
+
+// ==================== DOCUMENT COMPONENTS ====================
+
+const formatFileSize = (bytes) => {
+  if (bytes < 1024) return bytes + ' B';
+  if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
+  return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+};
+
+// Content types for decrypted files, matching the API's allowed uploads
+const fileContentTypes = {
+  pdf: 'application/pdf',
+  doc: 'application/msword',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  txt: 'text/plain',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png'
+};
+
+const formatDate = (dateString) => {
+  const date = new Date(dateString);
+  return date.toLocaleDateString('en-US', { 
+    year: 'numeric', 
+    month: 'short', 
+    day: 'numeric' 
+  });
+};
+
+// Document Card
+// Owner actions (history, sharing) only appear when their handlers are passed;
+// shared documents carry the recipient's access_type instead
+// Where a search snippet was found
+const searchSnippetFields = {
+  description: 'Description',
+  userNotes: 'Your notes',
+  content: 'In the file'
+};
+
+// Search result text with the matching words marked
+const HighlightedText = ({ segments }) => (
+  <>
+    {segments.map((segment, index) => (segment.match ? (
+      <mark key={index} style={{ backgroundColor: `${styles.colors.calmWaters}40`, color: 'inherit', borderRadius: '4px' }}>
+        {segment.text}
+      </mark>
+    ) : (
+      <React.Fragment key={index}>{segment.text}</React.Fragment>
+    )))}
+  </>
+);
+
+// Shown for files without a preview image
+const fileTypeIcons = {
+  pdf: '📄',
+  doc: '📝',
+  docx: '📝',
+  txt: '📝',
+  jpg: '🖼️',
+  jpeg: '🖼️',
+  png: '🖼️'
+};
+
+// Document Thumbnail
+// The first page of a photo or PDF, or a placeholder while it is being made
+// and for files that have none (encrypted, Word and text files)
+const DocumentThumbnail = ({ document, small = false }) => {
+  const [imageUrl, setImageUrl] = useState(null);
+  const isReady = document.thumbnail_status === 'complete';
+  const isPending = document.thumbnail_status === 'pending';
+
+  useEffect(() => {
+    if (!isReady) return undefined;
+    let blobUrl = null;
+    let isCurrent = true;
+    apiClient.getThumbnail(document.id)
+      .then(blob => {
+        if (!isCurrent) return;
+        blobUrl = URL.createObjectURL(blob);
+        setImageUrl(blobUrl);
+      })
+      .catch(() => {}); // the placeholder stays
+    return () => {
+      isCurrent = false;
+      if (blobUrl) URL.revokeObjectURL(blobUrl);
+    };
+  }, [document.id, isReady]);
+
+  return (
+    <div
+      title={isPending ? 'Preparing preview…' : undefined}
+      style={{
+        ...(small
+          ? { width: '72px', height: '72px', flexShrink: 0, borderRadius: '8px' }
+          : { height: '180px', borderRadius: '12px', marginBottom: '16px' }),
+        overflow: 'hidden',
+        backgroundColor: styles.colors.morningLight,
+        color: styles.colors.sageGrove,
+        display: 'flex',
+        flexDirection: 'column',
+        alignItems: 'center',
+        justifyContent: 'center'
+      }}
+    >
+      {imageUrl ? (
+        <img src={imageUrl} alt="" style={{ width: '100%', height: '100%', objectFit: 'cover', objectPosition: 'top' }} />
+      ) : (
+        <>
+          <span aria-hidden="true" style={{ fontSize: small ? '28px' : '48px', opacity: isPending ? 0.5 : 1 }}>
+            {document.is_encrypted ? '🔒' : fileTypeIcons[document.file_type] || '📄'}
+          </span>
+          {isPending && !small && (
+            <span style={{ fontSize: '14px', marginTop: '8px' }}>Preparing preview…</span>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+// `match` is the search result the card is shown for, if any; the 'list'
+// layout is a compact row for the document library
+const DocumentCard = ({ document, match, layout = 'grid', onShowHistory, onShare }) => {
+  const encryption = useEncryption();
+  const getCategoryColor = (categoryName) => {
+    const colorMap = {
+      'Will': styles.colors.deepForest,
+      'Healthcare Directive': styles.colors.calmWaters,
+      'Power of Attorney': styles.colors.riverStone,
+      'Financial Documents': styles.colors.weatheredOak,
+      'Insurance Policies': styles.colors.warmEarth,
+      'Personal Letters': styles.colors.sageGrove,
+    };
+    return colorMap[categoryName] || styles.colors.deepForest;
+  };
+
+  const [fileError, setFileError] = useState('');
+  // The action (view or download) to finish once a two-step code is entered
+  const [mfaRetry, setMfaRetry] = useState(null);
+
+  // Encrypted documents arrive as ciphertext and are decrypted here
+  const getFile = async (download) => {
+    if (!document.is_encrypted) {
+      return apiClient.getDocumentFile(document.id, download);
+    }
+    const documentKey = await encryption.getDocumentKey(document.id);
+    const blob = await apiClient.getDocumentFile(document.id, download);
+    return decryptFile(blob, documentKey, fileContentTypes[document.file_type] || 'application/octet-stream');
+  };
+
+  const openInNewTab = async (loadBlob, retry) => {
+    setFileError('');
+    // Open the tab before the request so popup blockers allow it
+    const previewWindow = window.open('', '_blank');
+    try {
+      const blob = await loadBlob();
+      previewWindow.location.href = URL.createObjectURL(blob);
+    } catch (err) {
+      previewWindow.close();
+      if (err.code === 'mfa_required') {
+        setMfaRetry(() => retry);
+      } else {
+        setFileError(err.message);
+      }
+    }
+  };
+
+  const handleView = () => openInNewTab(() => getFile(false), handleView);
+  const handleViewSearchable = () => openInNewTab(() => apiClient.getSearchablePdf(document.id), handleViewSearchable);
+
+  const handleDownload = async () => {
+    setFileError('');
+    try {
+      const blob = await getFile(true);
+      const blobUrl = URL.createObjectURL(blob);
+      const link = window.document.createElement('a');
+      link.href = blobUrl;
+      link.download = document.file_name;
+      link.click();
+      URL.revokeObjectURL(blobUrl);
+    } catch (err) {
+      if (err.code === 'mfa_required') {
+        setMfaRetry(() => handleDownload);
+      } else {
+        setFileError(err.message);
+      }
+    }
+  };
+
+  const handleMfaStepUp = async (credentials) => {
+    await apiClient.mfaStepUp(credentials);
+    const retry = mfaRetry;
+    setMfaRetry(null);
+    await retry();
+  };
+
+  const isList = layout === 'list';
+
+  const header = (
+    <div style={{ marginBottom: isList ? '8px' : '16px' }}>
+      <span style={{
+        backgroundColor: getCategoryColor(document.category_name),
+        color: styles.colors.pureWhite,
+        padding: '4px 12px',
+        borderRadius: '20px',
+        fontSize: '14px',
+        fontWeight: 500
+      }}>
+        {document.category_name}
+      </span>
+      {Boolean(document.is_encrypted) && (
+        <span title="End-to-end encrypted" style={{ marginLeft: '8px', color: styles.colors.sageGrove, fontSize: '14px' }}>
+          🔒 Encrypted
+        </span>
+      )}
+      {(document.ocr_status === 'pending' || document.ocr_status === 'processing') && (
+        <span title="The text of this scan is being read so it can be searched" style={{ marginLeft: '8px', color: styles.colors.sageGrove, fontSize: '14px' }}>
+          📄 Reading text…
+        </span>
+      )}
+      {onShowHistory && <button
+        onClick={() => onShowHistory(document)}
+        title="Version history"
+        style={{
+          float: 'right',
+          color: styles.colors.sageGrove,
+          backgroundColor: styles.colors.morningLight,
+          border: 'none',
+          borderRadius: '20px',
+          padding: '4px 12px',
+          fontSize: '14px',
+          cursor: 'pointer'
+        }}
+      >
+        v{document.version || 1}
+      </button>}
+    </div>
+  );
+
+  const title = (
+    <>
+      <h3 style={{
+        fontSize: isList ? '18px' : '20px',
+        fontFamily: styles.fonts.crimson,
+        color: styles.colors.ancientPine,
+        marginBottom: isList ? '4px' : '8px'
+      }}>
+        {match ? <HighlightedText segments={match.title} /> : document.title}
+      </h3>
+
+      {match && match.snippet && (
+        <p style={{ fontSize: '16px', color: styles.colors.deepForest, marginBottom: isList ? '4px' : '12px' }}>
+          <span style={{ color: styles.colors.sageGrove }}>{searchSnippetFields[match.snippet.field]}: </span>
+          <HighlightedText segments={match.snippet.segments} />
+        </p>
+      )}
+    </>
+  );
+
+  const details = isList ? (
+    <p style={{ fontSize: '14px', color: styles.colors.sageGrove }}>
+      {document.owner_name && `Shared by ${document.owner_name} · `}
+      Uploaded {formatDate(document.upload_date)} · {formatFileSize(document.file_size)}
+    </p>
+  ) : (
+    <div style={{ color: styles.colors.sageGrove, marginBottom: '16px' }}>
+      {document.owner_name && (
+        <p style={{ fontSize: '14px', marginBottom: '4px' }}>
+          Shared by: {document.owner_name}
+        </p>
+      )}
+      <p style={{ fontSize: '14px', marginBottom: '4px' }}>
+        Uploaded: {formatDate(document.upload_date)}
+      </p>
+      <p style={{ fontSize: '14px' }}>
+        Size: {formatFileSize(document.file_size)}
+      </p>
+      {document.share_message && (
+        <p style={{ fontSize: '16px', fontFamily: styles.fonts.lora, fontStyle: 'italic', marginTop: '8px' }}>
+          "{document.share_message}"
+        </p>
+      )}
+      {document.ocr_status === 'failed' && (
+        <p style={{ fontSize: '14px', marginTop: '4px' }}>
+          We couldn't read the text of this scan, so only its title and notes are searchable.
+        </p>
+      )}
+    </div>
+  );
+
+  const actions = (
+    <div style={{ display: 'flex', gap: '12px', flexShrink: 0 }}>
+      <Button variant="primary" size="small" onClick={handleView}>View</Button>
+      {document.ocr_status === 'complete' && (
+        <Button variant="tertiary" size="small" onClick={handleViewSearchable}>Searchable PDF</Button>
+      )}
+      {document.access_type !== 'view' && (
+        <Button variant="secondary" size="small" onClick={handleDownload}>Download</Button>
+      )}
+      {onShare && (
+        <Button variant="tertiary" size="small" onClick={() => onShare(document)}>Share</Button>
+      )}
+    </div>
+  );
+
+  return (
+    <Card style={isList ? { padding: '16px' } : undefined}>
+      {isList ? (
+        <div style={{ display: 'flex', alignItems: 'center', gap: '16px' }}>
+          <DocumentThumbnail document={document} small />
+          <div style={{ flex: 1, minWidth: 0 }}>
+            {header}
+            {title}
+            {details}
+          </div>
+          {actions}
+        </div>
+      ) : (
+        <>
+          <DocumentThumbnail document={document} />
+          {header}
+          {title}
+          {details}
+          {actions}
+        </>
+      )}
+
+      {mfaRetry && (
+        <div style={{ marginTop: '16px' }}>
+          <MfaCodeForm onSubmit={handleMfaStepUp} submitLabel="Continue" onCancel={() => setMfaRetry(null)}>
+            <p style={{ color: styles.colors.sageGrove, marginBottom: '12px' }}>
+              Opening documents on your account needs a two-step verification code.
+            </p>
+          </MfaCodeForm>
+        </div>
+      )}
+
+      {fileError && <ErrorMessage message={fileError} />}
+    </Card>
+  );
+};
+
+// Version History Drawer
+const VersionHistoryDrawer = ({ document, onClose, onChanged }) => {
+  const encryption = useEncryption();
+  const [versions, setVersions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [file, setFile] = useState(null);
+  const [reason, setReason] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadVersions = useCallback(async () => {
+    try {
+      const response = await apiClient.getDocumentVersions(document.id);
+      setVersions(response.versions || []);
+    } catch (err) {
+      setError(err.message || 'Failed to load version history');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [document.id]);
+
+  useEffect(() => {
+    loadVersions();
+  }, [loadVersions]);
+
+  const handleUpload = async (e) => {
+    e.preventDefault();
+    setError('');
+    setIsSaving(true);
+    try {
+      // Every version of an encrypted document reuses its content key
+      if (document.is_encrypted) {
+        const documentKey = await encryption.getDocumentKey(document.id);
+        await apiClient.uploadDocumentVersion(document.id, await encryptFile(file, documentKey), reason,
+          { encrypted: 'true' });
+      } else {
+        await apiClient.uploadDocumentVersion(document.id, file, reason);
+      }
+      setFile(null);
+      setReason('');
+      onChanged();
+      await loadVersions();
+    } catch (err) {
+      setError(err.message || 'Upload failed. Please try again.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRestore = async (version) => {
+    setError('');
+    setIsSaving(true);
+    try {
+      await apiClient.restoreDocumentVersion(document.id, version.id);
+      onChanged();
+      await loadVersions();
+    } catch (err) {
+      setError(err.message || 'Restore failed. Please try again.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: 'fixed',
+        inset: 0,
+        backgroundColor: 'rgba(45, 74, 69, 0.3)',
+        display: 'flex',
+        justifyContent: 'flex-end',
+        zIndex: 10
+      }}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          width: '100%',
+          maxWidth: '480px',
+          height: '100%',
+          overflowY: 'auto',
+          backgroundColor: styles.colors.pureWhite,
+          padding: '32px 24px',
+          boxShadow: '-4px 0 20px rgba(45, 74, 69, 0.15)'
+        }}
+      >
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '24px' }}>
+          <h2 style={{
+            fontSize: '28px',
+            fontFamily: styles.fonts.crimson,
+            color: styles.colors.ancientPine
+          }}>
+            {document.title}
+          </h2>
+          <Button variant="tertiary" size="small" onClick={onClose}>Close</Button>
+        </div>
+
+        <form onSubmit={handleUpload} style={{ marginBottom: '32px' }}>
+          <h3 style={{ fontSize: '20px', color: styles.colors.deepForest, marginBottom: '12px' }}>
+            Upload a New Version
+          </h3>
+          <input
+            type="file"
+            onChange={(e) => setFile(e.target.files[0] || null)}
+            style={{ marginBottom: '12px', fontSize: '16px' }}
+          />
+          <textarea
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            placeholder="Why is this document being replaced?"
+            rows={3}
+            style={{
+              width: '100%',
+              padding: '12px 16px',
+              fontSize: '16px',
+              border: `2px solid ${styles.colors.gentleBreeze}`,
+              borderRadius: '12px',
+              fontFamily: styles.fonts.nunito,
+              marginBottom: '12px'
+            }}
+          />
+          <Button type="submit" size="small" disabled={isSaving || !file}>
+            {isSaving ? 'Saving...' : 'Upload Version'}
+          </Button>
+        </form>
+
+        <div style={{ marginBottom: '32px' }}>
+          <h3 style={{ fontSize: '20px', color: styles.colors.deepForest, marginBottom: '8px' }}>
+            Access History
+          </h3>
+          <p style={{ fontSize: '16px', color: styles.colors.sageGrove, marginBottom: '12px' }}>
+            Everyone who viewed, downloaded or was given access to this document, with a verification hash
+          </p>
+          <AuditExportButtons filters={{ documentId: document.id }} />
+        </div>
+
+        {error && <ErrorMessage message={error} />}
+
+        <h3 style={{ fontSize: '20px', color: styles.colors.deepForest, margin: '24px 0 12px' }}>
+          History
+        </h3>
+        {isLoading ? <LoadingSpinner /> : versions.map(version => (
+          <div key={version.id} style={{
+            borderTop: `1px solid ${styles.colors.gentleBreeze}`,
+            padding: '16px 0',
+            color: styles.colors.sageGrove,
+            fontSize: '16px'
+          }}>
+            <p style={{ color: styles.colors.ancientPine, fontWeight: 600, marginBottom: '4px' }}>
+              Version {version.version}{version.is_active ? ' (current)' : ''}
+            </p>
+            <p>{version.file_name} · {formatFileSize(version.file_size)} · {formatDate(version.upload_date)}</p>
+            {version.template_id && <p>Made from a template (version {version.template_version})</p>}
+            {version.replaced_at && (
+              <p style={{ fontSize: '14px', marginTop: '4px' }}>
+                Replaced {formatDate(version.replaced_at)}
+                {version.replaced_by_name && ` by ${version.replaced_by_name}`}
+                {version.replacement_reason && `: "${version.replacement_reason}"`}
+              </p>
+            )}
+            {!version.is_active && (
+              <div style={{ marginTop: '8px' }}>
+                <Button variant="tertiary" size="small" disabled={isSaving} onClick={() => handleRestore(version)}>
+                  Restore
+                </Button>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Share Dialog
+const ShareDialog = ({ document, onClose }) => {
+  const encryption = useEncryption();
+  const [contacts, setContacts] = useState([]);
+  const [shares, setShares] = useState([]);
+  const [formData, setFormData] = useState({ trustedContactId: '', accessType: 'view', message: '' });
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadShares = useCallback(async () => {
+    try {
+      const [contactsResponse, sharesResponse] = await Promise.all([
+        apiClient.getTrustedContacts(),
+        apiClient.getDocumentShares(document.id)
+      ]);
+      setContacts(contactsResponse.contacts || []);
+      setShares(sharesResponse.shares || []);
+    } catch (err) {
+      setError(err.message || 'Failed to load sharing details');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [document.id]);
+
+  useEffect(() => {
+    loadShares();
+  }, [loadShares]);
+
+  const handleShare = async (e) => {
+    e.preventDefault();
+    setError('');
+    setIsSaving(true);
+    try {
+      await apiClient.shareDocument(
+        document.id,
+        parseInt(formData.trustedContactId, 10),
+        formData.accessType,
+        formData.message
+      );
+      setFormData({ trustedContactId: '', accessType: 'view', message: '' });
+      if (document.is_encrypted) {
+        if (encryption.isUnlocked) {
+          await encryption.syncDocumentKeys();
+        } else {
+          setError('Shared. Unlock encryption on your dashboard so your contact gets the key to read it.');
+        }
+      }
+      await loadShares();
+    } catch (err) {
+      setError(err.message || 'Could not share document');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRevoke = async (share) => {
+    setError('');
+    try {
+      await apiClient.revokeShare(document.id, share.id);
+      await loadShares();
+    } catch (err) {
+      setError(err.message || 'Could not revoke access');
+    }
+  };
+
+  const inputStyle = {
+    width: '100%',
+    padding: '12px 16px',
+    fontSize: '16px',
+    border: `2px solid ${styles.colors.gentleBreeze}`,
+    borderRadius: '12px',
+    fontFamily: styles.fonts.nunito,
+    marginBottom: '12px'
+  };
+
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: 'fixed',
+        inset: 0,
+        backgroundColor: 'rgba(45, 74, 69, 0.3)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        padding: '16px',
+        zIndex: 10
+      }}
+    >
+      <div onClick={(e) => e.stopPropagation()} style={{ width: '100%', maxWidth: '560px' }}>
+        <Card style={{ maxHeight: '90vh', overflowY: 'auto' }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '24px' }}>
+            <h2 style={{
+              fontSize: '28px',
+              fontFamily: styles.fonts.crimson,
+              color: styles.colors.ancientPine
+            }}>
+              Share "{document.title}"
+            </h2>
+            <Button variant="tertiary" size="small" onClick={onClose}>Close</Button>
+          </div>
+
+          {isLoading ? <LoadingSpinner /> : (
+            <>
+              {contacts.length === 0 ? (
+                <p style={{ color: styles.colors.sageGrove, fontSize: '18px', marginBottom: '16px' }}>
+                  Add a trusted contact first, then you can share documents with them.
+                </p>
+              ) : (
+                <form onSubmit={handleShare} style={{ marginBottom: '24px' }}>
+                  <select
+                    value={formData.trustedContactId}
+                    onChange={(e) => setFormData({ ...formData, trustedContactId: e.target.value })}
+                    style={inputStyle}
+                    required
+                  >
+                    <option value="">Choose a trusted contact...</option>
+                    {contacts.map(contact => (
+                      <option key={contact.id} value={contact.id}>
+                        {contact.contact_name}{contact.relationship ? ` (${contact.relationship})` : ''}
+                      </option>
+                    ))}
+                  </select>
+                  <select
+                    value={formData.accessType}
+                    onChange={(e) => setFormData({ ...formData, accessType: e.target.value })}
+                    style={inputStyle}
+                  >
+                    <option value="view">Can view</option>
+                    <option value="download">Can view and download</option>
+                  </select>
+                  <textarea
+                    value={formData.message}
+                    onChange={(e) => setFormData({ ...formData, message: e.target.value })}
+                    placeholder="Add a personal message (optional)"
+                    rows={3}
+                    style={inputStyle}
+                  />
+                  <Button type="submit" size="small" disabled={isSaving || !formData.trustedContactId}>
+                    {isSaving ? 'Sharing...' : 'Share'}
+                  </Button>
+                </form>
+              )}
+
+              {error && <ErrorMessage message={error} />}
+
+              <h3 style={{ fontSize: '20px', color: styles.colors.deepForest, margin: '16px 0 12px' }}>
+                Shared With
+              </h3>
+              {shares.length === 0 ? (
+                <p style={{ color: styles.colors.sageGrove }}>Only you can see this document.</p>
+              ) : shares.map(share => (
+                <div key={share.id} style={{
+                  display: 'flex',
+                  justifyContent: 'space-between',
+                  alignItems: 'center',
+                  borderTop: `1px solid ${styles.colors.gentleBreeze}`,
+                  padding: '12px 0',
+                  color: styles.colors.sageGrove
+                }}>
+                  <div>
+                    <p style={{ color: styles.colors.ancientPine, fontWeight: 600 }}>{share.contact_name}</p>
+                    <p style={{ fontSize: '14px' }}>
+                      {share.access_type === 'download' ? 'Can view and download' : 'Can view'} · since {formatDate(share.shared_at)}
+                    </p>
+                  </div>
+                  <Button variant="tertiary" size="small" onClick={() => handleRevoke(share)}>Revoke</Button>
+                </div>
+              ))}
+            </>
+          )}
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+const documentTypeLabels = {
+  healthcare_directive: 'Healthcare directive',
+  will: 'Will',
+  financial_poa: 'Financial power of attorney',
+  insurance: 'Insurance',
+  funeral_wishes: 'Funeral wishes',
+  digital_assets: 'Digital asset instructions',
+  other: 'Other'
+};
+
+// Upload Dialog
+const UploadDialog = ({ categories, onClose, onUploaded }) => {
+  const encryption = useEncryption();
+  const [file, setFile] = useState(null);
+  const [formData, setFormData] = useState({ title: '', categoryId: '', documentType: 'other', description: '' });
+  const [encrypt, setEncrypt] = useState(encryption.isEnabled);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setIsSaving(true);
+    try {
+      if (encrypt) {
+        // Encrypted in this browser; the server only ever receives ciphertext
+        encryption.requireUnlocked();
+        const documentKey = await createDocumentKey();
+        await apiClient.uploadDocument(await encryptFile(file, documentKey), {
+          ...formData,
+          encrypted: 'true',
+          wrappedKey: await wrapDocumentKey(documentKey, encryption.publicKey)
+        });
+        await encryption.syncDocumentKeys();
+      } else {
+        await apiClient.uploadDocument(file, formData);
+      }
+      onUploaded();
+    } catch (err) {
+      setError(err.message || 'Upload failed. Please try again.');
+      setIsSaving(false);
+    }
+  };
+
+  const inputStyle = {
+    width: '100%',
+    padding: '12px 16px',
+    fontSize: '16px',
+    border: `2px solid ${styles.colors.gentleBreeze}`,
+    borderRadius: '12px',
+    fontFamily: styles.fonts.nunito,
+    marginBottom: '12px'
+  };
+
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: 'fixed',
+        inset: 0,
+        backgroundColor: 'rgba(45, 74, 69, 0.3)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        padding: '16px',
+        zIndex: 10
+      }}
+    >
+      <div onClick={(e) => e.stopPropagation()} style={{ width: '100%', maxWidth: '560px' }}>
+        <Card style={{ maxHeight: '90vh', overflowY: 'auto' }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '24px' }}>
+            <h2 style={{
+              fontSize: '28px',
+              fontFamily: styles.fonts.crimson,
+              color: styles.colors.ancientPine
+            }}>
+              Upload a Document
+            </h2>
+            <Button variant="tertiary" size="small" onClick={onClose}>Close</Button>
+          </div>
+
+          <form onSubmit={handleSubmit}>
+            <input
+              type="file"
+              accept=".pdf,.doc,.docx,.txt,.jpg,.jpeg,.png"
+              onChange={(e) => setFile(e.target.files[0] || null)}
+              style={inputStyle}
+              required
+            />
+            <input
+              type="text"
+              value={formData.title}
+              onChange={(e) => setFormData({ ...formData, title: e.target.value })}
+              placeholder="Title (defaults to the file name)"
+              style={inputStyle}
+            />
+            <select
+              value={formData.categoryId}
+              onChange={(e) => setFormData({ ...formData, categoryId: e.target.value })}
+              style={inputStyle}
+            >
+              <option value="">No category</option>
+              {categories.map(category => (
+                <option key={category.id} value={category.id}>{category.name}</option>
+              ))}
+            </select>
+            <select
+              value={formData.documentType}
+              onChange={(e) => setFormData({ ...formData, documentType: e.target.value })}
+              style={inputStyle}
+            >
+              {Object.entries(documentTypeLabels).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <textarea
+              value={formData.description}
+              onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+              placeholder="Description (optional)"
+              rows={3}
+              style={inputStyle}
+            />
+
+            {encryption.isEnabled && (
+              <label style={{ display: 'flex', alignItems: 'center', gap: '8px', color: styles.colors.deepForest, marginBottom: '12px' }}>
+                <input type="checkbox" checked={encrypt} onChange={(e) => setEncrypt(e.target.checked)} />
+                Encrypt in this browser (only you and people you share with can read it)
+              </label>
+            )}
+            {encrypt && !encryption.isUnlocked && (
+              <p style={{ color: styles.colors.warmEarth, marginBottom: '12px' }}>
+                Unlock encryption on your dashboard before uploading encrypted documents.
+              </p>
+            )}
+
+            {error && <ErrorMessage message={error} />}
+
+            <div style={{ marginTop: '16px' }}>
+              <Button type="submit" disabled={isSaving || !file || (encrypt && !encryption.isUnlocked)}>
+                {isSaving ? 'Uploading...' : 'Upload'}
+              </Button>
+            </div>
+          </form>
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+// A template answer worth sending: blank text and empty list rows are left out
+const templateAnswer = (field, value) => {
+  if (field.type === 'list') {
+    const rows = (value || []).filter(row => Object.values(row).some(cell => cell.trim() !== ''));
+    return rows.length > 0 ? rows : undefined;
+  }
+  if (typeof value === 'string' && value.trim() === '') return undefined;
+  return value;
+};
+
+// One template field as a form input; list fields get a row of inputs per item
+const TemplateField = ({ field, value, error, inputStyle, onChange }) => {
+  const label = (
+    <span style={{ display: 'block', fontSize: '16px', fontWeight: 600, color: styles.colors.deepForest, marginBottom: '6px' }}>
+      {field.label}{field.required && ' *'}
+    </span>
+  );
+  const help = field.help && (
+    <p style={{ fontSize: '14px', color: styles.colors.sageGrove, margin: '-6px 0 8px' }}>{field.help}</p>
+  );
+
+  if (field.type === 'boolean') {
+    return (
+      <div style={{ marginBottom: '12px' }}>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '8px', color: styles.colors.deepForest }}>
+          <input type="checkbox" checked={value === true} onChange={(e) => onChange(e.target.checked)} />
+          {field.label}
+        </label>
+        <FieldError message={error} />
+      </div>
+    );
+  }
+
+  if (field.type === 'choice') {
+    return (
+      <fieldset style={{ border: 'none', padding: 0, margin: '0 0 12px' }}>
+        <legend style={{ padding: 0 }}>{label}</legend>
+        {field.options.map(option => (
+          <label
+            key={option.value}
+            style={{ display: 'flex', alignItems: 'flex-start', gap: '8px', color: styles.colors.deepForest, marginBottom: '6px' }}
+          >
+            <input
+              type="radio"
+              name={field.name}
+              checked={value === option.value}
+              onChange={() => onChange(option.value)}
+              style={{ marginTop: '4px' }}
+            />
+            {option.label}
+          </label>
+        ))}
+        <FieldError message={error} />
+      </fieldset>
+    );
+  }
+
+  if (field.type === 'list') {
+    const rows = value || [];
+    const emptyRow = Object.fromEntries(field.columns.map(column => [column.name, '']));
+    return (
+      <div style={{ marginBottom: '12px' }}>
+        {label}
+        {help}
+        {rows.map((row, index) => (
+          <div key={index} style={{ display: 'flex', gap: '8px', alignItems: 'flex-start' }}>
+            {field.columns.map(column => (
+              <input
+                key={column.name}
+                type="text"
+                value={row[column.name] || ''}
+                placeholder={column.label}
+                onChange={(e) => onChange(rows.map((other, otherIndex) => (
+                  otherIndex === index ? { ...other, [column.name]: e.target.value } : other
+                )))}
+                style={{ ...inputStyle, minWidth: 0 }}
+              />
+            ))}
+            <Button variant="tertiary" size="small" onClick={() => onChange(rows.filter((_, otherIndex) => otherIndex !== index))}>
+              Remove
+            </Button>
+          </div>
+        ))}
+        <Button variant="tertiary" size="small" onClick={() => onChange([...rows, emptyRow])}>
+          Add {rows.length === 0 ? 'an Entry' : 'Another'}
+        </Button>
+        <FieldError message={error} />
+      </div>
+    );
+  }
+
+  return (
+    <label style={{ display: 'block', marginBottom: '12px' }}>
+      {label}
+      {help}
+      {field.type === 'textarea' ? (
+        <textarea value={value || ''} onChange={(e) => onChange(e.target.value)} rows={4} style={inputStyle} />
+      ) : (
+        <input
+          type={field.type === 'date' ? 'date' : 'text'}
+          value={value || ''}
+          onChange={(e) => onChange(e.target.value)}
+          required={field.required}
+          style={inputStyle}
+        />
+      )}
+      <FieldError message={error} />
+    </label>
+  );
+};
+
+// Create From Template Dialog
+// Pick a template (unless templateId is given), fill it in, and the server
+// saves the result to the library as a PDF
+const TemplateDialog = ({ templateId, onClose, onCreated }) => {
+  const [templates, setTemplates] = useState([]);
+  const [selectedId, setSelectedId] = useState(templateId || null);
+  const [template, setTemplate] = useState(null);
+  const [values, setValues] = useState({});
+  const [title, setTitle] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  useEffect(() => {
+    setIsLoading(true);
+    setError('');
+    const request = selectedId
+      ? apiClient.getTemplate(selectedId).then(data => {
+        setTemplate(data.template);
+        setValues(data.values || {});
+      })
+      : apiClient.getTemplates().then(data => setTemplates(data.templates || []));
+    request
+      .catch(err => setError(err.message || 'Failed to load templates'))
+      .finally(() => setIsLoading(false));
+  }, [selectedId]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setFieldErrors({});
+    setIsSaving(true);
+    try {
+      const answers = {};
+      template.sections.flatMap(section => section.fields).forEach(field => {
+        const answer = templateAnswer(field, values[field.name]);
+        if (answer !== undefined) answers[field.name] = answer;
+      });
+      const data = await apiClient.renderTemplate(template.id, answers, title.trim() ? { title: title.trim() } : {});
+      onCreated(data.document);
+    } catch (err) {
+      setFieldErrors(fieldErrorsFrom(err));
+      setError(err.message || 'Could not create the document. Please try again.');
+      setIsSaving(false);
+    }
+  };
+
+  const inputStyle = {
+    width: '100%',
+    padding: '12px 16px',
+    fontSize: '16px',
+    border: `2px solid ${styles.colors.gentleBreeze}`,
+    borderRadius: '12px',
+    fontFamily: styles.fonts.nunito,
+    marginBottom: '12px'
+  };
+
+  const heading = template ? template.title : 'Create from a Template';
+
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: 'fixed',
+        inset: 0,
+        backgroundColor: 'rgba(45, 74, 69, 0.3)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        padding: '16px',
+        zIndex: 10
+      }}
+    >
+      <div onClick={(e) => e.stopPropagation()} style={{ width: '100%', maxWidth: '720px' }}>
+        <Card style={{ maxHeight: '90vh', overflowY: 'auto' }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '24px' }}>
+            <h2 style={{
+              fontSize: '28px',
+              fontFamily: styles.fonts.crimson,
+              color: styles.colors.ancientPine
+            }}>
+              {heading}
+            </h2>
+            <Button variant="tertiary" size="small" onClick={onClose}>Close</Button>
+          </div>
+
+          {isLoading ? <LoadingSpinner /> : !template ? (
+            <div>
+              {templates.map(candidate => (
+                <div
+                  key={candidate.id}
+                  style={{ borderTop: `1px solid ${styles.colors.gentleBreeze}`, padding: '16px 0' }}
+                >
+                  <p style={{ fontSize: '18px', fontWeight: 600, color: styles.colors.ancientPine, marginBottom: '4px' }}>
+                    {candidate.title}
+                  </p>
+                  <p style={{ fontSize: '16px', color: styles.colors.sageGrove, marginBottom: '8px' }}>
+                    {candidate.description}
+                  </p>
+                  <Button size="small" onClick={() => setSelectedId(candidate.id)}>Fill In</Button>
+                </div>
+              ))}
+              {error && <ErrorMessage message={error} />}
+            </div>
+          ) : (
+            <form onSubmit={handleSubmit}>
+              {template.preamble && (
+                <p style={{ fontSize: '16px', color: styles.colors.sageGrove, marginBottom: '16px' }}>{template.preamble}</p>
+              )}
+
+              {template.sections.map(section => (
+                <div key={section.title} style={{ marginBottom: '16px' }}>
+                  <h3 style={{
+                    fontSize: '22px',
+                    fontFamily: styles.fonts.crimson,
+                    color: styles.colors.ancientPine,
+                    marginBottom: '8px'
+                  }}>
+                    {section.title}
+                  </h3>
+                  {section.intro && (
+                    <p style={{ fontSize: '16px', color: styles.colors.sageGrove, marginBottom: '12px' }}>{section.intro}</p>
+                  )}
+                  {section.fields.map(field => (
+                    <TemplateField
+                      key={field.name}
+                      field={field}
+                      value={values[field.name]}
+                      error={fieldErrors[`values.${field.name}`]}
+                      inputStyle={inputStyle}
+                      onChange={(value) => setValues({ ...values, [field.name]: value })}
+                    />
+                  ))}
+                </div>
+              ))}
+
+              <label style={{ display: 'block', marginBottom: '12px' }}>
+                <span style={{ display: 'block', fontSize: '16px', fontWeight: 600, color: styles.colors.deepForest, marginBottom: '6px' }}>
+                  Save as
+                </span>
+                <input
+                  type="text"
+                  value={title}
+                  onChange={(e) => setTitle(e.target.value)}
+                  placeholder={`Title (defaults to "${template.title}")`}
+                  style={inputStyle}
+                />
+              </label>
+
+              <p style={{ fontSize: '14px', color: styles.colors.sageGrove }}>
+                The PDF is made on our server and saved to your documents without encryption, like any unencrypted upload.
+              </p>
+
+              {error && <ErrorMessage message={error} />}
+
+              <div style={{ display: 'flex', gap: '12px', marginTop: '16px' }}>
+                <Button type="submit" disabled={isSaving}>
+                  {isSaving ? 'Creating...' : 'Create PDF'}
+                </Button>
+                {!templateId && (
+                  <Button variant="tertiary" onClick={() => {
+                    setTemplate(null);
+                    setSelectedId(null);
+                  }}>
+                    Other Templates
+                  </Button>
+                )}
+              </div>
+            </form>
+          )}
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+// Document Library
+// Thumbnails are made in the background; the library checks back this
+// often while any are pending, a limited number of times
+const THUMBNAIL_REFRESH_MS = 10000;
+const THUMBNAIL_MAX_REFRESHES = 12;
+
+const DocumentLibrary = () => {
+  const [documents, setDocuments] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [selectedCategory, setSelectedCategory] = useState(null);
+  const [historyDocument, setHistoryDocument] = useState(null);
+  const [shareDocument, setShareDocument] = useState(null);
+  const [isUploading, setIsUploading] = useState(false);
+  const [isCreating, setIsCreating] = useState(false);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchResults, setSearchResults] = useState(null); // null when not searching
+  const [searchError, setSearchError] = useState('');
+  const [layout, setLayout] = useState(localStorage.getItem('documentLayout') || 'grid');
+  const thumbnailRefreshes = useRef(0);
+
+  const fetchData = async () => {
+    try {
+      const [docsResponse, catsResponse] = await Promise.all([
+        apiClient.getDocuments(),
+        apiClient.getCategories()
+      ]);
+      setDocuments(docsResponse.documents || []);
+      setCategories(catsResponse.categories || []);
+    } catch (err) {
+      setError(err.message || 'Failed to load documents');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  // Search once the user pauses typing; a slower earlier search never
+  // overwrites a later one
+  useEffect(() => {
+    const query = searchQuery.trim();
+    setSearchError('');
+    if (!query) {
+      setSearchResults(null);
+      return undefined;
+    }
+    let isCurrent = true;
+    const timer = setTimeout(() => {
+      apiClient.searchDocuments(query)
+        .then(data => isCurrent && setSearchResults(data.results || []))
+        .catch(err => isCurrent && setSearchError(err.message || 'Search failed'));
+    }, 300);
+    return () => {
+      isCurrent = false;
+      clearTimeout(timer);
+    };
+  }, [searchQuery]);
+
+  useEffect(() => {
+    const isPending = documents.some(document => document.thumbnail_status === 'pending');
+    if (!isPending || thumbnailRefreshes.current >= THUMBNAIL_MAX_REFRESHES) return undefined;
+    const timer = setTimeout(() => {
+      thumbnailRefreshes.current += 1;
+      fetchData();
+    }, THUMBNAIL_REFRESH_MS);
+    return () => clearTimeout(timer);
+  }, [documents]);
+
+  const chooseLayout = (choice) => {
+    localStorage.setItem('documentLayout', choice);
+    setLayout(choice);
+  };
+
+  const listed = searchResults
+    ? searchResults.map(result => ({ document: result.document, match: result }))
+    : documents.map(document => ({ document, match: null }));
+  const filteredDocuments = selectedCategory
+    ? listed.filter(({ document }) => document.category_id === selectedCategory)
+    : listed;
+
+  if (isLoading) return <LoadingSpinner />;
+  if (error) return <ErrorMessage message={error} />;
+
+  const categoryButtonStyle = (isActive) => ({
+    padding: '8px 16px',
+    borderRadius: '20px',
+    fontSize: '18px',
+    fontFamily: styles.fonts.nunito,
+    border: 'none',
+    cursor: 'pointer',
+    backgroundColor: isActive ? styles.colors.deepForest : styles.colors.morningLight,
+    color: isActive ? styles.colors.pureWhite : styles.colors.deepForest,
+    marginRight: '12px',
+    marginBottom: '12px',
+    transition: 'all 0.3s ease'
+  });
+
+  return (
+    <div>
+      <div style={{ 
+        display: 'flex', 
+        justifyContent: 'space-between', 
+        alignItems: 'center',
+        marginBottom: '24px' 
+      }}>
+        <h2 style={{
+          fontSize: '32px',
+          fontFamily: styles.fonts.crimson,
+          color: styles.colors.ancientPine
+        }}>
+          Your Documents
+        </h2>
+        <div style={{ display: 'flex', gap: '12px' }}>
+          <Button variant="secondary" size="medium" onClick={() => setIsCreating(true)}>
+            Create from Template
+          </Button>
+          <Button variant="primary" size="medium" onClick={() => setIsUploading(true)}>
+            Upload Document
+          </Button>
+        </div>
+      </div>
+
+      <input
+        type="search"
+        value={searchQuery}
+        onChange={(e) => setSearchQuery(e.target.value)}
+        placeholder="Search titles, notes and the text of your files"
+        aria-label="Search documents"
+        style={{
+          width: '100%',
+          padding: '12px 16px',
+          fontSize: '18px',
+          border: `2px solid ${styles.colors.gentleBreeze}`,
+          borderRadius: '28px',
+          fontFamily: styles.fonts.nunito,
+          marginBottom: '16px'
+        }}
+      />
+      {searchError && <ErrorMessage message={searchError} />}
+
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: '24px' }}>
+        <div>
+          <button
+            onClick={() => setSelectedCategory(null)}
+            style={categoryButtonStyle(selectedCategory === null)}
+          >
+            All Documents
+          </button>
+          {categories.map(category => (
+            <button
+              key={category.id}
+              onClick={() => setSelectedCategory(category.id)}
+              style={categoryButtonStyle(selectedCategory === category.id)}
+            >
+              {category.name}
+            </button>
+          ))}
+        </div>
+        <div role="group" aria-label="Layout" style={{ display: 'flex', flexShrink: 0 }}>
+          {[['grid', '▦ Grid'], ['list', '☰ List']].map(([choice, label]) => (
+            <button
+              key={choice}
+              onClick={() => chooseLayout(choice)}
+              aria-pressed={layout === choice}
+              style={categoryButtonStyle(layout === choice)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {filteredDocuments.length === 0 ? (
+        <Card style={{ textAlign: 'center', padding: '48px' }}>
+          <p style={{ 
+            fontSize: '20px', 
+            color: styles.colors.sageGrove, 
+            marginBottom: '16px' 
+          }}>
+            {searchResults ? `Nothing matches "${searchQuery.trim()}"` : 'No documents found'}
+          </p>
+          {!searchResults && (
+            <Button variant="primary" onClick={() => setIsUploading(true)}>Upload Your First Document</Button>
+          )}
+        </Card>
+      ) : (
+        <div style={layout === 'list' ? {
+          display: 'flex',
+          flexDirection: 'column',
+          gap: '12px'
+        } : {
+          display: 'grid',
+          gridTemplateColumns: 'repeat(auto-fill, minmax(320px, 1fr))',
+          gap: '24px'
+        }}>
+          {filteredDocuments.map(({ document, match }) => (
+            <DocumentCard
+              key={document.id}
+              document={document}
+              match={match}
+              layout={layout}
+              onShowHistory={setHistoryDocument}
+              onShare={setShareDocument}
+            />
+          ))}
+        </div>
+      )}
+
+      {historyDocument && (
+        <VersionHistoryDrawer
+          document={historyDocument}
+          onClose={() => setHistoryDocument(null)}
+          onChanged={fetchData}
+        />
+      )}
+
+      {shareDocument && (
+        <ShareDialog document={shareDocument} onClose={() => setShareDocument(null)} />
+      )}
+
+      {isUploading && (
+        <UploadDialog
+          categories={categories}
+          onClose={() => setIsUploading(false)}
+          onUploaded={() => {
+            setIsUploading(false);
+            fetchData();
+          }}
+        />
+      )}
+
+      {isCreating && (
+        <TemplateDialog
+          onClose={() => setIsCreating(false)}
+          onCreated={() => {
+            setIsCreating(false);
+            fetchData();
+          }}
+        />
+      )}
+    </div>
+  );
+};
+
+// Shared With Me
+const SharedWithMe = () => {
+  const [documents, setDocuments] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    apiClient.getSharedWithMe()
+      .then(data => setDocuments(data.documents || []))
+      .catch(err => setError(err.message || 'Failed to load shared documents'))
+      .finally(() => setIsLoading(false));
+  }, []);
+
+  if (isLoading) return <LoadingSpinner />;
+  if (error) return <ErrorMessage message={error} />;
+
+  return (
+    <div>
+      <h2 style={{
+        fontSize: '32px',
+        fontFamily: styles.fonts.crimson,
+        color: styles.colors.ancientPine,
+        marginBottom: '24px'
+      }}>
+        Shared With Me
+      </h2>
+
+      {documents.length === 0 ? (
+        <Card style={{ textAlign: 'center', padding: '48px' }}>
+          <p style={{ fontSize: '20px', color: styles.colors.sageGrove }}>
+            When someone shares a document with you, it will appear here
+          </p>
+        </Card>
+      ) : (
+        <div style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(auto-fill, minmax(320px, 1fr))',
+          gap: '24px'
+        }}>
+          {documents.map(document => (
+            <DocumentCard key={document.id} document={document} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// ==================== CONTACT COMPONENTS ====================
+
+const emptyContact = {
+  name: '',
+  email: '',
+  phone: '',
+  relationship: '',
+  notes: '',
+  emergencyContact: false,
+  emergencyAccessType: 'download',
+  canAccessAll: false
+};
+
+// Contact Form (add and edit)
+const ContactForm = ({ contact, onSaved, onCancel }) => {
+  const [formData, setFormData] = useState(contact ? {
+    name: contact.contact_name,
+    email: contact.contact_email,
+    phone: contact.contact_phone || '',
+    relationship: contact.relationship || '',
+    notes: contact.notes || '',
+    emergencyContact: Boolean(contact.emergency_contact),
+    emergencyAccessType: contact.emergency_access_type || 'download',
+    canAccessAll: Boolean(contact.can_access_all)
+  } : emptyContact);
+  const [error, setError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setIsSaving(true);
+    try {
+      if (contact) {
+        await apiClient.updateTrustedContact(contact.id, formData);
+      } else {
+        await apiClient.createTrustedContact(formData);
+      }
+      onSaved();
+    } catch (err) {
+      setError(err.message || 'Could not save contact. Please try again.');
+      setIsSaving(false);
+    }
+  };
+
+  const inputStyle = {
+    width: '100%',
+    padding: '12px 16px',
+    fontSize: '18px',
+    border: `2px solid ${styles.colors.gentleBreeze}`,
+    borderRadius: '12px',
+    fontFamily: styles.fonts.nunito,
+    marginTop: '8px'
+  };
+
+  const labelStyle = {
+    display: 'block',
+    color: styles.colors.deepForest,
+    fontSize: '18px',
+    fontFamily: styles.fonts.nunito,
+    marginBottom: '8px'
+  };
+
+  const field = (name, label, type = 'text', placeholder = '') => (
+    <div style={{ marginBottom: '20px' }}>
+      <label style={labelStyle}>{label}</label>
+      <input
+        type={type}
+        value={formData[name]}
+        onChange={(e) => setFormData({ ...formData, [name]: e.target.value })}
+        style={inputStyle}
+        placeholder={placeholder}
+        required={name === 'name' || name === 'email'}
+      />
+    </div>
+  );
+
+  const checkbox = (name, label) => (
+    <label style={{ ...labelStyle, display: 'flex', alignItems: 'center', gap: '12px', cursor: 'pointer' }}>
+      <input
+        type="checkbox"
+        checked={formData[name]}
+        onChange={(e) => setFormData({ ...formData, [name]: e.target.checked })}
+        style={{ width: '24px', height: '24px' }}
+      />
+      {label}
+    </label>
+  );
+
+  return (
+    <Card style={{ marginBottom: '24px' }}>
+      <h3 style={{
+        fontSize: '24px',
+        fontFamily: styles.fonts.crimson,
+        color: styles.colors.ancientPine,
+        marginBottom: '16px'
+      }}>
+        {contact ? `Edit ${contact.contact_name}` : 'Add a Trusted Contact'}
+      </h3>
+
+      <form onSubmit={handleSubmit}>
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(260px, 1fr))', gap: '0 24px' }}>
+          {field('name', 'Full Name', 'text', 'Sarah Johnson')}
+          {field('email', 'Email Address', 'email', 'sarah@example.com')}
+          {field('phone', 'Phone', 'tel', '(555) 123-4567')}
+          {field('relationship', 'Relationship', 'text', 'Daughter, executor, friend...')}
+        </div>
+
+        <div style={{ marginBottom: '20px' }}>
+          <label style={labelStyle}>Notes</label>
+          <textarea
+            value={formData.notes}
+            onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+            style={inputStyle}
+            rows={3}
+          />
+        </div>
+
+        {checkbox('emergencyContact', 'Emergency contact')}
+        {formData.emergencyContact && (
+          <div style={{ marginBottom: '20px' }}>
+            <label style={labelStyle}>If they ask for emergency access and you don't answer in time</label>
+            <select
+              value={formData.emergencyAccessType}
+              onChange={(e) => setFormData({ ...formData, emergencyAccessType: e.target.value })}
+              style={inputStyle}
+            >
+              <option value="download">They can view and download my documents</option>
+              <option value="view">They can view my documents</option>
+            </select>
+          </div>
+        )}
+        {checkbox('canAccessAll', 'Can access all of my documents')}
+
+        {error && <ErrorMessage message={error} />}
+
+        <div style={{ display: 'flex', gap: '12px', marginTop: '16px' }}>
+          <Button type="submit" disabled={isSaving || !formData.name || !formData.email}>
+            {isSaving ? 'Saving...' : (contact ? 'Save Changes' : 'Add and Send Invitation')}
+          </Button>
+          <Button variant="tertiary" onClick={onCancel}>Cancel</Button>
+        </div>
+      </form>
+    </Card>
+  );
+};
+
+// Contact Card
+const ContactCard = ({ contact, onEdit, onChanged }) => {
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const handleInvite = async () => {
+    setError('');
+    try {
+      const response = await apiClient.inviteTrustedContact(contact.id);
+      setMessage(response.message);
+      onChanged();
+    } catch (err) {
+      setError(err.message || 'Could not send invitation');
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Remove ${contact.contact_name} from your trusted contacts?`)) return;
+    try {
+      await apiClient.deleteTrustedContact(contact.id);
+      onChanged();
+    } catch (err) {
+      setError(err.message || 'Could not remove contact');
+    }
+  };
+
+  let status = { label: 'Not invited', color: styles.colors.weatheredOak };
+  if (contact.invitation_accepted_at) {
+    status = { label: 'Joined', color: styles.colors.deepForest };
+  } else if (contact.invitation_sent_at) {
+    status = { label: `Invited ${formatDate(contact.invitation_sent_at)}`, color: styles.colors.calmWaters };
+  }
+
+  return (
+    <Card>
+      <div style={{ marginBottom: '12px' }}>
+        <span style={{
+          backgroundColor: status.color,
+          color: styles.colors.pureWhite,
+          padding: '4px 12px',
+          borderRadius: '20px',
+          fontSize: '14px',
+          fontWeight: 500
+        }}>
+          {status.label}
+        </span>
+        {Boolean(contact.emergency_contact) && (
+          <span style={{ float: 'right', color: styles.colors.warmEarth, fontSize: '14px' }}>
+            Emergency contact
+          </span>
+        )}
+      </div>
+
+      <h3 style={{
+        fontSize: '20px',
+        fontFamily: styles.fonts.crimson,
+        color: styles.colors.ancientPine,
+        marginBottom: '8px'
+      }}>
+        {contact.contact_name}
+      </h3>
+
+      <div style={{ color: styles.colors.sageGrove, marginBottom: '16px', fontSize: '14px' }}>
+        {contact.relationship && <p style={{ marginBottom: '4px', textTransform: 'capitalize' }}>{contact.relationship}</p>}
+        <p style={{ marginBottom: '4px' }}>{contact.contact_email}</p>
+        {contact.contact_phone && <p style={{ marginBottom: '4px' }}>{contact.contact_phone}</p>}
+        {Boolean(contact.can_access_all) && <p>Can access all documents</p>}
+      </div>
+
+      <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap' }}>
+        <Button variant="primary" size="small" onClick={() => onEdit(contact)}>Edit</Button>
+        {!contact.invitation_accepted_at && (
+          <Button variant="secondary" size="small" onClick={handleInvite}>
+            {contact.invitation_sent_at ? 'Resend Invite' : 'Send Invite'}
+          </Button>
+        )}
+        <Button variant="tertiary" size="small" onClick={handleDelete}>Remove</Button>
+      </div>
+
+      {message && <p style={{ color: styles.colors.deepForest, marginTop: '12px' }}>{message}</p>}
+      {error && <ErrorMessage message={error} />}
+    </Card>
+  );
+};
+
+// Trusted Contacts
+const TrustedContacts = () => {
+  const [contacts, setContacts] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [editing, setEditing] = useState(null); // null, 'new' or a contact
+
+  const fetchContacts = async () => {
+    try {
+      const response = await apiClient.getTrustedContacts();
+      setContacts(response.contacts || []);
+    } catch (err) {
+      setError(err.message || 'Failed to load contacts');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchContacts();
+  }, []);
+
+  if (isLoading) return <LoadingSpinner />;
+
+  return (
+    <div>
+      <div style={{ 
+        display: 'flex', 
+        justifyContent: 'space-between', 
+        alignItems: 'center',
+        marginBottom: '24px' 
+      }}>
+        <h2 style={{
+          fontSize: '32px',
+          fontFamily: styles.fonts.crimson,
+          color: styles.colors.ancientPine
+        }}>
+          Trusted Contacts
+        </h2>
+        {!editing && (
+          <Button variant="primary" size="medium" onClick={() => setEditing('new')}>
+            Add Contact
+          </Button>
+        )}
+      </div>
+
+      {error && <ErrorMessage message={error} />}
+
+      {editing && (
+        <ContactForm
+          key={editing === 'new' ? 'new' : editing.id}
+          contact={editing === 'new' ? null : editing}
+          onSaved={() => {
+            setEditing(null);
+            fetchContacts();
+          }}
+          onCancel={() => setEditing(null)}
+        />
+      )}
+
+      {contacts.length === 0 && !editing ? (
+        <Card style={{ textAlign: 'center', padding: '48px' }}>
+          <p style={{ 
+            fontSize: '20px', 
+            color: styles.colors.sageGrove, 
+            marginBottom: '16px' 
+          }}>
+            Add the people you trust to help when it matters most
+          </p>
+          <Button variant="primary" onClick={() => setEditing('new')}>Add Your First Contact</Button>
+        </Card>
+      ) : (
+        <div style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(auto-fill, minmax(320px, 1fr))',
+          gap: '24px'
+        }}>
+          {contacts.map(contact => (
+            <ContactCard key={contact.id} contact={contact} onEdit={setEditing} onChanged={fetchContacts} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// ==================== EMERGENCY ACCESS COMPONENTS ====================
+
+const emergencyStatusColors = {
+  pending: styles.colors.warmEarth,
+  approved: styles.colors.deepForest,
+  denied: styles.colors.weatheredOak,
+  expired: styles.colors.sageGrove
+};
+
+// Status badge shared by both sides of an emergency request
+const EmergencyStatus = ({ request }) => (
+  <span style={{
+    backgroundColor: emergencyStatusColors[request.status] || styles.colors.sageGrove,
+    color: styles.colors.pureWhite,
+    padding: '4px 12px',
+    borderRadius: '20px',
+    fontSize: '14px',
+    fontWeight: 500,
+    textTransform: 'capitalize'
+  }}>
+    {request.status === 'approved' && request.approval_type === 'auto' ? 'Approved automatically' : request.status}
+  </span>
+);
+
+// A request someone made for access to my documents
+const IncomingEmergencyRequest = ({ request, onChanged }) => {
+  const [accessType, setAccessType] = useState('view');
+  const [error, setError] = useState('');
+
+  const handleApprove = async () => {
+    setError('');
+    try {
+      await apiClient.approveEmergencyRequest(request.id, accessType);
+      onChanged();
+    } catch (err) {
+      setError(err.message || 'Could not approve request');
+    }
+  };
+
+  const handleDeny = async () => {
+    const reason = window.prompt(
+      request.status === 'approved'
+        ? `End ${request.requested_by_name}'s emergency access? You can give a reason:`
+        : `Deny ${request.requested_by_name}'s request? You can give a reason:`
+    );
+    if (reason === null) return;
+    setError('');
+    try {
+      await apiClient.denyEmergencyRequest(request.id, reason);
+      onChanged();
+    } catch (err) {
+      setError(err.message || 'Could not deny request');
+    }
+  };
+
+  return (
+    <Card style={{ marginBottom: '16px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px' }}>
+        <h3 style={{ fontSize: '20px', fontFamily: styles.fonts.crimson, color: styles.colors.ancientPine }}>
+          {request.requested_by_name}
+        </h3>
+        <EmergencyStatus request={request} />
+      </div>
+
+      <div style={{ color: styles.colors.sageGrove, fontSize: '14px', marginBottom: '12px' }}>
+        <p style={{ marginBottom: '4px', textTransform: 'capitalize' }}>
+          {request.emergency_type} emergency · requested {formatDate(request.requested_at)}
+        </p>
+        <p style={{ marginBottom: '4px', fontStyle: 'italic' }}>"{request.request_reason}"</p>
+        {request.status === 'pending' && (
+          <p style={{ color: styles.colors.warmEarth }}>
+            Approves automatically on {formatDate(request.auto_approve_at)} unless you respond
+          </p>
+        )}
+        {request.status === 'approved' && <p>Access until {formatDate(request.expires_at)}</p>}
+        {request.denial_reason && <p>Reason: {request.denial_reason}</p>}
+      </div>
+
+      {request.status === 'pending' && (
+        <div style={{ display: 'flex', gap: '12px', alignItems: 'center', flexWrap: 'wrap' }}>
+          <select
+            value={accessType}
+            onChange={(e) => setAccessType(e.target.value)}
+            style={{
+              padding: '8px 12px',
+              fontSize: '16px',
+              border: `2px solid ${styles.colors.gentleBreeze}`,
+              borderRadius: '12px',
+              fontFamily: styles.fonts.nunito
+            }}
+          >
+            <option value="view">Can view</option>
+            <option value="download">Can view and download</option>
+          </select>
+          <Button variant="primary" size="small" onClick={handleApprove}>Approve</Button>
+          <Button variant="tertiary" size="small" onClick={handleDeny}>Deny</Button>
+        </div>
+      )}
+      {request.status === 'approved' && (
+        <Button variant="tertiary" size="small" onClick={handleDeny}>End Access</Button>
+      )}
+
+      {error && <ErrorMessage message={error} />}
+    </Card>
+  );
+};
+
+// A request I made; shows the released documents once approved
+const OutgoingEmergencyRequest = ({ request }) => {
+  const [documents, setDocuments] = useState([]);
+
+  useEffect(() => {
+    if (request.status !== 'approved') return;
+    apiClient.getEmergencyRequest(request.id)
+      .then(data => setDocuments(data.documents || []))
+      .catch(() => setDocuments([]));
+  }, [request.id, request.status]);
+
+  return (
+    <Card style={{ marginBottom: '16px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px' }}>
+        <h3 style={{ fontSize: '20px', fontFamily: styles.fonts.crimson, color: styles.colors.ancientPine }}>
+          {request.owner_name}
+        </h3>
+        <EmergencyStatus request={request} />
+      </div>
+
+      <div style={{ color: styles.colors.sageGrove, fontSize: '14px', marginBottom: '12px' }}>
+        <p style={{ marginBottom: '4px', textTransform: 'capitalize' }}>
+          {request.emergency_type} emergency · requested {formatDate(request.requested_at)}
+        </p>
+        {request.status === 'pending' && (
+          <p>Waiting for a response. If there is none, access opens on {formatDate(request.auto_approve_at)}</p>
+        )}
+        {request.status === 'approved' && <p>You have access until {formatDate(request.expires_at)}</p>}
+        {request.denial_reason && <p>Reason: {request.denial_reason}</p>}
+      </div>
+
+      {documents.length > 0 && (
+        <div style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(auto-fill, minmax(280px, 1fr))',
+          gap: '16px'
+        }}>
+          {documents.map(document => (
+            <DocumentCard key={document.id} document={document} />
+          ))}
+        </div>
+      )}
+    </Card>
+  );
+};
+
+// Emergency Access
+const EmergencyAccess = () => {
+  const { user } = useAuth();
+  const [incoming, setIncoming] = useState([]);
+  const [outgoing, setOutgoing] = useState([]);
+  const [owners, setOwners] = useState([]);
+  const [waitingPeriod, setWaitingPeriod] = useState(
+    user && user.emergency_waiting_period_hours ? String(user.emergency_waiting_period_hours) : ''
+  );
+  const [formData, setFormData] = useState({ trustedContactId: '', emergencyType: 'medical', reason: '' });
+  const [isLoading, setIsLoading] = useState(true);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const fetchData = async () => {
+    try {
+      const [requestsResponse, contactsResponse] = await Promise.all([
+        apiClient.getEmergencyRequests(),
+        apiClient.getEmergencyContacts()
+      ]);
+      setIncoming(requestsResponse.incoming || []);
+      setOutgoing(requestsResponse.outgoing || []);
+      setOwners(contactsResponse.contacts || []);
+    } catch (err) {
+      setError(err.message || 'Failed to load emergency access');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  const handleSaveWaitingPeriod = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      const response = await apiClient.updateEmergencySettings(waitingPeriod ? parseInt(waitingPeriod, 10) : null);
+      setMessage(`Requests will approve automatically after ${response.waitingPeriodHours} hours without a response`);
+    } catch (err) {
+      setError(err.message || 'Could not save waiting period');
+    }
+  };
+
+  const handleRequest = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      await apiClient.createEmergencyRequest(
+        parseInt(formData.trustedContactId, 10),
+        formData.reason,
+        formData.emergencyType
+      );
+      setFormData({ trustedContactId: '', emergencyType: 'medical', reason: '' });
+      setMessage('Your request has been sent');
+      await fetchData();
+    } catch (err) {
+      setError(err.message || 'Could not send request');
+    }
+  };
+
+  const inputStyle = {
+    width: '100%',
+    padding: '12px 16px',
+    fontSize: '16px',
+    border: `2px solid ${styles.colors.gentleBreeze}`,
+    borderRadius: '12px',
+    fontFamily: styles.fonts.nunito,
+    marginBottom: '12px'
+  };
+
+  const sectionTitle = {
+    fontSize: '24px',
+    fontFamily: styles.fonts.crimson,
+    color: styles.colors.ancientPine,
+    marginBottom: '16px'
+  };
+
+  if (isLoading) return <LoadingSpinner />;
+
+  return (
+    <div>
+      <h2 style={{
+        fontSize: '32px',
+        fontFamily: styles.fonts.crimson,
+        color: styles.colors.ancientPine,
+        marginBottom: '24px'
+      }}>
+        Emergency Access
+      </h2>
+
+      {error && <ErrorMessage message={error} />}
+      {message && <p style={{ color: styles.colors.deepForest, marginBottom: '16px' }}>{message}</p>}
+
+      <section style={{ marginBottom: '40px' }}>
+        <h3 style={sectionTitle}>Requests for My Documents</h3>
+        {incoming.length === 0 ? (
+          <Card style={{ marginBottom: '16px' }}>
+            <p style={{ color: styles.colors.sageGrove }}>
+              No one has requested emergency access to your documents
+            </p>
+          </Card>
+        ) : (
+          incoming.map(request => (
+            <IncomingEmergencyRequest key={request.id} request={request} onChanged={fetchData} />
+          ))
+        )}
+
+        <Card>
+          <form onSubmit={handleSaveWaitingPeriod} style={{ display: 'flex', gap: '12px', alignItems: 'center', flexWrap: 'wrap' }}>
+            <label style={{ color: styles.colors.deepForest, fontSize: '16px' }}>
+              Approve automatically if I don't respond within
+            </label>
+            <input
+              type="number"
+              min="1"
+              max="720"
+              value={waitingPeriod}
+              onChange={(e) => setWaitingPeriod(e.target.value)}
+              placeholder="72"
+              style={{ ...inputStyle, width: '100px', marginBottom: 0 }}
+            />
+            <span style={{ color: styles.colors.deepForest }}>hours</span>
+            <Button type="submit" variant="secondary" size="small">Save</Button>
+          </form>
+        </Card>
+      </section>
+
+      <section>
+        <h3 style={sectionTitle}>People Who Trust Me</h3>
+        {owners.length === 0 ? (
+          <Card style={{ marginBottom: '16px' }}>
+            <p style={{ color: styles.colors.sageGrove }}>
+              When someone names you as an emergency contact, you can request access to their documents here
+            </p>
+          </Card>
+        ) : (
+          <Card style={{ marginBottom: '16px' }}>
+            <form onSubmit={handleRequest}>
+              <select
+                value={formData.trustedContactId}
+                onChange={(e) => setFormData({ ...formData, trustedContactId: e.target.value })}
+                style={inputStyle}
+                required
+              >
+                <option value="">Whose documents do you need?</option>
+                {owners.map(owner => (
+                  <option key={owner.trusted_contact_id} value={owner.trusted_contact_id}>
+                    {owner.owner_name}{owner.relationship ? ` (${owner.relationship})` : ''}
+                  </option>
+                ))}
+              </select>
+              <select
+                value={formData.emergencyType}
+                onChange={(e) => setFormData({ ...formData, emergencyType: e.target.value })}
+                style={inputStyle}
+              >
+                <option value="medical">Medical emergency</option>
+                <option value="financial">Financial emergency</option>
+                <option value="general">Other emergency</option>
+              </select>
+              <textarea
+                value={formData.reason}
+                onChange={(e) => setFormData({ ...formData, reason: e.target.value })}
+                placeholder="What has happened?"
+                style={inputStyle}
+                rows={3}
+                required
+              />
+              <Button type="submit" disabled={!formData.trustedContactId || !formData.reason.trim()}>
+                Request Emergency Access
+              </Button>
+            </form>
+          </Card>
+        )}
+
+        {outgoing.map(request => (
+          <OutgoingEmergencyRequest key={request.id} request={request} />
+        ))}
+      </section>
+    </div>
+  );
+};
+
+// ==================== PLANNING COMPONENTS ====================
+
+const planningStatusLabels = {
+  not_started: { label: 'Not started', color: styles.colors.weatheredOak },
+  in_progress: { label: 'In progress', color: styles.colors.calmWaters },
+  complete: { label: 'Complete', color: styles.colors.deepForest }
+};
+
+const PlanningProgressBar = ({ completed, total }) => (
+  <div style={{ margin: '12px 0' }}>
+    <div style={{ height: '8px', borderRadius: '4px', backgroundColor: styles.colors.gentleBreeze }}>
+      <div style={{
+        width: `${total ? Math.round((completed / total) * 100) : 0}%`,
+        height: '100%',
+        borderRadius: '4px',
+        backgroundColor: styles.colors.deepForest
+      }} />
+    </div>
+    <p style={{ fontSize: '14px', color: styles.colors.sageGrove, marginTop: '4px' }}>
+      {completed} of {total} steps done
+    </p>
+  </div>
+);
+
+// One checklist step; questions are answered by picking an option, tasks
+// are marked done, and document steps pick up matching library documents
+// or can be filled in from a template
+const PlanningStep = ({ step, documents, template, isSaving, onUpdate, onUseTemplate }) => {
+  const isDone = step.status !== 'pending';
+  const matching = documents.filter(document => document.document_type === step.documentType);
+
+  return (
+    <div style={{
+      borderTop: `1px solid ${styles.colors.gentleBreeze}`,
+      padding: '16px 0',
+      display: 'flex',
+      gap: '16px'
+    }}>
+      <span style={{ fontSize: '24px', lineHeight: '32px' }}>
+        {step.status === 'complete' ? '✅' : step.status === 'skipped' ? '⏭️' : '⬜'}
+      </span>
+      <div style={{ flex: 1 }}>
+        <p style={{
+          fontSize: '18px',
+          fontWeight: 600,
+          color: isDone ? styles.colors.sageGrove : styles.colors.ancientPine,
+          marginBottom: '4px'
+        }}>
+          {step.title}
+        </p>
+        {step.description && (
+          <p style={{ fontSize: '16px', color: styles.colors.sageGrove, marginBottom: '8px' }}>{step.description}</p>
+        )}
+
+        {step.type === 'question' && step.status !== 'skipped' && (
+          <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', marginBottom: '8px' }}>
+            {step.options.map(option => (
+              <Button
+                key={option.value}
+                size="small"
+                variant={step.answer === option.value ? 'primary' : 'tertiary'}
+                disabled={isSaving}
+                onClick={() => onUpdate(step, { status: 'complete', answer: option.value })}
+              >
+                {option.label}
+              </Button>
+            ))}
+          </div>
+        )}
+
+        {step.type === 'document' && step.status !== 'skipped' && (
+          step.document ? (
+            <div style={{ marginBottom: '8px' }}>
+              <p style={{ fontSize: '16px', color: styles.colors.deepForest, marginBottom: '8px' }}>
+                📄 {step.document.title}
+              </p>
+              {matching.length > 1 && (
+                <select
+                  value={step.document.id}
+                  disabled={isSaving}
+                  onChange={(e) => onUpdate(step, { status: 'complete', documentId: parseInt(e.target.value, 10) })}
+                  style={{
+                    padding: '8px 12px',
+                    fontSize: '16px',
+                    border: `2px solid ${styles.colors.gentleBreeze}`,
+                    borderRadius: '12px',
+                    fontFamily: styles.fonts.nunito
+                  }}
+                >
+                  {matching.map(document => (
+                    <option key={document.id} value={document.id}>{document.title}</option>
+                  ))}
+                </select>
+              )}
+            </div>
+          ) : (
+            <div style={{ marginBottom: '8px' }}>
+              <p style={{ fontSize: '16px', color: styles.colors.warmEarth, marginBottom: '8px' }}>
+                Upload a document of type "{documentTypeLabels[step.documentType] || step.documentType}" in
+                Documents and it will be linked here.
+              </p>
+              {template && (
+                <Button variant="secondary" size="small" disabled={isSaving} onClick={() => onUseTemplate(template)}>
+                  Fill In Our {template.title} Template
+                </Button>
+              )}
+            </div>
+          )
+        )}
+
+        <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+          {step.type === 'task' && step.status === 'pending' && (
+            <Button size="small" disabled={isSaving} onClick={() => onUpdate(step, { status: 'complete' })}>
+              Mark Done
+            </Button>
+          )}
+          {step.status === 'pending' && (
+            <Button variant="tertiary" size="small" disabled={isSaving} onClick={() => onUpdate(step, { status: 'skipped' })}>
+              Skip
+            </Button>
+          )}
+          {(step.status === 'skipped' || (step.status === 'complete' && step.type === 'task')) && (
+            <Button variant="tertiary" size="small" disabled={isSaving} onClick={() => onUpdate(step, { status: 'pending' })}>
+              Undo
+            </Button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// A single checklist, worked through step by step
+const PlanningWorkflow = ({ workflowId, onBack }) => {
+  const [workflow, setWorkflow] = useState(null);
+  const [documents, setDocuments] = useState([]);
+  const [templates, setTemplates] = useState([]);
+  const [fillingIn, setFillingIn] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchWorkflow = useCallback(() => {
+    apiClient.getPlanningWorkflow(workflowId)
+      .then(data => setWorkflow(data.workflow))
+      .catch(err => setError(err.message || 'Failed to load this checklist'));
+    apiClient.getDocuments()
+      .then(data => setDocuments(data.documents || []))
+      .catch(() => {});
+  }, [workflowId]);
+
+  useEffect(() => {
+    fetchWorkflow();
+  }, [fetchWorkflow]);
+
+  useEffect(() => {
+    apiClient.getTemplates()
+      .then(data => setTemplates(data.templates || []))
+      .catch(() => {});
+  }, []);
+
+  const handleUpdate = async (step, update) => {
+    setError('');
+    setIsSaving(true);
+    try {
+      const data = await apiClient.updatePlanningStep(workflowId, step.id, update);
+      setWorkflow(data.workflow);
+    } catch (err) {
+      setError(err.message || 'Could not save your progress');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!workflow) return error ? <ErrorMessage message={error} /> : <LoadingSpinner />;
+
+  return (
+    <div>
+      <div style={{ marginBottom: '24px' }}>
+        <Button variant="tertiary" size="small" onClick={onBack}>← All Checklists</Button>
+      </div>
+      <Card>
+        <h2 style={{
+          fontSize: '32px',
+          fontFamily: styles.fonts.crimson,
+          color: styles.colors.ancientPine,
+          marginBottom: '8px'
+        }}>
+          {workflow.title}
+        </h2>
+        <p style={{ fontSize: '18px', color: styles.colors.sageGrove }}>{workflow.description}</p>
+        <PlanningProgressBar completed={workflow.completedSteps} total={workflow.totalSteps} />
+
+        {error && <ErrorMessage message={error} />}
+
+        {workflow.steps.map(step => (
+          <PlanningStep
+            key={step.id}
+            step={step}
+            documents={documents}
+            template={step.type === 'document' && templates.find(template => template.documentType === step.documentType)}
+            isSaving={isSaving}
+            onUpdate={handleUpdate}
+            onUseTemplate={setFillingIn}
+          />
+        ))}
+      </Card>
+
+      {fillingIn && (
+        <TemplateDialog
+          templateId={fillingIn.id}
+          onClose={() => setFillingIn(null)}
+          onCreated={() => {
+            setFillingIn(null);
+            fetchWorkflow();
+          }}
+        />
+      )}
+    </div>
+  );
+};
+
+// The Planning tab: every checklist with how far along it is
+const PlanningWorkflows = () => {
+  const [workflows, setWorkflows] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchWorkflows = async () => {
+    try {
+      const data = await apiClient.getPlanningWorkflows();
+      setWorkflows(data.workflows || []);
+    } catch (err) {
+      setError(err.message || 'Failed to load planning checklists');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchWorkflows();
+  }, []);
+
+  if (selected) {
+    return (
+      <PlanningWorkflow
+        workflowId={selected}
+        onBack={() => {
+          setSelected(null);
+          fetchWorkflows();
+        }}
+      />
+    );
+  }
+
+  if (isLoading) return <LoadingSpinner />;
+
+  return (
+    <div>
+      <h2 style={{
+        fontSize: '32px',
+        fontFamily: styles.fonts.crimson,
+        color: styles.colors.ancientPine,
+        marginBottom: '8px'
+      }}>
+        Planning
+      </h2>
+      <p style={{ fontSize: '20px', color: styles.colors.sageGrove, marginBottom: '24px' }}>
+        Guided checklists for the decisions your family will need to know about
+      </p>
+
+      {error && <ErrorMessage message={error} />}
+
+      <div style={{
+        display: 'grid',
+        gridTemplateColumns: 'repeat(auto-fill, minmax(320px, 1fr))',
+        gap: '24px'
+      }}>
+        {workflows.map(workflow => {
+          const status = planningStatusLabels[workflow.status];
+          return (
+            <Card key={workflow.id}>
+              <span style={{
+                backgroundColor: status.color,
+                color: styles.colors.pureWhite,
+                padding: '4px 12px',
+                borderRadius: '20px',
+                fontSize: '14px',
+                fontWeight: 500
+              }}>
+                {status.label}
+              </span>
+              <h3 style={{
+                fontSize: '22px',
+                fontFamily: styles.fonts.crimson,
+                color: styles.colors.ancientPine,
+                margin: '12px 0 8px'
+              }}>
+                {workflow.title}
+              </h3>
+              <p style={{ fontSize: '16px', color: styles.colors.sageGrove }}>{workflow.description}</p>
+              <PlanningProgressBar completed={workflow.completedSteps} total={workflow.totalSteps} />
+              <Button
+                variant={workflow.status === 'complete' ? 'tertiary' : 'primary'}
+                size="small"
+                onClick={() => setSelected(workflow.id)}
+              >
+                {{ not_started: 'Start', in_progress: 'Continue', complete: 'Review' }[workflow.status]}
+              </Button>
+            </Card>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+// ==================== ACTIVITY COMPONENTS ====================
+
+// How each audit action reads in the timeline: "<who> <verb> <what>"
+const auditActions = {
+  uploaded: { icon: '📄', verb: 'uploaded' },
+  generated: { icon: '📝', verb: 'filled in a template to create' },
+  version_uploaded: { icon: '🔁', verb: 'uploaded a new version of' },
+  version_restored: { icon: '⏪', verb: 'restored an earlier version of' },
+  viewed: { icon: '👁️', verb: 'viewed' },
+  downloaded: { icon: '⬇️', verb: 'downloaded' },
+  key_accessed: { icon: '🔑', verb: 'unlocked' },
+  key_granted: { icon: '🔑', verb: 'gave a contact the key to' },
+  shared: { icon: '🤝', verb: 'shared' },
+  share_updated: { icon: '🤝', verb: 'changed sharing of' },
+  share_revoked: { icon: '🚫', verb: 'stopped sharing' },
+  contact_added: { icon: '👤', verb: 'added a trusted contact' },
+  contact_updated: { icon: '✏️', verb: 'updated a trusted contact' },
+  contact_removed: { icon: '👋', verb: 'removed a trusted contact' },
+  contact_invited: { icon: '✉️', verb: 'sent an invitation to' },
+  invitation_accepted: { icon: '✅', verb: 'accepted your invitation' },
+  emergency_requested: { icon: '🚨', verb: 'requested emergency access' },
+  emergency_approved: { icon: '✅', verb: 'approved emergency access' },
+  emergency_denied: { icon: '⛔', verb: 'denied emergency access' },
+  emergency_auto_approved: { icon: '⏰', verb: 'approved emergency access after the waiting period' },
+  emergency_expired: { icon: '⌛', verb: 'ended emergency access when it expired' },
+  audit_exported: { icon: '🧾', verb: 'exported the access history' }
+};
+
+// Audit times are UTC "YYYY-MM-DD HH:MM:SS"; show them in local time
+const formatAuditTime = (timestamp) => new Date(`${timestamp.replace(' ', 'T')}Z`).toLocaleString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
+const AuditEntry = ({ entry, currentUserId }) => {
+  const action = auditActions[entry.action] || { icon: '•', verb: entry.action.replace(/_/g, ' ') };
+  const details = entry.details || {};
+
+  let who = entry.accessed_by_name || entry.accessed_by_email || 'Aerial Nest';
+  if (entry.accessed_by_user_id === currentUserId) who = 'You';
+
+  let what = '';
+  if (entry.document_id) {
+    what = entry.document_title || 'a document that no longer exists';
+    if (details.contactName) what += ` with ${details.contactName}`;
+  } else if (details.contactName) {
+    what = `(${details.contactName})`;
+  }
+
+  return (
+    <div style={{
+      display: 'flex',
+      gap: '16px',
+      padding: '16px 0',
+      borderBottom: `1px solid ${styles.colors.gentleBreeze}`
+    }}>
+      <span style={{ fontSize: '24px', width: '32px', textAlign: 'center' }}>{action.icon}</span>
+      <div style={{ flex: 1 }}>
+        <p style={{ fontSize: '18px', color: styles.colors.deepForest, margin: 0 }}>
+          <strong>{who}</strong> {action.verb} {what && <strong>{what}</strong>}
+          {entry.access_context === 'emergency' && entry.document_id && (
+            <span style={{ color: styles.colors.warmEarth }}> during emergency access</span>
+          )}
+        </p>
+        {details.reason && (
+          <p style={{ fontSize: '16px', color: styles.colors.sageGrove, margin: '4px 0 0' }}>
+            Reason: {details.reason}
+          </p>
+        )}
+        <p style={{ fontSize: '14px', color: styles.colors.riverStone, margin: '4px 0 0' }}>
+          {formatAuditTime(entry.created_at)}
+          {entry.ip_address && ` · from ${entry.ip_address}`}
+          {entry.accessed_by_email && entry.accessed_by_user_id !== currentUserId && ` · ${entry.accessed_by_email}`}
+        </p>
+      </div>
+    </div>
+  );
+};
+
+// CSV and signed PDF downloads of the access history matching `filters`
+const AuditExportButtons = ({ filters = {} }) => {
+  const [exporting, setExporting] = useState(null);
+  const [error, setError] = useState('');
+
+  const handleExport = async (format) => {
+    setError('');
+    setExporting(format);
+    try {
+      const { blob, fileName } = await apiClient.exportAuditLog(filters, format);
+      const blobUrl = URL.createObjectURL(blob);
+      const link = window.document.createElement('a');
+      link.href = blobUrl;
+      link.download = fileName;
+      link.click();
+      URL.revokeObjectURL(blobUrl);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  return (
+    <div>
+      <div style={{ display: 'flex', gap: '12px' }}>
+        <Button variant="secondary" size="small" disabled={!!exporting} onClick={() => handleExport('pdf')}>
+          {exporting === 'pdf' ? 'Preparing...' : 'Export PDF'}
+        </Button>
+        <Button variant="secondary" size="small" disabled={!!exporting} onClick={() => handleExport('csv')}>
+          {exporting === 'csv' ? 'Preparing...' : 'Export CSV'}
+        </Button>
+      </div>
+      {error && <ErrorMessage message={error} />}
+    </div>
+  );
+};
+
+// Owner's timeline of everything done with their documents, shares,
+// contacts and emergency requests, with a check that nothing was altered
+const ActivityTimeline = () => {
+  const { user } = useAuth();
+  const [entries, setEntries] = useState([]);
+  const [nextBefore, setNextBefore] = useState(null);
+  const [documents, setDocuments] = useState([]);
+  const [filters, setFilters] = useState({ documentId: '', actor: '', action: '', from: '', to: '' });
+  const [integrity, setIntegrity] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  const fetchEntries = async (activeFilters, before) => {
+    setError('');
+    setFieldErrors({});
+    try {
+      const data = await apiClient.getAuditLog({ ...activeFilters, before });
+      setEntries(current => (before ? [...current, ...data.entries] : data.entries));
+      setNextBefore(data.nextBefore);
+    } catch (err) {
+      setFieldErrors(fieldErrorsFrom(err));
+      setError(err.message || 'Failed to load activity');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchEntries({});
+    apiClient.getDocuments()
+      .then(data => setDocuments(data.documents || []))
+      .catch(() => {});
+    apiClient.verifyAuditLog()
+      .then(setIntegrity)
+      .catch(() => {});
+  }, []);
+
+  const handleFilterChange = (e) => {
+    setFilters({ ...filters, [e.target.name]: e.target.value });
+  };
+
+  const handleApplyFilters = (e) => {
+    e.preventDefault();
+    fetchEntries(filters);
+  };
+
+  const handleClearFilters = () => {
+    const cleared = { documentId: '', actor: '', action: '', from: '', to: '' };
+    setFilters(cleared);
+    fetchEntries(cleared);
+  };
+
+  const inputStyle = {
+    width: '100%',
+    padding: '12px 16px',
+    fontSize: '16px',
+    border: `2px solid ${styles.colors.gentleBreeze}`,
+    borderRadius: '12px',
+    fontFamily: styles.fonts.nunito
+  };
+
+  const labelStyle = {
+    display: 'block',
+    fontSize: '16px',
+    color: styles.colors.sageGrove,
+    marginBottom: '4px'
+  };
+
+  if (isLoading) return <LoadingSpinner />;
+
+  return (
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '24px' }}>
+        <h2 style={{
+          fontSize: '32px',
+          fontFamily: styles.fonts.crimson,
+          color: styles.colors.ancientPine
+        }}>
+          Activity
+        </h2>
+        {integrity && (
+          <span
+            title={integrity.valid ? `${integrity.entries} entries checked` : integrity.reason}
+            style={{
+              backgroundColor: integrity.valid ? styles.colors.deepForest : styles.colors.warmEarth,
+              color: styles.colors.pureWhite,
+              padding: '4px 12px',
+              borderRadius: '20px',
+              fontSize: '14px',
+              fontWeight: 500
+            }}
+          >
+            {integrity.valid ? '🔒 Log verified' : `⚠️ Log altered at entry ${integrity.brokenAt}`}
+          </span>
+        )}
+      </div>
+
+      <Card style={{ marginBottom: '24px' }}>
+        <form onSubmit={handleApplyFilters}>
+          <div style={{
+            display: 'grid',
+            gridTemplateColumns: 'repeat(auto-fill, minmax(200px, 1fr))',
+            gap: '16px',
+            marginBottom: '16px'
+          }}>
+            <label>
+              <span style={labelStyle}>Document</span>
+              <select name="documentId" value={filters.documentId} onChange={handleFilterChange} style={inputStyle}>
+                <option value="">All documents</option>
+                {documents.map(document => (
+                  <option key={document.id} value={document.id}>{document.title}</option>
+                ))}
+              </select>
+            </label>
+            <label>
+              <span style={labelStyle}>Person (email)</span>
+              <input type="email" name="actor" value={filters.actor} onChange={handleFilterChange} style={inputStyle} />
+              <FieldError message={fieldErrors.actor} />
+            </label>
+            <label>
+              <span style={labelStyle}>Action</span>
+              <select name="action" value={filters.action} onChange={handleFilterChange} style={inputStyle}>
+                <option value="">Everything</option>
+                {Object.entries(auditActions).map(([value, { verb }]) => (
+                  <option key={value} value={value}>{verb.charAt(0).toUpperCase() + verb.slice(1)}</option>
+                ))}
+              </select>
+            </label>
+            <label>
+              <span style={labelStyle}>From</span>
+              <input type="date" name="from" value={filters.from} onChange={handleFilterChange} style={inputStyle} />
+              <FieldError message={fieldErrors.from} />
+            </label>
+            <label>
+              <span style={labelStyle}>To</span>
+              <input type="date" name="to" value={filters.to} onChange={handleFilterChange} style={inputStyle} />
+              <FieldError message={fieldErrors.to} />
+            </label>
+          </div>
+          <div style={{ display: 'flex', gap: '12px' }}>
+            <Button type="submit">Show Activity</Button>
+            <Button type="button" variant="tertiary" onClick={handleClearFilters}>Clear Filters</Button>
+          </div>
+        </form>
+        <div style={{ borderTop: `1px solid ${styles.colors.gentleBreeze}`, marginTop: '16px', paddingTop: '16px' }}>
+          <p style={{ fontSize: '16px', color: styles.colors.sageGrove, marginBottom: '8px' }}>
+            Download the activity matching these filters, with a verification hash for legal use
+          </p>
+          <AuditExportButtons filters={filters} />
+        </div>
+      </Card>
+
+      {error && <ErrorMessage message={error} />}
+
+      {entries.length === 0 ? (
+        <Card style={{ textAlign: 'center', padding: '48px' }}>
+          <p style={{ fontSize: '20px', color: styles.colors.sageGrove }}>
+            No activity matches these filters yet
+          </p>
+        </Card>
+      ) : (
+        <Card>
+          {entries.map(entry => (
+            <AuditEntry key={entry.id} entry={entry} currentUserId={user && user.id} />
+          ))}
+          {nextBefore && (
+            <div style={{ textAlign: 'center', paddingTop: '16px' }}>
+              <Button variant="secondary" onClick={() => fetchEntries(filters, nextBefore)}>
+                Show Earlier Activity
+              </Button>
+            </div>
+          )}
+        </Card>
+      )}
+    </div>
+  );
+};
+
+// ==================== DASHBOARD COMPONENTS ====================
+
+// Devices currently signed in to this account
+const SignedInDevices = () => {
+  const { logoutAll } = useAuth();
+  const [sessions, setSessions] = useState([]);
+  const [error, setError] = useState('');
+
+  const fetchSessions = async () => {
+    try {
+      const response = await apiClient.getSessions();
+      setSessions(response.sessions || []);
+    } catch (err) {
+      setError(err.message || 'Failed to load sessions');
+    }
+  };
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const handleRevoke = async (session) => {
+    setError('');
+    try {
+      await apiClient.revokeSession(session.id);
+      await fetchSessions();
+    } catch (err) {
+      setError(err.message || 'Could not sign out that device');
+    }
+  };
+
+  const handleLogoutAll = async () => {
+    if (!window.confirm('Sign out of Aerial Nest on every device, including this one?')) return;
+    try {
+      await logoutAll();
+    } catch (err) {
+      setError(err.message || 'Could not sign out all devices');
+    }
+  };
+
+  return (
+    <Card style={{ marginTop: '24px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
+        <h2 style={{
+          fontSize: '24px',
+          fontFamily: styles.fonts.crimson,
+          color: styles.colors.ancientPine
+        }}>
+          Signed-in Devices
+        </h2>
+        <Button variant="tertiary" size="small" onClick={handleLogoutAll}>
+          Sign Out All Devices
+        </Button>
+      </div>
+
+      {error && <ErrorMessage message={error} />}
+
+      {sessions.map(session => (
+        <div key={session.id} style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          padding: '12px 0',
+          borderTop: `1px solid ${styles.colors.gentleBreeze}`
+        }}>
+          <div style={{ color: styles.colors.sageGrove, fontSize: '14px' }}>
+            <p style={{ color: styles.colors.deepForest, fontWeight: 500 }}>
+              {session.user_agent || 'Unknown device'}
+              {session.current && ' (this device)'}
+            </p>
+            <p>
+              {session.ip_address || 'Unknown location'} · last active {formatDate(session.last_used_at)}
+            </p>
+          </div>
+          {!session.current && (
+            <Button variant="tertiary" size="small" onClick={() => handleRevoke(session)}>Sign Out</Button>
+          )}
+        </div>
+      ))}
+    </Card>
+  );
+};
+
+// End-to-end encryption setup, unlock and passphrase change
+const EncryptionSettings = () => {
+  const encryption = useEncryption();
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmPassphrase, setConfirmPassphrase] = useState('');
+  const [accountPassword, setAccountPassword] = useState('');
+  const [isChanging, setIsChanging] = useState(false);
+  const [isWorking, setIsWorking] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const run = async (action) => {
+    setError('');
+    setMessage('');
+    setIsWorking(true);
+    try {
+      setMessage(await action());
+      setPassphrase('');
+      setConfirmPassphrase('');
+      setAccountPassword('');
+    } catch (err) {
+      setError(err.message || 'Something went wrong');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const needsConfirmation = !encryption.isEnabled || isChanging;
 
-// Document Card
-const DocumentCard = ({ document }) => {
-  const formatFileSize = (bytes) => {
-    if (bytes < 1024) return bytes + ' B';
-    if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
-    return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
-  };
-
-  const formatDate = (dateString) => {
-    const date = new Date(dateString);
-    return date.toLocaleDateString('en-US', { 
-      year: 'numeric', 
-      month: 'short', 
-      day: 'numeric' 
-    });
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (needsConfirmation) {
+      if (passphrase.length < 12) {
+        setError('Use a passphrase of at least 12 characters');
+        return;
+      }
+      if (passphrase !== confirmPassphrase) {
+        setError('Passphrases do not match');
+        return;
+      }
+    }
+
+    if (!encryption.isEnabled) {
+      run(async () => {
+        await encryption.setUp(passphrase);
+        return 'End-to-end encryption is set up and unlocked';
+      });
+    } else if (isChanging) {
+      run(async () => {
+        await encryption.changePassphrase(passphrase, accountPassword);
+        setIsChanging(false);
+        return 'Passphrase changed';
+      });
+    } else {
+      run(async () => {
+        const shared = await encryption.unlock(passphrase);
+        return shared > 0 ? `Unlocked. Shared ${shared} document key(s) with your contacts.` : 'Unlocked';
+      });
+    }
   };
 
-  const getCategoryColor = (categoryName) => {
-    const colorMap = {
-      'Will': styles.colors.deepForest,
-      'Healthcare Directive': styles.colors.calmWaters,
-      'Power of Attorney': styles.colors.riverStone,
-      'Financial Documents': styles.colors.weatheredOak,
-      'Insurance Policies': styles.colors.warmEarth,
-      'Personal Letters': styles.colors.sageGrove,
-    };
-    return colorMap[categoryName] || styles.colors.deepForest;
+  const inputStyle = {
+    width: '100%',
+    padding: '12px 16px',
+    fontSize: '18px',
+    border: `2px solid ${styles.colors.gentleBreeze}`,
+    borderRadius: '12px',
+    fontFamily: styles.fonts.nunito,
+    marginBottom: '12px'
   };
 
+  let description = 'Encrypt documents in your browser before they are uploaded, so not even Aerial Nest can read them. ' +
+    'Your passphrase cannot be recovered: if you forget it, encrypted documents are lost.';
+  if (encryption.isEnabled) {
+    description = encryption.isUnlocked
+      ? 'Unlocked in this browser until you lock it or close the page.'
+      : 'Enter your passphrase to open encrypted documents and share keys with your contacts.';
+  }
+
   return (
-    <Card>
-      <div style={{ marginBottom: '16px' }}>
-        <span style={{
-          backgroundColor: getCategoryColor(document.category_name),
-          color: styles.colors.pureWhite,
-          padding: '4px 12px',
-          borderRadius: '20px',
-          fontSize: '14px',
-          fontWeight: 500
+    <Card style={{ marginTop: '24px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
+        <h2 style={{
+          fontSize: '24px',
+          fontFamily: styles.fonts.crimson,
+          color: styles.colors.ancientPine
         }}>
-          {document.category_name}
-        </span>
-        {document.version > 1 && (
-          <span style={{
-            float: 'right',
-            color: styles.colors.sageGrove,
-            fontSize: '14px'
-          }}>
-            v{document.version}
-          </span>
+          End-to-End Encryption {encryption.isEnabled && (encryption.isUnlocked ? '🔓' : '🔒')}
+        </h2>
+        {encryption.isUnlocked && !isChanging && (
+          <div style={{ display: 'flex', gap: '12px' }}>
+            <Button variant="secondary" size="small" onClick={() => { setMessage(''); setIsChanging(true); }}>
+              Change Passphrase
+            </Button>
+            <Button variant="tertiary" size="small" onClick={() => { setMessage(''); encryption.lock(); }}>Lock</Button>
+          </div>
         )}
       </div>
-      
-      <h3 style={{
-        fontSize: '20px',
-        fontFamily: styles.fonts.crimson,
-        color: styles.colors.ancientPine,
-        marginBottom: '8px'
-      }}>
-        {document.title}
-      </h3>
-      
-      <div style={{ color: styles.colors.sageGrove, marginBottom: '16px' }}>
-        <p style={{ fontSize: '14px', marginBottom: '4px' }}>
-          Uploaded: {formatDate(document.upload_date)}
-        </p>
-        <p style={{ fontSize: '14px' }}>
-          Size: {formatFileSize(document.file_size)}
-        </p>
-      </div>
-      
-      <div style={{ display: 'flex', gap: '12px' }}>
-        <Button variant="primary" size="small">View</Button>
-        <Button variant="tertiary" size="small">Share</Button>
-      </div>
+
+      <p style={{ color: styles.colors.sageGrove, marginBottom: '16px' }}>{description}</p>
+      {message && <p style={{ color: styles.colors.deepForest, marginBottom: '16px' }}>{message}</p>}
+
+      {(!encryption.isUnlocked || isChanging) && (
+        <form onSubmit={handleSubmit}>
+          <input
+            type="password"
+            value={passphrase}
+            onChange={(e) => setPassphrase(e.target.value)}
+            placeholder={isChanging ? 'New passphrase' : 'Passphrase'}
+            style={inputStyle}
+            required
+          />
+          {needsConfirmation && (
+            <input
+              type="password"
+              value={confirmPassphrase}
+              onChange={(e) => setConfirmPassphrase(e.target.value)}
+              placeholder="Confirm passphrase"
+              style={inputStyle}
+              required
+            />
+          )}
+          {isChanging && (
+            <input
+              type="password"
+              value={accountPassword}
+              onChange={(e) => setAccountPassword(e.target.value)}
+              placeholder="Account password"
+              autoComplete="current-password"
+              style={inputStyle}
+              required
+            />
+          )}
+          <div style={{ display: 'flex', gap: '12px' }}>
+            <Button type="submit" size="small" disabled={isWorking || !passphrase}>
+              {isWorking ? 'Working...' : (!encryption.isEnabled ? 'Set Up Encryption' : (isChanging ? 'Save Passphrase' : 'Unlock'))}
+            </Button>
+            {isChanging && (
+              <Button variant="tertiary" size="small" onClick={() => setIsChanging(false)}>Cancel</Button>
+            )}
+          </div>
+        </form>
+      )}
+
+      {error && <ErrorMessage message={error} />}
     </Card>
   );
 };
 
-// Document Library
-const DocumentLibrary = () => {
-  const [documents, setDocuments] = useState([]);
-  const [categories, setCategories] = useState([]);
-  const [isLoading, setIsLoading] = useState(true);
+// Two-step verification settings
+const TwoStepVerification = () => {
+  const [status, setStatus] = useState(null);
+  const [mode, setMode] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [password, setPassword] = useState('');
+  const [message, setMessage] = useState('');
   const [error, setError] = useState('');
-  const [selectedCategory, setSelectedCategory] = useState(null);
 
-  useEffect(() => {
-    const fetchData = async () => {
-      try {
-        const [docsResponse, catsResponse] = await Promise.all([
-          apiClient.getDocuments(),
-          apiClient.getCategories()
-        ]);
-        setDocuments(docsResponse.documents || []);
-        setCategories(catsResponse.categories || []);
-      } catch (err) {
-        setError(err.message || 'Failed to load documents');
-      } finally {
-        setIsLoading(false);
-      }
-    };
+  const fetchStatus = async () => {
+    try {
+      setStatus(await apiClient.getMfaStatus());
+    } catch (err) {
+      setError(err.message || 'Failed to load two-step verification settings');
+    }
+  };
 
-    fetchData();
+  useEffect(() => {
+    fetchStatus();
   }, []);
 
-  const filteredDocuments = selectedCategory
-    ? documents.filter(doc => doc.category_id === selectedCategory)
-    : documents;
+  const finish = async (text) => {
+    setMode(null);
+    setSetup(null);
+    setPassword('');
+    setMessage(text);
+    await fetchStatus();
+  };
 
-  if (isLoading) return <LoadingSpinner />;
-  if (error) return <ErrorMessage message={error} />;
+  const handleStartSetup = async () => {
+    setError('');
+    setMessage('');
+    setRecoveryCodes(null);
+    try {
+      setSetup(await apiClient.setupMfa());
+      setMode('setup');
+    } catch (err) {
+      setError(err.message || 'Could not start setup');
+    }
+  };
 
-  const categoryButtonStyle = (isActive) => ({
-    padding: '8px 16px',
-    borderRadius: '20px',
+  const handleEnable = async ({ code }) => {
+    const response = await apiClient.enableMfa(code);
+    setRecoveryCodes(response.recoveryCodes);
+    await finish(response.message);
+  };
+
+  const handleDisable = async (credentials) => {
+    const response = await apiClient.disableMfa(password, credentials);
+    setRecoveryCodes(null);
+    await finish(response.message);
+  };
+
+  const handleRegenerate = async ({ code }) => {
+    const response = await apiClient.regenerateRecoveryCodes(code);
+    setRecoveryCodes(response.recoveryCodes);
+    await finish(response.message);
+  };
+
+  const handleToggleDownloads = async (e) => {
+    setError('');
+    try {
+      const response = await apiClient.updateMfaSettings(e.target.checked);
+      await finish(response.requireForDownloads
+        ? 'Opening documents now needs a code from your authenticator app'
+        : 'Opening documents no longer needs a code');
+    } catch (err) {
+      setError(err.message || 'Could not update settings');
+    }
+  };
+
+  const inputStyle = {
+    width: '100%',
+    padding: '12px 16px',
     fontSize: '18px',
+    border: `2px solid ${styles.colors.gentleBreeze}`,
+    borderRadius: '12px',
     fontFamily: styles.fonts.nunito,
-    border: 'none',
-    cursor: 'pointer',
-    backgroundColor: isActive ? styles.colors.deepForest : styles.colors.morningLight,
-    color: isActive ? styles.colors.pureWhite : styles.colors.deepForest,
-    marginRight: '12px',
-    marginBottom: '12px',
-    transition: 'all 0.3s ease'
-  });
+    marginBottom: '16px'
+  };
+
+  if (!status) {
+    return error ? <Card style={{ marginTop: '24px' }}><ErrorMessage message={error} /></Card> : null;
+  }
 
   return (
-    <div>
-      <div style={{ 
-        display: 'flex', 
-        justifyContent: 'space-between', 
-        alignItems: 'center',
-        marginBottom: '24px' 
-      }}>
+    <Card style={{ marginTop: '24px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
         <h2 style={{
-          fontSize: '32px',
+          fontSize: '24px',
           fontFamily: styles.fonts.crimson,
           color: styles.colors.ancientPine
         }}>
-          Your Documents
+          Two-Step Verification
         </h2>
-        <Button variant="primary" size="medium">
-          Upload Document
-        </Button>
+        {!mode && !status.enabled && (
+          <Button size="small" onClick={handleStartSetup}>Turn On</Button>
+        )}
       </div>
 
-      <div style={{ marginBottom: '24px' }}>
-        <button
-          onClick={() => setSelectedCategory(null)}
-          style={categoryButtonStyle(selectedCategory === null)}
-        >
-          All Documents
-        </button>
-        {categories.map(category => (
-          <button
-            key={category.id}
-            onClick={() => setSelectedCategory(category.id)}
-            style={categoryButtonStyle(selectedCategory === category.id)}
-          >
-            {category.name}
-          </button>
-        ))}
-      </div>
+      <p style={{ color: styles.colors.sageGrove, marginBottom: '16px' }}>
+        {status.enabled
+          ? `On since ${formatDate(status.enabledAt)}. ${status.recoveryCodesRemaining} recovery codes left.`
+          : 'Protect your documents with a code from an authenticator app as well as your password.'}
+      </p>
 
-      {filteredDocuments.length === 0 ? (
-        <Card style={{ textAlign: 'center', padding: '48px' }}>
-          <p style={{ 
-            fontSize: '20px', 
-            color: styles.colors.sageGrove, 
-            marginBottom: '16px' 
-          }}>
-            No documents found
-          </p>
-          <Button variant="primary">Upload Your First Document</Button>
-        </Card>
-      ) : (
+      {message && <p style={{ color: styles.colors.deepForest, marginBottom: '16px' }}>{message}</p>}
+
+      {recoveryCodes && (
         <div style={{
-          display: 'grid',
-          gridTemplateColumns: 'repeat(auto-fill, minmax(320px, 1fr))',
-          gap: '24px'
+          backgroundColor: styles.colors.softMist,
+          borderRadius: '12px',
+          padding: '16px',
+          marginBottom: '16px'
         }}>
-          {filteredDocuments.map(document => (
-            <DocumentCard key={document.id} document={document} />
-          ))}
+          <p style={{ color: styles.colors.deepForest, fontWeight: 500, marginBottom: '8px' }}>
+            Save these recovery codes somewhere safe. Each one works once if you lose your device, and they will not be shown again.
+          </p>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(140px, 1fr))', gap: '8px', fontFamily: 'monospace', fontSize: '18px' }}>
+            {recoveryCodes.map(code => <span key={code}>{code}</span>)}
+          </div>
+          <div style={{ marginTop: '12px' }}>
+            <Button variant="tertiary" size="small" onClick={() => setRecoveryCodes(null)}>I've Saved Them</Button>
+          </div>
         </div>
       )}
-    </div>
+
+      {mode === 'setup' && setup && (
+        <MfaCodeForm onSubmit={handleEnable} submitLabel="Turn On" allowRecoveryCode={false} onCancel={() => finish('')}>
+          <p style={{ color: styles.colors.deepForest, marginBottom: '12px' }}>
+            Scan this code with your authenticator app, then enter the 6-digit code it shows.
+          </p>
+          <img src={setup.qrCode} alt="Authenticator setup QR code" style={{ width: '200px', height: '200px', display: 'block', marginBottom: '12px' }} />
+          <p style={{ color: styles.colors.sageGrove, fontSize: '14px', marginBottom: '16px', wordBreak: 'break-all' }}>
+            Can't scan it? Enter this key instead: <strong>{setup.secret}</strong>
+          </p>
+        </MfaCodeForm>
+      )}
+
+      {mode === 'regenerate' && (
+        <MfaCodeForm onSubmit={handleRegenerate} submitLabel="Create New Codes" allowRecoveryCode={false} onCancel={() => setMode(null)}>
+          <p style={{ color: styles.colors.deepForest, marginBottom: '12px' }}>
+            Your current recovery codes will stop working.
+          </p>
+        </MfaCodeForm>
+      )}
+
+      {mode === 'disable' && (
+        <MfaCodeForm onSubmit={handleDisable} submitLabel="Turn Off" onCancel={() => setMode(null)}>
+          <label style={{ display: 'block', color: styles.colors.deepForest, fontSize: '18px', marginBottom: '8px' }}>
+            Password
+          </label>
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            style={inputStyle}
+            placeholder="••••••••"
+            required
+          />
+        </MfaCodeForm>
+      )}
+
+      {status.enabled && !mode && (
+        <>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '8px', color: styles.colors.deepForest, marginBottom: '16px' }}>
+            <input type="checkbox" checked={status.requireForDownloads} onChange={handleToggleDownloads} />
+            Ask for a code before opening or downloading documents
+          </label>
+          <div style={{ display: 'flex', gap: '12px' }}>
+            <Button variant="secondary" size="small" onClick={() => { setMessage(''); setMode('regenerate'); }}>New Recovery Codes</Button>
+            <Button variant="tertiary" size="small" onClick={() => { setMessage(''); setMode('disable'); }}>Turn Off</Button>
+          </div>
+        </>
+      )}
+
+      {error && <ErrorMessage message={error} />}
+    </Card>
   );
 };
 
-// ==================== DASHBOARD COMPONENTS ====================
+// Reminds people who have not confirmed their email address yet
+const VerifyEmailBanner = () => {
+  const [profile, setProfile] = useState(null);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    apiClient.getProfile()
+      .then(data => setProfile(data.user))
+      .catch(err => console.error('Failed to fetch profile:', err));
+  }, []);
+
+  const handleResend = async () => {
+    setError('');
+    try {
+      const response = await apiClient.resendVerification();
+      setMessage(response.message);
+    } catch (err) {
+      setError(err.message || 'Could not send the verification email');
+    }
+  };
+
+  if (!profile || profile.email_verified) return null;
+
+  return (
+    <Card style={{ marginBottom: '24px', borderLeft: `6px solid ${styles.colors.weatheredOak}` }}>
+      <p style={{ color: styles.colors.deepForest, fontSize: '18px', marginBottom: '12px' }}>
+        Please confirm your email address ({profile.email}) so we can reach you about your account and emergency requests.
+      </p>
+      {message
+        ? <p style={{ color: styles.colors.sageGrove }}>{message}</p>
+        : <Button variant="secondary" size="small" onClick={handleResend}>Resend Confirmation Email</Button>}
+      {error && <ErrorMessage message={error} />}
+    </Card>
+  );
+};
 
 // Dashboard
 const Dashboard = () => {
@@ -764,9 +4873,10 @@ const Dashboard = () => {
   useEffect(() => {
     const fetchStats = async () => {
       try {
-        const [docsResponse, contactsResponse] = await Promise.all([
+        const [docsResponse, contactsResponse, planningProgress] = await Promise.all([
           apiClient.getDocuments(),
-          apiClient.getTrustedContacts()
+          apiClient.getTrustedContacts(),
+          apiClient.getPlanningProgress()
         ]);
         
         const docs = docsResponse.documents || [];
@@ -782,7 +4892,7 @@ const Dashboard = () => {
           totalDocuments: docs.length,
           recentUploads: recentDocs.length,
           trustedContacts: contacts.length,
-          pendingTasks: 0
+          pendingTasks: planningProgress.pendingTasks
         });
       } catch (err) {
         console.error('Failed to fetch stats:', err);
@@ -818,6 +4928,8 @@ const Dashboard = () => {
         </p>
       </div>
 
+      <VerifyEmailBanner />
+
       <div style={{
         display: 'grid',
         gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))',
@@ -899,6 +5011,10 @@ const Dashboard = () => {
           </div>
         </Card>
       </div>
+
+      <EncryptionSettings />
+      <TwoStepVerification />
+      <SignedInDevices />
     </div>
   );
 };
@@ -913,6 +5029,9 @@ const Navigation = ({ currentView, setCurrentView }) => {
     { id: 'documents', label: 'Documents', icon: '📄' },
     { id: 'planning', label: 'Planning', icon: '📋' },
     { id: 'contacts', label: 'Contacts', icon: '👥' },
+    { id: 'shared', label: 'Shared With Me', icon: '🤝' },
+    { id: 'emergency', label: 'Emergency', icon: '🚨' },
+    { id: 'activity', label: 'Activity', icon: '🕒' },
   ];
 
   const navButtonStyle = (isActive) => ({
@@ -986,48 +5105,73 @@ const Navigation = ({ currentView, setCurrentView }) => {
 // ==================== MAIN APP ====================
 
 const App = () => {
-  const [authMode, setAuthMode] = useState('login');
+  // Emailed links arrive as /?invite=<token>, /?reset=<token> or /?verify=<token>
+  const params = new URLSearchParams(window.location.search);
+  const inviteToken = params.get('invite');
+  const resetToken = params.get('reset');
+  const [verifyToken, setVerifyToken] = useState(params.get('verify'));
+  const [authMode, setAuthMode] = useState(inviteToken ? 'invitation' : (resetToken ? 'reset' : 'login'));
   const [currentView, setCurrentView] = useState('dashboard');
 
   return (
     <AuthProvider>
-      <div style={{
-        minHeight: '100vh',
-        background: `linear-gradient(135deg, ${styles.colors.softMist} 0%, ${styles.colors.morningLight} 100%)`,
-        fontFamily: styles.fonts.nunito
-      }}>
-        <style>{`
-          @import url('https://fonts.googleapis.com/css2?family=Crimson+Text:ital,wght@0,400;0,500;1,400&family=Nunito+Sans:ital,wght@0,300;0,400;0,500;0,600;1,400&family=Lora:ital,wght@0,400;0,500;1,400&family=Source+Sans+Pro:ital,wght@0,400;0,500;0,600;1,400&display=swap');
+      <EncryptionProvider>
+        <div style={{
+          minHeight: '100vh',
+          background: `linear-gradient(135deg, ${styles.colors.softMist} 0%, ${styles.colors.morningLight} 100%)`,
+          fontFamily: styles.fonts.nunito
+        }}>
+          <style>{`
+            @import url('https://fonts.googleapis.com/css2?family=Crimson+Text:ital,wght@0,400;0,500;1,400&family=Nunito+Sans:ital,wght@0,300;0,400;0,500;0,600;1,400&family=Lora:ital,wght@0,400;0,500;1,400&family=Source+Sans+Pro:ital,wght@0,400;0,500;0,600;1,400&display=swap');
           
-          @keyframes spin {
-            to { transform: rotate(360deg); }
-          }
+            @keyframes spin {
+              to { transform: rotate(360deg); }
+            }
           
-          * {
-            box-sizing: border-box;
-            margin: 0;
-            padding: 0;
-          }
+            * {
+              box-sizing: border-box;
+              margin: 0;
+              padding: 0;
+            }
           
-          input:focus {
-            outline: none;
-            border-color: ${styles.colors.calmWaters};
-          }
-        `}</style>
-        <AppContent 
-          authMode={authMode} 
-          setAuthMode={setAuthMode}
-          currentView={currentView}
-          setCurrentView={setCurrentView}
-        />
-      </div>
+            input:focus {
+              outline: none;
+              border-color: ${styles.colors.calmWaters};
+            }
+          `}</style>
+          <AppContent 
+            authMode={authMode} 
+            setAuthMode={setAuthMode}
+            currentView={currentView}
+            setCurrentView={setCurrentView}
+            inviteToken={inviteToken}
+            resetToken={resetToken}
+            verifyToken={verifyToken}
+            setVerifyToken={setVerifyToken}
+          />
+        </div>
+      </EncryptionProvider>
     </AuthProvider>
   );
 };
 
-const AppContent = ({ authMode, setAuthMode, currentView, setCurrentView }) => {
+const AppContent = ({ authMode, setAuthMode, currentView, setCurrentView, inviteToken, resetToken, verifyToken, setVerifyToken }) => {
   const { user, isLoading } = useAuth();
 
+  const clearLinkToken = () => {
+    window.history.replaceState(null, '', window.location.pathname);
+  };
+
+  const verificationNotice = verifyToken && (
+    <EmailVerificationNotice
+      verifyToken={verifyToken}
+      onDone={() => {
+        clearLinkToken();
+        setVerifyToken(null);
+      }}
+    />
+  );
+
   if (isLoading) {
     return (
       <div style={{ 
@@ -1069,9 +5213,35 @@ const AppContent = ({ authMode, setAuthMode, currentView, setCurrentView }) => {
               "Like birds carefully building their nest, we help you create a place where your family's future can flourish."
             </p>
           </div>
-          {authMode === 'login' ? (
-            <LoginForm onSwitchToRegister={() => setAuthMode('register')} />
-          ) : (
+          {verificationNotice}
+          {authMode === 'invitation' && (
+            <AcceptInvitationForm
+              inviteToken={inviteToken}
+              onDone={() => {
+                clearLinkToken();
+                setAuthMode('login');
+              }}
+            />
+          )}
+          {authMode === 'reset' && (
+            <ResetPasswordForm
+              resetToken={resetToken}
+              onDone={() => {
+                clearLinkToken();
+                setAuthMode('login');
+              }}
+            />
+          )}
+          {authMode === 'forgot' && (
+            <ForgotPasswordForm onSwitchToLogin={() => setAuthMode('login')} />
+          )}
+          {authMode === 'login' && (
+            <LoginForm
+              onSwitchToRegister={() => setAuthMode('register')}
+              onForgotPassword={() => setAuthMode('forgot')}
+            />
+          )}
+          {authMode === 'register' && (
             <RegisterForm onSwitchToLogin={() => setAuthMode('login')} />
           )}
         </div>
@@ -1087,38 +5257,15 @@ const AppContent = ({ authMode, setAuthMode, currentView, setCurrentView }) => {
         margin: '0 auto', 
         padding: '32px 16px' 
       }}>
-        {currentView === 'dashboard' && <Dashboard />}
+        {verificationNotice}
+        {/* Remount once the notice is dismissed so the verification banner refreshes */}
+        {currentView === 'dashboard' && <Dashboard key={verifyToken ? 'verifying' : 'dashboard'} />}
         {currentView === 'documents' && <DocumentLibrary />}
-        {currentView === 'planning' && (
-          <Card style={{ textAlign: 'center', padding: '48px' }}>
-            <h2 style={{
-              fontSize: '32px',
-              fontFamily: styles.fonts.crimson,
-              color: styles.colors.ancientPine,
-              marginBottom: '16px'
-            }}>
-              Planning Tools
-            </h2>
-            <p style={{ fontSize: '20px', color: styles.colors.sageGrove }}>
-              Coming soon...
-            </p>
-          </Card>
-        )}
-        {currentView === 'contacts' && (
-          <Card style={{ textAlign: 'center', padding: '48px' }}>
-            <h2 style={{
-              fontSize: '32px',
-              fontFamily: styles.fonts.crimson,
-              color: styles.colors.ancientPine,
-              marginBottom: '16px'
-            }}>
-              Trusted Contacts
-            </h2>
-            <p style={{ fontSize: '20px', color: styles.colors.sageGrove }}>
-              Coming soon...
-            </p>
-          </Card>
-        )}
+        {currentView === 'planning' && <PlanningWorkflows />}
+        {currentView === 'contacts' && <TrustedContacts />}
+        {currentView === 'shared' && <SharedWithMe />}
+        {currentView === 'emergency' && <EmergencyAccess />}
+        {currentView === 'activity' && <ActivityTimeline />}
       </main>
     </div>
   );
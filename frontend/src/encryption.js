@@ -0,0 +1,150 @@
+// ==================== END-TO-END ENCRYPTION ====================
+// Everything here runs in the browser with the Web Crypto API. The server
+// never sees a passphrase, a private key or a document key in the clear.
+//
+// - Each account has an RSA-OAEP key pair. The private key is stored on the
+//   server encrypted with an AES-GCM key derived from the passphrase (PBKDF2).
+// - Each document has its own AES-GCM content key. Files are uploaded as
+//   [12-byte IV][ciphertext], and the content key is stored wrapped with the
+//   public key of everyone allowed to read it.
+
+const PBKDF2_ITERATIONS = 600000;
+const RSA_PARAMS = {
+  name: 'RSA-OAEP',
+  modulusLength: 3072,
+  publicExponent: new Uint8Array([1, 0, 1]),
+  hash: 'SHA-256',
+};
+const IV_BYTES = 12;
+
+const toBase64 = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+const fromBase64 = (value) => Uint8Array.from(atob(value), char => char.charCodeAt(0));
+
+const concatBytes = (first, second) => {
+  const joined = new Uint8Array(first.length + second.length);
+  joined.set(first);
+  joined.set(second, first.length);
+  return joined;
+};
+
+const deriveKeyFromPassphrase = async (passphrase, salt, iterations) => {
+  const material = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+const encryptPrivateKey = async (privateKey, passphrase) => {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const passphraseKey = await deriveKeyFromPassphrase(passphrase, salt, PBKDF2_ITERATIONS);
+  const pkcs8 = await crypto.subtle.exportKey('pkcs8', privateKey);
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, passphraseKey, pkcs8);
+  return {
+    encryptedPrivateKey: toBase64(concatBytes(iv, new Uint8Array(ciphertext))),
+    salt: toBase64(salt),
+    iterations: PBKDF2_ITERATIONS,
+  };
+};
+
+/**
+ * Create a key pair for a new account
+ * Resolves with the key material for PUT /api/encryption/keys and the
+ * usable private key
+ */
+export const createAccountKeys = async (passphrase) => {
+  const keyPair = await crypto.subtle.generateKey(RSA_PARAMS, true, ['wrapKey', 'unwrapKey']);
+  const publicKey = toBase64(await crypto.subtle.exportKey('spki', keyPair.publicKey));
+  return {
+    material: { publicKey, ...(await encryptPrivateKey(keyPair.privateKey, passphrase)) },
+    privateKey: keyPair.privateKey,
+  };
+};
+
+/**
+ * Decrypt the account private key with the passphrase
+ * Rejects with a friendly error when the passphrase is wrong
+ */
+export const unlockPrivateKey = async (material, passphrase) => {
+  const passphraseKey = await deriveKeyFromPassphrase(passphrase, fromBase64(material.salt), material.iterations);
+  const sealed = fromBase64(material.encryptedPrivateKey);
+  let pkcs8;
+  try {
+    pkcs8 = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: sealed.slice(0, IV_BYTES) }, passphraseKey, sealed.slice(IV_BYTES)
+    );
+  } catch (err) {
+    throw new Error('That passphrase is not correct');
+  }
+  // Extractable so the passphrase can be changed later
+  return crypto.subtle.importKey('pkcs8', pkcs8, RSA_PARAMS, true, ['unwrapKey']);
+};
+
+/**
+ * Re-encrypt an unlocked private key under a new passphrase
+ */
+export const changePassphrase = async (material, privateKey, newPassphrase) => ({
+  publicKey: material.publicKey,
+  ...(await encryptPrivateKey(privateKey, newPassphrase)),
+});
+
+export const createDocumentKey = () =>
+  crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+
+/**
+ * Wrap a document key with someone's public key (base64 SPKI)
+ */
+export const wrapDocumentKey = async (documentKey, publicKey) => {
+  const recipientKey = await crypto.subtle.importKey(
+    'spki', fromBase64(publicKey), RSA_PARAMS, false, ['wrapKey']
+  );
+  return toBase64(await crypto.subtle.wrapKey('raw', documentKey, recipientKey, { name: 'RSA-OAEP' }));
+};
+
+export const unwrapDocumentKey = (wrappedKey, privateKey) =>
+  crypto.subtle.unwrapKey(
+    'raw', fromBase64(wrappedKey), privateKey, { name: 'RSA-OAEP' },
+    { name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']
+  );
+
+/**
+ * Encrypt a file for upload; keeps the original name so the server can
+ * still check the extension
+ */
+export const encryptFile = async (file, documentKey) => {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv }, documentKey, await file.arrayBuffer()
+  );
+  return new File([iv, ciphertext], file.name, { type: 'application/octet-stream' });
+};
+
+/**
+ * Decrypt a downloaded file back into a Blob of the given content type
+ */
+export const decryptFile = async (blob, documentKey, type) => {
+  const sealed = new Uint8Array(await blob.arrayBuffer());
+  let plaintext;
+  try {
+    plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: sealed.slice(0, IV_BYTES) }, documentKey, sealed.slice(IV_BYTES)
+    );
+  } catch (err) {
+    throw new Error('This document could not be decrypted');
+  }
+  return new Blob([plaintext], { type });
+};